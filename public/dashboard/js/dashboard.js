@@ -241,7 +241,7 @@ const Dashboard = {
    */
   async loadProviders() {
     try {
-      const response = await fetch('/providers');
+      const response = await fetch('/api/dashboard/providers/health');
       const result = await response.json();
 
       if (result.status === 'success' && result.data) {
@@ -283,6 +283,33 @@ const Dashboard = {
       const hitRate = perf.cacheHitRate || 0;
       cacheHitRateEl.textContent = `${hitRate.toFixed(1)}%`;
     }
+
+    // Cache Memory (stored bytes, after compression)
+    const cacheMemoryEl = document.getElementById('cache-memory-value');
+    if (cacheMemoryEl && cache.memory) {
+      cacheMemoryEl.textContent = CacheManager.formatSize(cache.memory.l1Bytes);
+    }
+
+    const compressionLabelEl = document.getElementById('cache-compression-label');
+    if (compressionLabelEl && cache.compression) {
+      const { ratio, entries, savedBytes, algorithm } = cache.compression;
+      compressionLabelEl.textContent = entries > 0
+        ? `${ratio}x ${algorithm} on ${entries} entries, ${CacheManager.formatSize(savedBytes)} saved`
+        : 'No compressed entries';
+      compressionLabelEl.title = `${cache.memory ? cache.memory.usage : '--'} of L1 memory limit used`;
+    }
+
+    // Coalesced Requests (single-flight scraper calls)
+    const coalescing = data.coalescing || {};
+    const coalescedEl = document.getElementById('coalesced-value');
+    if (coalescedEl) {
+      coalescedEl.textContent = (coalescing.coalesced || 0).toLocaleString();
+    }
+
+    const coalescedLabelEl = document.getElementById('coalesced-label');
+    if (coalescedLabelEl) {
+      coalescedLabelEl.textContent = `${coalescing.coalescedRate || 0}% of ${((coalescing.executed || 0) + (coalescing.coalesced || 0)).toLocaleString()} scraper calls`;
+    }
   },
 
   /**
@@ -433,8 +460,98 @@ const Dashboard = {
         <span class="provider-status ${provider.enabled ? 'enabled' : 'disabled'}">
           ${provider.enabled ? 'Enabled' : 'Disabled'}
         </span>
+        ${this.renderProviderHealth(provider.health)}
+        <div class="extraction-health" id="extraction-health-${provider.id}">
+          <div class="loading">Loading extraction health...</div>
+        </div>
       </div>
     `).join('');
+
+    providers.forEach(provider => this.loadExtractionHealth(provider.id));
+  },
+
+  /**
+   * Render probe health (status, latency, uptime and recent probes) for provider card
+   */
+  renderProviderHealth(health) {
+    if (!health) return '';
+
+    const statusLabels = {
+      healthy: 'Healthy',
+      degraded: 'Degraded',
+      down: 'Down',
+      unknown: 'Not checked yet',
+      disabled: 'Disabled'
+    };
+
+    // Probe errors are upstream messages, escaped before they go into the markup
+    const history = (health.history || []).map(probe => `
+      <span class="health-probe ${probe.success ? 'success' : 'failure'}"
+            title="${this.escapeHtml(`${new Date(probe.timestamp).toLocaleString()} - ${probe.latency}ms${probe.httpStatus ? ' (HTTP ' + probe.httpStatus + ')' : ''}${probe.error ? ': ' + probe.error : ''}`)}"></span>
+    `).join('');
+
+    return `
+      <div class="provider-health">
+        <span class="health-status ${this.escapeHtml(health.status)}">${statusLabels[health.status] || this.escapeHtml(health.status)}</span>
+        ${health.checks > 0 ? `
+          <small>
+            ${health.latency}ms${health.httpStatus ? ' · HTTP ' + health.httpStatus : ''} · ${health.uptime}% uptime
+          </small>
+        ` : ''}
+        ${history ? `<div class="health-history">${history}</div>` : ''}
+      </div>
+    `;
+  },
+
+  /**
+   * Load extraction health (selector drift) for provider
+   */
+  async loadExtractionHealth(providerId) {
+    try {
+      const response = await fetch(`/api/dashboard/providers/${providerId}/extraction-health`);
+      const result = await response.json();
+
+      if (result.status === 'success' && result.data) {
+        this.updateExtractionHealth(providerId, result.data);
+      }
+    } catch (error) {
+      console.error('Error loading extraction health:', error);
+    }
+  },
+
+  /**
+   * Update extraction health panel in provider card
+   */
+  updateExtractionHealth(providerId, report) {
+    const panel = document.getElementById(`extraction-health-${providerId}`);
+    if (!panel) return;
+
+    const statusLabels = { ok: 'Selectors OK', drift: 'Selector drift', 'no-data': 'No scrapes yet' };
+    const functions = Object.entries(report.functions || {})
+      .filter(([, health]) => health.status !== 'no-data');
+
+    const rows = functions.map(([name, health]) => {
+      const drifted = new Set((health.drifts || []).map(d => d.field));
+      // Field and function names come from scraped results, escaped like probe errors
+      const fields = Object.entries(health.fillRates || {}).map(([field, rate]) => `
+        <span class="fill-rate ${drifted.has(field) ? 'drift' : ''}" title="${this.escapeHtml(`Baseline: ${
+          health.baseline ? Math.round(health.baseline.fillRates[field] * 100) + '%' : 'n/a'
+        }`)}">${this.escapeHtml(field)} ${Math.round(rate * 100)}%</span>
+      `).join('');
+
+      return `
+        <div class="extraction-row">
+          <strong class="${health.status === 'drift' ? 'drift' : ''}">${this.escapeHtml(name)}</strong>
+          <small>${health.itemCount} items${drifted.has('*') ? ' (list empty)' : ''}</small>
+          <div class="fill-rates">${fields}</div>
+        </div>
+      `;
+    }).join('');
+
+    panel.innerHTML = `
+      <span class="extraction-status ${this.escapeHtml(report.status)}">${statusLabels[report.status] || this.escapeHtml(report.status)}</span>
+      ${rows}
+    `;
   },
 
   /**
@@ -585,6 +702,19 @@ const Dashboard = {
     return `${secs}s`;
   },
 
+  /**
+   * Escape text for use in HTML content and attribute values
+   */
+  escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    })[char]);
+  },
+
   /**
    * Cleanup on page unload
    */
@@ -0,0 +1,36 @@
+/**
+ * Record upstream responses for every scraper scenario into test/fixtures
+ * Usage: npm run fixtures:record [-- provider ...]
+ */
+
+process.env.SCRAPER_FIXTURES = 'record';
+
+const { getScraperService } = require('../src/services/provider_manager');
+const { getFixturesDir } = require('../src/helper/fixture_store');
+const { scenarios } = require('../test/support/scenarios');
+
+const run = async () => {
+  const selected = process.argv.slice(2);
+  const providerIds = selected.length > 0 ? selected : Object.keys(scenarios);
+  let failed = 0;
+
+  console.log(`Recording fixtures into ${getFixturesDir()}`);
+
+  for (const providerId of providerIds) {
+    const scraper = getScraperService(providerId);
+
+    for (const { fn, args } of scenarios[providerId] || []) {
+      try {
+        await scraper[fn](...args);
+        console.log(`  ok   ${providerId}.${fn}(${args.join(', ')})`);
+      } catch (error) {
+        failed++;
+        console.error(`  fail ${providerId}.${fn}(${args.join(', ')}): ${error.message}`);
+      }
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+run();
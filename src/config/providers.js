@@ -3,12 +3,32 @@
  * Konfigurasi untuk setiap provider yang didukung
  */
 
+/**
+ * Aqua Reader list item fields, shared by every list feature
+ */
+const aquareaderItem = {
+  title: ['h4 a, .post-title h4 a, h4', 'a h4, a .post-title', '.post-title', 'h3, h2, .title, .comic-title'],
+  href: ['h4 a, .post-title a, a[href*="/manga/"]', 'a[href*="/series/"], a'],
+  thumbnail: 'img',
+  chapter: '.chapter, .ch, .chapter-number',
+  rating: '.rating, .score, .rate, [class*="rating"]',
+  date: '.date, .updated, .time, [class*="date"]'
+};
+
+/**
+ * Aqua Reader list item transforms
+ */
+const aquareaderItemTransforms = {
+  rating: { match: '(\\d+\\.?\\d*)' }
+};
+
 const providers = {
   komikcast: {
     name: 'Komikcast',
     baseUrl: 'https://komikcast03.com',
     enabled: true,
     default: true,
+    engine: 'generic', // Scraped by the config-driven generic scraper engine
     features: {
       latest: true,
       popular: true,
@@ -39,7 +59,8 @@ const providers = {
         type: 'a > .list-update_item-image > .type',
         chapter: 'a > .list-update_item-info > .other > .chapter',
         rating: 'a > .list-update_item-info > .other > .rate > .rating > .numscore',
-        pagination: '.pagination > .page-numbers.current'
+        pagination: '.pagination > .page-numbers.current',
+        paginationLinks: '.pagination > .page-numbers'
       },
       popular: {
         container: '#content > .wrapper > #sidebar',
@@ -100,7 +121,8 @@ const providers = {
         type: 'a > .list-update_item-image > .type',
         chapter: 'a > .list-update_item-info > .other > .chapter',
         rating: 'a > .list-update_item-info > .other > .rate > .rating > .numscore',
-        pagination: '.listupd > .list-update_items > .pagination > .current'
+        pagination: '.listupd > .list-update_items > .pagination > .current',
+        paginationLinks: '.pagination > .page-numbers'
       },
       genreList: {
         container: '#content > .wrapper',
@@ -108,6 +130,32 @@ const providers = {
         title: 'a',
         href: 'a'
       }
+    },
+    // Cleanup applied to extracted text, per feature and field
+    transforms: {
+      popular: {
+        genre: { strip: 'Genres:' }
+      },
+      detail: {
+        rating: { strip: 'Rating ' },
+        released: { strip: 'Released:' },
+        author: { strip: 'Author:' },
+        status: { strip: 'Status:' },
+        type: { strip: 'Type:' },
+        chapterTitle: { strip: 'Chapter' }
+      }
+    },
+    // Path prefixes stripped from scraped links
+    hrefBases: {
+      comic: '/komik',
+      chapter: '/chapter',
+      genre: '/genres'
+    },
+    // Image hosts the /image proxy may fetch from (besides baseUrl), and the Referer
+    // their CDN expects. `*.` matches any subdomain
+    images: {
+      hosts: ['*.komikcast03.com'],
+      referer: 'https://komikcast03.com/'
     }
   },
   shinigami: {
@@ -125,6 +173,12 @@ const providers = {
       genre: false, // Shinigami mungkin tidak punya genre list seperti Komikcast
       genreList: false
     },
+    // Fallback chain per feature ('*' for the rest), tried in order when this provider fails.
+    // Providers without `fallbacks` fall back to the default provider
+    fallbacks: {
+      read: ['komikcast', 'aquareader'],
+      '*': ['komikcast']
+    },
     urlPatterns: {
       latest: '/search', // Using search as latest since structure is different
       popular: '/',
@@ -135,6 +189,10 @@ const providers = {
       genre: null,
       genreList: null
     },
+    images: {
+      hosts: ['*.shngm.id', '*.shngm.io'],
+      referer: 'https://08.shinigami.asia/'
+    },
     selectors: {
       latest: {
         container: 'body',
@@ -196,6 +254,7 @@ const providers = {
     baseUrl: 'https://aquareader.net',
     enabled: true,
     default: false,
+    engine: 'generic',
     features: {
       latest: true,
       popular: true,
@@ -210,92 +269,114 @@ const providers = {
       latest: '/page/{page}',
       popular: '/',
       recommended: '/',
-      search: '/?s={keyword}',
+      search: ['/?s={keyword}', '/search?q={keyword}', '/search/{keyword}'],
       detail: '/{slug}',
       read: '/{slug}',
       genre: '/genre/{genre}/page/{page}',
       genreList: '/'
     },
+    images: {
+      hosts: ['*.aquareader.net'],
+      referer: 'https://aquareader.net/'
+    },
+    // Arrays are fallbacks tried in order (see generic_scraper.js): the site's own
+    // slider markup first, then common theme markup, then bare /manga/ links
     selectors: {
       latest: {
-        container: 'main, #main, .main-content, .content, body',
-        items: '.comic-item, .manga-item, article, .post, .item',
-        title: 'h3, h2, .title, a',
-        href: 'a',
-        thumbnail: 'img',
-        type: '.type, [class*="type"]',
-        chapter: '.chapter, .ch, .chapter-number',
-        rating: '.rating, .score, .rate',
-        pagination: '.pagination, .page-numbers'
+        container: 'body',
+        items: [
+          '.slider__item, .item__wrap, .post-item, .manga-item',
+          'h4:has(> a[href*="/manga/"])'
+        ],
+        ...aquareaderItem,
+        pagination: '.pagination .current, .page-numbers.current, .pagination .active',
+        paginationLinks: '.pagination a, .page-numbers, .pagination .page'
       },
       popular: {
-        container: '.popular, .popular-series, .hot, main, body',
-        items: '.comic-item, .manga-item, article, .post, .item',
-        title: 'h3, h2, .title, a',
-        href: 'a',
-        thumbnail: 'img',
-        type: '.type, [class*="type"]',
-        chapter: '.chapter, .ch',
-        rating: '.rating, .score'
+        container: ['.popular-slider, .popular, .popular-series, .hot, .trending', 'body'],
+        items: '.slider__item, .item__wrap, .post-item, .manga-item',
+        ...aquareaderItem
       },
       recommended: {
-        container: '.recommended, .featured, main, body',
-        items: '.comic-item, .manga-item, article, .post, .item',
-        title: 'h3, h2, .title, a',
-        href: 'a',
-        thumbnail: 'img',
-        type: '.type, [class*="type"]',
-        chapter: '.chapter, .ch',
-        rating: '.rating, .score'
+        container: 'body',
+        items: '.slider__item, .item__wrap, .post-item, .manga-item',
+        ...aquareaderItem
       },
       search: {
-        container: 'main, #main, .search-results, .results, body',
-        items: '.comic-item, .manga-item, article, .post, .item, .search-item',
-        title: 'h3, h2, .title, a',
-        href: 'a',
-        thumbnail: 'img',
-        type: '.type, [class*="type"]',
-        chapter: '.chapter, .ch',
-        rating: '.rating, .score'
+        container: ['main, #main, .main-content, .content, #content, .search-results, .results', 'body'],
+        items: [
+          '.slider__item, .item__wrap, .post-item, .manga-item',
+          '.comic-item, .manga-item, article, .post, .item, .search-item'
+        ],
+        ...aquareaderItem
       },
       detail: {
-        container: 'main, #main, .comic-detail, body',
-        title: 'h1, .title, .comic-title',
-        thumbnail: '.cover img, .thumbnail img, .poster img',
-        description: '.description, .synopsis, .summary, .content p',
-        rating: '.rating, .score, .rate',
-        released: '.released, .year, [class*="released"]',
-        author: '.author, [class*="author"]',
-        status: '.status, [class*="status"]',
-        type: '.type, [class*="type"]',
-        chapters: '.chapters a, .chapter-list a, .chapter-item a',
+        container: 'body',
+        title: 'h1, .title, .comic-title, .series-title, header h1',
+        thumbnail: '.cover img, .thumbnail img, .poster img, .comic-cover img, img[src*="cover"], img[src*="poster"]',
+        description: '.description, .synopsis, .summary, .content p, .about p',
+        // "Label: value" lines of the metadata block, else dedicated elements
+        rating: ['.meta, .info, .details, .series-info', '.rating, .score'],
+        author: ['.meta, .info, .details, .series-info', '.author, [class*="author"]'],
+        status: ['.meta, .info, .details, .series-info', '.status, [class*="status"]'],
+        type: ['.meta, .info, .details, .series-info', '.type, [class*="type"]'],
+        released: ['.meta, .info, .details, .series-info', '.released, .year, [class*="released"]'],
+        chapters: [
+          '.chapters li, .chapter-list li, .chapter-item',
+          '.chapters a, .chapter-list a, .chapter-link',
+          'a[href*="/chapter/"], a[href*="/read/"]',
+          '.episodes a, .episode-list a'
+        ],
         chapterTitle: 'a',
         chapterHref: 'a',
         chapterDate: '.date, .time',
-        genres: '.genres a, .genre a, .tags a'
+        genres: [
+          '.genres a, .genre a, .tags a',
+          '.manga-genres a, .wp-manga-genres a',
+          'a[href*="/manga-genre/"]'
+        ]
       },
       read: {
-        container: 'main, #main, .reader, .viewer, body',
-        title: 'h1, .title, .chapter-title',
-        panels: '.reading-content img, .chapter-content img, .comic-images img, img[src*="chapter"]'
+        container: 'body',
+        title: 'h1, .title, .chapter-title, .episode-title',
+        panels: [
+          '.reading-content img, .chapter-content img',
+          '.comic-images img, .manga-images img',
+          '.panel img, .page img',
+          '.reader img, .viewer img',
+          'img:is([src*="chapter"], [src*="page"], [src*="image"]):not([src*="logo"], [src*="avatar"], [src*="icon"])'
+        ]
       },
       genre: {
-        container: 'main, #main, .genre-page, body',
-        items: '.comic-item, .manga-item, article, .post, .item',
-        title: 'h3, h2, .title, a',
-        href: 'a',
-        thumbnail: 'img',
-        type: '.type, [class*="type"]',
-        chapter: '.chapter, .ch',
-        rating: '.rating, .score',
-        pagination: '.pagination, .page-numbers'
+        container: ['main, #main, .main-content, .content, #content, .comic-list', 'body'],
+        items: [
+          '.slider__item, .item__wrap, .post-item, .manga-item',
+          '.comic-item, .manga-item, article, .post, .item'
+        ],
+        ...aquareaderItem,
+        pagination: '.pagination .current, .page-numbers.current, .pagination .active',
+        paginationLinks: '.pagination a, .page-numbers, .pagination .page'
       },
       genreList: {
-        container: 'nav, .sidebar, .genre-list, body',
-        items: '.genre-list a, .genres a, nav a[href*="/genre/"]',
+        container: 'body',
+        items: 'a[href*="/manga-genre/"], a[href*="/genre/"]',
         title: 'a',
         href: 'a'
       }
+    },
+    transforms: {
+      latest: aquareaderItemTransforms,
+      popular: aquareaderItemTransforms,
+      recommended: aquareaderItemTransforms,
+      search: aquareaderItemTransforms,
+      genre: aquareaderItemTransforms,
+      detail: {
+        rating: [{ match: 'rating[:\\s]*([\\d.]+)' }, { match: '([\\d.]+)' }],
+        author: [{ match: 'author[:\\s]*([^\\n]+)' }],
+        status: [{ match: 'status[:\\s]*([^\\n]+)' }],
+        type: [{ match: 'type[:\\s]*(manhwa|manhua|manga)' }],
+        released: [{ match: 'released[:\\s]*([^\\n]+)' }]
+      }
     }
   }
 };
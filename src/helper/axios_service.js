@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { NetworkError, NotFoundError, retryWithBackoff } = require('./error_handler');
+const { getFixtureMode, loadFixture, saveFixture } = require('./fixture_store');
 
 // User agents for rotation
 const userAgents = [
@@ -54,6 +55,17 @@ const axiosInstance = axios.create({
   })
 });
 
+/**
+ * Attach upstream HTTP status to error (read by the provider health checker)
+ * @param {Error} error - Error to throw
+ * @param {number} status - Upstream HTTP status
+ * @returns {Error} Same error
+ */
+const withHttpStatus = (error, status) => {
+  error.httpStatus = status;
+  return error;
+};
+
 /**
  * Enhanced Axios Service with retry, timeout, and error handling
  * @param {string} url - URL to fetch
@@ -78,6 +90,21 @@ const AxiosService = async (url, options = {}) => {
   // Encode URL
   const encodedUrl = encodeURI(url);
 
+  // Serve recorded responses when replaying fixtures (see fixture_store.js)
+  const fixtureMode = getFixtureMode();
+  if (fixtureMode === 'replay') {
+    const fixture = loadFixture(encodedUrl);
+
+    if (!fixture) {
+      throw new NetworkError(`No fixture recorded for ${encodedUrl}`);
+    }
+    if (fixture.status === 404) {
+      throw withHttpStatus(new NotFoundError('Resource not found'), 404);
+    }
+
+    return fixture;
+  }
+
   // Create request config
   const config = {
     timeout,
@@ -102,9 +129,9 @@ const AxiosService = async (url, options = {}) => {
         
         // Check if response is successful
         if (res.status === 404) {
-          throw new NotFoundError('Resource not found');
+          throw withHttpStatus(new NotFoundError('Resource not found'), 404);
         } else if (res.status >= 400) {
-          throw new NetworkError(`Request failed with status code ${res.status}`);
+          throw withHttpStatus(new NetworkError(`Request failed with status code ${res.status}`), res.status);
         }
 
         return res;
@@ -113,6 +140,10 @@ const AxiosService = async (url, options = {}) => {
       1000 // Initial delay of 1 second
     );
 
+    if (fixtureMode === 'record') {
+      saveFixture(encodedUrl, response);
+    }
+
     return response;
   } catch (error) {
     // Handle different error types
@@ -126,11 +157,11 @@ const AxiosService = async (url, options = {}) => {
       const message = error.response.statusText || 'Request failed';
       
       if (status === 404) {
-        throw new NotFoundError('Resource not found');
+        throw withHttpStatus(new NotFoundError('Resource not found'), 404);
       } else if (status >= 500) {
-        throw new NetworkError('Server error');
+        throw withHttpStatus(new NetworkError('Server error'), status);
       } else {
-        throw new NetworkError(message);
+        throw withHttpStatus(new NetworkError(message), status);
       }
     } else if (error.request) {
       // Request was made but no response received
@@ -182,5 +213,6 @@ const batchRequest = async (urls, options = {}) => {
 module.exports = {
   AxiosService,
   batchRequest,
-  axiosInstance
+  axiosInstance,
+  getNextUserAgent
 };
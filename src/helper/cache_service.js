@@ -2,15 +2,53 @@
  * Advanced Multi-Level Cache Service with TTL support
  * Provides sophisticated caching functionality for API responses
  * Features: Multi-level caching, cache warming, invalidation strategies, compression
+ *
+ * Entries larger than `compressionThreshold` are stored as brotli/gzip buffers
+ * (CACHE_COMPRESSION=brotli|gzip). L1 memory is accounted in stored bytes and
+ * bounded by `maxBytes` (CACHE_MAX_BYTES) in addition to the `maxSize` entry limit
  */
 
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { createL2Store } = require('./cache_store');
+
+/**
+ * Route family tag per first path segment (route names differ from feature names)
+ */
+const ROUTE_FAMILIES = {
+  terbaru: 'latest',
+  popular: 'popular',
+  recommended: 'recommended',
+  search: 'search',
+  detail: 'detail',
+  read: 'read',
+  genre: 'genre',
+  series: 'series'
+};
+
+/**
+ * Supported compression algorithms
+ */
+const COMPRESSION_ALGORITHMS = {
+  brotli: {
+    compress: buffer => zlib.brotliCompressSync(buffer, {
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } // Good ratio without the cost of max quality
+    }),
+    decompress: buffer => zlib.brotliDecompressSync(buffer)
+  },
+  gzip: {
+    compress: buffer => zlib.gzipSync(buffer, { level: 6 }),
+    decompress: buffer => zlib.gunzipSync(buffer)
+  }
+};
+
 class CacheService {
   constructor(options = {}) {
     // L1 Cache: Fast in-memory cache
     this.l1Cache = new Map();
     
-    // L2 Cache: Secondary cache (can be extended to Redis/Disk)
-    this.l2Cache = new Map();
+    // L2 Cache: Secondary cache, pluggable store (in-memory Map or persistent FileStore, see cache_store.js)
+    this.l2Cache = options.l2Store || createL2Store();
     
     // Cache statistics
     this.stats = {
@@ -19,19 +57,38 @@ class CacheService {
       sets: 0,
       deletes: 0,
       compressions: 0,
-      decompressions: 0
+      decompressions: 0,
+      staleHits: 0, // Stale entries served while revalidating
+      staleErrors: 0, // Stale entries served because the handler failed
+      revalidations: 0,
+      l2WriteErrors: 0 // Failed L2 writes (e.g. full or read-only disk), entry stays in L1 only
     };
+
+    // Background revalidations in flight: key -> start time
+    this.revalidating = new Map();
+    this.revalidateTimeout = options.revalidateTimeout || 60 * 1000; // Give up on a hung refresh after 1 minute
     
     // Configuration
     this.defaultTTL = options.defaultTTL || 5 * 60 * 1000; // 5 minutes
     this.maxSize = options.maxSize || 1000; // Max cache entries
+    this.maxBytes = options.maxBytes ||
+      parseInt(process.env.CACHE_MAX_BYTES || `${50 * 1024 * 1024}`, 10); // Max L1 memory (stored bytes), 50MB
     this.cleanupInterval = options.cleanupInterval || 60 * 1000; // 1 minute
     this.enableCompression = options.enableCompression !== false; // Enable by default
     this.compressionThreshold = options.compressionThreshold || 1024; // 1KB
+    this.compressionAlgorithm = COMPRESSION_ALGORITHMS[options.compressionAlgorithm || process.env.CACHE_COMPRESSION]
+      ? (options.compressionAlgorithm || process.env.CACHE_COMPRESSION)
+      : 'brotli';
+
+    // Stored bytes of L1 entries
+    this.l1Bytes = 0;
     
     // Cache warming queue
     this.warmingQueue = [];
     this.isWarming = false;
+
+    // Per-process token marking internal warm requests (see cache_warmer.js)
+    this.warmToken = crypto.randomBytes(16).toString('hex');
     
     // Start cleanup interval
     this.startCleanup();
@@ -74,41 +131,49 @@ class CacheService {
   }
 
   /**
-   * Get cached value (multi-level)
+   * Find cache item (multi-level), including expired items still retained for stale serving
+   * Items past their retention window are deleted
    * @param {string} key - Cache key
-   * @returns {object|null} Cached value or null if not found/expired
+   * @returns {object|null} Cache item or null if not found
    */
-  get(key) {
+  getItem(key) {
     // Try L1 cache first
     let item = this.l1Cache.get(key);
-    let cacheLevel = 'L1';
     
     if (!item || this.isExpired(item)) {
       // Try L2 cache
-      item = this.l2Cache.get(key);
-      cacheLevel = 'L2';
+      const l2Item = this.l2Cache.get(key);
       
-      if (item && !this.isExpired(item)) {
+      if (l2Item && !this.isExpired(l2Item)) {
         // Promote to L1
-        this.l1Cache.set(key, item);
+        this.setL1(key, l2Item);
+        item = l2Item;
+      } else {
+        item = item || l2Item;
       }
     }
     
-    if (!item || this.isExpired(item)) {
-      this.stats.misses++;
-      if (item && this.isExpired(item)) {
-        this.delete(key);
-      }
+    if (item && !this.isRetained(item)) {
+      this.delete(key);
       return null;
     }
     
-    this.stats.hits++;
-    
+    return item || null;
+  }
+
+  /**
+   * Read (decompress) item value and update access time
+   * @param {string} key - Cache key
+   * @param {object} item - Cache item
+   * @returns {*} Value or null if it can't be read
+   */
+  readValue(key, item) {
     // Decompress if needed
     let value = item.value;
-    if (item.compressed && this.enableCompression) {
+    // Entries compressed earlier stay readable even if compression was disabled since
+    if (item.compressed) {
       try {
-        value = this.decompress(value);
+        value = this.decompress(value, item.compression);
         this.stats.decompressions++;
       } catch (error) {
         console.error('Cache decompression error:', error);
@@ -124,6 +189,57 @@ class CacheService {
     return value;
   }
 
+  /**
+   * Get cached value (multi-level)
+   * @param {string} key - Cache key
+   * @returns {object|null} Cached value or null if not found/expired
+   */
+  get(key) {
+    const item = this.getItem(key);
+    
+    if (!item || this.isExpired(item)) {
+      this.stats.misses++;
+      return null;
+    }
+    
+    this.stats.hits++;
+    return this.readValue(key, item);
+  }
+
+  /**
+   * Get cached value, including stale values past their TTL but inside the
+   * retention window set with `staleTTL` (see middleware)
+   * @param {string} key - Cache key
+   * @returns {object|null} Entry ({ value, stale, staleFor, etag, createdAt, expiresAt }) or null if not found
+   */
+  getWithStale(key) {
+    const item = this.getItem(key);
+    
+    if (!item) {
+      this.stats.misses++;
+      return null;
+    }
+    
+    const stale = this.isExpired(item);
+    if (stale) {
+      this.stats.misses++;
+    } else {
+      this.stats.hits++;
+    }
+    
+    const value = this.readValue(key, item);
+    if (value === null) return null;
+    
+    return {
+      value,
+      stale,
+      staleFor: stale ? Date.now() - item.expiresAt : 0,
+      etag: item.etag || this.createETag(JSON.stringify(value)),
+      createdAt: item.createdAt,
+      expiresAt: item.expiresAt
+    };
+  }
+
   /**
    * Check if cache item is expired
    * @param {object} item - Cache item
@@ -133,12 +249,22 @@ class CacheService {
     return Date.now() > item.expiresAt;
   }
 
+  /**
+   * Check if cache item is still kept (fresh, or expired but inside its stale window)
+   * @param {object} item - Cache item
+   * @returns {boolean} Whether item is retained
+   */
+  isRetained(item) {
+    return Date.now() <= (item.staleUntil || item.expiresAt);
+  }
+
   /**
    * Set cache value (multi-level)
    * @param {string} key - Cache key
    * @param {*} value - Value to cache
    * @param {number} ttl - Time to live in milliseconds (optional)
-   * @param {object} options - Cache options
+   * @param {object} options - Cache options (level, tags, compress, staleTTL)
+   * @returns {object} Stored cache item
    */
   set(key, value, ttl = null, options = {}) {
     // Check cache size limit
@@ -149,26 +275,42 @@ class CacheService {
     const expiresAt = Date.now() + (ttl || this.defaultTTL);
     let cacheValue = value;
     let compressed = false;
+    let compression = null;
+    let originalSize = 0;
+    let json = null;
+
+    try {
+      json = JSON.stringify(value);
+      originalSize = Buffer.byteLength(json || '');
+    } catch {
+      // Not serializable (e.g. circular), keep as is
+    }
+    let size = originalSize;
     
     // Compress large values
-    if (this.enableCompression && options.compress !== false) {
-      const valueSize = JSON.stringify(value).length;
-      if (valueSize > this.compressionThreshold) {
-        try {
-          cacheValue = this.compress(value);
-          compressed = true;
-          this.stats.compressions++;
-        } catch (error) {
-          console.error('Cache compression error:', error);
-          compressed = false;
-        }
+    if (this.enableCompression && options.compress !== false && originalSize > this.compressionThreshold) {
+      try {
+        cacheValue = this.compress(json);
+        compressed = true;
+        compression = this.compressionAlgorithm;
+        size = cacheValue.length;
+        this.stats.compressions++;
+      } catch (error) {
+        console.error('Cache compression error:', error);
+        cacheValue = value;
       }
     }
     
     const item = {
       value: cacheValue,
       compressed,
+      compression,
+      size,
+      originalSize,
       expiresAt,
+      // Expired entries are kept this much longer to be served stale
+      staleUntil: options.staleTTL ? expiresAt + options.staleTTL : null,
+      etag: json ? this.createETag(json) : null,
       createdAt: Date.now(),
       lastAccessed: Date.now(),
       accessCount: 0,
@@ -178,31 +320,100 @@ class CacheService {
     
     // Store in appropriate cache level
     if (options.level === 'L2' || this.l1Cache.size >= this.maxSize * 0.8) {
-      this.l2Cache.set(key, item);
+      this.setL2(key, item);
     } else {
-      this.l1Cache.set(key, item);
+      this.setL1(key, item);
+
+      // Persistent L2 is written through so entries survive restarts
+      if (this.l2Cache.persistent) {
+        this.setL2(key, item);
+      }
     }
     
     this.stats.sets++;
+    return item;
   }
 
   /**
-   * Compress value (simple JSON string compression)
-   * @param {*} value - Value to compress
-   * @returns {string} Compressed value
+   * Create weak ETag from serialized body
+   * Weak because the sent body may carry per-request extras (e.g. served_by)
+   * @param {string} json - Serialized response body
+   * @returns {string} ETag
    */
-  compress(value) {
-    // Simple compression: remove whitespace from JSON
-    return JSON.stringify(value);
+  createETag(json) {
+    return `W/"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+  }
+
+  /**
+   * Store item in L1, evicting LRU entries until it fits in `maxBytes`
+   * @param {string} key - Cache key
+   * @param {object} item - Cache item
+   */
+  setL1(key, item) {
+    this.deleteL1(key);
+
+    const size = this.getItemSize(item);
+    while (this.l1Cache.size > 0 && this.l1Bytes + size > this.maxBytes) {
+      this.evictLRU();
+    }
+
+    this.l1Cache.set(key, item);
+    this.l1Bytes += size;
+  }
+
+  /**
+   * Store item in L2
+   * Write errors of a persistent store are logged and counted, never thrown,
+   * so a full or read-only disk doesn't fail the response being cached
+   * @param {string} key - Cache key
+   * @param {object} item - Cache item
+   * @returns {boolean} True if entry was stored
+   */
+  setL2(key, item) {
+    try {
+      this.l2Cache.set(key, { ...item, level: 'L2' });
+      return true;
+    } catch (error) {
+      this.stats.l2WriteErrors++;
+      console.error('Cache L2 write error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Delete item from L1, keeping byte accounting in sync
+   * @param {string} key - Cache key
+   * @returns {boolean} True if entry existed
+   */
+  deleteL1(key) {
+    const item = this.l1Cache.get(key);
+    if (!item) return false;
+
+    this.l1Cache.delete(key);
+    this.l1Bytes = Math.max(0, this.l1Bytes - this.getItemSize(item));
+    return true;
+  }
+
+  /**
+   * Compress already serialized value with brotli or gzip
+   * @param {string|Buffer} serialized - JSON serialized value
+   * @param {string} algorithm - Compression algorithm (defaults to configured one)
+   * @returns {Buffer} Compressed value
+   */
+  compress(serialized, algorithm = this.compressionAlgorithm) {
+    const buffer = Buffer.isBuffer(serialized) ? serialized : Buffer.from(serialized);
+    return COMPRESSION_ALGORITHMS[algorithm].compress(buffer);
   }
 
   /**
    * Decompress value
-   * @param {string} compressed - Compressed value
+   * @param {Buffer} compressed - Compressed value
+   * @param {string} algorithm - Algorithm the value was compressed with
    * @returns {*} Decompressed value
    */
-  decompress(compressed) {
-    return JSON.parse(compressed);
+  decompress(compressed, algorithm = this.compressionAlgorithm) {
+    const codec = COMPRESSION_ALGORITHMS[algorithm] || COMPRESSION_ALGORITHMS[this.compressionAlgorithm];
+    return JSON.parse(codec.decompress(compressed).toString());
   }
 
   /**
@@ -213,7 +424,7 @@ class CacheService {
     
     // Find least recently used item
     let lruKey = null;
-    let lruTime = Date.now();
+    let lruTime = Infinity;
     
     this.l1Cache.forEach((item, key) => {
       if (item.lastAccessed < lruTime) {
@@ -225,10 +436,15 @@ class CacheService {
     if (lruKey) {
       // Move to L2 or delete
       const item = this.l1Cache.get(lruKey);
-      this.l1Cache.delete(lruKey);
+      this.deleteL1(lruKey);
       
-      if (this.l2Cache.size < this.maxSize) {
-        this.l2Cache.set(lruKey, { ...item, level: 'L2' });
+      // Persistent L2 already has it (write-through) and enforces its own limits
+      if (this.l2Cache.persistent) {
+        if (!this.l2Cache.has(lruKey)) {
+          this.setL2(lruKey, item);
+        }
+      } else if (this.l2Cache.size < this.maxSize) {
+        this.setL2(lruKey, item);
       }
     }
   }
@@ -238,7 +454,7 @@ class CacheService {
    * @param {string} key - Cache key
    */
   delete(key) {
-    const l1Deleted = this.l1Cache.delete(key);
+    const l1Deleted = this.deleteL1(key);
     const l2Deleted = this.l2Cache.delete(key);
     
     if (l1Deleted || l2Deleted) {
@@ -260,7 +476,7 @@ class CacheService {
     // Invalidate L1
     this.l1Cache.forEach((item, key) => {
       if (regex.test(key)) {
-        this.l1Cache.delete(key);
+        this.deleteL1(key);
         count++;
       }
     });
@@ -283,14 +499,14 @@ class CacheService {
    * @returns {number} Number of deleted entries
    */
   invalidateByTags(tags) {
-    let count = 0;
+    const deleted = new Set();
     const tagSet = new Set(tags);
     
     // Invalidate L1
     this.l1Cache.forEach((item, key) => {
       if (item.tags && item.tags.some(tag => tagSet.has(tag))) {
-        this.l1Cache.delete(key);
-        count++;
+        this.deleteL1(key);
+        deleted.add(key);
       }
     });
     
@@ -298,12 +514,91 @@ class CacheService {
     this.l2Cache.forEach((item, key) => {
       if (item.tags && item.tags.some(tag => tagSet.has(tag))) {
         this.l2Cache.delete(key);
-        count++;
+        deleted.add(key);
       }
     });
     
-    this.stats.deletes += count;
-    return count;
+    // Keys written through to a persistent L2 count once
+    this.stats.deletes += deleted.size;
+    return deleted.size;
+  }
+
+  /**
+   * Get tags of cached entries
+   * @param {string} prefix - Only tags starting with prefix (e.g. `provider:`)
+   * @returns {Array} Tags with entry count ({ tag, entries }), most used first
+   */
+  getTags(prefix = '') {
+    const keysByTag = new Map();
+    const collect = (item, key) => {
+      (item.tags || []).filter(tag => tag.startsWith(prefix)).forEach(tag => {
+        if (!keysByTag.has(tag)) {
+          keysByTag.set(tag, new Set());
+        }
+        keysByTag.get(tag).add(key);
+      });
+    };
+
+    this.l1Cache.forEach(collect);
+    this.l2Cache.forEach(collect);
+
+    return Array.from(keysByTag.entries())
+      .map(([tag, keys]) => ({ tag, entries: keys.size }))
+      .sort((a, b) => b.entries - a.entries || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Build tags for cached response
+   * `route:<family>`, `provider:<id>` (requested and serving providers),
+   * `slug:<slug>` for detail/read (plus the comic slug embedded in chapter slugs),
+   * `genre:<slug>` and `series:<id>` where the route has them
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {*} data - Response body
+   * @param {Array} extraTags - Static tags from middleware options
+   * @returns {Array} Tags
+   */
+  getResponseTags(req, res, data, extraTags = []) {
+    const tags = new Set(extraTags);
+    const routePath = (req.route && typeof req.route.path === 'string') ? req.route.path : req.path;
+    const segment = routePath.split('/').filter(Boolean)[0];
+    const family = segment ? (ROUTE_FAMILIES[segment] || segment) : null;
+
+    if (family) {
+      tags.add(`route:${family}`);
+    }
+
+    const query = req.query || {};
+    const servedBy = (res.locals && res.locals.servedBy) || [];
+    [
+      query.provider,
+      ...(typeof query.providers === 'string' ? query.providers.split(',') : []),
+      ...servedBy.map(report => report.provider)
+    ]
+      .filter(provider => typeof provider === 'string' && provider.trim())
+      .forEach(provider => tags.add(`provider:${provider.trim().toLowerCase()}`));
+
+    const slug = req.params && req.params.url ? req.params.url.toLowerCase() : null;
+    if (slug && family === 'genre') {
+      tags.add(`genre:${slug}`);
+    } else if (slug) {
+      tags.add(`slug:${slug}`);
+
+      // Chapter slugs like `solo-leveling-chapter-12` carry the comic slug
+      const comicSlug = family === 'read' ? slug.replace(/-(chapter|ch)-[\d.-]+$/, '') : slug;
+      if (comicSlug && comicSlug !== slug) {
+        tags.add(`slug:${comicSlug}`);
+      }
+    }
+
+    const seriesId = family === 'series'
+      ? req.params.id
+      : (data && data.data && !Array.isArray(data.data) ? data.data.series_id : null);
+    if (seriesId) {
+      tags.add(`series:${seriesId}`);
+    }
+
+    return [...tags];
   }
 
   /**
@@ -311,6 +606,7 @@ class CacheService {
    */
   clear() {
     this.l1Cache.clear();
+    this.l1Bytes = 0;
     this.l2Cache.clear();
     this.stats.deletes += this.stats.sets;
   }
@@ -454,6 +750,17 @@ class CacheService {
       totalSize += this.getItemSize(item);
     });
 
+    // Compression ratio over stored entries (persistent L2 duplicates L1, count each key once)
+    const compression = { entries: 0, originalBytes: 0, compressedBytes: 0 };
+    const countCompression = (item, key, level) => {
+      if (!item.compressed || (level === 'L2' && this.l1Cache.has(key))) return;
+      compression.entries++;
+      compression.originalBytes += item.originalSize || 0;
+      compression.compressedBytes += this.getItemSize(item);
+    };
+    this.l1Cache.forEach((item, key) => countCompression(item, key, 'L1'));
+    this.l2Cache.forEach((item, key) => countCompression(item, key, 'L2'));
+
     const hitRate = this.stats.hits + this.stats.misses > 0
       ? (this.stats.hits / (this.stats.hits + this.stats.misses) * 100).toFixed(2)
       : 0;
@@ -475,6 +782,24 @@ class CacheService {
         active: (this.l1Cache.size + this.l2Cache.size) - (l1Expired + l2Expired),
         estimatedSize: totalSize
       },
+      memory: {
+        l1Bytes: this.l1Bytes,
+        maxBytes: this.maxBytes,
+        usage: `${(this.maxBytes > 0 ? this.l1Bytes / this.maxBytes * 100 : 0).toFixed(2)}%`
+      },
+      compression: {
+        enabled: this.enableCompression,
+        algorithm: this.compressionAlgorithm,
+        threshold: this.compressionThreshold,
+        entries: compression.entries,
+        originalBytes: compression.originalBytes,
+        compressedBytes: compression.compressedBytes,
+        savedBytes: compression.originalBytes - compression.compressedBytes,
+        // Original size / stored size, e.g. 4.2 means entries take 4.2x less memory
+        ratio: compression.compressedBytes > 0
+          ? Math.round(compression.originalBytes / compression.compressedBytes * 100) / 100
+          : 1
+      },
       performance: {
         hits: this.stats.hits,
         misses: this.stats.misses,
@@ -482,19 +807,31 @@ class CacheService {
         sets: this.stats.sets,
         deletes: this.stats.deletes,
         compressions: this.stats.compressions,
-        decompressions: this.stats.decompressions
+        decompressions: this.stats.decompressions,
+        staleHits: this.stats.staleHits,
+        staleErrors: this.stats.staleErrors,
+        revalidations: this.stats.revalidations,
+        l2WriteErrors: this.stats.l2WriteErrors
       }
     };
   }
 
   /**
-   * Estimate item size in bytes
+   * Get item size in stored bytes (compressed size for compressed entries)
    * @param {object} item - Cache item
-   * @returns {number} Estimated size in bytes
+   * @returns {number} Size in bytes
    */
   getItemSize(item) {
+    if (typeof item.size === 'number') {
+      return item.size;
+    }
+
+    if (Buffer.isBuffer(item.value)) {
+      return item.value.length;
+    }
+
     try {
-      return JSON.stringify(item.value).length;
+      return Buffer.byteLength(JSON.stringify(item.value) || '');
     } catch {
       return 0;
     }
@@ -509,19 +846,19 @@ class CacheService {
 
     // Cleanup L1
     this.l1Cache.forEach((item, key) => {
-      if (this.isExpired(item)) {
+      if (!this.isRetained(item)) {
         keysToDeleteL1.push(key);
       }
     });
 
     // Cleanup L2
     this.l2Cache.forEach((item, key) => {
-      if (this.isExpired(item)) {
+      if (!this.isRetained(item)) {
         keysToDeleteL2.push(key);
       }
     });
 
-    keysToDeleteL1.forEach(key => this.l1Cache.delete(key));
+    keysToDeleteL1.forEach(key => this.deleteL1(key));
     keysToDeleteL2.forEach(key => this.l2Cache.delete(key));
 
     // If L1 is getting full, move some items to L2
@@ -541,6 +878,11 @@ class CacheService {
     this.cleanupTimer = setInterval(() => {
       this.cleanup();
     }, this.cleanupInterval);
+
+    // Don't keep the process alive just for cleanup
+    if (this.cleanupTimer.unref) {
+      this.cleanupTimer.unref();
+    }
   }
 
   /**
@@ -553,30 +895,85 @@ class CacheService {
     }
   }
 
+  /**
+   * Check whether request is an internal cache warm request
+   * Warm requests skip cached reads so the handler runs and refreshes the entry
+   * @param {object} req - Express request
+   * @returns {boolean} True if request carries the warm token
+   */
+  isWarmRequest(req) {
+    return req.get('X-Cache-Warm') === this.warmToken;
+  }
+
   /**
    * Cache middleware for Express
+   *
+   * Stale windows (milliseconds past the TTL) are opt-in per route:
+   *   staleWhileRevalidate - serve the stale entry (`X-Cache: STALE`) and refresh it in the
+   *                          background; concurrent requests share one refresh
+   *   staleIfError         - serve the stale entry instead of a 5xx response
+   *
+   * Responses are tagged automatically (see getResponseTags) for invalidateByTags and
+   * carry ETag/Last-Modified/Cache-Control headers (see setHttpCacheHeaders)
    * @param {number} ttl - Time to live in milliseconds
+   * @param {object} options - Stale options ({ staleWhileRevalidate, staleIfError }), extra `tags`
+   *                           and `cacheControl` ('public' default, 'private' for per-client data)
    * @returns {function} Express middleware
    */
-  middleware(ttl = null) {
+  middleware(ttl = null, options = {}) {
     const self = this;
+    const { staleWhileRevalidate = 0, staleIfError = 0, tags = [], cacheControl = 'public' } = options;
+    const cacheOptions = { staleTTL: Math.max(staleWhileRevalidate, staleIfError), tags };
+    const policy = { staleWhileRevalidate, staleIfError, cacheControl };
+
     return (req, res, next) => {
       const key = self.generateKey(req.originalUrl, req.query);
-      const cached = self.get(key);
+      const warming = self.isWarmRequest(req);
+      const cached = self.getWithStale(key);
 
-      if (cached) {
+      if (cached && !cached.stale && !warming) {
         res.set('X-Cache', 'HIT');
+        self.setHttpCacheHeaders(res, cached, policy);
         // Call res.json through the chain (respecting performance middleware if present)
-        return res.json(cached);
+        return res.json(cached.value);
+      }
+
+      if (cached && cached.stale && !warming && cached.staleFor <= staleWhileRevalidate) {
+        self.stats.staleHits++;
+        res.set('X-Cache', 'STALE');
+        self.setHttpCacheHeaders(res, cached, policy);
+        res.json(cached.value);
+
+        if (!self.isRevalidating(key)) {
+          self.revalidate(key, req, res, next, ttl, cacheOptions);
+        }
+        return;
       }
 
+      // Stale entry usable if the handler fails
+      const fallback = cached && cached.staleFor <= staleIfError ? cached : null;
+
       // Store the current json method (might be overridden by performance middleware)
       const currentJson = res.json.bind(res);
 
       // Override json method to cache response
       res.json = function(data) {
-        // Cache the response
-        self.set(key, data, ttl);
+        if (res.statusCode >= 500 && fallback) {
+          self.stats.staleErrors++;
+          res.removeHeader('Retry-After');
+          res.status(200);
+          res.set('X-Cache', 'STALE');
+          self.setHttpCacheHeaders(res, fallback, policy);
+          return currentJson(fallback.value);
+        }
+
+        // Cache successful responses only, errors must not replace good data
+        if (res.statusCode < 400) {
+          const item = self.set(key, data, ttl, { ...cacheOptions, tags: self.getResponseTags(req, res, data, tags) });
+          self.setHttpCacheHeaders(res, item, policy);
+        } else {
+          res.set('Cache-Control', 'no-store');
+        }
         res.set('X-Cache', 'MISS');
         // Call the current json method (which may be performance middleware's override)
         return currentJson(data);
@@ -585,6 +982,90 @@ class CacheService {
       next();
     };
   }
+
+  /**
+   * Set HTTP caching headers for cached response
+   * With ETag and Last-Modified set, Express answers matching If-None-Match /
+   * If-Modified-Since requests with 304 (see req.fresh). Cache-Control max-age is
+   * the remaining TTL, so browsers and CDNs expire the response with the server cache
+   * @param {object} res - Express response
+   * @param {object} entry - Cache entry or item ({ etag, createdAt, expiresAt })
+   * @param {object} policy - Stale windows and Cache-Control visibility
+   */
+  setHttpCacheHeaders(res, entry, policy) {
+    if (entry.etag) {
+      res.set('ETag', entry.etag);
+    }
+    res.set('Last-Modified', new Date(entry.createdAt).toUTCString());
+
+    const maxAge = Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+    const directives = [policy.cacheControl, `max-age=${maxAge}`];
+
+    if (policy.staleWhileRevalidate > 0) {
+      directives.push(`stale-while-revalidate=${Math.floor(policy.staleWhileRevalidate / 1000)}`);
+    }
+    if (policy.staleIfError > 0) {
+      directives.push(`stale-if-error=${Math.floor(policy.staleIfError / 1000)}`);
+    }
+
+    res.set('Cache-Control', directives.join(', '));
+  }
+
+  /**
+   * Check whether a background revalidation of key is in flight
+   * @param {string} key - Cache key
+   * @returns {boolean} True if revalidating (and not timed out)
+   */
+  isRevalidating(key) {
+    const startedAt = this.revalidating.get(key);
+    return Boolean(startedAt) && Date.now() - startedAt < this.revalidateTimeout;
+  }
+
+  /**
+   * Refresh cache entry in the background after a stale response was sent
+   * The route handler keeps running on the already finished response; its
+   * output is captured into the cache instead of being sent
+   * @param {string} key - Cache key
+   * @param {object} req - Express request
+   * @param {object} res - Express response (already sent)
+   * @param {function} next - Express next function
+   * @param {number} ttl - Time to live in milliseconds
+   * @param {object} cacheOptions - Cache options
+   */
+  revalidate(key, req, res, next, ttl, cacheOptions) {
+    const self = this;
+    let statusCode = 200;
+    let done = false;
+
+    const finish = () => {
+      done = true;
+      self.revalidating.delete(key);
+    };
+
+    self.revalidating.set(key, Date.now());
+    self.stats.revalidations++;
+
+    // Headers are already sent, swallow anything the handler still sets
+    res.set = res.header = res.setHeader = () => res;
+    res.status = (code) => {
+      statusCode = code;
+      return res;
+    };
+    res.json = (data) => {
+      // A failed refresh keeps the stale entry
+      if (!done && statusCode < 400) {
+        self.set(key, data, ttl, { ...cacheOptions, tags: self.getResponseTags(req, res, data, cacheOptions.tags) });
+      }
+      finish();
+      return res;
+    };
+    res.send = () => {
+      finish();
+      return res;
+    };
+
+    next();
+  }
 }
 
 // Export singleton instance
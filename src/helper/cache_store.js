@@ -0,0 +1,270 @@
+/**
+ * L2 cache storage adapters
+ * A store implements the Map subset used by CacheService:
+ *   get(key), set(key, item), has(key), delete(key), clear(), forEach(fn), keys(), size
+ * `Map` itself is the in-memory store. FileStore persists entries on disk so the
+ * L2 cache survives restarts (and Vercel cold starts when pointed at /tmp)
+ *
+ * Selected with CACHE_L2_STORE=memory|file (default memory):
+ *   CACHE_L2_DIR         - directory for file store (default <os tmpdir>/api-manga-cache)
+ *   CACHE_L2_MAX_ENTRIES - max persisted entries (default 5000)
+ *   CACHE_L2_MAX_BYTES   - max persisted bytes (default 100MB)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(os.tmpdir(), 'api-manga-cache');
+
+/**
+ * File-backed cache store
+ * Values live on disk (one JSON file per key), metadata is kept in memory
+ * so listing, stats and invalidation don't touch the disk
+ */
+class FileStore {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || DEFAULT_DIR);
+    this.maxEntries = options.maxEntries || 5000;
+    this.maxBytes = options.maxBytes || 100 * 1024 * 1024;
+    this.persistent = true;
+
+    // Entry metadata (item without value, plus fileSize and file): key -> meta
+    this.index = new Map();
+    this.totalBytes = 0;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.rehydrate();
+  }
+
+  /**
+   * Get file path for key
+   * @param {string} key - Cache key
+   * @returns {string} Absolute file path
+   */
+  getFile(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Load entry metadata from disk, dropping expired (past their stale window) and unreadable entries
+   */
+  rehydrate() {
+    const now = Date.now();
+
+    fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .forEach(name => {
+        const file = path.join(this.dir, name);
+
+        try {
+          const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+          if (!stored.key || !stored.item || now > (stored.item.staleUntil || stored.item.expiresAt)) {
+            fs.unlinkSync(file);
+            return;
+          }
+
+          const { value, ...meta } = stored.item;
+          const fileSize = fs.statSync(file).size;
+          this.index.set(stored.key, { size: fileSize, ...meta, fileSize, file });
+          this.totalBytes += fileSize;
+        } catch (error) {
+          // Corrupt or half-written file
+          this.removeFile(file);
+        }
+      });
+
+    this.enforceLimits();
+  }
+
+  /**
+   * Get entry (reads value from disk)
+   * @param {string} key - Cache key
+   * @returns {object|undefined} Cache item or undefined if not stored
+   */
+  get(key) {
+    const meta = this.index.get(key);
+    if (!meta) return undefined;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(meta.file, 'utf8'));
+      const value = stored.encoding === 'base64' ? Buffer.from(stored.item.value, 'base64') : stored.item.value;
+
+      meta.lastAccessed = Date.now();
+      const { file, fileSize, ...item } = meta;
+      return { ...item, value };
+    } catch (error) {
+      this.delete(key);
+      return undefined;
+    }
+  }
+
+  /**
+   * Store entry (written through to disk)
+   * @param {string} key - Cache key
+   * @param {object} item - Cache item
+   * @returns {FileStore} Store instance
+   */
+  set(key, item) {
+    const file = this.getFile(key);
+    const { value, ...meta } = item;
+    const isBuffer = Buffer.isBuffer(value);
+    const content = JSON.stringify({
+      key,
+      encoding: isBuffer ? 'base64' : undefined,
+      item: { ...meta, value: isBuffer ? value.toString('base64') : value }
+    });
+
+    // Write to temp file first so a crash never leaves a half-written entry
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmpFile, content);
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      this.removeFile(tmpFile);
+      throw error;
+    }
+
+    const previous = this.index.get(key);
+    if (previous) {
+      this.totalBytes -= previous.fileSize;
+    }
+
+    // `size` stays the item's value size (compressed bytes), disk usage is tracked as fileSize
+    const fileSize = Buffer.byteLength(content);
+    this.index.set(key, { size: fileSize, ...meta, fileSize, file });
+    this.totalBytes += fileSize;
+
+    this.enforceLimits(key);
+    return this;
+  }
+
+  /**
+   * Check whether key is stored
+   * @param {string} key - Cache key
+   * @returns {boolean} True if stored
+   */
+  has(key) {
+    return this.index.has(key);
+  }
+
+  /**
+   * Delete entry
+   * @param {string} key - Cache key
+   * @returns {boolean} True if entry existed
+   */
+  delete(key) {
+    const meta = this.index.get(key);
+    if (!meta) return false;
+
+    this.index.delete(key);
+    this.totalBytes -= meta.fileSize;
+    this.removeFile(meta.file);
+    return true;
+  }
+
+  /**
+   * Delete all entries
+   */
+  clear() {
+    this.index.forEach(meta => this.removeFile(meta.file));
+    this.index.clear();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Iterate entry metadata (without values)
+   * @param {function} callback - Called with (meta, key)
+   */
+  forEach(callback) {
+    // Iterate over a snapshot so callbacks may delete entries
+    Array.from(this.index.entries()).forEach(([key, meta]) => callback(meta, key));
+  }
+
+  /**
+   * Get stored keys
+   * @returns {Iterator} Keys
+   */
+  keys() {
+    return this.index.keys();
+  }
+
+  /**
+   * Number of stored entries
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.index.size;
+  }
+
+  /**
+   * Evict entries until entry and byte limits are met
+   * Expired entries go first, then least recently accessed
+   * @param {string} keep - Key to keep (just written)
+   */
+  enforceLimits(keep = null) {
+    if (this.index.size <= this.maxEntries && this.totalBytes <= this.maxBytes) {
+      return;
+    }
+
+    const now = Date.now();
+    const candidates = Array.from(this.index.entries())
+      .filter(([key]) => key !== keep)
+      .sort(([, a], [, b]) => {
+        const aExpired = now > a.expiresAt ? 0 : 1;
+        const bExpired = now > b.expiresAt ? 0 : 1;
+        return aExpired - bExpired || (a.lastAccessed || 0) - (b.lastAccessed || 0);
+      });
+
+    for (const [key] of candidates) {
+      if (this.index.size <= this.maxEntries && this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      this.delete(key);
+    }
+  }
+
+  /**
+   * Remove file, ignoring files that are already gone
+   * @param {string} file - File path
+   */
+  removeFile(file) {
+    try {
+      fs.unlinkSync(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Cache file removal error:', error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Create L2 store from environment configuration
+ * Falls back to in-memory store if the file store can't be created
+ * @returns {Map|FileStore} L2 store
+ */
+const createL2Store = () => {
+  const type = (process.env.CACHE_L2_STORE || 'memory').toLowerCase();
+
+  if (type === 'file') {
+    try {
+      return new FileStore({
+        dir: process.env.CACHE_L2_DIR,
+        maxEntries: parseInt(process.env.CACHE_L2_MAX_ENTRIES, 10) || undefined,
+        maxBytes: parseInt(process.env.CACHE_L2_MAX_BYTES, 10) || undefined
+      });
+    } catch (error) {
+      console.error('Failed to create file cache store, using memory:', error.message);
+    }
+  }
+
+  return new Map();
+};
+
+module.exports = {
+  FileStore,
+  createL2Store
+};
@@ -45,6 +45,13 @@ class RateLimitError extends AppError {
   }
 }
 
+class CircuitOpenError extends AppError {
+  constructor(message = 'Provider circuit is open', retryAfter = null) {
+    super(message, 503, 'CIRCUIT_OPEN', true);
+    this.retryAfter = retryAfter;
+  }
+}
+
 /**
  * Error handler middleware for Express
  * @param {Error} err - Error object
@@ -68,6 +75,9 @@ const errorHandler = (err, req, res, next) => {
 
   // Handle specific error types
   if (err instanceof AppError) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(Math.ceil(err.retryAfter / 1000)));
+    }
     return res.status(err.statusCode).json({
       status: 'error',
       code: err.code,
@@ -150,6 +160,7 @@ module.exports = {
   NotFoundError,
   ValidationError,
   RateLimitError,
+  CircuitOpenError,
   errorHandler,
   asyncHandler,
   retryWithBackoff
@@ -0,0 +1,104 @@
+/**
+ * HTTP fixture store for offline record/replay of upstream responses
+ * Mode is selected with SCRAPER_FIXTURES:
+ *   off    - (default) always hit the network
+ *   record - hit the network and save every successful response
+ *   replay - never hit the network, serve saved responses only
+ * Fixtures are stored as JSON under SCRAPER_FIXTURES_DIR (default test/fixtures)
+ * Recorded fixtures carry `recordedAt`, hand-written ones `handWritten: true`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../test/fixtures');
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Get current fixture mode
+ * @returns {string} 'off', 'record' or 'replay'
+ */
+const getFixtureMode = () => {
+  const mode = (process.env.SCRAPER_FIXTURES || 'off').toLowerCase();
+  return FIXTURE_MODES.includes(mode) ? mode : 'off';
+};
+
+/**
+ * Get fixtures directory
+ * @returns {string} Absolute fixtures directory
+ */
+const getFixturesDir = () => {
+  return path.resolve(process.env.SCRAPER_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+};
+
+/**
+ * Get fixture file path for URL
+ * Files are grouped by host and named after the path plus a short hash of the full URL
+ * @param {string} url - Request URL (already encoded)
+ * @returns {string} Fixture file path
+ */
+const getFixturePath = (url) => {
+  const parsed = new URL(url);
+  const slug = `${parsed.pathname}${parsed.search}`
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80) || 'index';
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+
+  return path.join(getFixturesDir(), parsed.hostname, `${slug}-${hash}.json`);
+};
+
+/**
+ * Load recorded response for URL
+ * @param {string} url - Request URL (already encoded)
+ * @returns {object|null} Axios-like response ({ status, headers, data }) or null
+ */
+const loadFixture = (url) => {
+  const file = getFixturePath(url);
+
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  return {
+    status: fixture.status,
+    statusText: fixture.statusText || '',
+    headers: fixture.headers || {},
+    data: fixture.data,
+    config: { url },
+    fromFixture: true
+  };
+};
+
+/**
+ * Save response for URL
+ * @param {string} url - Request URL (already encoded)
+ * @param {object} response - Axios response
+ * @returns {string} Written fixture file path
+ */
+const saveFixture = (url, response) => {
+  const file = getFixturePath(url);
+  const contentType = response.headers?.['content-type'];
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    url,
+    status: response.status,
+    headers: contentType ? { 'content-type': contentType } : {},
+    recordedAt: new Date().toISOString(),
+    data: response.data
+  }, null, 2));
+
+  return file;
+};
+
+module.exports = {
+  getFixtureMode,
+  getFixturesDir,
+  getFixturePath,
+  loadFixture,
+  saveFixture
+};
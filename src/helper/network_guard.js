@@ -0,0 +1,101 @@
+/**
+ * Network guard for outgoing requests to user-supplied URLs (webhooks)
+ * Rejects loopback, private, link-local and other non-public addresses, both
+ * for IP literals in the URL and for the addresses a hostname resolves to
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { ValidationError } = require('./error_handler');
+
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local (cloud metadata)
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved, broadcast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['64:ff9b::', 96], // NAT64 (embeds IPv4)
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Check whether IP address is not publicly routable
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+ * @param {string} address - IP address
+ * @returns {boolean} True if address is loopback, private, link-local or reserved
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Validate that URL is absolute http(s) and does not point at a non-public host
+ * Hostnames are checked again when they are resolved (see publicLookup)
+ * @param {string} value - URL
+ * @param {object} options - Options
+ * @param {boolean} options.allowPrivate - Skip host checks
+ * @returns {URL} Parsed URL
+ */
+const checkPublicUrl = (value, options = {}) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new ValidationError('url must be an absolute http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ValidationError('url must be an absolute http(s) URL');
+  }
+  if (options.allowPrivate) {
+    return url;
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname)) {
+    throw new ValidationError('url must not point to a loopback, private or link-local address');
+  }
+  return url;
+};
+
+/**
+ * DNS lookup for http(s).request that fails for non-public addresses, so a
+ * hostname can't be pointed at the internal network after validation
+ * @param {string} hostname - Hostname
+ * @param {object} options - dns.lookup options
+ * @param {function} callback - dns.lookup callback
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new ValidationError(`${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  checkPublicUrl,
+  publicLookup
+};
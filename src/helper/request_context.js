@@ -0,0 +1,31 @@
+/**
+ * Per-request context shared with services that don't receive `req`/`res`
+ * (e.g. provider_manager reporting which provider served a request)
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run function with request context
+ * @param {object} context - Context object (usually `res.locals`)
+ * @param {function} fn - Function to run
+ * @returns {*} Function result
+ */
+const runWithContext = (context, fn) => {
+  return storage.run(context, fn);
+};
+
+/**
+ * Get context of the current request
+ * @returns {object|null} Context object or null outside a request
+ */
+const getRequestContext = () => {
+  return storage.getStore() || null;
+};
+
+module.exports = {
+  runWithContext,
+  getRequestContext
+};
@@ -0,0 +1,113 @@
+/**
+ * Admin authentication middleware
+ * Protects admin endpoints with a shared token (ADMIN_TOKEN env variable)
+ *
+ * Read-only admin endpoints stay open without ADMIN_TOKEN like the dashboard
+ * endpoints; endpoints that change state or make outgoing requests (plugins,
+ * cache purge/warm, jobs, webhooks) are disabled until it is set
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Get admin token from request
+ * Token is read from `X-Admin-Token` header or `Authorization: Bearer <token>`
+ * @param {object} req - Express request
+ * @returns {string} Token ('' when missing)
+ */
+const getRequestToken = (req) => {
+  const authorization = req.get('Authorization') || '';
+  return req.get('X-Admin-Token') ||
+         (authorization.startsWith('Bearer ') ? authorization.slice(7) : '');
+};
+
+/**
+ * Compare tokens in constant time (hashed first so lengths always match)
+ * @param {string} token - Token from request
+ * @param {string} adminToken - Configured token
+ * @returns {boolean} True if tokens match
+ */
+const isValidToken = (token, adminToken) => {
+  const actual = crypto.createHash('sha256').update(String(token)).digest();
+  const expected = crypto.createHash('sha256').update(String(adminToken)).digest();
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Send 401 for missing or wrong admin token
+ * @param {object} res - Express response
+ * @returns {object} Express response
+ */
+const sendUnauthorized = (res) => {
+  return res.status(401).json({
+    status: 'error',
+    code: 'UNAUTHORIZED',
+    message: 'Valid admin token is required',
+    data: []
+  });
+};
+
+/**
+ * Require admin token when ADMIN_TOKEN is configured
+ * Without ADMIN_TOKEN, admin endpoints are open like the dashboard endpoints
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  if (!adminToken) {
+    return next();
+  }
+
+  if (!isValidToken(getRequestToken(req), adminToken)) {
+    return sendUnauthorized(res);
+  }
+
+  next();
+};
+
+/**
+ * Require admin token, failing closed when ADMIN_TOKEN is not configured
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const requireAdminToken = (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  if (!adminToken) {
+    return res.status(403).json({
+      status: 'error',
+      code: 'ADMIN_DISABLED',
+      message: 'Set ADMIN_TOKEN to enable this endpoint',
+      data: []
+    });
+  }
+
+  if (!isValidToken(getRequestToken(req), adminToken)) {
+    return sendUnauthorized(res);
+  }
+
+  next();
+};
+
+/**
+ * Warn at startup when ADMIN_TOKEN is not configured
+ * @returns {boolean} True if ADMIN_TOKEN is set
+ */
+const checkAdminToken = () => {
+  if (process.env.ADMIN_TOKEN) {
+    return true;
+  }
+
+  console.warn('ADMIN_TOKEN is not set: read-only admin endpoints are open and mutating admin endpoints are disabled');
+  return false;
+};
+
+module.exports = {
+  requireAdmin,
+  requireAdminToken,
+  checkAdminToken
+};
@@ -0,0 +1,43 @@
+/**
+ * Feed response middleware
+ * Renders successful JSON feed responses (see services/feed_builder) as RSS 2.0,
+ * or Atom with `?format=atom`. Errors are still sent as JSON
+ */
+
+const feedBuilder = require('../services/feed_builder');
+
+/**
+ * Render feed responses as XML
+ * Mounted before the cache middleware so cache entries keep the feed object
+ * (and its ETag) and every cache hit is rendered again
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const feedResponse = (req, res, next) => {
+  let format;
+  try {
+    format = feedBuilder.getFormat(req.query.format);
+  } catch (error) {
+    return next(error);
+  }
+
+  const self = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const currentJson = res.json.bind(res);
+
+  res.json = function(body) {
+    const feed = body && body.data;
+    if (res.statusCode >= 400 || !feed || !Array.isArray(feed.items)) {
+      return currentJson(body);
+    }
+
+    res.type(feedBuilder.getContentType(format));
+    return res.send(feedBuilder.render(feed, format, self));
+  };
+
+  next();
+};
+
+module.exports = {
+  feedResponse
+};
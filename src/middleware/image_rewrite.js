@@ -0,0 +1,116 @@
+/**
+ * Image rewrite middleware
+ * Rewrites `panel` and `thumbnail` URLs in JSON responses to the /image proxy
+ * when requested with `?proxyImages=true` (or for every request with
+ * IMAGE_PROXY_REWRITE=true, opt out with `?proxyImages=false`)
+ *
+ * `imageWidth`, `imageQuality` and `imageFormat` select a resized/converted variant
+ * for the rewritten URLs. Panels also get `panel_srcset` with one variant per width
+ *
+ *   IMAGE_PROXY_BASE_URL - public base URL for proxied links (default from request host)
+ *   IMAGE_SRCSET_WIDTHS  - comma-separated srcset widths (default 480,720,1080)
+ */
+
+const imageProxy = require('../services/image_proxy');
+
+const IMAGE_FIELDS = ['panel', 'thumbnail'];
+
+const SRCSET_WIDTHS = (process.env.IMAGE_SRCSET_WIDTHS || '480,720,1080')
+  .split(',')
+  .map(width => parseInt(width, 10))
+  .filter(width => width > 0);
+
+/**
+ * Check whether request asks for proxied image URLs
+ * @param {object} req - Express request
+ * @returns {boolean} True if URLs should be rewritten
+ */
+const shouldRewrite = (req) => {
+  const value = req.query.proxyImages;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return process.env.IMAGE_PROXY_REWRITE === 'true';
+};
+
+/**
+ * Get variant query for rewritten URLs from request
+ * @param {object} req - Express request
+ * @returns {object} Variant query (width, quality, format), only requested keys
+ */
+const getVariant = (req) => {
+  const variant = {};
+  if (req.query.imageWidth !== undefined) variant.width = req.query.imageWidth;
+  if (req.query.imageQuality !== undefined) variant.quality = req.query.imageQuality;
+  if (req.query.imageFormat !== undefined) variant.format = req.query.imageFormat;
+
+  // Fail here rather than hand out image URLs that would all be rejected
+  imageProxy.parseTransform(variant);
+  return variant;
+};
+
+/**
+ * Rewrite image fields in response data (returns new objects, cached data is left untouched)
+ * @param {*} data - Response data
+ * @param {string} baseUrl - Public base URL of this API
+ * @param {object} variant - Variant query for rewritten URLs
+ * @returns {*} Data with proxied image URLs
+ */
+const rewriteImages = (data, baseUrl, variant = {}) => {
+  if (Array.isArray(data)) {
+    return data.map(item => rewriteImages(item, baseUrl, variant));
+  }
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  const result = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (IMAGE_FIELDS.includes(key) && typeof value === 'string') {
+      result[key] = imageProxy.toProxyUrl(value, baseUrl, variant);
+    } else if (IMAGE_FIELDS.includes(key) && Array.isArray(value)) {
+      result[key] = value.map(url => imageProxy.toProxyUrl(url, baseUrl, variant));
+    } else {
+      result[key] = rewriteImages(value, baseUrl, variant);
+    }
+
+    if (key === 'panel' && Array.isArray(value)) {
+      const { width, ...shared } = variant;
+      result.panel_srcset = value.map(url => imageProxy.toSrcset(url, baseUrl, SRCSET_WIDTHS, { format: 'webp', ...shared }));
+    }
+  });
+  return result;
+};
+
+/**
+ * Rewrite image URLs of JSON responses to proxied URLs
+ * Mounted before the cache middleware so cache entries keep upstream URLs
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const imageRewrite = (req, res, next) => {
+  if (!shouldRewrite(req)) {
+    return next();
+  }
+
+  let variant;
+  try {
+    variant = getVariant(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  const baseUrl = (process.env.IMAGE_PROXY_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  const currentJson = res.json.bind(res);
+
+  res.json = function(data) {
+    return currentJson(rewriteImages(data, baseUrl, variant));
+  };
+
+  next();
+};
+
+module.exports = {
+  imageRewrite,
+  rewriteImages
+};
@@ -0,0 +1,149 @@
+/**
+ * Library user middleware
+ * Reads the caller's library user ID from the `X-User-Id` header (see
+ * services/user_library) for /library routes and detail enrichment
+ *
+ * User IDs are UUIDs. With LIBRARY_SECRET set, IDs are issued by
+ * POST /library/users together with a token (HMAC of the ID) that requests
+ * must send in `X-User-Token`, so clients cannot pick or guess another ID
+ */
+
+const crypto = require('crypto');
+const userLibrary = require('../services/user_library');
+const { AppError, ValidationError } = require('../helper/error_handler');
+
+const USER_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Sign user ID with LIBRARY_SECRET
+ * @param {string} userId - User ID
+ * @param {string} secret - Library secret
+ * @returns {string} Token (hex HMAC-SHA256)
+ */
+const signUserId = (userId, secret) => {
+  return crypto.createHmac('sha256', secret).update(userId).digest('hex');
+};
+
+/**
+ * Check user token in constant time (hashed first so lengths always match)
+ * @param {string} token - Token from request
+ * @param {string} userId - User ID
+ * @param {string} secret - Library secret
+ * @returns {boolean} True if token was issued for the user ID
+ */
+const isValidUserToken = (token, userId, secret) => {
+  const actual = crypto.createHash('sha256').update(String(token)).digest();
+  const expected = crypto.createHash('sha256').update(signUserId(userId, secret)).digest();
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Get library user ID from request
+ * @param {object} req - Express request
+ * @returns {string|null} User ID, null when the header is missing
+ */
+const getUserId = (req) => {
+  const userId = req.get('X-User-Id');
+  if (!userId) return null;
+
+  if (!USER_ID_PATTERN.test(userId)) {
+    throw new ValidationError('X-User-Id must be a UUID');
+  }
+
+  const secret = process.env.LIBRARY_SECRET;
+  if (secret && !isValidUserToken(req.get('X-User-Token') || '', userId.toLowerCase(), secret)) {
+    throw new AppError('Valid X-User-Token is required', 401, 'UNAUTHORIZED');
+  }
+  return userId.toLowerCase();
+};
+
+/**
+ * Issue new library user
+ * @returns {object} { userId, token } (token is null without LIBRARY_SECRET)
+ */
+const issueUser = () => {
+  const userId = crypto.randomUUID();
+  const secret = process.env.LIBRARY_SECRET;
+  return { userId, token: secret ? signUserId(userId, secret) : null };
+};
+
+/**
+ * Warn at startup when LIBRARY_SECRET is not configured
+ * @returns {boolean} True if LIBRARY_SECRET is set
+ */
+const checkLibrarySecret = () => {
+  if (process.env.LIBRARY_SECRET) {
+    return true;
+  }
+
+  console.warn('LIBRARY_SECRET is not set: library user IDs are not verified, any client can use any UUID');
+  return false;
+};
+
+/**
+ * Require library user ID (sets req.userId)
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const requireUser = (req, res, next) => {
+  try {
+    req.userId = getUserId(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!req.userId) {
+    return next(new ValidationError('X-User-Id header is required'));
+  }
+  next();
+};
+
+/**
+ * Add caller's `bookmarked` and `lastReadChapter` to /detail/:url responses
+ * Mounted before the cache middleware so cache entries stay user-independent;
+ * enriched responses are private and get their ETag from the enriched body
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const libraryDetail = (req, res, next) => {
+  let userId;
+  try {
+    userId = getUserId(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  res.vary('X-User-Id');
+  res.vary('X-User-Token');
+  if (!userId) {
+    return next();
+  }
+
+  const currentJson = res.json.bind(res);
+
+  res.json = function(body) {
+    const detail = body && body.data;
+    if (res.statusCode >= 400 || !detail || typeof detail !== 'object' || Array.isArray(detail)) {
+      return currentJson(body);
+    }
+
+    const state = userLibrary.getSeriesState(userId, req.query.provider, req.params.url);
+    res.removeHeader('ETag');
+    res.removeHeader('Last-Modified');
+    res.set('Cache-Control', 'private, no-cache');
+
+    return currentJson({ ...body, data: { ...detail, ...state } });
+  };
+
+  next();
+};
+
+module.exports = {
+  getUserId,
+  issueUser,
+  checkLibrarySecret,
+  requireUser,
+  libraryDetail
+};
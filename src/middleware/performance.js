@@ -256,7 +256,7 @@ const performanceMiddleware = (req, res, next) => {
   // Record metrics on finish
   res.on('finish', () => {
     const responseTime = Date.now() - startTime;
-    const cached = res.get('X-Cache') === 'HIT';
+    const cached = ['HIT', 'STALE'].includes(res.get('X-Cache'));
     const error = res.statusCode >= 400;
     
     performanceMonitor.recordRequest(endpoint, responseTime, cached, error);
@@ -0,0 +1,37 @@
+/**
+ * Provider report middleware
+ * Adds which provider served the response (and why earlier providers in the
+ * fallback chain were skipped) to JSON responses as `served_by`
+ */
+
+const { runWithContext } = require('../helper/request_context');
+
+/**
+ * Collect provider reports for the request and attach them to the JSON body
+ * Reports are pushed by provider_manager.executeWithFallback
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+const providerReport = (req, res, next) => {
+  res.locals.servedBy = [];
+
+  const currentJson = res.json.bind(res);
+
+  res.json = function(data) {
+    const reports = res.locals.servedBy;
+
+    if (reports.length > 0 && data && typeof data === 'object' && !Array.isArray(data)) {
+      res.set('X-Served-By', [...new Set(reports.map(report => report.provider))].join(', '));
+      return currentJson({ ...data, served_by: reports });
+    }
+
+    return currentJson(data);
+  };
+
+  runWithContext(res.locals, next);
+};
+
+module.exports = {
+  providerReport
+};
@@ -3,6 +3,8 @@
  * Simple in-memory rate limiter with IP-based tracking
  */
 
+const cacheService = require('../helper/cache_service');
+
 class RateLimiter {
   constructor() {
     this.requests = new Map();
@@ -100,6 +102,11 @@ class RateLimiter {
     this.cleanupTimer = setInterval(() => {
       this.cleanup();
     }, this.cleanupInterval);
+
+    // Don't keep the process alive just for cleanup
+    if (this.cleanupTimer.unref) {
+      this.cleanupTimer.unref();
+    }
   }
 
   /**
@@ -128,6 +135,11 @@ class RateLimiter {
     } = options;
 
     return (req, res, next) => {
+      // Internal cache warm requests (see cache_warmer.js) aren't client traffic
+      if (cacheService.isWarmRequest(req)) {
+        return next();
+      }
+
       const clientId = this.getClientId(req);
       const result = this.checkLimit(clientId, max, windowMs);
 
@@ -1,10 +1,15 @@
 const router = require('express')();
 const { responseApi } = require('./helper/response_api');
-const { asyncHandler, errorHandler } = require('./helper/error_handler');
+const { asyncHandler, errorHandler, ValidationError, NotFoundError } = require('./helper/error_handler');
 const cacheService = require('./helper/cache_service');
-const { defaultRateLimiter, strictRateLimiter } = require('./middleware/rate_limiter');
+const { defaultRateLimiter, strictRateLimiter, createRateLimiter } = require('./middleware/rate_limiter');
 const { performanceMiddleware, performanceMonitor } = require('./middleware/performance');
 const { validatePage, validateKeyword, validateSort } = require('./middleware/validator');
+const { requireAdmin, requireAdminToken } = require('./middleware/admin_auth');
+const { providerReport } = require('./middleware/provider_report');
+const { imageRewrite } = require('./middleware/image_rewrite');
+const { getUserId, issueUser, requireUser, libraryDetail } = require('./middleware/library_user');
+const { feedResponse } = require('./middleware/feed_response');
 const { filterItems, sortItems } = require('./helper/data_validator');
 const {
   getLatestComics,
@@ -16,14 +21,46 @@ const {
   getPopularComics,
   getRecommendedComics
 } = require('./services/scraper_service');
-const { listProviders, getProviderInfo } = require('./services/provider_manager');
+const { listProviders, getProviderInfo, getFallbackChain } = require('./services/provider_manager');
+const { loadPlugins, getPluginStatus } = require('./services/plugin_loader');
 const apiService = require('./services/api_service');
 const QueryBuilder = require('./services/query_builder');
 const dashboardService = require('./services/dashboard_service');
+const healthChecker = require('./services/health_checker');
+const circuitBreaker = require('./services/circuit_breaker');
+const cacheWarmer = require('./services/cache_warmer');
+const seriesMatcher = require('./services/series_matcher');
+const imageProxy = require('./services/image_proxy');
+const chapterDownload = require('./services/chapter_download');
+const bookExport = require('./services/book_export');
+const downloadJobs = require('./services/download_jobs');
+const userLibrary = require('./services/user_library');
+const updateTracker = require('./services/update_tracker');
+const webhooks = require('./services/webhooks');
+const feedBuilder = require('./services/feed_builder');
+
+// Scraped content may be served stale (X-Cache: STALE) while it is refreshed in the
+// background, or when the provider fails (see cacheService.middleware)
+const STALE_SCRAPE = {
+  staleWhileRevalidate: 10 * 60 * 1000,
+  staleIfError: 60 * 60 * 1000
+};
+
+// A chapter has dozens of panels, so the image proxy gets its own limit
+const imageRateLimiter = createRateLimiter(parseInt(process.env.IMAGE_PROXY_RATE_LIMIT || '1000', 10));
+
+// Every library user adds series to the update tracker, so new IDs are issued sparingly
+const libraryUserRateLimiter = createRateLimiter(parseInt(process.env.LIBRARY_USER_RATE_LIMIT || '10', 10));
 
 // Apply performance monitoring to all routes
 router.use(performanceMiddleware);
 
+// Report which provider served each scraper call (see provider_manager.executeWithFallback)
+router.use(providerReport);
+
+// Rewrite panel/thumbnail URLs to the image proxy on `?proxyImages=true`
+router.use(imageRewrite);
+
 // Root endpoint
 router.get('/', (req, res) => {
   return res.status(200).json({
@@ -74,10 +111,9 @@ router.get('/provider',
   }
 );
 
-// Single provider info endpoint
+// Single provider info endpoint (not cached: includes live circuit breaker state)
 router.get('/provider/:id',
   defaultRateLimiter,
-  cacheService.middleware(15 * 60 * 1000),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
     const provider = getProviderInfo(id.toLowerCase());
@@ -86,14 +122,23 @@ router.get('/provider/:id',
       return responseApi(res, 404, 'Provider not found');
     }
     
-    return responseApi(res, 200, 'success', provider);
+    const fallbacks = {};
+    Object.keys(provider.features || {}).forEach(feature => {
+      fallbacks[feature] = getFallbackChain(provider.id, feature);
+    });
+
+    return responseApi(res, 200, 'success', {
+      ...provider,
+      fallbacks,
+      circuitBreaker: circuitBreaker.getProviderStates(provider.id)
+    });
   })
 );
 
 // Latest comics endpoint with caching (5 minutes) - Enhanced version
 router.get('/terbaru',
   defaultRateLimiter,
-  cacheService.middleware(5 * 60 * 1000),
+  cacheService.middleware(5 * 60 * 1000, STALE_SCRAPE),
   validatePage,
   validateSort,
   asyncHandler(async (req, res) => {
@@ -177,7 +222,7 @@ router.get('/terbaru',
 // Genre list endpoint with caching (15 minutes)
 router.get('/genre',
   defaultRateLimiter,
-  cacheService.middleware(15 * 60 * 1000),
+  cacheService.middleware(15 * 60 * 1000, STALE_SCRAPE),
   asyncHandler(async (req, res) => {
     const { provider } = req.query;
     try {
@@ -193,7 +238,7 @@ router.get('/genre',
 // Comics by genre endpoint with caching (5 minutes)
 router.get('/genre/:url',
   defaultRateLimiter,
-  cacheService.middleware(5 * 60 * 1000),
+  cacheService.middleware(5 * 60 * 1000, STALE_SCRAPE),
   validatePage,
   asyncHandler(async (req, res) => {
     const { url } = req.params;
@@ -217,9 +262,11 @@ router.get('/genre/:url',
 );
 
 // Comic detail endpoint with caching (10 minutes) - Enhanced version
+// With X-User-Id, responses include the caller's `bookmarked` and `lastReadChapter`
 router.get('/detail/:url',
   defaultRateLimiter,
-  cacheService.middleware(10 * 60 * 1000),
+  libraryDetail,
+  cacheService.middleware(10 * 60 * 1000, STALE_SCRAPE),
   asyncHandler(async (req, res) => {
     const { url } = req.params;
     const { 
@@ -252,10 +299,20 @@ router.get('/detail/:url',
   })
 );
 
+// Unified series endpoint (canonical series ID from aggregated listings) with caching (10 minutes)
+router.get('/series/:id',
+  defaultRateLimiter,
+  cacheService.middleware(10 * 60 * 1000, STALE_SCRAPE),
+  asyncHandler(async (req, res) => {
+    const series = await apiService.getSeries({ id: req.params.id });
+    return responseApi(res, 200, 'success', series);
+  })
+);
+
 // Read chapter endpoint with caching (15 minutes)
 router.get('/read/:url',
   defaultRateLimiter,
-  cacheService.middleware(15 * 60 * 1000),
+  cacheService.middleware(15 * 60 * 1000, STALE_SCRAPE),
   asyncHandler(async (req, res) => {
     const { url } = req.params;
     const { provider } = req.query;
@@ -269,6 +326,238 @@ router.get('/read/:url',
   })
 );
 
+// Image proxy for panels and thumbnails (provider Referer, allowed hosts only).
+// `width`, `quality` and `format` (webp, jpeg, avif) return a cached resized variant
+router.get('/image',
+  imageRateLimiter,
+  asyncHandler(async (req, res) => {
+    const { url, provider } = req.query;
+    if (!url || typeof url !== 'string') {
+      throw new ValidationError('Query parameter url is required');
+    }
+
+    const transform = imageProxy.parseTransform(req.query);
+    const image = await imageProxy.getImage(url, provider, transform);
+    const maxAge = Math.floor(imageProxy.ttl / 1000);
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Cache-Control': `public, max-age=${maxAge}, immutable`,
+      'X-Cache': image.cache
+    });
+
+    // Cached image: res.send answers conditional requests with 304
+    if (Buffer.isBuffer(image.body)) {
+      res.set('ETag', image.etag);
+      res.set('Last-Modified', new Date(image.lastModified).toUTCString());
+      return res.send(image.body);
+    }
+
+    if (image.contentLength) {
+      res.set('Content-Length', String(image.contentLength));
+    }
+    image.body.on('error', () => res.destroy());
+    image.body.pipe(res);
+  })
+);
+
+// Chapter download for offline reading (`format=cbz|pdf|epub`), streamed page by page.
+// `series` (detail URL) sets the metadata source when it can't be derived from the chapter slug,
+// `width` downscales PDF/EPUB pages for e-ink screens
+router.get('/download/:url',
+  strictRateLimiter,
+  asyncHandler(async (req, res) => {
+    const { provider, series, format, width } = req.query;
+    const download = chapterDownload.getFormat(format);
+    if (download.name !== 'cbz') {
+      bookExport.getTransform({ width }); // Validate before anything is sent
+    }
+    const meta = await chapterDownload.getChapter(req.params.url, { provider, series });
+
+    res.attachment(chapterDownload.getFileName(meta, download.extension));
+    res.set({
+      'Content-Type': download.contentType,
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      if (download.name === 'cbz') {
+        await chapterDownload.writeCbz(meta, res);
+      } else {
+        await bookExport.write(download.name, bookExport.fromChapter(meta), res, { width });
+      }
+    } catch (error) {
+      // Headers are sent, the client sees an aborted download
+      console.error(`Download of ${req.params.url} failed:`, error.message);
+    }
+  })
+);
+
+// Series export as one PDF/EPUB (`format=pdf|epub`) for `chapter=N` or `from=N&to=M`
+// from the detail chapter list, with cover and table of contents by chapter
+router.get('/export/:url',
+  strictRateLimiter,
+  asyncHandler(async (req, res) => {
+    const { provider, format = 'epub', chapter, from, to, width } = req.query;
+    const download = chapterDownload.getFormat(format, ['pdf', 'epub']);
+    bookExport.getTransform({ width }); // Validate before anything is sent
+    const book = await bookExport.getSeriesBook(req.params.url, { provider, chapter, from, to });
+
+    res.attachment(bookExport.getFileName(book, download.extension));
+    res.set({
+      'Content-Type': download.contentType,
+      'Cache-Control': 'no-store'
+    });
+
+    try {
+      await bookExport.write(download.name, book, res, { width });
+    } catch (error) {
+      console.error(`Export of ${req.params.url} failed:`, error.message);
+    }
+  })
+);
+
+// Issue library user ID ({ userId, token }, token to send as X-User-Token when LIBRARY_SECRET is set)
+router.post('/library/users',
+  libraryUserRateLimiter,
+  (req, res) => {
+    return responseApi(res, 201, 'success', issueUser());
+  }
+);
+
+// User library (X-User-Id): bookmarks with last-read chapter, most recently read first
+router.get('/library',
+  defaultRateLimiter,
+  requireUser,
+  (req, res) => {
+    return responseApi(res, 200, 'success', userLibrary.listBookmarks(req.userId, { provider: req.query.provider }));
+  }
+);
+
+// Bookmark series: { provider, href, title, thumbnail }
+router.post('/library/bookmarks',
+  defaultRateLimiter,
+  requireUser,
+  (req, res) => {
+    return responseApi(res, 201, 'success', userLibrary.addBookmark(req.userId, req.body || {}));
+  }
+);
+
+router.delete('/library/bookmarks/:provider/:slug',
+  defaultRateLimiter,
+  requireUser,
+  (req, res) => {
+    return responseApi(res, 200, 'success', userLibrary.removeBookmark(req.userId, req.params.provider, req.params.slug));
+  }
+);
+
+router.get('/library/progress',
+  defaultRateLimiter,
+  requireUser,
+  (req, res) => {
+    return responseApi(res, 200, 'success', userLibrary.listProgress(req.userId));
+  }
+);
+
+// Save last-read chapter and page: { provider, href, title, chapter, chapterTitle, number, page }
+router.put('/library/progress',
+  defaultRateLimiter,
+  requireUser,
+  (req, res) => {
+    return responseApi(res, 200, 'success', userLibrary.setProgress(req.userId, req.body || {}));
+  }
+);
+
+router.get('/library/progress/:provider/:slug',
+  defaultRateLimiter,
+  requireUser,
+  (req, res) => {
+    const progress = userLibrary.getProgress(req.userId, req.params.provider, req.params.slug);
+    if (!progress) {
+      throw new NotFoundError(`Reading progress for '${req.params.slug}' not found`);
+    }
+    return responseApi(res, 200, 'success', progress);
+  }
+);
+
+router.delete('/library/progress/:provider/:slug',
+  defaultRateLimiter,
+  requireUser,
+  (req, res) => {
+    return responseApi(res, 200, 'success', userLibrary.removeProgress(req.userId, req.params.provider, req.params.slug));
+  }
+);
+
+// Reading history, most recent first (`limit` entries)
+router.get('/library/history',
+  defaultRateLimiter,
+  requireUser,
+  (req, res) => {
+    return responseApi(res, 200, 'success', userLibrary.getHistory(req.userId, { limit: req.query.limit }));
+  }
+);
+
+router.delete('/library/history',
+  defaultRateLimiter,
+  requireUser,
+  (req, res) => {
+    return responseApi(res, 200, 'success', { removed: userLibrary.clearHistory(req.userId) });
+  }
+);
+
+// New chapters of followed series detected after `since` (epoch ms or ISO date), newest first.
+// With X-User-Id only series the caller bookmarked
+router.get('/updates',
+  defaultRateLimiter,
+  (req, res) => {
+    const { since, provider, limit } = req.query;
+    const updates = updateTracker.getUpdates({ since, provider, limit, userId: getUserId(req) });
+    return responseApi(res, 200, 'success', updates);
+  }
+);
+
+// RSS 2.0 feeds (Atom with `?format=atom`) of latest updates, genre listings and series chapters.
+// The cache keeps the feed object; feedResponse renders it on every hit
+router.get('/feed/latest.xml',
+  defaultRateLimiter,
+  feedResponse,
+  cacheService.middleware(5 * 60 * 1000, STALE_SCRAPE),
+  validatePage,
+  asyncHandler(async (req, res) => {
+    const { page, provider } = req.query;
+    const result = await getLatestComics(page, provider);
+    return responseApi(res, 200, 'success', feedBuilder.buildLatest(result, provider));
+  })
+);
+
+router.get('/feed/genre/:url.xml',
+  defaultRateLimiter,
+  feedResponse,
+  cacheService.middleware(5 * 60 * 1000, STALE_SCRAPE),
+  validatePage,
+  asyncHandler(async (req, res) => {
+    const { url } = req.params;
+    const { page, provider } = req.query;
+    const result = await getComicsByGenre(url, page, provider);
+    return responseApi(res, 200, 'success', feedBuilder.buildGenre(result, url, provider));
+  })
+);
+
+router.get('/feed/series/:url.xml',
+  defaultRateLimiter,
+  feedResponse,
+  cacheService.middleware(10 * 60 * 1000, STALE_SCRAPE),
+  asyncHandler(async (req, res) => {
+    const { url } = req.params;
+    const { provider } = req.query;
+    const detail = await getComicDetail(url, provider);
+    if (!detail || !detail.title) {
+      throw new NotFoundError(`Series '${url}' not found`);
+    }
+    return responseApi(res, 200, 'success', feedBuilder.buildSeries(detail, url, provider));
+  })
+);
+
 // Search endpoint with strict rate limiting and caching (2 minutes) - Enhanced version
 router.get('/search',
   strictRateLimiter,
@@ -347,7 +636,7 @@ router.get('/search',
 // Popular comics endpoint with caching (10 minutes) - Enhanced version
 router.get('/popular',
   defaultRateLimiter,
-  cacheService.middleware(10 * 60 * 1000),
+  cacheService.middleware(10 * 60 * 1000, STALE_SCRAPE),
   validateSort,
   asyncHandler(async (req, res) => {
     const { 
@@ -415,7 +704,7 @@ router.get('/popular',
 // Recommended comics endpoint with caching (10 minutes)
 router.get('/recommended',
   defaultRateLimiter,
-  cacheService.middleware(10 * 60 * 1000),
+  cacheService.middleware(10 * 60 * 1000, STALE_SCRAPE),
   validateSort,
   asyncHandler(async (req, res) => {
     const { sortBy, sortOrder, genre, type, minRating, provider } = req.query;
@@ -450,7 +739,7 @@ router.get('/recommended',
 // Dashboard stats endpoint
 router.get('/api/dashboard/stats',
   defaultRateLimiter,
-  cacheService.middleware(5 * 60 * 1000), // Cache for 5 minutes
+  cacheService.middleware(5 * 60 * 1000, { cacheControl: 'private' }), // Cache for 5 minutes
   (req, res) => {
     try {
       const stats = dashboardService.getStats();
@@ -464,7 +753,7 @@ router.get('/api/dashboard/stats',
 // Dashboard analytics endpoint
 router.get('/api/dashboard/analytics',
   defaultRateLimiter,
-  cacheService.middleware(2 * 60 * 1000), // Cache for 2 minutes
+  cacheService.middleware(2 * 60 * 1000, { cacheControl: 'private' }), // Cache for 2 minutes
   asyncHandler(async (req, res) => {
     const { period = '1h', endpoint } = req.query;
     
@@ -477,6 +766,42 @@ router.get('/api/dashboard/analytics',
   })
 );
 
+// Providers health (background probes) endpoint
+router.get('/api/dashboard/providers/health',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', dashboardService.getProvidersHealth());
+  }
+);
+
+// Provider health (probe history) endpoint
+router.get('/api/dashboard/providers/:id/health',
+  defaultRateLimiter,
+  (req, res) => {
+    const health = dashboardService.getProviderHealth(req.params.id.toLowerCase());
+
+    if (!health) {
+      return responseApi(res, 404, 'Provider not found');
+    }
+
+    return responseApi(res, 200, 'success', health);
+  }
+);
+
+// Provider extraction health endpoint (selector drift detection)
+router.get('/api/dashboard/providers/:id/extraction-health',
+  defaultRateLimiter,
+  (req, res) => {
+    const report = dashboardService.getExtractionHealth(req.params.id.toLowerCase());
+
+    if (!report) {
+      return responseApi(res, 404, 'Provider not found');
+    }
+
+    return responseApi(res, 200, 'success', report);
+  }
+);
+
 // Dashboard real-time endpoint (Server-Sent Events)
 router.get('/api/dashboard/realtime',
   defaultRateLimiter,
@@ -560,28 +885,252 @@ router.delete('/api/dashboard/cache/manage',
   }
 );
 
+// Warm cache by replaying route URLs or scraper descriptors ({ provider, function, args })
+// through the real handlers. Returns the job right away unless `wait` is set.
+// Warm requests bypass rate limiting, so this needs ADMIN_TOKEN (jobs are capped at CACHE_WARM_MAX_TARGETS URLs)
 router.post('/api/dashboard/cache/manage/warm',
-  defaultRateLimiter,
+  strictRateLimiter,
+  requireAdminToken,
   asyncHandler(async (req, res) => {
-    try {
-      const { keys } = req.body;
-      
-      if (!Array.isArray(keys) || keys.length === 0) {
-        return responseApi(res, 400, 'error', { message: 'Keys array is required' });
-      }
-      
-      // Note: This is a placeholder - actual cache warming would need to fetch data
-      // For now, we'll just return success
-      return responseApi(res, 200, 'success', { 
-        message: `Cache warming requested for ${keys.length} keys`,
-        keys: keys.length
-      });
-    } catch (error) {
-      throw error;
+    const { keys, targets, force, concurrency, wait } = req.body || {};
+    const warmTargets = targets || keys;
+
+    if (!Array.isArray(warmTargets) || warmTargets.length === 0) {
+      return responseApi(res, 400, 'error', { message: 'Targets array is required' });
     }
+
+    const job = cacheWarmer.warm(req.app, warmTargets, {
+      force: force === true,
+      concurrency: parseInt(concurrency) || undefined
+    });
+
+    if (wait === true) {
+      return responseApi(res, 200, 'success', await cacheWarmer.wait(job.id));
+    }
+
+    return responseApi(res, 202, 'success', job);
+  })
+);
+
+router.get('/api/dashboard/cache/manage/warm',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', cacheWarmer.getStatus());
+  }
+);
+
+// Per-URL progress of a warm job
+router.get('/api/dashboard/cache/manage/warm/:id',
+  defaultRateLimiter,
+  (req, res) => {
+    return responseApi(res, 200, 'success', cacheWarmer.getJob(req.params.id));
+  }
+);
+
+// Background series download into the local library: `url` (detail URL), `provider`,
+// `format=cbz|pdf|epub`, `chapter` or `from`/`to` (all chapters when omitted), `width`
+router.post('/jobs/download',
+  strictRateLimiter,
+  requireAdminToken,
+  asyncHandler(async (req, res) => {
+    const { url, provider, format, chapter, from, to, width } = req.body || {};
+    const job = await downloadJobs.create({ url, provider, format, chapter, from, to, width });
+
+    return responseApi(res, 202, 'success', job);
+  })
+);
+
+router.get('/jobs',
+  defaultRateLimiter,
+  requireAdmin,
+  (req, res) => {
+    return responseApi(res, 200, 'success', downloadJobs.list());
+  }
+);
+
+// Job progress with per-chapter status and library paths
+router.get('/jobs/:id',
+  defaultRateLimiter,
+  requireAdmin,
+  (req, res) => {
+    return responseApi(res, 200, 'success', downloadJobs.toJSON(downloadJobs.getJob(req.params.id)));
+  }
+);
+
+router.post('/jobs/:id/cancel',
+  strictRateLimiter,
+  requireAdminToken,
+  (req, res) => {
+    return responseApi(res, 200, 'success', downloadJobs.cancel(req.params.id));
+  }
+);
+
+// Update tracker schedule, last run and tracked series
+router.get('/api/admin/updates',
+  defaultRateLimiter,
+  requireAdmin,
+  (req, res) => {
+    return responseApi(res, 200, 'success', updateTracker.getStatus());
+  }
+);
+
+// Check followed series for new chapters now instead of waiting for the next scheduled run
+router.post('/api/admin/updates/check',
+  strictRateLimiter,
+  requireAdminToken,
+  asyncHandler(async (req, res) => {
+    return responseApi(res, 200, 'success', await updateTracker.checkAll());
+  })
+);
+
+// Webhook subscriptions: { url, events, secret, providers, series, description }.
+// The secret (generated when omitted) is only returned on creation. Disabled without ADMIN_TOKEN
+// since subscriptions make the server send requests to arbitrary URLs
+router.get('/api/admin/webhooks',
+  defaultRateLimiter,
+  requireAdminToken,
+  (req, res) => {
+    return responseApi(res, 200, 'success', webhooks.list());
+  }
+);
+
+router.post('/api/admin/webhooks',
+  strictRateLimiter,
+  requireAdminToken,
+  (req, res) => {
+    return responseApi(res, 201, 'success', webhooks.create(req.body || {}));
+  }
+);
+
+// Deliveries that ran out of attempts, newest first
+router.get('/api/admin/webhooks/dead-letters',
+  defaultRateLimiter,
+  requireAdminToken,
+  (req, res) => {
+    return responseApi(res, 200, 'success', webhooks.listDeadLetters());
+  }
+);
+
+router.delete('/api/admin/webhooks/dead-letters',
+  strictRateLimiter,
+  requireAdminToken,
+  (req, res) => {
+    return responseApi(res, 200, 'success', { removed: webhooks.clearDeadLetters() });
+  }
+);
+
+router.post('/api/admin/webhooks/dead-letters/:id/retry',
+  strictRateLimiter,
+  requireAdminToken,
+  asyncHandler(async (req, res) => {
+    return responseApi(res, 200, 'success', await webhooks.redeliver(req.params.id));
+  })
+);
+
+router.get('/api/admin/webhooks/:id',
+  defaultRateLimiter,
+  requireAdminToken,
+  (req, res) => {
+    return responseApi(res, 200, 'success', webhooks.toJSON(webhooks.getSubscription(req.params.id)));
+  }
+);
+
+router.patch('/api/admin/webhooks/:id',
+  strictRateLimiter,
+  requireAdminToken,
+  (req, res) => {
+    return responseApi(res, 200, 'success', webhooks.update(req.params.id, req.body || {}));
+  }
+);
+
+router.delete('/api/admin/webhooks/:id',
+  strictRateLimiter,
+  requireAdminToken,
+  (req, res) => {
+    return responseApi(res, 200, 'success', webhooks.remove(req.params.id));
+  }
+);
+
+// Send a signed `webhook.test` event once and report the receiver's response
+router.post('/api/admin/webhooks/:id/test',
+  strictRateLimiter,
+  requireAdminToken,
+  asyncHandler(async (req, res) => {
+    return responseApi(res, 200, 'success', await webhooks.test(req.params.id));
+  })
+);
+
+// Provider plugin endpoints
+router.get('/api/admin/providers/plugins',
+  defaultRateLimiter,
+  requireAdmin,
+  (req, res) => {
+    return responseApi(res, 200, 'success', getPluginStatus());
+  }
+);
+
+router.post('/api/admin/providers/plugins/reload',
+  strictRateLimiter,
+  requireAdminToken,
+  (req, res) => {
+    const status = loadPlugins();
+
+    // Provider listings are cached, drop them so new plugins show up immediately
+    cacheService.invalidatePattern('/provider*');
+
+    return responseApi(res, 200, 'success', status);
+  }
+);
+
+// Run provider health checks now instead of waiting for the next scheduled probe
+router.post('/api/admin/providers/health/check',
+  strictRateLimiter,
+  requireAdminToken,
+  asyncHandler(async (req, res) => {
+    await healthChecker.probeAll();
+    return responseApi(res, 200, 'success', dashboardService.getProvidersHealth());
   })
 );
 
+// Cache tags (provider:, route:, slug:, genre:, series:) with entry counts
+router.get('/api/admin/cache/tags',
+  defaultRateLimiter,
+  requireAdmin,
+  (req, res) => {
+    return responseApi(res, 200, 'success', cacheService.getTags(req.query.prefix || ''));
+  }
+);
+
+// Purge cache by tag, e.g. everything for one provider or one manga after a site change
+// Body: { tags: [...] } and/or shorthands { provider, series, slug, route }
+router.post('/api/admin/cache/purge',
+  strictRateLimiter,
+  requireAdminToken,
+  (req, res) => {
+    const { tags = [], provider, series, slug, route } = req.body || {};
+    const purgeTags = new Set(Array.isArray(tags) ? tags : [tags]);
+
+    if (provider) purgeTags.add(`provider:${String(provider).toLowerCase()}`);
+    if (slug) purgeTags.add(`slug:${String(slug).toLowerCase()}`);
+    if (route) purgeTags.add(`route:${route}`);
+    if (series) {
+      purgeTags.add(`series:${series}`);
+
+      // Detail/read entries cached before the series was matched only carry slug tags
+      const canonical = seriesMatcher.getSeries(series);
+      Object.values(canonical ? canonical.providers : {}).flat()
+        .forEach(providerSlug => purgeTags.add(`slug:${providerSlug}`));
+    }
+
+    if (purgeTags.size === 0) {
+      return responseApi(res, 400, 'error', { message: 'At least one tag (or provider, series, slug, route) is required' });
+    }
+
+    const deleted = cacheService.invalidateByTags([...purgeTags]);
+    return responseApi(res, 200, 'success', { tags: [...purgeTags], deleted });
+  }
+);
+
 // 404 handler
 router.all('*', (req, res) => {
   return responseApi(res, 404, 'route not found');
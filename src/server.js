@@ -3,8 +3,19 @@ const path = require('path');
 const app = express();
 const cors = require('cors');
 const helmet = require('helmet').default;
-const { router } = require('./router');
 require('dotenv').config();
+const { router } = require('./router');
+const { loadPlugins } = require('./services/plugin_loader');
+const healthChecker = require('./services/health_checker');
+const cacheWarmer = require('./services/cache_warmer');
+const downloadJobs = require('./services/download_jobs');
+const updateTracker = require('./services/update_tracker');
+const userLibrary = require('./services/user_library');
+const { checkAdminToken } = require('./middleware/admin_auth');
+const { checkLibrarySecret } = require('./middleware/library_user');
+
+// Register provider plugins from PROVIDER_PLUGINS_DIR (defaults to ./providers)
+loadPlugins();
 
 // Trust proxy for rate limiting (if behind reverse proxy)
 app.set('trust proxy', 1);
@@ -44,4 +55,35 @@ if (process.env.VERCEL !== '1' && !process.env.VERCEL_ENV) {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
+
+  // Mutating admin endpoints stay disabled until ADMIN_TOKEN is set
+  checkAdminToken();
+
+  // Library user IDs are only verified when LIBRARY_SECRET is set
+  checkLibrarySecret();
+
+  // Background provider health checks (HEALTH_CHECK_INTERVAL in ms, 0 disables)
+  const healthCheckInterval = parseInt(process.env.HEALTH_CHECK_INTERVAL || '300000', 10);
+  if (healthCheckInterval > 0) {
+    healthChecker.start(healthCheckInterval);
+  }
+
+  // Scheduled cache warming (CACHE_WARM_INTERVAL in ms, 0 disables)
+  const cacheWarmInterval = parseInt(process.env.CACHE_WARM_INTERVAL || '0', 10);
+  if (cacheWarmInterval > 0) {
+    const warmList = (process.env.CACHE_WARM_LIST || '').split(',').map(url => url.trim()).filter(Boolean);
+    cacheWarmer.start(app, { targets: warmList, interval: cacheWarmInterval });
+  }
+
+  // Resume download jobs saved in DOWNLOAD_JOBS_FILE
+  downloadJobs.start();
+
+  // Library writes are debounced, save them before a restart or deploy stops the process
+  userLibrary.flushOnExit();
+
+  // New chapter checks for followed series (UPDATE_CHECK_INTERVAL in ms, 0 disables)
+  const updateCheckInterval = parseInt(process.env.UPDATE_CHECK_INTERVAL || '1800000', 10);
+  if (updateCheckInterval > 0) {
+    updateTracker.start(updateCheckInterval);
+  }
 }
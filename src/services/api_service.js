@@ -7,7 +7,10 @@ const { DataProcessor, DataEnrichmentService, BatchProcessor, DataAggregationSer
 const QueryBuilder = require('./query_builder');
 const ParallelProcessor = require('./parallel_processor');
 const ResponseOptimizer = require('./response_optimizer');
-const { executeScraper, listProviders } = require('./provider_manager');
+const { executeScraper, executeWithFallback, listProviders } = require('./provider_manager');
+const seriesMatcher = require('./series_matcher');
+const { normalizeChapter } = require('../helper/data_validator');
+const { NotFoundError } = require('../helper/error_handler');
 
 /**
  * Advanced API Service
@@ -526,10 +529,119 @@ class ApiService {
       data: comic,
       metadata: {
         provider: detail.provider,
-        fallback: detail.fallback || false
+        fallback: detail.fallback || false,
+        skipped: detail.skipped
       }
     };
   }
+
+  /**
+   * Get series detail merged across every provider mapped to the canonical series
+   * @param {object} options - Series options
+   * @param {string} options.id - Canonical series ID (see series_matcher.js)
+   * @param {number} options.timeout - Per provider timeout in milliseconds
+   * @returns {Promise<object>} Merged series with unified chapter list
+   */
+  async getSeries(options = {}) {
+    const { id, timeout = 30000 } = options;
+
+    const series = seriesMatcher.getSeries(id);
+    if (!series) {
+      throw new NotFoundError('Series not found');
+    }
+
+    // Preference order: provider config order, then health (down/open circuits skipped)
+    const configured = listProviders().map(p => p.id);
+    const mapped = Object.keys(series.providers)
+      .filter(providerId => configured.includes(providerId))
+      .sort((a, b) => configured.indexOf(a) - configured.indexOf(b));
+    const { providers: selected, skipped } = ParallelProcessor.selectProviders(mapped, 'getComicDetail');
+
+    // No fallback: another provider would not know this provider's slug
+    const settled = await Promise.allSettled(selected.map(providerId => {
+      return ParallelProcessor.withTimeout(
+        executeWithFallback(providerId, 'getComicDetail', [series.providers[providerId][0]], { fallback: false }),
+        providerId,
+        timeout
+      );
+    }));
+
+    const details = [];
+    let firstError = null;
+
+    settled.forEach((result, index) => {
+      const providerId = selected[index];
+
+      if (result.status === 'fulfilled' && result.value.data && typeof result.value.data === 'object') {
+        details.push({ provider: providerId, data: result.value.data });
+
+        // Learn alternative titles/author from the detail page
+        seriesMatcher.resolve({ ...result.value.data, href: series.providers[providerId][0] }, providerId);
+      } else {
+        const error = result.reason || new NotFoundError('Comic not found');
+        firstError = firstError || error;
+        skipped.push({ provider: providerId, reason: 'failed', code: error.code, message: error.message });
+      }
+    });
+
+    if (details.length === 0) {
+      throw firstError || new NotFoundError('Series not available from any provider');
+    }
+
+    // mergeComics lets the second comic win, so merge from least to most preferred
+    const merged = details.slice().reverse().reduce((acc, detail) => {
+      const comic = { ...detail.data, _source: detail.provider };
+      return acc ? DataAggregationService.mergeComics(acc, comic) : comic;
+    }, null);
+
+    delete merged._source;
+
+    return {
+      ...merged,
+      id: series.id,
+      providers: series.providers,
+      chapter: this.buildChapterList(details),
+      _sources: details.map(detail => detail.provider),
+      skipped
+    };
+  }
+
+  /**
+   * Build unified chapter list from provider details, keyed by chapter number
+   * @param {Array} details - Provider details ({ provider, data }) in preference order
+   * @returns {Array} Chapters (newest first) with the providers that can serve them
+   */
+  buildChapterList(details) {
+    const chapters = new Map();
+
+    details.forEach(({ provider, data }) => {
+      (Array.isArray(data.chapter) ? data.chapter : []).forEach(chapter => {
+        if (!chapter || typeof chapter !== 'object') return;
+
+        const title = chapter.title || '';
+        const hasNumber = chapter.number > 0 || /\d/.test(title);
+        const number = chapter.number > 0 ? chapter.number : normalizeChapter(title).number;
+        const key = hasNumber ? String(number) : `title:${title.toLowerCase().trim()}`;
+
+        if (!chapters.has(key)) {
+          chapters.set(key, {
+            number: hasNumber ? number : null,
+            title,
+            date: chapter.date || '',
+            preferred: provider, // First provider in preference order
+            sources: []
+          });
+        }
+
+        const unified = chapters.get(key);
+        if (!unified.sources.some(source => source.provider === provider)) {
+          unified.sources.push({ provider, href: chapter.href, date: chapter.date || '' });
+        }
+      });
+    });
+
+    return Array.from(chapters.values()).sort((a, b) => (b.number ?? -1) - (a.number ?? -1));
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,468 @@
+/**
+ * Book Export
+ * Exports one chapter or a range of chapters from a series as PDF or fixed-layout
+ * EPUB, one image per page, with cover, table of contents by chapter and metadata
+ * from the normalized comic item. Pages come from chapterDownload.pages as JPEG
+ * variants (readable by e-ink devices) and are written as they arrive; chapters
+ * of a range are read one at a time while writing
+ *
+ *   EXPORT_MAX_CHAPTERS - max chapters per export (default 50)
+ *   EXPORT_LANGUAGE     - EPUB/PDF language (default id)
+ */
+
+const crypto = require('crypto');
+const { once } = require('events');
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const imageProxy = require('./image_proxy');
+const chapterDownload = require('./chapter_download');
+const { readChapter, getComicDetail } = require('./scraper_service');
+const { ValidationError, NotFoundError } = require('../helper/error_handler');
+
+const PAGE_QUALITY = 85;
+
+/**
+ * Escape text for XML/XHTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+class BookExport {
+  constructor(options = {}) {
+    this.maxChapters = options.maxChapters || parseInt(process.env.EXPORT_MAX_CHAPTERS || '50', 10);
+    this.language = options.language || process.env.EXPORT_LANGUAGE || 'id';
+  }
+
+  /**
+   * Get chapter label for table of contents
+   * @param {object} chapter - Book chapter
+   * @returns {string} Label (e.g. "Chapter 12")
+   */
+  getChapterLabel(chapter) {
+    const title = String(chapter.title || '').trim();
+    if (!title || /^\d+(\.\d+)?$/.test(title)) {
+      return chapter.number ? `Chapter ${chapter.number}` : `Chapter ${title}`;
+    }
+    return title;
+  }
+
+  /**
+   * Build book from single chapter download metadata
+   * @param {object} meta - Metadata from chapterDownload.getChapter
+   * @returns {object} Book
+   */
+  fromChapter(meta) {
+    return {
+      id: `${meta.provider || ''}:${meta.url}`,
+      title: chapterDownload.getFileName(meta, 'x').replace(/\.x$/, ''),
+      detail: meta.detail,
+      provider: meta.provider,
+      cover: meta.detail ? meta.detail.thumbnail : null,
+      chapters: [{
+        title: meta.chapter.title,
+        number: meta.number,
+        url: meta.url,
+        pages: meta.pages
+      }]
+    };
+  }
+
+  /**
+   * Build book for chapter range of series
+   * Chapters are picked from the `chapter` list of getComicDetail by number and
+   * ordered oldest first; their pages are read while writing
+   * @param {string} url - Series detail URL
+   * @param {object} options - Options
+   * @param {string} options.provider - Provider ID
+   * @param {string|number} options.from - First chapter number
+   * @param {string|number} options.to - Last chapter number
+   * @param {string|number} options.chapter - Single chapter number (instead of from/to)
+   * @returns {Promise<object>} Book
+   */
+  async getSeriesBook(url, options = {}) {
+    const { provider } = options;
+    const range = chapterDownload.parseRange(options);
+    if (!range) {
+      throw new ValidationError('Chapter range is required: chapter or from/to chapter numbers');
+    }
+    const { from, to } = range;
+
+    const detail = await getComicDetail(url, provider);
+    const chapters = chapterDownload.selectChapters(detail, range)
+      .map(chapter => ({ ...chapter, pages: null }));
+
+    if (chapters.length === 0) {
+      throw new NotFoundError(`No chapters between ${from} and ${to}`);
+    }
+    if (chapters.length > this.maxChapters) {
+      throw new ValidationError(`Export is limited to ${this.maxChapters} chapters (${chapters.length} requested)`);
+    }
+
+    const label = from === to ? `Chapter ${from}` : `Chapters ${from}-${to}`;
+
+    return {
+      id: `${provider || ''}:${url}:${from}-${to}`,
+      title: `${detail.title || url} - ${label}`,
+      detail,
+      provider,
+      cover: detail.thumbnail || null,
+      chapters
+    };
+  }
+
+  /**
+   * Get export file name
+   * @param {object} book - Book
+   * @param {string} extension - File extension
+   * @returns {string} File name
+   */
+  getFileName(book, extension) {
+    return `${book.title.replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, ' ').trim()}.${extension}`;
+  }
+
+  /**
+   * Get page transform (JPEG, optionally downscaled for e-ink screens)
+   * @param {object} options - Options
+   * @param {string|number} options.width - Max page width
+   * @returns {object} Transform for imageProxy.getImage
+   */
+  getTransform(options = {}) {
+    return imageProxy.parseTransform({
+      width: options.width,
+      quality: PAGE_QUALITY,
+      format: 'jpeg'
+    });
+  }
+
+  /**
+   * Iterate book pages chapter by chapter
+   * @param {object} book - Book
+   * @param {object} transform - Page transform
+   * @returns {AsyncGenerator<object>} Pages ({ chapter, chapterIndex, index, body })
+   */
+  async *pages(book, transform) {
+    for (const [chapterIndex, chapter] of book.chapters.entries()) {
+      if (!chapter.pages) {
+        const data = await readChapter(chapter.url, book.provider);
+        if (!data || !Array.isArray(data.panel) || data.panel.length === 0) {
+          throw new NotFoundError(`Chapter ${chapter.number} has no pages`);
+        }
+        chapter.pages = data.panel;
+      }
+
+      for await (const page of chapterDownload.pages(chapter.pages, { transform })) {
+        yield { chapter, chapterIndex, index: page.index, body: page.body };
+      }
+    }
+  }
+
+  /**
+   * Fetch cover image (export continues without cover if it fails)
+   * @param {object} book - Book
+   * @param {object} transform - Page transform
+   * @returns {Promise<Buffer|null>} Cover JPEG
+   */
+  async getCover(book, transform) {
+    if (!book.cover) return null;
+
+    try {
+      const image = await imageProxy.getImage(book.cover, null, transform);
+      return image.body;
+    } catch (error) {
+      console.error(`Cover for export ${book.title} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Track output completion
+   * @param {object} output - Writable stream
+   * @returns {Promise} Resolves on finish, rejects on error or early close
+   */
+  trackOutput(output) {
+    const finished = new Promise((resolve, reject) => {
+      output.on('error', reject);
+      output.on('close', () => {
+        if (!output.writableFinished) reject(new Error('Output closed before export was complete'));
+      });
+      output.on('finish', resolve);
+    });
+    finished.catch(() => {});
+    return finished;
+  }
+
+  /**
+   * Write book in format
+   * @param {string} format - pdf or epub
+   * @param {object} book - Book
+   * @param {object} output - Writable stream (response or file)
+   * @param {object} options - Options
+   * @param {string|number} options.width - Max page width
+   * @returns {Promise<object>} Summary ({ chapters, pages })
+   */
+  write(format, book, output, options = {}) {
+    if (format === 'pdf') return this.writePdf(book, output, options);
+    if (format === 'epub') return this.writeEpub(book, output, options);
+    throw new ValidationError(`Unsupported export format: ${format}`);
+  }
+
+  /**
+   * Write book as PDF (page size follows each image, outline by chapter)
+   * @param {object} book - Book
+   * @param {object} output - Writable stream
+   * @param {object} options - Options
+   * @returns {Promise<object>} Summary ({ chapters, pages })
+   */
+  async writePdf(book, output, options = {}) {
+    const transform = this.getTransform(options);
+    const detail = book.detail || {};
+    const genres = (detail.genre || []).map(genre => genre.title || genre).filter(Boolean);
+
+    const info = { Title: book.title };
+    if (detail.author) info.Author = detail.author;
+    if (detail.description) info.Subject = detail.description;
+    if (genres.length > 0) info.Keywords = genres.join(', ');
+
+    const doc = new PDFDocument({
+      autoFirstPage: false,
+      displayTitle: true,
+      lang: this.language,
+      info
+    });
+
+    const finished = this.trackOutput(output);
+    doc.pipe(output);
+
+    const addPage = (buffer) => {
+      const image = doc.openImage(buffer);
+      doc.addPage({ size: [image.width, image.height], margin: 0 });
+      doc.image(image, 0, 0, { width: image.width, height: image.height });
+    };
+
+    let pages = 0;
+    try {
+      const cover = await this.getCover(book, transform);
+      if (cover) {
+        addPage(cover);
+        doc.outline.addItem('Cover');
+      }
+
+      for await (const page of this.pages(book, transform)) {
+        addPage(page.body);
+        if (page.index === 0) {
+          doc.outline.addItem(this.getChapterLabel(page.chapter));
+        }
+        pages++;
+
+        // PDFKit doesn't wait for slow clients
+        if (output.writableNeedDrain) {
+          await Promise.race([once(output, 'drain'), finished]);
+        }
+      }
+
+      doc.end();
+      await finished;
+    } catch (error) {
+      doc.unpipe(output);
+      output.destroy(error);
+      throw error;
+    }
+
+    return { chapters: book.chapters.length, pages };
+  }
+
+  /**
+   * Write book as fixed-layout EPUB 3
+   * Pages are written as they arrive; navigation and package document last
+   * @param {object} book - Book
+   * @param {object} output - Writable stream
+   * @param {object} options - Options
+   * @returns {Promise<object>} Summary ({ chapters, pages })
+   */
+  async writeEpub(book, output, options = {}) {
+    const transform = this.getTransform(options);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finished = this.trackOutput(output);
+    archive.on('error', error => output.destroy(error));
+
+    const append = (source, name, store = false) => {
+      const written = new Promise(resolve => archive.once('entry', resolve));
+      archive.append(source, { name, store });
+      return Promise.race([written, finished]);
+    };
+
+    const items = []; // Manifest: { id, href, type, properties }
+    const spine = [];
+    const toc = [];
+
+    const addImagePage = async (id, buffer, title) => {
+      const { width, height } = await sharp(buffer).metadata();
+      await append(buffer, `OEBPS/images/${id}.jpg`, true);
+      await append(this.buildPageXhtml(`../images/${id}.jpg`, width, height, title), `OEBPS/pages/${id}.xhtml`);
+      items.push({ id: `${id}-image`, href: `images/${id}.jpg`, type: 'image/jpeg' });
+      items.push({ id, href: `pages/${id}.xhtml`, type: 'application/xhtml+xml' });
+      spine.push(id);
+    };
+
+    archive.pipe(output);
+
+    let pages = 0;
+    try {
+      // mimetype must be the first, uncompressed entry
+      await append('application/epub+zip', 'mimetype', true);
+      await append(this.buildContainerXml(), 'META-INF/container.xml');
+
+      const cover = await this.getCover(book, transform);
+      if (cover) {
+        await addImagePage('cover', cover, book.title);
+        items.find(item => item.id === 'cover-image').properties = 'cover-image';
+      }
+
+      for await (const page of this.pages(book, transform)) {
+        const id = `c${String(page.chapterIndex + 1).padStart(3, '0')}-p${String(page.index + 1).padStart(3, '0')}`;
+        await addImagePage(id, page.body, `${this.getChapterLabel(page.chapter)} - ${page.index + 1}`);
+        if (page.index === 0) {
+          toc.push({ label: this.getChapterLabel(page.chapter), href: `pages/${id}.xhtml` });
+        }
+        pages++;
+      }
+
+      await append(this.buildNavXhtml(book, toc), 'OEBPS/nav.xhtml');
+      items.push({ id: 'nav', href: 'nav.xhtml', type: 'application/xhtml+xml', properties: 'nav' });
+      await append(this.buildPackageOpf(book, items, spine), 'OEBPS/content.opf');
+
+      await archive.finalize();
+      await finished;
+    } catch (error) {
+      archive.abort();
+      output.destroy(error);
+      throw error;
+    }
+
+    return { chapters: book.chapters.length, pages };
+  }
+
+  /**
+   * Build META-INF/container.xml
+   * @returns {string} XML document
+   */
+  buildContainerXml() {
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+      '  <rootfiles>',
+      '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>',
+      '  </rootfiles>',
+      '</container>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Build fixed-layout page document for image
+   * @param {string} src - Image path relative to page
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {string} title - Page title
+   * @returns {string} XHTML document
+   */
+  buildPageXhtml(src, width, height, title) {
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<!DOCTYPE html>',
+      '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+      '<head>',
+      `  <title>${escapeXml(title)}</title>`,
+      `  <meta name="viewport" content="width=${width}, height=${height}"/>`,
+      '  <style>html, body { margin: 0; padding: 0; } img { display: block; width: 100%; height: 100%; }</style>',
+      '</head>',
+      '<body>',
+      `  <img src="${escapeXml(src)}" alt="${escapeXml(title)}"/>`,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Build navigation document (table of contents by chapter)
+   * @param {object} book - Book
+   * @param {Array} toc - Entries ({ label, href })
+   * @returns {string} XHTML document
+   */
+  buildNavXhtml(book, toc) {
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<!DOCTYPE html>',
+      '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">',
+      `<head><title>${escapeXml(book.title)}</title></head>`,
+      '<body>',
+      '  <nav epub:type="toc" id="toc">',
+      `    <h1>${escapeXml(book.title)}</h1>`,
+      '    <ol>',
+      ...toc.map(entry => `      <li><a href="${escapeXml(entry.href)}">${escapeXml(entry.label)}</a></li>`),
+      '    </ol>',
+      '  </nav>',
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Build package document (metadata, manifest, spine)
+   * @param {object} book - Book
+   * @param {Array} items - Manifest items
+   * @param {Array} spine - Page item IDs in reading order
+   * @returns {string} XML document
+   */
+  buildPackageOpf(book, items, spine) {
+    const detail = book.detail || {};
+    const genres = (detail.genre || []).map(genre => genre.title || genre).filter(Boolean);
+    const hash = crypto.createHash('sha1').update(book.id).digest('hex');
+    const uuid = `${hash.slice(0, 8)}-${hash.slice(8, 12)}-${hash.slice(12, 16)}-${hash.slice(16, 20)}-${hash.slice(20, 32)}`;
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    const direction = /^manga$/i.test(detail.type || '') ? 'rtl' : 'ltr';
+
+    const metadata = [
+      `    <dc:identifier id="book-id">urn:uuid:${uuid}</dc:identifier>`,
+      `    <dc:title>${escapeXml(book.title)}</dc:title>`,
+      `    <dc:language>${escapeXml(this.language)}</dc:language>`,
+      detail.author ? `    <dc:creator>${escapeXml(detail.author)}</dc:creator>` : null,
+      detail.description ? `    <dc:description>${escapeXml(detail.description)}</dc:description>` : null,
+      ...genres.map(genre => `    <dc:subject>${escapeXml(genre)}</dc:subject>`),
+      detail.released ? `    <dc:date>${escapeXml(detail.released)}</dc:date>` : null,
+      `    <meta property="dcterms:modified">${modified}</meta>`,
+      '    <meta property="rendition:layout">pre-paginated</meta>',
+      '    <meta property="rendition:spread">none</meta>',
+      items.some(item => item.id === 'cover-image') ? '    <meta name="cover" content="cover-image"/>' : null
+    ].filter(Boolean);
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" prefix="rendition: http://www.idpf.org/vocab/rendition/#">',
+      '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      ...metadata,
+      '  </metadata>',
+      '  <manifest>',
+      ...items.map(item => `    <item id="${item.id}" href="${escapeXml(item.href)}" media-type="${item.type}"${item.properties ? ` properties="${item.properties}"` : ''}/>`),
+      '  </manifest>',
+      `  <spine page-progression-direction="${direction}">`,
+      ...spine.map(id => `    <itemref idref="${id}"/>`),
+      '  </spine>',
+      '</package>',
+      ''
+    ].join('\n');
+  }
+}
+
+// Export singleton instance
+const bookExport = new BookExport();
+
+module.exports = bookExport;
@@ -0,0 +1,383 @@
+/**
+ * Cache Warmer
+ * Warms cache entries by replaying route URLs (or scraper descriptors mapped to
+ * their route) through the real handlers, so entries are stored exactly as a
+ * client request would store them
+ *
+ * Scheduled warming (started from server.js):
+ *   CACHE_WARM_INTERVAL    - interval in ms (default 0, disabled)
+ *   CACHE_WARM_LIST        - comma-separated targets (default `/terbaru?page=1..5,/popular`)
+ *   CACHE_WARM_CONCURRENCY - parallel requests per warm job (default 3, at most 10)
+ *   CACHE_WARM_MAX_TARGETS - URLs a warm job may expand to (default 200)
+ */
+
+const http = require('http');
+const cacheService = require('../helper/cache_service');
+const { ValidationError, NotFoundError } = require('../helper/error_handler');
+
+const DEFAULT_WARM_LIST = ['/terbaru?page=1..5', '/popular'];
+
+/**
+ * Scraper function to route mapping for descriptor targets
+ * Each entry builds path and query from the scraper arguments
+ */
+const FUNCTION_ROUTES = {
+  getLatestComics: ([page]) => ({ path: '/terbaru', query: { page: page || 1 } }),
+  getPopularComics: () => ({ path: '/popular' }),
+  getRecommendedComics: () => ({ path: '/recommended' }),
+  searchComics: ([keyword]) => ({ path: '/search', query: { keyword } }),
+  getComicDetail: ([url]) => ({ path: `/detail/${encodeURIComponent(url)}` }),
+  readChapter: ([url]) => ({ path: `/read/${encodeURIComponent(url)}` }),
+  getComicsByGenre: ([genre, page]) => ({ path: `/genre/${encodeURIComponent(genre)}`, query: { page: page || 1 } }),
+  getGenres: () => ({ path: '/genre' })
+};
+
+/**
+ * Maximum URLs a single range (`page=1..5`) may expand to
+ */
+const MAX_RANGE = 50;
+
+/**
+ * Highest concurrency a warm job may ask for
+ */
+const MAX_CONCURRENCY = 10;
+
+class CacheWarmer {
+  constructor(options = {}) {
+    // Warm jobs, most recent last: id -> job
+    this.jobs = new Map();
+    this.pending = new Map(); // id -> promise of running job
+    this.maxJobs = options.maxJobs || 20;
+    this.nextId = 1;
+
+    this.concurrency = options.concurrency ||
+      parseInt(process.env.CACHE_WARM_CONCURRENCY || '3', 10);
+    this.timeout = options.timeout || 60 * 1000; // Per request
+    this.maxTargets = options.maxTargets ||
+      parseInt(process.env.CACHE_WARM_MAX_TARGETS || '200', 10);
+
+    // Scheduled warming
+    this.schedule = { targets: [], interval: 0, lastJobId: null };
+    this.timer = null;
+  }
+
+  /**
+   * Convert warm target to route URL
+   * @param {string|object} target - Route URL or scraper descriptor ({ provider, function, args })
+   * @returns {string} Route URL
+   */
+  toUrl(target) {
+    if (typeof target === 'string') {
+      if (!target.startsWith('/') || target.startsWith('//')) {
+        throw new ValidationError(`Warm URL must be a route path: ${target}`);
+      }
+      return target;
+    }
+
+    const buildRoute = target && FUNCTION_ROUTES[target.function];
+    if (!buildRoute) {
+      throw new ValidationError(`Unsupported warm target: ${JSON.stringify(target)}`);
+    }
+
+    const { path, query = {} } = buildRoute(Array.isArray(target.args) ? target.args : []);
+    const params = new URLSearchParams();
+
+    Object.entries({ ...query, provider: target.provider }).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.append(key, value);
+      }
+    });
+
+    const queryString = params.toString();
+    return queryString ? `${path}?${queryString}` : path;
+  }
+
+  /**
+   * Expand targets to route URLs
+   * A numeric range (`/terbaru?page=1..5`) expands to one URL per number
+   * @param {Array} targets - Route URLs and/or scraper descriptors
+   * @returns {Array} Unique route URLs (at most maxTargets)
+   */
+  expandTargets(targets) {
+    const urls = [];
+    const tooMany = () => new ValidationError(`Warm job expands to more than ${this.maxTargets} URLs`);
+
+    if (targets.length > this.maxTargets) {
+      throw tooMany();
+    }
+
+    targets.forEach(target => {
+      const url = this.toUrl(target);
+      const range = url.match(/(\d+)\.\.(\d+)/);
+
+      if (!range) {
+        urls.push(url);
+        return;
+      }
+
+      const from = parseInt(range[1], 10);
+      const to = parseInt(range[2], 10);
+      if (to < from || to - from >= MAX_RANGE) {
+        throw new ValidationError(`Invalid warm range ${range[0]} (max ${MAX_RANGE} values)`);
+      }
+
+      for (let value = from; value <= to; value++) {
+        urls.push(url.replace(range[0], String(value)));
+      }
+      if (urls.length > this.maxTargets) {
+        throw tooMany();
+      }
+    });
+
+    const unique = [...new Set(urls)];
+    if (unique.length > this.maxTargets) {
+      throw tooMany();
+    }
+    return unique;
+  }
+
+  /**
+   * Get cache key that the cache middleware uses for URL
+   * @param {string} url - Route URL
+   * @returns {string} Cache key
+   */
+  getCacheKey(url) {
+    const parsed = new URL(url, 'http://localhost');
+    return cacheService.generateKey(url, Object.fromEntries(parsed.searchParams));
+  }
+
+  /**
+   * Start warm job
+   * Requests run through a temporary loopback server with bounded concurrency;
+   * progress is tracked per URL on the job
+   * @param {object} app - Express application with the cached routes
+   * @param {Array} targets - Route URLs and/or scraper descriptors
+   * @param {object} options - Warm options
+   * @param {boolean} options.force - Refresh entries that are still fresh
+   * @param {number} options.concurrency - Parallel requests
+   * @param {string} options.source - Who started the job (api, schedule)
+   * @returns {object} Job
+   */
+  warm(app, targets, options = {}) {
+    const { force = false, source = 'api' } = options;
+    const concurrency = Math.min(Math.max(1, options.concurrency || this.concurrency), MAX_CONCURRENCY);
+    const urls = this.expandTargets(targets);
+
+    const job = {
+      id: String(this.nextId++),
+      source,
+      status: 'running',
+      force,
+      total: urls.length,
+      completed: 0,
+      startedAt: Date.now(),
+      finishedAt: null,
+      results: urls.map(url => ({
+        url,
+        key: this.getCacheKey(url),
+        status: 'pending', // pending, warming, warmed, fresh, failed
+        httpStatus: null,
+        cache: null,
+        duration: null,
+        error: null
+      }))
+    };
+
+    this.jobs.set(job.id, job);
+    this.pruneJobs();
+
+    const promise = this.run(app, job, Math.max(1, concurrency))
+      .catch(error => {
+        job.results
+          .filter(result => result.status === 'pending' || result.status === 'warming')
+          .forEach(result => {
+            result.status = 'failed';
+            result.error = error.message;
+          });
+      })
+      .then(() => {
+        job.status = 'completed';
+        job.finishedAt = Date.now();
+        this.pending.delete(job.id);
+        return job;
+      });
+
+    this.pending.set(job.id, promise);
+    return job;
+  }
+
+  /**
+   * Run job requests against a loopback server
+   * @param {object} app - Express application
+   * @param {object} job - Job
+   * @param {number} concurrency - Parallel requests
+   */
+  async run(app, job, concurrency) {
+    const server = http.createServer(app);
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', resolve);
+    });
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const queue = [...job.results];
+
+    try {
+      const workers = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+        while (queue.length > 0) {
+          await this.warmOne(baseUrl, queue.shift(), job.force);
+          job.completed++;
+        }
+      });
+
+      await Promise.all(workers);
+    } finally {
+      server.close();
+    }
+  }
+
+  /**
+   * Warm single URL
+   * @param {string} baseUrl - Loopback server URL
+   * @param {object} result - Job result entry (updated in place)
+   * @param {boolean} force - Refresh entries that are still fresh
+   */
+  async warmOne(baseUrl, result, force) {
+    const entry = cacheService.getEntryStats(result.key);
+    if (!force && entry && !entry.expired) {
+      result.status = 'fresh';
+      return;
+    }
+
+    const startTime = Date.now();
+    result.status = 'warming';
+
+    try {
+      const response = await fetch(`${baseUrl}${result.url}`, {
+        headers: { 'X-Cache-Warm': cacheService.warmToken },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      await response.arrayBuffer();
+
+      result.httpStatus = response.status;
+      result.cache = response.headers.get('x-cache');
+
+      if (response.status >= 400) {
+        result.status = 'failed';
+        result.error = `HTTP ${response.status}`;
+      } else if (result.cache === 'STALE') {
+        // Handler failed, middleware answered with the stale entry
+        result.status = 'failed';
+        result.error = 'Upstream failed, stale entry kept';
+      } else {
+        result.status = 'warmed';
+      }
+    } catch (error) {
+      result.status = 'failed';
+      result.error = error.message;
+    } finally {
+      result.duration = Date.now() - startTime;
+    }
+  }
+
+  /**
+   * Wait for job to finish
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} Finished job
+   */
+  async wait(jobId) {
+    return this.pending.get(jobId) || this.getJob(jobId);
+  }
+
+  /**
+   * Get job
+   * @param {string} jobId - Job ID
+   * @returns {object} Job
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(String(jobId));
+    if (!job) {
+      throw new NotFoundError(`Warm job '${jobId}' not found`);
+    }
+    return job;
+  }
+
+  /**
+   * List jobs (without per-URL results) and schedule
+   * @returns {object} Jobs, most recent first, and schedule
+   */
+  getStatus() {
+    return {
+      schedule: {
+        ...this.schedule,
+        enabled: Boolean(this.timer)
+      },
+      jobs: Array.from(this.jobs.values())
+        .reverse()
+        .map(({ results, ...job }) => ({
+          ...job,
+          warmed: results.filter(result => result.status === 'warmed').length,
+          failed: results.filter(result => result.status === 'failed').length
+        }))
+    };
+  }
+
+  /**
+   * Drop oldest finished jobs over the limit
+   */
+  pruneJobs() {
+    const finished = Array.from(this.jobs.values()).filter(job => job.status !== 'running');
+
+    while (this.jobs.size > this.maxJobs && finished.length > 0) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+
+  /**
+   * Start scheduled warming
+   * A run is skipped while the previous scheduled job is still running
+   * @param {object} app - Express application
+   * @param {object} options - Schedule options
+   * @param {Array} options.targets - Warm targets (default `/terbaru?page=1..5`, `/popular`)
+   * @param {number} options.interval - Interval in milliseconds
+   */
+  start(app, options = {}) {
+    this.stop();
+
+    const targets = options.targets && options.targets.length > 0 ? options.targets : DEFAULT_WARM_LIST;
+    this.expandTargets(targets); // Validate before scheduling
+    this.schedule = { targets, interval: options.interval, lastJobId: null };
+
+    const run = () => {
+      if (this.schedule.lastJobId && this.pending.has(this.schedule.lastJobId)) {
+        return;
+      }
+
+      const job = this.warm(app, targets, { source: 'schedule' });
+      this.schedule.lastJobId = job.id;
+    };
+
+    run();
+    this.timer = setInterval(run, options.interval);
+
+    // Don't keep the process alive just for warming
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop scheduled warming
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const cacheWarmer = new CacheWarmer();
+
+module.exports = cacheWarmer;
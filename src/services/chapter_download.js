@@ -0,0 +1,358 @@
+/**
+ * Chapter Download
+ * Packages chapters for offline reading. Panels are fetched through the image
+ * proxy (provider Referer, allowed hosts, image cache) with bounded look-ahead and
+ * written to the archive in page order as they arrive, so at most `concurrency`
+ * pages are held at a time
+ *
+ *   DOWNLOAD_CONCURRENCY - panels fetched ahead of the archive writer (default 4)
+ */
+
+const archiver = require('archiver');
+const imageProxy = require('./image_proxy');
+const { readChapter, getComicDetail } = require('./scraper_service');
+const { ValidationError, NotFoundError } = require('../helper/error_handler');
+
+/**
+ * Formats for /download and /export (pdf and epub are written by book_export.js)
+ */
+const DOWNLOAD_FORMATS = {
+  cbz: { extension: 'cbz', contentType: 'application/vnd.comicbook+zip' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  epub: { extension: 'epub', contentType: 'application/epub+zip' }
+};
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif'
+};
+
+/**
+ * Escape text for XML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+class ChapterDownload {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || parseInt(process.env.DOWNLOAD_CONCURRENCY || '4', 10);
+    this.retries = options.retries || 2;
+  }
+
+  /**
+   * Get download format
+   * @param {string} format - Format name (default cbz)
+   * @param {Array} allowed - Format names allowed here (default all)
+   * @returns {object} Format ({ name, extension, contentType })
+   */
+  getFormat(format = 'cbz', allowed = Object.keys(DOWNLOAD_FORMATS)) {
+    const name = String(format).toLowerCase();
+    if (!DOWNLOAD_FORMATS[name] || !allowed.includes(name)) {
+      throw new ValidationError(`format must be one of: ${allowed.join(', ')}`);
+    }
+    return { name, ...DOWNLOAD_FORMATS[name] };
+  }
+
+  /**
+   * Get comic slug embedded in chapter slug (`solo-leveling-chapter-12` -> `solo-leveling`)
+   * @param {string} url - Chapter URL slug
+   * @returns {string|null} Comic slug or null (e.g. Shinigami chapter UUIDs)
+   */
+  getSeriesSlug(url) {
+    const slug = String(url).replace(/^\/+|\/+$/g, '').split('/').pop();
+    const match = slug.match(/^(.+?)-chapter-[\d.-]+$/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get chapter number from title or slug
+   * @param {string} title - Chapter title
+   * @param {string} url - Chapter URL slug
+   * @returns {string|null} Chapter number
+   */
+  getChapterNumber(title, url) {
+    const fromTitle = String(title || '').match(/(?:chapter|ch\.?)\s*(\d+(?:\.\d+)?)/i);
+    if (fromTitle) return fromTitle[1];
+
+    const fromSlug = String(url).match(/chapter-(\d+)(?:[.-](\d+))?\/?$/i);
+    if (fromSlug) return fromSlug[2] ? `${fromSlug[1]}.${fromSlug[2]}` : fromSlug[1];
+
+    return null;
+  }
+
+  /**
+   * Parse chapter range options
+   * @param {object} options - Options
+   * @param {string|number} options.chapter - Single chapter number
+   * @param {string|number} options.from - First chapter number
+   * @param {string|number} options.to - Last chapter number (default from)
+   * @returns {object|null} Range ({ from, to }) or null when none was given
+   */
+  parseRange(options = {}) {
+    const { chapter, from, to } = options;
+    if (chapter === undefined && from === undefined && to === undefined) {
+      return null;
+    }
+
+    const range = chapter !== undefined
+      ? { from: parseFloat(chapter), to: parseFloat(chapter) }
+      : { from: from !== undefined ? parseFloat(from) : 0, to: to !== undefined ? parseFloat(to) : parseFloat(from) };
+
+    if (Number.isNaN(range.from) || Number.isNaN(range.to) || range.to < range.from) {
+      throw new ValidationError('Invalid chapter range: use chapter or from/to chapter numbers');
+    }
+    return range;
+  }
+
+  /**
+   * Pick chapters from the `chapter` list of getComicDetail, oldest first
+   * @param {object} detail - Comic detail
+   * @param {object} range - Range from parseRange (null for all chapters)
+   * @returns {Array} Chapters ({ title, number, url })
+   */
+  selectChapters(detail, range = null) {
+    return (detail && Array.isArray(detail.chapter) ? detail.chapter : [])
+      .map(chapter => ({
+        title: chapter.title,
+        number: typeof chapter.number === 'number'
+          ? String(chapter.number)
+          : this.getChapterNumber(chapter.title, chapter.href),
+        url: chapter.href
+      }))
+      .filter(chapter => chapter.number !== null && chapter.url)
+      .filter(chapter => !range || (parseFloat(chapter.number) >= range.from && parseFloat(chapter.number) <= range.to))
+      .sort((a, b) => parseFloat(a.number) - parseFloat(b.number));
+  }
+
+  /**
+   * Load chapter and series metadata
+   * The series detail comes from `detail`, `series` (detail URL) or the chapter slug;
+   * when it can't be loaded the archive is built from chapter data only
+   * @param {string} url - Chapter URL slug
+   * @param {object} options - Options
+   * @param {string} options.provider - Provider ID
+   * @param {string} options.series - Series detail URL (optional)
+   * @param {object} options.detail - Already loaded series detail (optional)
+   * @returns {Promise<object>} Metadata ({ url, chapter, detail, number, pages })
+   */
+  async getChapter(url, options = {}) {
+    const { provider, series } = options;
+    const seriesUrl = series || this.getSeriesSlug(url);
+
+    const [chapter, detail] = await Promise.all([
+      readChapter(url, provider),
+      options.detail || (seriesUrl
+        ? getComicDetail(seriesUrl, provider).catch(error => {
+          console.error(`Series detail for download of ${url} failed:`, error.message);
+          return null;
+        })
+        : null)
+    ]);
+
+    if (!chapter || !Array.isArray(chapter.panel) || chapter.panel.length === 0) {
+      throw new NotFoundError('Chapter has no pages');
+    }
+
+    return {
+      url,
+      provider,
+      chapter,
+      detail,
+      number: this.getChapterNumber(chapter.title, url),
+      pages: chapter.panel
+    };
+  }
+
+  /**
+   * Build ComicInfo.xml (ComicRack schema) for chapter
+   * @param {object} meta - Metadata from getChapter
+   * @returns {string} XML document
+   */
+  buildComicInfo(meta) {
+    const { chapter, detail, number, pages } = meta;
+    const genres = detail && Array.isArray(detail.genre)
+      ? detail.genre.map(genre => (typeof genre === 'string' ? genre : genre.title)).filter(Boolean)
+      : [];
+
+    const fields = [
+      ['Title', chapter.title],
+      ['Series', detail && detail.title],
+      ['Number', number],
+      ['Summary', detail && detail.description],
+      ['Writer', detail && detail.author],
+      ['Genre', genres.join(', ')],
+      ['PageCount', pages.length],
+      ['Manga', detail && /^manga$/i.test(detail.type || '') ? 'YesAndRightToLeft' : null]
+    ];
+
+    const lines = fields
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, value]) => `  <${name}>${escapeXml(value)}</${name}>`);
+
+    return [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<ComicInfo xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xmlns:xsd="http://www.w3.org/2001/XMLSchema">',
+      ...lines,
+      '</ComicInfo>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Build archive file name ("Series - Chapter 12.cbz")
+   * @param {object} meta - Metadata from getChapter
+   * @param {string} extension - File extension
+   * @returns {string} File name
+   */
+  getFileName(meta, extension) {
+    const series = meta.detail && meta.detail.title;
+    const chapter = meta.number ? `Chapter ${meta.number}` : meta.chapter.title;
+    const name = [series, chapter].filter(Boolean).join(' - ') || meta.url;
+
+    return `${name.replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, ' ').trim()}.${extension}`;
+  }
+
+  /**
+   * Get zero-padded page file name
+   * @param {number} index - Page index
+   * @param {number} total - Page count
+   * @param {string} contentType - Image content type
+   * @param {string} url - Panel URL (extension fallback)
+   * @returns {string} File name (e.g. 007.jpg)
+   */
+  getPageName(index, total, contentType, url) {
+    const digits = Math.max(3, String(total).length);
+    const fromUrl = (String(url).split('?')[0].match(/\.(jpe?g|png|webp|gif|avif)$/i) || [])[1];
+    const extension = IMAGE_EXTENSIONS[contentType] || (fromUrl ? fromUrl.toLowerCase().replace('jpeg', 'jpg') : 'jpg');
+
+    return `${String(index + 1).padStart(digits, '0')}.${extension}`;
+  }
+
+  /**
+   * Fetch panel through the image proxy, retrying network errors
+   * @param {string} url - Panel URL
+   * @param {object} transform - Image variant (optional, see imageProxy.parseTransform)
+   * @returns {Promise<object>} Image from imageProxy.getImage
+   */
+  async fetchPage(url, transform = null) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await imageProxy.getImage(url, null, transform);
+      } catch (error) {
+        if (error.code !== 'NETWORK_ERROR' || attempt >= this.retries) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Iterate chapter pages in order, fetching up to `concurrency` pages ahead
+   * @param {Array} panels - Panel URLs
+   * @param {object} options - Options
+   * @param {number} options.concurrency - Pages fetched ahead
+   * @param {object} options.transform - Image variant for every page (optional)
+   * @returns {AsyncGenerator<object>} Pages ({ index, name, url, body, contentType })
+   */
+  async *pages(panels, options = {}) {
+    const concurrency = Math.max(1, options.concurrency || this.concurrency);
+    const queue = [];
+    let next = 0;
+
+    const start = () => {
+      const index = next++;
+      const url = panels[index];
+      const promise = this.fetchPage(url, options.transform).then(image => ({
+        index,
+        url,
+        name: this.getPageName(index, panels.length, image.contentType, url),
+        body: image.body,
+        contentType: image.contentType
+      }));
+      // Rejections surface when the page is awaited in order
+      promise.catch(() => {});
+      queue.push(promise);
+    };
+
+    while (next < panels.length && queue.length < concurrency) {
+      start();
+    }
+
+    try {
+      while (queue.length > 0) {
+        const page = await queue.shift();
+        if (next < panels.length) {
+          start();
+        }
+        yield page;
+      }
+    } finally {
+      // Stop pages fetched ahead when the consumer gives up
+      queue.forEach(promise => promise.then(page => {
+        if (!Buffer.isBuffer(page.body)) page.body.destroy();
+      }, () => {}));
+    }
+  }
+
+  /**
+   * Write chapter as CBZ (stored zip: pages + ComicInfo.xml) to output stream
+   * @param {object} meta - Metadata from getChapter
+   * @param {object} output - Writable stream (response or file)
+   * @param {object} options - Options
+   * @param {number} options.concurrency - Pages fetched ahead
+   * @returns {Promise<object>} Summary ({ pages, bytes })
+   */
+  async writeCbz(meta, output, options = {}) {
+    // Images are already compressed, store them as-is
+    const archive = archiver('zip', { store: true });
+    const finished = new Promise((resolve, reject) => {
+      archive.on('error', reject);
+      output.on('error', reject);
+      output.on('close', () => {
+        if (!output.writableFinished) reject(new Error('Output closed before archive was complete'));
+      });
+      output.on('finish', resolve);
+    });
+    finished.catch(() => {});
+
+    // Entries are appended one at a time so only pages fetched ahead are pending
+    const append = (source, name) => {
+      const written = new Promise(resolve => archive.once('entry', resolve));
+      archive.append(source, { name });
+      return Promise.race([written, finished]);
+    };
+
+    archive.pipe(output);
+
+    try {
+      await append(this.buildComicInfo(meta), 'ComicInfo.xml');
+
+      for await (const page of this.pages(meta.pages, options)) {
+        await append(page.body, page.name);
+      }
+
+      await archive.finalize();
+      await finished;
+    } catch (error) {
+      archive.abort();
+      output.destroy(error);
+      throw error;
+    }
+
+    return { pages: meta.pages.length, bytes: archive.pointer() };
+  }
+}
+
+// Export singleton instance
+const chapterDownload = new ChapterDownload();
+
+module.exports = chapterDownload;
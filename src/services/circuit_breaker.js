@@ -0,0 +1,284 @@
+/**
+ * Circuit Breaker
+ * Per provider and per feature breaker around scraper calls, so a provider
+ * that keeps failing is skipped instead of retried on every request
+ *
+ * closed    - requests pass, consecutive failures are counted
+ * open      - requests are rejected until the cool-down has passed
+ * half-open - one trial request is let through; success closes, failure re-opens
+ *
+ * Opening a closed circuit sends a `scrape.failure_spike` webhook
+ *
+ * Thresholds can be overridden per provider with `circuitBreaker: { failureThreshold, cooldown }`
+ * in config/providers.js
+ */
+
+const { getProvider } = require('../config/providers');
+const webhooks = require('./webhooks');
+
+/**
+ * Scraper function to feature mapping
+ */
+const FUNCTION_FEATURES = {
+  getLatestComics: 'latest',
+  getPopularComics: 'popular',
+  getRecommendedComics: 'recommended',
+  searchComics: 'search',
+  getComicDetail: 'detail',
+  readChapter: 'read',
+  getComicsByGenre: 'genre',
+  getGenres: 'genreList'
+};
+
+class CircuitBreaker {
+  constructor(options = {}) {
+    // Circuits per provider/feature: key `${providerId}:${feature}`
+    this.circuits = new Map();
+
+    this.failureThreshold = options.failureThreshold ||
+      parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10); // Consecutive failures before opening
+    this.cooldown = options.cooldown ||
+      parseInt(process.env.CIRCUIT_COOLDOWN || '60000', 10); // Time (ms) an open circuit rejects requests
+  }
+
+  /**
+   * Get feature name for scraper function
+   * @param {string} functionName - Scraper function name
+   * @returns {string} Feature name (function name if unmapped)
+   */
+  getFeature(functionName) {
+    return FUNCTION_FEATURES[functionName] || functionName;
+  }
+
+  /**
+   * Get breaker settings for provider
+   * @param {string} providerId - Provider ID
+   * @returns {object} Failure threshold and cool-down
+   */
+  getSettings(providerId) {
+    const overrides = (getProvider(providerId) || {}).circuitBreaker || {};
+    return {
+      failureThreshold: overrides.failureThreshold || this.failureThreshold,
+      cooldown: overrides.cooldown || this.cooldown
+    };
+  }
+
+  /**
+   * Get (or create) circuit for provider/function
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @returns {object} Circuit
+   */
+  getCircuit(providerId, functionName) {
+    const key = `${providerId}:${this.getFeature(functionName)}`;
+
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        trialInFlight: false,
+        lastFailureAt: null,
+        lastError: null,
+        totalFailures: 0,
+        totalRejected: 0
+      });
+    }
+
+    return this.circuits.get(key);
+  }
+
+  /**
+   * Check whether error counts as provider failure
+   * Not-found and validation errors are caused by the request, not by the provider
+   * @param {Error} error - Scraper error
+   * @returns {boolean} True if error should count towards opening the circuit
+   */
+  isFailure(error) {
+    return error.code === 'NETWORK_ERROR' ||
+           error.code === 'PARSE_ERROR' ||
+           (!error.code && (error.message?.includes('Failed to') || error.message?.includes('Error scraping')));
+  }
+
+  /**
+   * Check whether circuit is open (rejecting requests) without changing its state
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @returns {boolean} True if requests would be rejected
+   */
+  isOpen(providerId, functionName) {
+    const circuit = this.getCircuit(providerId, functionName);
+
+    if (circuit.state === 'open') {
+      return Date.now() - circuit.openedAt < this.getSettings(providerId).cooldown;
+    }
+
+    return circuit.state === 'half-open' && circuit.trialInFlight;
+  }
+
+  /**
+   * Acquire permission to call provider
+   * Moves an open circuit to half-open once the cool-down has passed
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @returns {boolean} True if request may proceed
+   */
+  canRequest(providerId, functionName) {
+    const circuit = this.getCircuit(providerId, functionName);
+
+    if (circuit.state === 'open' && !this.isOpen(providerId, functionName)) {
+      circuit.state = 'half-open';
+      circuit.trialInFlight = false;
+    }
+
+    if (circuit.state === 'closed') {
+      return true;
+    }
+
+    if (circuit.state === 'half-open' && !circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      return true;
+    }
+
+    circuit.totalRejected++;
+    return false;
+  }
+
+  /**
+   * Get milliseconds until open circuit allows a trial request
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @returns {number} Remaining cool-down (0 if not open)
+   */
+  getRetryAfter(providerId, functionName) {
+    const circuit = this.getCircuit(providerId, functionName);
+    if (circuit.state !== 'open') return 0;
+
+    return Math.max(0, circuit.openedAt + this.getSettings(providerId).cooldown - Date.now());
+  }
+
+  /**
+   * Record successful call
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   */
+  recordSuccess(providerId, functionName) {
+    const circuit = this.getCircuit(providerId, functionName);
+
+    if (circuit.state !== 'closed') {
+      console.log(`Circuit ${providerId}.${this.getFeature(functionName)} closed`);
+    }
+
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.trialInFlight = false;
+  }
+
+  /**
+   * Record failed call
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @param {Error} error - Scraper error
+   */
+  recordFailure(providerId, functionName, error) {
+    const circuit = this.getCircuit(providerId, functionName);
+
+    if (!this.isFailure(error)) {
+      // Request-level error: provider responded, release a half-open trial as success
+      if (circuit.state === 'half-open') {
+        this.recordSuccess(providerId, functionName);
+      }
+      return;
+    }
+
+    circuit.failures++;
+    circuit.totalFailures++;
+    circuit.lastFailureAt = Date.now();
+    circuit.lastError = error.message;
+
+    const { failureThreshold } = this.getSettings(providerId);
+
+    if (circuit.state === 'half-open' || circuit.failures >= failureThreshold) {
+      if (circuit.state !== 'open') {
+        console.warn(`Circuit ${providerId}.${this.getFeature(functionName)} opened after ${circuit.failures} failures: ${error.message}`);
+      }
+      // Failed half-open trials re-open the circuit every cool-down; only the first opening is a spike
+      if (circuit.state === 'closed') {
+        webhooks.dispatch('scrape.failure_spike', {
+          provider: providerId,
+          feature: this.getFeature(functionName),
+          failures: circuit.failures,
+          error: error.message,
+          cooldown: this.getSettings(providerId).cooldown,
+          openedAt: Date.now()
+        });
+      }
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+      circuit.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Get circuit state for provider/function
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @returns {object} Circuit state
+   */
+  getState(providerId, functionName) {
+    const circuit = this.getCircuit(providerId, functionName);
+    const state = circuit.state === 'open' && !this.isOpen(providerId, functionName)
+      ? 'half-open' // Cool-down passed, next request is the trial
+      : circuit.state;
+
+    return {
+      state,
+      failures: circuit.failures,
+      openedAt: circuit.openedAt,
+      retryAfter: this.getRetryAfter(providerId, functionName),
+      lastFailureAt: circuit.lastFailureAt,
+      lastError: circuit.lastError,
+      totalFailures: circuit.totalFailures,
+      totalRejected: circuit.totalRejected
+    };
+  }
+
+  /**
+   * Get circuit states for every feature of provider
+   * @param {string} providerId - Provider ID
+   * @returns {object} Breaker settings and state per feature
+   */
+  getProviderStates(providerId) {
+    const features = {};
+
+    Object.keys(FUNCTION_FEATURES).forEach(functionName => {
+      features[this.getFeature(functionName)] = this.getState(providerId, functionName);
+    });
+
+    return {
+      ...this.getSettings(providerId),
+      features
+    };
+  }
+
+  /**
+   * Reset circuits
+   * @param {string} providerId - Provider ID (optional, resets all when omitted)
+   */
+  reset(providerId = null) {
+    if (!providerId) {
+      this.circuits.clear();
+      return;
+    }
+
+    Array.from(this.circuits.keys())
+      .filter(key => key.startsWith(`${providerId}:`))
+      .forEach(key => this.circuits.delete(key));
+  }
+}
+
+// Export singleton instance
+const circuitBreaker = new CircuitBreaker();
+
+module.exports = circuitBreaker;
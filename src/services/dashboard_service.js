@@ -5,7 +5,10 @@
 
 const { performanceMonitor } = require('../middleware/performance');
 const cacheService = require('../helper/cache_service');
-const { listProviders } = require('./provider_manager');
+const singleFlight = require('./single_flight');
+const { listProviders, getProviderInfo } = require('./provider_manager');
+const extractionHealth = require('./extraction_health');
+const healthChecker = require('./health_checker');
 
 /**
  * Dashboard Service
@@ -20,22 +23,74 @@ class DashboardService {
     const cacheStats = cacheService.getStats();
     const providers = listProviders();
     
-    // Calculate provider health (simplified - can be enhanced)
-    const providerHealth = providers.map(provider => ({
-      id: provider.id,
-      name: provider.name,
-      enabled: provider.enabled,
-      health: 'healthy' // Can be enhanced with actual health checks
-    }));
+    // Provider health from background probes (see health_checker.js)
+    const providerHealth = providers.map(provider => {
+      const health = healthChecker.getHealth(provider.id, { historyLimit: 0 });
+      return {
+        id: provider.id,
+        name: provider.name,
+        enabled: provider.enabled,
+        health: health.status,
+        latency: health.latency,
+        uptime: health.uptime,
+        lastCheckedAt: health.lastCheckedAt
+      };
+    });
     
     return {
       performance: perfStats,
       cache: cacheStats,
+      coalescing: singleFlight.getStats(),
       providers: providerHealth,
       endpoints: perfStats.endpoints || {}
     };
   }
   
+  /**
+   * Get probe health for all providers
+   * @returns {Array} Provider info with health details and recent probe history
+   */
+  getProvidersHealth() {
+    return listProviders().map(provider => ({
+      ...provider,
+      health: healthChecker.getHealth(provider.id)
+    }));
+  }
+
+  /**
+   * Get probe health for provider
+   * @param {string} providerId - Provider ID
+   * @returns {object|null} Health details or null if provider not found
+   */
+  getProviderHealth(providerId) {
+    const provider = getProviderInfo(providerId);
+    if (!provider) {
+      return null;
+    }
+
+    return {
+      name: provider.name,
+      ...healthChecker.getHealth(provider.id, { historyLimit: 100 })
+    };
+  }
+
+  /**
+   * Get extraction health (per-field fill rates and drift) for provider
+   * @param {string} providerId - Provider ID
+   * @returns {object|null} Extraction health report or null if provider not found
+   */
+  getExtractionHealth(providerId) {
+    const provider = getProviderInfo(providerId);
+    if (!provider) {
+      return null;
+    }
+
+    return {
+      name: provider.name,
+      ...extractionHealth.getReport(provider.id)
+    };
+  }
+  
   /**
    * Get analytics data with time-series
    * @param {object} options - Query options
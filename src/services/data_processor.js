@@ -4,6 +4,7 @@
  */
 
 const { normalizeComicItem, normalizeChapterItem } = require('../helper/data_validator');
+const seriesMatcher = require('./series_matcher');
 
 /**
  * Data Processing Pipeline
@@ -351,6 +352,8 @@ class DataAggregationService {
         if (comic && typeof comic === 'object') {
           aggregated.push({
             ...comic,
+            // Canonical series ID links the same series across providers (see series_matcher.js)
+            series_id: comic.series_id || seriesMatcher.resolve(comic, provider) || undefined,
             _source: provider,
             _priority: priorityOrder.indexOf(provider) !== -1 
               ? priorityOrder.indexOf(provider) 
@@ -386,11 +389,16 @@ class DataAggregationService {
    */
   static deduplicateComics(comics, strategy = 'priority') {
     const map = new Map();
+    const sources = new Map();
 
     comics.forEach(comic => {
       const key = this.getComicKey(comic);
       const existing = map.get(key);
 
+      if (comic._source) {
+        sources.set(key, [...new Set([...(sources.get(key) || []), comic._source])]);
+      }
+
       if (!existing) {
         map.set(key, comic);
       } else {
@@ -406,7 +414,10 @@ class DataAggregationService {
       }
     });
 
-    return Array.from(map.values());
+    // Track every provider that had the comic, whichever entry was kept
+    return Array.from(map.entries()).map(([key, comic]) => (
+      sources.has(key) ? { ...comic, _sources: sources.get(key) } : comic
+    ));
   }
 
   /**
@@ -419,6 +430,11 @@ class DataAggregationService {
       return '';
     }
     
+    // Same series across providers shares the canonical series ID
+    if (comic.series_id) {
+      return comic.series_id;
+    }
+    
     // Try to create key from title (normalized)
     const title = (comic.title || '').toLowerCase().trim();
     const href = (comic.href || '').toLowerCase().trim();
@@ -0,0 +1,435 @@
+/**
+ * Download Jobs
+ * Background download of a series chapter range into a local library, one
+ * archive per chapter (`<library>/<provider>/<series>/<Series - Chapter N>.cbz`).
+ * A worker pool shared by all jobs reads chapters in order; job state is saved
+ * after every change so queued and interrupted jobs resume on restart, and
+ * chapters whose archive is already in the library are skipped
+ *
+ *   DOWNLOAD_LIBRARY_DIR - library directory (default <os tmpdir>/api-manga-library)
+ *   DOWNLOAD_JOBS_FILE   - job state file (default <library>/jobs.json)
+ *   DOWNLOAD_JOB_WORKERS - chapters downloaded at once (default 2)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chapterDownload = require('./chapter_download');
+const bookExport = require('./book_export');
+const { getComicDetail } = require('./scraper_service');
+const { resolveProvider } = require('./provider_manager');
+const { ValidationError, NotFoundError, AppError } = require('../helper/error_handler');
+
+const DEFAULT_DIR = path.join(os.tmpdir(), 'api-manga-library');
+
+/**
+ * Job statuses that still have chapters to download
+ */
+const ACTIVE_STATUSES = new Set(['queued', 'running']);
+
+/**
+ * Make name safe for use as directory name
+ * @param {string} name - Name
+ * @returns {string} Directory name
+ */
+const toDirName = (name) => String(name)
+  .replace(/[\\/:*?"<>|]+/g, '')
+  .replace(/\s+/g, ' ')
+  .replace(/^[.\s]+|[.\s]+$/g, '') || 'untitled';
+
+class DownloadJobs {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || process.env.DOWNLOAD_LIBRARY_DIR || DEFAULT_DIR);
+    this.file = options.file || process.env.DOWNLOAD_JOBS_FILE || path.join(this.dir, 'jobs.json');
+    this.workers = options.workers || parseInt(process.env.DOWNLOAD_JOB_WORKERS || '2', 10);
+    this.maxJobs = options.maxJobs || 50; // Finished jobs kept in state
+
+    // Jobs, oldest first: id -> job
+    this.jobs = new Map();
+    this.nextId = 1;
+    // Chapters being written: `${jobId}:${index}` -> output stream
+    this.running = new Map();
+    // Callers waiting for jobs to finish: id -> [resolve]
+    this.waiting = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Load saved jobs and start downloading queued and interrupted ones
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.load();
+    this.pump();
+  }
+
+  /**
+   * Load job state from DOWNLOAD_JOBS_FILE
+   * Chapters that were being written when the process stopped go back to pending
+   */
+  load() {
+    if (!fs.existsSync(this.file)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.nextId = saved.nextId || 1;
+
+      (saved.jobs || []).forEach(job => {
+        if (job.status === 'running') job.status = 'queued';
+        job.chapters
+          .filter(chapter => chapter.status === 'downloading')
+          .forEach(chapter => {
+            chapter.status = 'pending';
+          });
+        this.jobs.set(job.id, job);
+      });
+    } catch (error) {
+      console.error('Failed to load download jobs:', error.message);
+    }
+  }
+
+  /**
+   * Save job state (written to a temp file first so a crash never leaves it half-written)
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmpFile = `${this.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({
+        nextId: this.nextId,
+        jobs: Array.from(this.jobs.values())
+      }));
+      fs.renameSync(tmpFile, this.file);
+    } catch (error) {
+      console.error('Failed to save download jobs:', error.message);
+    }
+  }
+
+  /**
+   * Queue download of series chapter range
+   * @param {object} options - Options
+   * @param {string} options.url - Series detail URL
+   * @param {string} options.provider - Provider ID
+   * @param {string} options.format - Archive format (cbz, pdf, epub; default cbz)
+   * @param {string|number} options.chapter - Single chapter number
+   * @param {string|number} options.from - First chapter number
+   * @param {string|number} options.to - Last chapter number (all chapters when no range is given)
+   * @param {string|number} options.width - Max page width (pdf, epub)
+   * @returns {Promise<object>} Job
+   */
+  async create(options = {}) {
+    const { url, format = 'cbz', width } = options;
+    if (!url || typeof url !== 'string') {
+      throw new ValidationError('Series url is required');
+    }
+
+    const download = chapterDownload.getFormat(format);
+    if (download.name !== 'cbz') {
+      bookExport.getTransform({ width });
+    }
+    const range = chapterDownload.parseRange(options);
+    const provider = resolveProvider(options.provider);
+
+    const detail = await getComicDetail(url, provider);
+    const chapters = chapterDownload.selectChapters(detail, range);
+    if (chapters.length === 0) {
+      throw new NotFoundError(range ? `No chapters between ${range.from} and ${range.to}` : 'Series has no chapters');
+    }
+
+    // Chapter list is only needed for selection, the rest goes into ComicInfo/EPUB metadata
+    const seriesDetail = { ...detail };
+    delete seriesDetail.chapter;
+    const seriesDir = path.join(toDirName(provider), toDirName(detail.title || url));
+
+    const job = {
+      id: String(this.nextId++),
+      status: 'queued', // queued, running, completed, failed, cancelled
+      provider,
+      series: url,
+      title: detail.title || url,
+      format: download.name,
+      width: width !== undefined ? width : null,
+      range,
+      directory: seriesDir,
+      detail: seriesDetail,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      chapters: chapters.map(chapter => ({
+        number: chapter.number,
+        title: chapter.title,
+        url: chapter.url,
+        file: path.join(seriesDir, chapterDownload.getFileName({
+          detail,
+          number: chapter.number,
+          chapter,
+          url: chapter.url
+        }, download.extension)),
+        status: 'pending', // pending, downloading, done, failed, cancelled
+        skipped: false,
+        pages: null,
+        bytes: null,
+        error: null
+      }))
+    };
+
+    this.jobs.set(job.id, job);
+    this.pruneJobs();
+    this.save();
+    this.pump();
+
+    return this.toJSON(job);
+  }
+
+  /**
+   * Start chapters on free workers, oldest job first
+   */
+  pump() {
+    while (this.running.size < this.workers) {
+      const next = this.nextChapter();
+      if (!next) break;
+
+      const { job, index } = next;
+      const chapter = job.chapters[index];
+      const key = `${job.id}:${index}`;
+
+      chapter.status = 'downloading';
+      if (job.status === 'queued') {
+        job.status = 'running';
+        job.startedAt = job.startedAt || Date.now();
+      }
+      this.running.set(key, null);
+      this.save();
+
+      this.processChapter(job, chapter, key)
+        .then(() => {
+          chapter.status = 'done';
+          chapter.error = null;
+        }, error => {
+          if (chapter.status === 'cancelled') return;
+          chapter.status = 'failed';
+          chapter.error = error.message;
+          console.error(`Download job ${job.id} chapter ${chapter.number} failed:`, error.message);
+        })
+        .then(() => {
+          this.running.delete(key);
+          this.finishJob(job);
+          this.save();
+          this.pump();
+        });
+    }
+  }
+
+  /**
+   * Find next pending chapter
+   * @returns {object|null} Job and chapter index
+   */
+  nextChapter() {
+    for (const job of this.jobs.values()) {
+      if (!ACTIVE_STATUSES.has(job.status)) continue;
+
+      const index = job.chapters.findIndex(chapter => chapter.status === 'pending');
+      if (index !== -1) return { job, index };
+    }
+    return null;
+  }
+
+  /**
+   * Download chapter into library (written to `.part` and renamed when complete)
+   * @param {object} job - Job
+   * @param {object} chapter - Job chapter (updated in place)
+   * @param {string} key - Running chapter key
+   */
+  async processChapter(job, chapter, key) {
+    const file = path.join(this.dir, chapter.file);
+    if (fs.existsSync(file)) {
+      chapter.skipped = true;
+      chapter.bytes = fs.statSync(file).size;
+      return;
+    }
+
+    const meta = await chapterDownload.getChapter(chapter.url, {
+      provider: job.provider,
+      detail: job.detail
+    });
+    meta.number = chapter.number;
+
+    if (chapter.status === 'cancelled') {
+      throw new AppError('Download cancelled', 499, 'CANCELLED');
+    }
+
+    const partFile = `${file}.part`;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const output = fs.createWriteStream(partFile);
+    this.running.set(key, output);
+
+    try {
+      if (job.format === 'cbz') {
+        await chapterDownload.writeCbz(meta, output);
+      } else {
+        await bookExport.write(job.format, bookExport.fromChapter(meta), output, {
+          width: job.width !== null ? job.width : undefined
+        });
+      }
+      if (!output.closed) {
+        await new Promise(resolve => output.once('close', resolve));
+      }
+      fs.renameSync(partFile, file);
+    } catch (error) {
+      output.destroy();
+      fs.rmSync(partFile, { force: true });
+      throw error;
+    }
+
+    chapter.pages = meta.pages.length;
+    chapter.bytes = fs.statSync(file).size;
+  }
+
+  /**
+   * Mark job finished once no chapter is pending or being written
+   * (cancelled jobs are already finished, only their waiting callers are resolved)
+   * @param {object} job - Job
+   */
+  finishJob(job) {
+    if (ACTIVE_STATUSES.has(job.status)) {
+      if (job.chapters.some(chapter => chapter.status === 'pending' || chapter.status === 'downloading')) return;
+
+      job.status = job.chapters.some(chapter => chapter.status === 'failed') ? 'failed' : 'completed';
+      job.finishedAt = Date.now();
+    }
+    this.resolveWaiting(job);
+  }
+
+  /**
+   * Cancel job: pending chapters are dropped and chapters being written are aborted
+   * Chapters already in the library are kept
+   * @param {string} jobId - Job ID
+   * @returns {object} Job
+   */
+  cancel(jobId) {
+    const job = this.getJob(jobId);
+    if (!ACTIVE_STATUSES.has(job.status)) {
+      throw new AppError(`Download job '${jobId}' is already ${job.status}`, 409, 'JOB_FINISHED');
+    }
+
+    job.chapters.forEach((chapter, index) => {
+      if (chapter.status !== 'pending' && chapter.status !== 'downloading') return;
+
+      chapter.status = 'cancelled';
+      const output = this.running.get(`${job.id}:${index}`);
+      if (output) {
+        output.destroy(new AppError('Download cancelled', 499, 'CANCELLED'));
+      }
+    });
+
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+    this.save();
+    this.resolveWaiting(job);
+
+    return this.toJSON(job);
+  }
+
+  /**
+   * Wait for job to finish
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} Finished job
+   */
+  wait(jobId) {
+    const job = this.getJob(jobId);
+    const idle = !job.chapters.some((chapter, index) => this.running.has(`${job.id}:${index}`));
+    if (!ACTIVE_STATUSES.has(job.status) && idle) {
+      return Promise.resolve(this.toJSON(job));
+    }
+
+    return new Promise(resolve => {
+      this.waiting.set(job.id, [...(this.waiting.get(job.id) || []), resolve]);
+    });
+  }
+
+  /**
+   * Resolve wait() callers once no chapter of the job is being written
+   * @param {object} job - Job
+   */
+  resolveWaiting(job) {
+    const callers = this.waiting.get(job.id);
+    if (!callers) return;
+    if (job.chapters.some((chapter, index) => this.running.has(`${job.id}:${index}`))) {
+      // Cancelled chapters are still closing; checked again when each one settles
+      return;
+    }
+
+    this.waiting.delete(job.id);
+    callers.forEach(resolve => resolve(this.toJSON(job)));
+  }
+
+  /**
+   * Get job with per-chapter status
+   * @param {string} jobId - Job ID
+   * @returns {object} Job
+   */
+  getJob(jobId) {
+    const job = this.jobs.get(String(jobId));
+    if (!job) {
+      throw new NotFoundError(`Download job '${jobId}' not found`);
+    }
+    return job;
+  }
+
+  /**
+   * Serialize job with progress
+   * @param {object} job - Job
+   * @returns {object} Job with progress and library paths
+   */
+  toJSON(job) {
+    const { detail, ...fields } = job;
+    const count = (status) => job.chapters.filter(chapter => chapter.status === status).length;
+    const settled = job.chapters.filter(chapter => chapter.status !== 'pending' && chapter.status !== 'downloading').length;
+
+    return {
+      ...fields,
+      progress: {
+        total: job.chapters.length,
+        done: count('done'),
+        skipped: job.chapters.filter(chapter => chapter.skipped).length,
+        failed: count('failed'),
+        cancelled: count('cancelled'),
+        percent: job.chapters.length > 0 ? Math.round((settled / job.chapters.length) * 100) : 100
+      },
+      chapters: job.chapters.map(chapter => ({
+        ...chapter,
+        path: path.join(this.dir, chapter.file)
+      }))
+    };
+  }
+
+  /**
+   * List jobs (without chapters), most recent first
+   * @returns {Array} Jobs
+   */
+  list() {
+    return Array.from(this.jobs.values())
+      .reverse()
+      .map(job => {
+        const { chapters, ...summary } = this.toJSON(job);
+        return summary;
+      });
+  }
+
+  /**
+   * Drop oldest finished jobs over the limit (their files stay in the library)
+   */
+  pruneJobs() {
+    const finished = Array.from(this.jobs.values()).filter(job => !ACTIVE_STATUSES.has(job.status));
+
+    while (this.jobs.size > this.maxJobs && finished.length > 0) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+}
+
+// Export singleton instance
+const downloadJobs = new DownloadJobs();
+
+module.exports = downloadJobs;
@@ -0,0 +1,272 @@
+/**
+ * Extraction Health Monitor
+ * Tracks per-field fill rates of every scrape to detect selector drift
+ * (e.g. a markup change that silently empties `rating` or `type`)
+ *
+ * Drift is only flagged after several consecutive low scrapes, so one odd page
+ * or a legitimately empty search result doesn't raise an alarm. Empty results
+ * are left out of field fill rates entirely
+ */
+
+/**
+ * Fields checked per scraper function
+ */
+const LIST_FIELDS = ['title', 'href', 'thumbnail', 'type', 'chapter', 'rating'];
+
+const FIELD_SETS = {
+  getLatestComics: LIST_FIELDS,
+  getComicsByGenre: LIST_FIELDS,
+  searchComics: LIST_FIELDS,
+  getPopularComics: ['title', 'href', 'thumbnail'],
+  getRecommendedComics: LIST_FIELDS,
+  getGenres: ['title', 'href'],
+  getComicDetail: ['title', 'thumbnail', 'description', 'rating', 'status', 'type', 'author', 'genre', 'chapter'],
+  readChapter: ['title', 'panel']
+};
+
+class ExtractionHealthMonitor {
+  constructor(options = {}) {
+    // Samples per provider/function: key `${providerId}:${functionName}`
+    this.samples = new Map();
+
+    this.maxSamples = options.maxSamples || 50; // Scrapes kept per provider/function
+    this.baselineSize = options.baselineSize || 20; // Previous scrapes forming the baseline
+    this.minBaselineSamples = options.minBaselineSamples || 3; // Needed before flagging drift
+    this.dropThreshold = options.dropThreshold || 0.3; // Absolute fill rate drop flagged as drift
+    this.confirmSamples = options.confirmSamples || 3; // Consecutive low scrapes needed to flag drift
+  }
+
+  /**
+   * Check whether a field value counts as filled
+   * @param {*} value - Field value
+   * @returns {boolean} True if filled
+   */
+  isFilled(value) {
+    if (value === null || value === undefined) return false;
+    if (typeof value === 'string') return value.trim().length > 0;
+    if (typeof value === 'number') return value > 0;
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+  }
+
+  /**
+   * Extract items from scraper result
+   * @param {*} result - Scraper result
+   * @returns {Array} Items to measure
+   */
+  getItems(result) {
+    if (Array.isArray(result)) return result;
+    if (result && Array.isArray(result.data)) return result.data;
+    if (result && typeof result === 'object') return [result];
+    return [];
+  }
+
+  /**
+   * Compute per-field fill rates
+   * @param {Array} items - Scraped items
+   * @param {Array} fields - Fields to check
+   * @returns {object} Fill rate (0-1) per field
+   */
+  computeFillRates(items, fields) {
+    const fillRates = {};
+
+    fields.forEach(field => {
+      const filled = items.filter(item => item && this.isFilled(item[field])).length;
+      fillRates[field] = items.length > 0 ? Math.round((filled / items.length) * 1000) / 1000 : 0;
+    });
+
+    return fillRates;
+  }
+
+  /**
+   * Record scrape result
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @param {*} result - Scraper result
+   * @returns {object|null} Recorded sample or null if function is not tracked
+   */
+  record(providerId, functionName, result) {
+    const fields = FIELD_SETS[functionName];
+    if (!fields) return null;
+
+    const items = this.getItems(result);
+    const sample = {
+      timestamp: Date.now(),
+      itemCount: items.length,
+      fillRates: this.computeFillRates(items, fields)
+    };
+
+    const key = `${providerId}:${functionName}`;
+    if (!this.samples.has(key)) {
+      this.samples.set(key, []);
+    }
+
+    const samples = this.samples.get(key);
+    samples.push(sample);
+
+    if (samples.length > this.maxSamples) {
+      samples.shift();
+    }
+
+    const drifts = this.detectDrift(samples, fields);
+    if (drifts.length > 0) {
+      console.warn(`Selector drift detected for ${providerId}.${functionName}:`,
+        drifts.map(d => `${d.field} ${d.baseline} -> ${d.current}`).join(', '));
+    }
+
+    return sample;
+  }
+
+  /**
+   * Split samples into the recent scrapes being judged and the non-empty scrapes before them
+   * @param {Array} samples - Samples (oldest first)
+   * @returns {object} { emptyRun, recent, previous }: trailing empty scrapes, last
+   *                   confirmSamples non-empty scrapes and the non-empty scrapes before them
+   */
+  splitSamples(samples) {
+    let emptyRun = 0;
+    while (emptyRun < samples.length && samples[samples.length - 1 - emptyRun].itemCount === 0) {
+      emptyRun++;
+    }
+
+    const nonEmpty = samples.filter(sample => sample.itemCount > 0);
+    // While the list is empty the last non-empty scrapes are the baseline
+    const judged = emptyRun > 0 ? 0 : this.confirmSamples;
+
+    return {
+      emptyRun,
+      recent: nonEmpty.slice(nonEmpty.length - judged),
+      previous: nonEmpty.slice(0, nonEmpty.length - judged)
+    };
+  }
+
+  /**
+   * Compute rolling baseline from the non-empty samples preceding the ones being judged
+   * @param {Array} samples - Samples (oldest first)
+   * @param {Array} fields - Fields to average
+   * @returns {object|null} Baseline fill rates and item count, or null if not enough samples
+   */
+  computeBaseline(samples, fields) {
+    const previous = this.splitSamples(samples).previous.slice(-this.baselineSize);
+    if (previous.length < this.minBaselineSamples) {
+      return null;
+    }
+
+    const fillRates = {};
+    fields.forEach(field => {
+      const total = previous.reduce((sum, sample) => sum + (sample.fillRates[field] || 0), 0);
+      fillRates[field] = Math.round((total / previous.length) * 1000) / 1000;
+    });
+
+    const itemCount = previous.reduce((sum, sample) => sum + sample.itemCount, 0) / previous.length;
+
+    return {
+      samples: previous.length,
+      itemCount: Math.round(itemCount * 10) / 10,
+      fillRates
+    };
+  }
+
+  /**
+   * Detect fields whose fill rate stayed below the baseline for confirmSamples scrapes
+   * @param {Array} samples - Samples (oldest first)
+   * @param {Array} fields - Fields to check
+   * @returns {Array} Drifted fields
+   */
+  detectDrift(samples, fields) {
+    const baseline = this.computeBaseline(samples, fields);
+    if (!baseline) {
+      return [];
+    }
+
+    const { emptyRun, recent } = this.splitSamples(samples);
+
+    // Whole item list vanished (container or item selector broke), not just one empty result
+    if (emptyRun > 0) {
+      return emptyRun >= this.confirmSamples
+        ? [{ field: '*', current: 0, baseline: baseline.itemCount, drop: baseline.itemCount }]
+        : [];
+    }
+    if (recent.length < this.confirmSamples) {
+      return [];
+    }
+
+    const drifts = [];
+    const latest = recent[recent.length - 1];
+
+    fields.forEach(field => {
+      const expected = baseline.fillRates[field] || 0;
+      const dropped = recent.every(sample => expected - (sample.fillRates[field] || 0) >= this.dropThreshold);
+
+      if (dropped) {
+        const current = latest.fillRates[field] || 0;
+        drifts.push({ field, current, baseline: expected, drop: Math.round((expected - current) * 1000) / 1000 });
+      }
+    });
+
+    return drifts;
+  }
+
+  /**
+   * Get extraction health report for provider
+   * @param {string} providerId - Provider ID
+   * @returns {object} Health report per scraper function
+   */
+  getReport(providerId) {
+    const functions = {};
+    let driftCount = 0;
+
+    Object.keys(FIELD_SETS).forEach(functionName => {
+      const samples = this.samples.get(`${providerId}:${functionName}`) || [];
+      const fields = FIELD_SETS[functionName];
+
+      if (samples.length === 0) {
+        functions[functionName] = { status: 'no-data', samples: 0 };
+        return;
+      }
+
+      const latest = samples[samples.length - 1];
+      const drifts = this.detectDrift(samples, fields);
+      driftCount += drifts.length;
+
+      functions[functionName] = {
+        status: drifts.length > 0 ? 'drift' : 'ok',
+        samples: samples.length,
+        lastScrapedAt: latest.timestamp,
+        itemCount: latest.itemCount,
+        fillRates: latest.fillRates,
+        baseline: this.computeBaseline(samples, fields),
+        drifts
+      };
+    });
+
+    const tracked = Object.values(functions).filter(f => f.status !== 'no-data').length;
+
+    return {
+      provider: providerId,
+      status: tracked === 0 ? 'no-data' : (driftCount > 0 ? 'drift' : 'ok'),
+      driftCount,
+      functions
+    };
+  }
+
+  /**
+   * Reset recorded samples
+   * @param {string} providerId - Provider ID (optional, resets all when omitted)
+   */
+  reset(providerId = null) {
+    if (!providerId) {
+      this.samples.clear();
+      return;
+    }
+
+    Array.from(this.samples.keys())
+      .filter(key => key.startsWith(`${providerId}:`))
+      .forEach(key => this.samples.delete(key));
+  }
+}
+
+// Export singleton instance
+const extractionHealth = new ExtractionHealthMonitor();
+
+module.exports = extractionHealth;
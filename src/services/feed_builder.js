@@ -0,0 +1,444 @@
+/**
+ * Feed Builder
+ * Builds feeds of latest updates, genre listings and the chapters of one series
+ * and renders them as RSS 2.0 or Atom. Feeds are plain objects, so routes cache
+ * them like any other JSON response (see middleware/feed_response)
+ *
+ * Items get GUIDs from provider, series slug and chapter (`urn:api-manga:...`), so
+ * they stay the same across pages, refreshes and feed formats
+ *
+ *   FEED_MAX_ITEMS - items per feed (default 50)
+ */
+
+const { getProvider } = require('../config/providers');
+const { resolveProvider } = require('./provider_manager');
+const seriesMatcher = require('./series_matcher');
+const chapterDownload = require('./chapter_download');
+const { ValidationError } = require('../helper/error_handler');
+
+const FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8'
+};
+
+const UNIT_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+// English and Indonesian relative date units ("2 hours ago", "2 jam yang lalu")
+const UNITS = {
+  sec: 'second', second: 'second', detik: 'second',
+  min: 'minute', mins: 'minute', minute: 'minute', menit: 'minute',
+  hr: 'hour', hour: 'hour', jam: 'hour',
+  day: 'day', hari: 'day',
+  week: 'week', minggu: 'week',
+  month: 'month', bulan: 'month',
+  year: 'year', tahun: 'year'
+};
+
+// Indonesian month names, translated so Date.parse understands them
+const MONTHS = {
+  januari: 'Jan', februari: 'Feb', maret: 'Mar', april: 'Apr', mei: 'May', juni: 'Jun',
+  juli: 'Jul', agustus: 'Aug', september: 'Sep', oktober: 'Oct', november: 'Nov', desember: 'Dec',
+  agu: 'Aug', agt: 'Aug', okt: 'Oct', des: 'Dec'
+};
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+/**
+ * Escape text for XML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+class FeedBuilder {
+  constructor(options = {}) {
+    this.maxItems = options.maxItems || parseInt(process.env.FEED_MAX_ITEMS || '50', 10);
+
+    // Listings carry no dates: first time each GUID was seen stands in for pubDate
+    this.firstSeen = new Map();
+    this.maxSeen = options.maxSeen || 5000;
+  }
+
+  /**
+   * Get feed format from request query
+   * @param {string} format - `rss` (default) or `atom`
+   * @returns {string} Format
+   */
+  getFormat(format) {
+    const value = format ? String(format).toLowerCase() : 'rss';
+    if (!FORMATS[value]) {
+      throw new ValidationError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return value;
+  }
+
+  /**
+   * Get Content-Type of feed format
+   * @param {string} format - Format
+   * @returns {string} Content-Type
+   */
+  getContentType(format) {
+    return FORMATS[format];
+  }
+
+  /**
+   * Parse scraped chapter date: ISO dates, "Jan 5, 2025", "5 Januari 2025",
+   * "2 hours ago" and "2 jam yang lalu"
+   * @param {string} value - Date text
+   * @param {number} now - Reference time for relative dates (default now)
+   * @returns {Date|null} Date, null when unparseable
+   */
+  parseDate(value, now = Date.now()) {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+    if (typeof value === 'number') return new Date(value);
+
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return null;
+
+    if (/^(just now|baru saja|sekarang)$/.test(text)) return new Date(now);
+    if (/^(yesterday|kemarin)$/.test(text)) return new Date(now - UNIT_MS.day);
+
+    const relative = text.match(/^(\d+|an?|se)\s*([a-z]+?)s?\s+(?:ago|(?:yang\s+)?lalu)$/);
+    if (relative) {
+      const unit = UNITS[relative[2]];
+      if (!unit) return null;
+      const count = /^\d+$/.test(relative[1]) ? parseInt(relative[1], 10) : 1;
+      return new Date(now - count * UNIT_MS[unit]);
+    }
+
+    const translated = text.replace(/[a-z]+/g, word => MONTHS[word] || word);
+    const time = Date.parse(translated);
+    return Number.isNaN(time) ? null : new Date(time);
+  }
+
+  /**
+   * Get time GUID was first seen, remembered up to maxSeen GUIDs
+   * @param {string} guid - Item GUID
+   * @param {number} now - Current time
+   * @returns {Date} First seen
+   */
+  getFirstSeen(guid, now = Date.now()) {
+    if (!this.firstSeen.has(guid)) {
+      if (this.firstSeen.size >= this.maxSeen) {
+        this.firstSeen.delete(this.firstSeen.keys().next().value);
+      }
+      this.firstSeen.set(guid, now);
+    }
+    return new Date(this.firstSeen.get(guid));
+  }
+
+  /**
+   * Build item GUID
+   * @param {...string} parts - Provider, series slug, chapter
+   * @returns {string} GUID
+   */
+  getGuid(...parts) {
+    return `urn:api-manga:${parts.map(part => encodeURIComponent(String(part))).join(':')}`;
+  }
+
+  /**
+   * Resolve scraped href against provider site
+   * @param {string} href - Href (absolute or site-relative)
+   * @param {object} provider - Provider config
+   * @returns {string} Absolute URL
+   */
+  resolveLink(href, provider) {
+    try {
+      return new URL(href || '/', provider.baseUrl).href;
+    } catch {
+      return provider.baseUrl;
+    }
+  }
+
+  /**
+   * Get series page on provider site (detail URL pattern when the href is site-relative)
+   * @param {string} href - Series href
+   * @param {object} provider - Provider config
+   * @returns {string} Absolute URL
+   */
+  getSeriesLink(href, provider) {
+    const patterns = provider.urlPatterns && provider.urlPatterns.detail;
+    const pattern = Array.isArray(patterns) ? patterns[0] : patterns;
+    if (/^https?:\/\//i.test(href || '') || !pattern) {
+      return this.resolveLink(href, provider);
+    }
+
+    const slug = encodeURIComponent(seriesMatcher.getSlug({ href }));
+    return this.resolveLink(pattern.replace(/\{(slug|uuid)\}/g, slug), provider);
+  }
+
+  /**
+   * Build listing item (latest updates, genre pages)
+   * @param {object} comic - Scraped comic ({ title, href, thumbnail, type, chapter, genre, date })
+   * @param {string} providerId - Provider ID
+   * @param {object} provider - Provider config
+   * @param {number} now - Current time
+   * @returns {object} Feed item
+   */
+  buildListingItem(comic, providerId, provider, now) {
+    const slug = seriesMatcher.getSlug({ href: comic.href });
+    const chapter = typeof comic.chapter === 'string' ? comic.chapter.trim() : '';
+    const number = chapter ? chapterDownload.getChapterNumber(chapter, '') || chapter : '';
+    const guid = this.getGuid(providerId, slug, ...(number ? [number] : []));
+
+    return {
+      guid,
+      title: chapter ? `${comic.title} - ${chapter}` : comic.title,
+      link: this.getSeriesLink(comic.href, provider),
+      summary: [comic.type, chapter].filter(Boolean).join(' · '),
+      published: (this.parseDate(comic.date, now) || this.getFirstSeen(guid, now)).toISOString(),
+      thumbnail: comic.thumbnail || null,
+      categories: [comic.type, ...(typeof comic.genre === 'string' && comic.genre ? comic.genre.split(',') : [])]
+        .map(category => category && String(category).trim())
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Build feed of comic listing
+   * @param {object} result - Listing result ({ data: [...] })
+   * @param {object} options - Options
+   * @param {string} options.provider - Provider ID
+   * @param {string} options.title - Feed title
+   * @param {string} options.description - Feed description
+   * @returns {object} Feed
+   */
+  buildListing(result, options = {}) {
+    const providerId = resolveProvider(options.provider);
+    const provider = getProvider(providerId);
+    const now = Date.now();
+    const items = ((result && result.data) || [])
+      .filter(comic => comic && comic.title && comic.href)
+      .slice(0, this.maxItems)
+      .map(comic => this.buildListingItem(comic, providerId, provider, now));
+
+    return this.finish({
+      title: options.title,
+      description: options.description,
+      link: provider.baseUrl,
+      items
+    }, now);
+  }
+
+  /**
+   * Build feed of latest updates
+   * @param {object} result - getLatestComics result
+   * @param {string} provider - Provider ID
+   * @returns {object} Feed
+   */
+  buildLatest(result, provider) {
+    const name = getProvider(resolveProvider(provider)).name;
+    return this.buildListing(result, {
+      provider,
+      title: `${name} - Latest updates`,
+      description: `Latest comic updates on ${name}`
+    });
+  }
+
+  /**
+   * Build feed of genre listing
+   * @param {object} result - getComicsByGenre result
+   * @param {string} genre - Genre slug
+   * @param {string} provider - Provider ID
+   * @returns {object} Feed
+   */
+  buildGenre(result, genre, provider) {
+    const name = getProvider(resolveProvider(provider)).name;
+    return this.buildListing(result, {
+      provider,
+      title: `${name} - ${genre}`,
+      description: `Latest ${genre} comics on ${name}`
+    });
+  }
+
+  /**
+   * Build feed of series chapters, newest first as listed by the site
+   * @param {object} detail - getComicDetail result
+   * @param {string} url - Series slug as requested
+   * @param {string} provider - Provider ID
+   * @returns {object} Feed
+   */
+  buildSeries(detail, url, provider) {
+    const providerId = resolveProvider(provider);
+    const providerConfig = getProvider(providerId);
+    const slug = seriesMatcher.getSlug({ href: url });
+    const title = (detail && detail.title) || slug;
+    const now = Date.now();
+    const categories = Array.isArray(detail && detail.genre)
+      ? detail.genre.map(genre => genre && genre.title).filter(Boolean)
+      : [];
+
+    const items = ((detail && detail.chapter) || [])
+      .filter(chapter => chapter && chapter.href)
+      .slice(0, this.maxItems)
+      .map(chapter => {
+        const number = chapter.number !== undefined && chapter.number !== null
+          ? String(chapter.number)
+          : chapterDownload.getChapterNumber(chapter.title, chapter.href);
+        const guid = this.getGuid(providerId, slug, number || seriesMatcher.getSlug({ href: chapter.href }));
+        const chapterTitle = /^\d+(\.\d+)?$/.test(String(chapter.title || '')) || !chapter.title
+          ? `Chapter ${number || chapter.title}`
+          : chapter.title;
+
+        return {
+          guid,
+          title: `${title} - ${chapterTitle}`,
+          link: this.resolveLink(chapter.href, providerConfig),
+          summary: chapterTitle,
+          published: (this.parseDate(chapter.date, now) || this.getFirstSeen(guid, now)).toISOString(),
+          thumbnail: (detail && detail.thumbnail) || null,
+          categories
+        };
+      });
+
+    return this.finish({
+      title,
+      description: (detail && detail.description) || `New chapters of ${title} on ${providerConfig.name}`,
+      link: this.getSeriesLink((detail && detail.href) || url, providerConfig),
+      image: (detail && detail.thumbnail) || null,
+      items
+    }, now);
+  }
+
+  /**
+   * Set feed update time from its newest item
+   * @param {object} feed - Feed
+   * @param {number} now - Build time
+   * @returns {object} Feed
+   */
+  finish(feed, now) {
+    const times = feed.items.map(item => Date.parse(item.published));
+    return {
+      ...feed,
+      image: feed.image || null,
+      updated: new Date(times.length > 0 ? Math.max(...times) : now).toISOString()
+    };
+  }
+
+  /**
+   * Get enclosure type of image URL from its extension
+   * @param {string} url - Image URL
+   * @returns {string} MIME type (image/jpeg when unknown)
+   */
+  getImageType(url) {
+    const match = String(url).match(/\.([a-z0-9]+)(?:[?#]|$)/i);
+    return (match && IMAGE_TYPES[match[1].toLowerCase()]) || 'image/jpeg';
+  }
+
+  /**
+   * Render feed as RSS 2.0
+   * @param {object} feed - Feed
+   * @param {string} self - Feed URL
+   * @returns {string} XML
+   */
+  renderRss(feed, self) {
+    const items = feed.items.map(item => [
+      '    <item>',
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(item.guid)}</guid>`,
+      `      <pubDate>${new Date(item.published).toUTCString()}</pubDate>`,
+      item.summary ? `      <description>${escapeXml(item.summary)}</description>` : null,
+      ...item.categories.map(category => `      <category>${escapeXml(category)}</category>`),
+      item.thumbnail
+        ? `      <enclosure url="${escapeXml(item.thumbnail)}" length="0" type="${this.getImageType(item.thumbnail)}"/>`
+        : null,
+      '    </item>'
+    ].filter(line => line !== null).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+      '  <channel>',
+      `    <title>${escapeXml(feed.title)}</title>`,
+      `    <link>${escapeXml(feed.link)}</link>`,
+      `    <description>${escapeXml(feed.description)}</description>`,
+      `    <atom:link href="${escapeXml(self)}" rel="self" type="application/rss+xml"/>`,
+      `    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>`,
+      feed.image
+        ? `    <image><url>${escapeXml(feed.image)}</url><title>${escapeXml(feed.title)}</title><link>${escapeXml(feed.link)}</link></image>`
+        : null,
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * Render feed as Atom
+   * @param {object} feed - Feed
+   * @param {string} self - Feed URL
+   * @returns {string} XML
+   */
+  renderAtom(feed, self) {
+    const entries = feed.items.map(item => [
+      '  <entry>',
+      `    <id>${escapeXml(item.guid)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(item.link)}"/>`,
+      `    <published>${item.published}</published>`,
+      `    <updated>${item.published}</updated>`,
+      item.summary ? `    <summary>${escapeXml(item.summary)}</summary>` : null,
+      ...item.categories.map(category => `    <category term="${escapeXml(category)}"/>`),
+      item.thumbnail
+        ? `    <link rel="enclosure" href="${escapeXml(item.thumbnail)}" type="${this.getImageType(item.thumbnail)}"/>`
+        : null,
+      '  </entry>'
+    ].filter(line => line !== null).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(self)}</id>`,
+      `  <title>${escapeXml(feed.title)}</title>`,
+      `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(self)}"/>`,
+      `  <link rel="alternate" href="${escapeXml(feed.link)}"/>`,
+      `  <updated>${feed.updated}</updated>`,
+      '  <author><name>api-manga</name></author>',
+      feed.image ? `  <logo>${escapeXml(feed.image)}</logo>` : null,
+      ...entries,
+      '</feed>',
+      ''
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * Render feed in format
+   * @param {object} feed - Feed
+   * @param {string} format - `rss` or `atom`
+   * @param {string} self - Feed URL
+   * @returns {string} XML
+   */
+  render(feed, format, self) {
+    return format === 'atom' ? this.renderAtom(feed, self) : this.renderRss(feed, self);
+  }
+}
+
+// Export singleton instance
+const feedBuilder = new FeedBuilder();
+
+module.exports = feedBuilder;
@@ -0,0 +1,525 @@
+/**
+ * Generic Scraper Engine
+ * Menjalankan semua fitur scraper (latest, popular, recommended, search,
+ * detail, read, genre, genreList) hanya dari konfigurasi provider:
+ * `urlPatterns`, `selectors`, `transforms` dan `hrefBases`
+ *
+ * A selector or URL pattern may be an array of fallbacks tried in order: the
+ * first selector that yields a value (or elements) and the first URL that loads
+ * win. A field transform may be an array matching its selector fallbacks
+ */
+
+const cheerio = require('cheerio');
+const { AxiosService } = require('../helper/axios_service');
+const { ParseError, NotFoundError, ValidationError } = require('../helper/error_handler');
+const { getProvider } = require('../config/providers');
+const {
+  normalizeComicItem,
+  normalizeChapterItem,
+  normalizePagination,
+  normalizeUrl
+} = require('../helper/data_validator');
+
+/**
+ * Attributes read (in order) for fields that hold a link or an image
+ */
+const ATTRIBUTE_FIELDS = {
+  href: ['href'],
+  chapterHref: ['href'],
+  thumbnail: ['src', 'data-src', 'data-lazy-src', 'data-url'],
+  panels: ['src', 'data-src', 'data-lazy-src', 'data-url']
+};
+
+/**
+ * Fields extracted from every list item (latest, popular, search, ...)
+ */
+const LIST_FIELDS = ['title', 'href', 'thumbnail', 'type', 'chapter', 'rating', 'genre', 'year', 'date'];
+
+/**
+ * Fields extracted from the detail page container
+ */
+const DETAIL_FIELDS = ['title', 'thumbnail', 'description', 'rating', 'released', 'author', 'status', 'type'];
+
+/**
+ * Build URL from pattern by replacing {placeholder} tokens
+ * @param {string} baseUrl - Provider base URL
+ * @param {string} pattern - URL pattern (e.g. '/genres/{genre}/page/{page}')
+ * @param {object} params - Placeholder values
+ * @returns {string} Absolute URL
+ */
+const buildUrl = (baseUrl, pattern, params = {}) => {
+  const path = pattern.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+  return `${baseUrl}${path}`;
+};
+
+/**
+ * Get fallbacks of a selector or URL pattern
+ * @param {string|Array} value - Selector/pattern or array of fallbacks
+ * @returns {Array} Fallbacks in order
+ */
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+/**
+ * Select elements within scope, matching the scope itself when the selector targets it
+ * @param {object} $scope - Cheerio selection
+ * @param {string} selector - CSS selector
+ * @returns {object} Cheerio selection
+ */
+const select = ($scope, selector) => {
+  const found = $scope.find(selector);
+  if (found.length === 0 && $scope.is(selector)) {
+    return $scope;
+  }
+  return found;
+};
+
+/**
+ * Find elements within scope using the first selector fallback that matches
+ * @param {object} $scope - Cheerio selection
+ * @param {string|Array} selector - CSS selector or array of fallbacks
+ * @returns {object} Cheerio selection (empty if nothing matches)
+ */
+const findAll = ($scope, selector) => {
+  let found = $scope.filter(() => false);
+  for (const alternative of toList(selector)) {
+    found = $scope.find(alternative);
+    if (found.length > 0) break;
+  }
+  return found;
+};
+
+/**
+ * Apply configured transform to an extracted value
+ * @param {string} value - Raw value
+ * @param {object} transform - Transform config ({ strip, match })
+ * @returns {string} Transformed value
+ */
+const applyTransform = (value, transform) => {
+  if (!transform || !value) return value;
+
+  let result = value;
+
+  if (transform.strip) {
+    const strips = Array.isArray(transform.strip) ? transform.strip : [transform.strip];
+    strips.forEach(strip => {
+      result = result.replace(strip, '');
+    });
+  }
+
+  if (transform.match) {
+    const match = result.match(new RegExp(transform.match, 'i'));
+    result = match ? (match[1] || match[0]) : '';
+  }
+
+  return result.trim();
+};
+
+/**
+ * Resolve relative asset URL against provider base URL
+ * @param {string} src - Asset URL
+ * @param {string} baseUrl - Provider base URL
+ * @returns {string} Absolute URL
+ */
+const resolveAssetUrl = (src, baseUrl) => {
+  if (!src) return '';
+  try {
+    return new URL(src, baseUrl).href;
+  } catch {
+    return src;
+  }
+};
+
+/**
+ * Read a single field from scope
+ * Selector fallbacks are tried in order until one yields a non-empty value
+ * @param {object} $scope - Cheerio selection
+ * @param {string} field - Field name (decides text vs attribute)
+ * @param {string|Array} selector - CSS selector or array of fallbacks
+ * @param {object|Array} transform - Optional transform config, or one per fallback
+ * @returns {string} Extracted value
+ */
+const readField = ($scope, field, selector, transform) => {
+  const alternatives = toList(selector);
+
+  for (let i = 0; i < alternatives.length; i++) {
+    const $el = select($scope, alternatives[i]).first();
+    if ($el.length === 0) continue;
+
+    const value = readValue($el, field, Array.isArray(transform) ? transform[i] : transform);
+    if (value) return value;
+  }
+
+  return '';
+};
+
+/**
+ * Read field value from an already selected element
+ * @param {object} $el - Cheerio element
+ * @param {string} field - Field name (decides text vs attribute)
+ * @param {object} transform - Optional transform config
+ * @returns {string} Extracted value
+ */
+const readValue = ($el, field, transform) => {
+  const attributes = ATTRIBUTE_FIELDS[field];
+  let value = '';
+
+  if (attributes) {
+    for (const attribute of attributes) {
+      value = $el.attr(attribute) || '';
+      if (value) break;
+    }
+  } else {
+    value = $el.text();
+  }
+
+  return applyTransform(value.trim(), transform);
+};
+
+/**
+ * Create a scraper for a provider driven entirely by its configuration
+ * @param {string} providerId - Provider ID
+ * @returns {object} Scraper service exposing the eight scraper functions
+ */
+const createGenericScraper = (providerId) => {
+  const config = getProvider(providerId);
+
+  if (!config) {
+    throw new ValidationError(`Provider '${providerId}' not found`);
+  }
+
+  const baseUrl = config.baseUrl;
+  const selectors = config.selectors || {};
+  const urlPatterns = config.urlPatterns || {};
+  const transforms = config.transforms || {};
+  const hrefBases = config.hrefBases || {};
+
+  /**
+   * Ensure feature is declared, enabled and fully configured
+   * @param {string} feature - Feature name
+   */
+  const assertFeature = (feature) => {
+    if (config.features?.[feature] !== true || !urlPatterns[feature] || !selectors[feature]) {
+      throw new ParseError(`Feature '${feature}' is not supported by ${config.name} provider`);
+    }
+  };
+
+  /**
+   * Fetch and parse page for feature
+   * @param {string} feature - Feature name
+   * @param {object} params - URL placeholder values
+   * @param {string} label - Human readable label for error messages
+   * @returns {Promise<object>} Cheerio instance and feature container
+   */
+  const loadPage = async (feature, params, label) => {
+    const patterns = toList(urlPatterns[feature]);
+    let response = null;
+
+    for (let i = 0; i < patterns.length; i++) {
+      try {
+        response = await AxiosService(buildUrl(baseUrl, patterns[i], params));
+      } catch (error) {
+        // Fall through to the next URL pattern, the last one reports its error
+        if (i === patterns.length - 1) throw error;
+        continue;
+      }
+      if (response.status === 200) break;
+    }
+
+    if (!response || response.status !== 200) {
+      throw new ParseError(`Failed to fetch ${label}`);
+    }
+
+    const $ = cheerio.load(response.data);
+    const containerSelector = selectors[feature].container;
+    const container = containerSelector ? findAll($.root(), containerSelector).first() : $.root();
+
+    return { $, container };
+  };
+
+  /**
+   * Extract comic list for feature
+   * @param {object} $ - Cheerio instance
+   * @param {object} container - Cheerio container element
+   * @param {string} feature - Feature name
+   * @returns {Array} Normalized comic items
+   */
+  const extractComicList = ($, container, feature) => {
+    const featureSelectors = selectors[feature];
+    const featureTransforms = transforms[feature] || {};
+    const comics = [];
+    const seen = new Set();
+
+    if (!featureSelectors.items) return comics;
+
+    findAll(container, featureSelectors.items).each((i, data) => {
+      try {
+        const $item = $(data);
+        const raw = {};
+
+        LIST_FIELDS.forEach(field => {
+          raw[field] = readField($item, field, featureSelectors[field], featureTransforms[field]);
+        });
+
+        if (!raw.title || !raw.href) return;
+
+        const href = normalizeUrl(raw.href, `${baseUrl}${hrefBases.comic || ''}`);
+        if (seen.has(href)) return;
+        seen.add(href);
+
+        comics.push(normalizeComicItem({
+          ...raw,
+          href,
+          thumbnail: resolveAssetUrl(raw.thumbnail, baseUrl)
+        }, baseUrl));
+      } catch (error) {
+        console.error('Error extracting comic item:', error);
+      }
+    });
+
+    return comics;
+  };
+
+  /**
+   * Extract pagination for feature
+   * @param {object} $ - Cheerio instance
+   * @param {object} container - Cheerio container element
+   * @param {string} feature - Feature name
+   * @param {number} page - Requested page (fallback for current page)
+   * @returns {object} Normalized pagination
+   */
+  const extractPagination = ($, container, feature, page) => {
+    const featureSelectors = selectors[feature];
+    const currentText = featureSelectors.pagination
+      ? findAll(container, featureSelectors.pagination).first().text().trim()
+      : '';
+    const currentPage = parseInt(currentText) || parseInt(page) || 1;
+
+    let lengthPage = currentPage;
+    if (featureSelectors.paginationLinks) {
+      findAll(container, featureSelectors.paginationLinks).each((i, el) => {
+        const number = parseInt($(el).text().replace(/[^\d]/g, ''));
+        if (!isNaN(number) && number > lengthPage) {
+          lengthPage = number;
+        }
+      });
+    }
+
+    return normalizePagination({ current_page: currentPage, length_page: lengthPage });
+  };
+
+  /**
+   * Run a list feature (latest, genre, search, popular, recommended)
+   * @param {string} feature - Feature name
+   * @param {object} params - URL placeholder values
+   * @param {string} label - Label for error messages
+   * @param {boolean} paginated - Whether to return pagination info
+   * @returns {Promise<object|Array>} Comics (with pagination when paginated)
+   */
+  const scrapeList = async (feature, params, label, paginated) => {
+    assertFeature(feature);
+
+    try {
+      const { $, container } = await loadPage(feature, params, label);
+      const comics = extractComicList($, container, feature);
+
+      if (!paginated) {
+        return comics;
+      }
+
+      return {
+        ...extractPagination($, container, feature, params.page),
+        data: comics
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new ParseError(`Error scraping ${label}: ${error.message}`, error);
+    }
+  };
+
+  return {
+    BASE_URL: baseUrl,
+
+    /**
+     * Get latest comics
+     * @param {number} page - Page number
+     * @returns {Promise<object>} Latest comics with pagination
+     */
+    getLatestComics: (page = 1) => scrapeList('latest', { page }, 'latest comics', true),
+
+    /**
+     * Get comics by genre
+     * @param {string} genreUrl - Genre URL slug
+     * @param {number} page - Page number
+     * @returns {Promise<object>} Comics by genre with pagination
+     */
+    getComicsByGenre: (genreUrl, page = 1) => scrapeList('genre', { genre: genreUrl, page }, 'comics by genre', true),
+
+    /**
+     * Search comics
+     * @param {string} keyword - Search keyword
+     * @returns {Promise<Array>} Array of search results
+     */
+    searchComics: (keyword) => scrapeList('search', { keyword: encodeURIComponent(keyword) }, 'search results', false),
+
+    /**
+     * Get popular comics
+     * @returns {Promise<Array>} Array of popular comics
+     */
+    getPopularComics: () => scrapeList('popular', {}, 'popular comics', false),
+
+    /**
+     * Get recommended comics
+     * @returns {Promise<Array>} Array of recommended comics
+     */
+    getRecommendedComics: () => scrapeList('recommended', {}, 'recommended comics', false),
+
+    /**
+     * Get all genres
+     * @returns {Promise<Array>} Array of genres
+     */
+    getGenres: async () => {
+      assertFeature('genreList');
+
+      try {
+        const { $, container } = await loadPage('genreList', {}, 'genres');
+        const featureSelectors = selectors.genreList;
+        const genres = [];
+        const seen = new Set();
+
+        findAll(container, featureSelectors.items).each((i, data) => {
+          const $item = $(data);
+          const title = readField($item, 'title', featureSelectors.title);
+          const href = readField($item, 'href', featureSelectors.href);
+          const normalizedHref = normalizeUrl(href, `${baseUrl}${hrefBases.genre || ''}`);
+
+          if (title && href && !seen.has(normalizedHref)) {
+            seen.add(normalizedHref);
+            genres.push({ title, href: normalizedHref });
+          }
+        });
+
+        return genres;
+      } catch (error) {
+        throw new ParseError(`Error scraping genres: ${error.message}`, error);
+      }
+    },
+
+    /**
+     * Get comic detail
+     * @param {string} url - Comic URL slug
+     * @returns {Promise<object>} Comic detail
+     */
+    getComicDetail: async (url) => {
+      assertFeature('detail');
+
+      try {
+        const slug = url.replace(/^\/+|\/+$/g, '');
+        const { $, container } = await loadPage('detail', { slug, uuid: slug }, 'comic detail');
+        const featureSelectors = selectors.detail;
+        const featureTransforms = transforms.detail || {};
+        const raw = {};
+
+        DETAIL_FIELDS.forEach(field => {
+          raw[field] = readField(container, field, featureSelectors[field], featureTransforms[field]);
+        });
+
+        if (!raw.title) {
+          throw new NotFoundError('Comic not found');
+        }
+
+        const chapters = [];
+        if (featureSelectors.chapters) {
+          findAll(container, featureSelectors.chapters).each((i, data) => {
+            const $item = $(data);
+            const title = readField($item, 'chapterTitle', featureSelectors.chapterTitle, featureTransforms.chapterTitle);
+            const href = readField($item, 'chapterHref', featureSelectors.chapterHref);
+            const date = readField($item, 'chapterDate', featureSelectors.chapterDate, featureTransforms.chapterDate);
+
+            if (title && href) {
+              chapters.push(normalizeChapterItem({
+                title,
+                href: normalizeUrl(href, `${baseUrl}${hrefBases.chapter || ''}`),
+                date
+              }, baseUrl));
+            }
+          });
+        }
+
+        const genres = [];
+        if (featureSelectors.genres) {
+          findAll(container, featureSelectors.genres).each((i, data) => {
+            const $genre = $(data);
+            const title = $genre.text().trim();
+            const href = $genre.attr('href') || '';
+
+            if (title && href) {
+              genres.push({
+                title,
+                href: normalizeUrl(href, `${baseUrl}${hrefBases.genre || ''}`)
+              });
+            }
+          });
+        }
+
+        // normalizeComicItem flattens `chapter` to a string, so attach the list afterwards
+        return {
+          ...normalizeComicItem({
+            ...raw,
+            thumbnail: resolveAssetUrl(raw.thumbnail, baseUrl),
+            genre: genres
+          }, baseUrl),
+          chapter: chapters
+        };
+      } catch (error) {
+        if (error instanceof NotFoundError) {
+          throw error;
+        }
+        throw new ParseError(`Error scraping comic detail: ${error.message}`, error);
+      }
+    },
+
+    /**
+     * Read chapter (get images)
+     * @param {string} url - Chapter URL slug
+     * @returns {Promise<object>} Chapter data with images
+     */
+    readChapter: async (url) => {
+      assertFeature('read');
+
+      try {
+        const slug = url.replace(/^\/+|\/+$/g, '');
+        const { $, container } = await loadPage('read', { slug, uuid: slug }, 'chapter');
+        const featureSelectors = selectors.read;
+        const title = readField(container, 'title', featureSelectors.title, (transforms.read || {}).title);
+        const panels = [];
+
+        // `panels` selects the panel images themselves
+        findAll(container, featureSelectors.panels).each((i, data) => {
+          const src = readValue($(data), 'panels');
+          const panel = resolveAssetUrl(src, baseUrl);
+          if (panel && !panels.includes(panel)) {
+            panels.push(panel);
+          }
+        });
+
+        return {
+          title,
+          panel: panels
+        };
+      } catch (error) {
+        throw new ParseError(`Error scraping chapter: ${error.message}`, error);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createGenericScraper,
+  buildUrl,
+  applyTransform
+};
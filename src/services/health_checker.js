@@ -0,0 +1,331 @@
+/**
+ * Provider Health Checker
+ * Periodically probes every provider with its cheapest feature and derives
+ * healthy / degraded / down status from the probe history; status changes
+ * are sent as `provider.health` webhooks
+ */
+
+const { getProvider, supportsFeature } = require('../config/providers');
+const { getScraperService, listProviders } = require('./provider_manager');
+const webhooks = require('./webhooks');
+const { ParseError } = require('../helper/error_handler');
+
+/**
+ * Default probe per feature, cheapest first
+ */
+const DEFAULT_PROBES = [
+  { feature: 'genreList', function: 'getGenres', args: [] },
+  { feature: 'latest', function: 'getLatestComics', args: [1] },
+  { feature: 'popular', function: 'getPopularComics', args: [] }
+];
+
+class ProviderHealthChecker {
+  constructor(options = {}) {
+    // Probe history per provider (oldest first)
+    this.history = new Map();
+    this.timer = null;
+    this.running = false;
+
+    this.interval = options.interval || 5 * 60 * 1000; // Probe every 5 minutes
+    this.timeout = options.timeout || 15000; // Probe timeout
+    this.maxHistory = options.maxHistory || 100; // Probes kept per provider
+    this.window = options.window || 5; // Recent probes used to derive status
+    this.downAfter = options.downAfter || 3; // Consecutive failures before 'down'
+    this.slowThreshold = options.slowThreshold || 5000; // Latency (ms) considered degraded
+  }
+
+  /**
+   * Get probe for provider
+   * Uses `healthCheck: { function, args }` from provider config when set
+   * @param {string} providerId - Provider ID
+   * @returns {object|null} Probe ({ function, args }) or null if nothing can be probed
+   */
+  getProbe(providerId) {
+    const provider = getProvider(providerId);
+    if (!provider) return null;
+
+    if (provider.healthCheck && provider.healthCheck.function) {
+      return {
+        function: provider.healthCheck.function,
+        args: provider.healthCheck.args || []
+      };
+    }
+
+    const probe = DEFAULT_PROBES.find(p => supportsFeature(providerId, p.feature));
+    return probe ? { function: probe.function, args: probe.args } : null;
+  }
+
+  /**
+   * Get upstream HTTP status from error (set by AxiosService, possibly wrapped)
+   * @param {Error} error - Probe error
+   * @returns {number|null} HTTP status or null if request never got a response
+   */
+  getHttpStatus(error) {
+    let current = error;
+    while (current) {
+      if (current.httpStatus) return current.httpStatus;
+      current = current.originalError;
+    }
+    return null;
+  }
+
+  /**
+   * Probe provider once and record the result
+   * Calls the provider scraper directly so default-provider fallback can't mask failures
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<object|null>} Probe record or null if provider can't be probed
+   */
+  async probe(providerId) {
+    const probe = this.getProbe(providerId);
+    if (!probe) return null;
+
+    const startTime = Date.now();
+    let timer = null;
+    let record;
+
+    try {
+      const scraper = getScraperService(providerId);
+      if (typeof scraper[probe.function] !== 'function') {
+        throw new ParseError(`Health check function '${probe.function}' not found in provider '${providerId}'`);
+      }
+
+      await Promise.race([
+        scraper[probe.function](...probe.args),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new ParseError(`Health check timeout for provider ${providerId}`)), this.timeout);
+        })
+      ]);
+
+      record = {
+        timestamp: startTime,
+        success: true,
+        latency: Date.now() - startTime,
+        httpStatus: 200, // AxiosService only resolves 2xx responses
+        function: probe.function
+      };
+    } catch (error) {
+      record = {
+        timestamp: startTime,
+        success: false,
+        latency: Date.now() - startTime,
+        httpStatus: this.getHttpStatus(error),
+        function: probe.function,
+        error: error.message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!this.history.has(providerId)) {
+      this.history.set(providerId, []);
+    }
+
+    const history = this.history.get(providerId);
+    const previous = this.deriveStatus(history);
+    history.push(record);
+
+    if (history.length > this.maxHistory) {
+      history.shift();
+    }
+
+    record.status = this.deriveStatus(history);
+
+    // A provider coming up healthy on its first probe is not news
+    if (record.status !== previous && !(previous === 'unknown' && record.status === 'healthy')) {
+      webhooks.dispatch('provider.health', {
+        provider: providerId,
+        previous,
+        status: record.status,
+        latency: record.latency,
+        httpStatus: record.httpStatus,
+        error: record.error || null,
+        checkedAt: record.timestamp
+      });
+    }
+    return record;
+  }
+
+  /**
+   * Probe all enabled providers
+   * @returns {Promise<object>} Probe records per provider
+   */
+  async probeAll() {
+    if (this.running) return {};
+    this.running = true;
+
+    try {
+      const providerIds = listProviders().filter(p => p.enabled).map(p => p.id);
+      const records = await Promise.all(providerIds.map(id => this.probe(id)));
+
+      const result = {};
+      providerIds.forEach((id, index) => {
+        result[id] = records[index];
+      });
+      return result;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Derive status from probe history
+   * @param {Array} history - Probe records (oldest first)
+   * @returns {string} 'healthy', 'degraded', 'down' or 'unknown'
+   */
+  deriveStatus(history) {
+    if (!history || history.length === 0) {
+      return 'unknown';
+    }
+
+    if (this.countConsecutiveFailures(history) >= this.downAfter) {
+      return 'down';
+    }
+
+    const recent = history.slice(-this.window);
+    const latest = recent[recent.length - 1];
+
+    if (!latest.success) {
+      // Failing, but not for long enough to be considered down
+      return 'degraded';
+    }
+
+    if (recent.some(record => !record.success) || latest.latency > this.slowThreshold) {
+      return 'degraded';
+    }
+
+    return 'healthy';
+  }
+
+  /**
+   * Count failures at the end of history
+   * @param {Array} history - Probe records (oldest first)
+   * @returns {number} Consecutive failures
+   */
+  countConsecutiveFailures(history) {
+    let count = 0;
+    for (let i = history.length - 1; i >= 0 && !history[i].success; i--) {
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Get current status for provider
+   * @param {string} providerId - Provider ID
+   * @returns {string} 'healthy', 'degraded', 'down', 'unknown' or 'disabled'
+   */
+  getStatus(providerId) {
+    const provider = getProvider(providerId);
+    if (provider && !provider.enabled) {
+      return 'disabled';
+    }
+    return this.deriveStatus(this.history.get(providerId));
+  }
+
+  /**
+   * Get health details for provider
+   * @param {string} providerId - Provider ID
+   * @param {object} options - Options
+   * @param {number} options.historyLimit - Number of recent probes to include
+   * @returns {object} Health details
+   */
+  getHealth(providerId, options = {}) {
+    const { historyLimit = 20 } = options;
+    const history = this.history.get(providerId) || [];
+    const latest = history[history.length - 1] || null;
+    const successes = history.filter(record => record.success);
+
+    return {
+      provider: providerId,
+      status: this.getStatus(providerId),
+      probe: this.getProbe(providerId),
+      lastCheckedAt: latest ? latest.timestamp : null,
+      latency: latest ? latest.latency : null,
+      httpStatus: latest ? latest.httpStatus : null,
+      lastError: latest && !latest.success ? latest.error : null,
+      consecutiveFailures: this.countConsecutiveFailures(history),
+      uptime: history.length > 0
+        ? Math.round((successes.length / history.length) * 100 * 100) / 100
+        : null,
+      avgLatency: successes.length > 0
+        ? Math.round(successes.reduce((sum, record) => sum + record.latency, 0) / successes.length)
+        : null,
+      checks: history.length,
+      history: historyLimit > 0 ? history.slice(-historyLimit) : []
+    };
+  }
+
+  /**
+   * Order providers by health for provider selection
+   * Healthy/unknown first, degraded last, down providers removed.
+   * If every provider is down the original list is returned, so requests still get a chance
+   * @param {Array} providerIds - Provider IDs (in priority order)
+   * @returns {object} Selected provider IDs and skipped (down) provider IDs
+   */
+  selectProviders(providerIds) {
+    const rank = { healthy: 0, unknown: 0, degraded: 1 };
+    const skipped = providerIds.filter(id => this.getStatus(id) === 'down');
+    const available = providerIds.filter(id => !skipped.includes(id));
+
+    if (available.length === 0) {
+      return { providers: [...providerIds], skipped: [] };
+    }
+
+    // Array.prototype.sort is stable, so priority order is kept within a rank
+    const providers = [...available].sort((a, b) => {
+      return (rank[this.getStatus(a)] || 0) - (rank[this.getStatus(b)] || 0);
+    });
+
+    return { providers, skipped };
+  }
+
+  /**
+   * Start background probing
+   * @param {number} interval - Probe interval in milliseconds (optional)
+   */
+  start(interval = this.interval) {
+    this.stop();
+    this.interval = interval;
+
+    const run = () => {
+      this.probeAll().catch(error => {
+        console.error('Provider health check failed:', error.message);
+      });
+    };
+
+    run();
+    this.timer = setInterval(run, this.interval);
+
+    // Don't keep the process alive just for health checks
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop background probing
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Reset probe history
+   * @param {string} providerId - Provider ID (optional, resets all when omitted)
+   */
+  reset(providerId = null) {
+    if (providerId) {
+      this.history.delete(providerId);
+    } else {
+      this.history.clear();
+    }
+  }
+}
+
+// Export singleton instance
+const healthChecker = new ProviderHealthChecker();
+
+module.exports = healthChecker;
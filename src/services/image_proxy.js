@@ -0,0 +1,638 @@
+/**
+ * Image Proxy
+ * Fetches chapter panels and thumbnails with the Referer and User-Agent the
+ * provider CDN expects, so clients aren't blocked by hotlink protection.
+ * Only hosts of registered providers (baseUrl host plus `images.hosts`) are
+ * proxied. Images are kept in an in-memory LRU, optionally backed by disk
+ *
+ *   IMAGE_PROXY_HOSTS     - extra comma-separated hosts allowed for every provider
+ *   IMAGE_PROXY_MAX_BYTES - max upstream image size (default 15MB)
+ *   IMAGE_CACHE_TTL       - cache TTL in ms (default 24 hours)
+ *   IMAGE_CACHE_MAX_BYTES - in-memory cache size (default 100MB)
+ *   IMAGE_CACHE_STORE     - memory|file (default memory)
+ *   IMAGE_CACHE_DIR       - directory for file store (default <os tmpdir>/api-manga-images)
+ *
+ * Resized/converted variants (`width`, `quality`, `format`) are made with sharp
+ * and cached next to the original
+ */
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const sharp = require('sharp');
+const { PassThrough } = require('stream');
+const { providers, getProvider } = require('../config/providers');
+const { FileStore } = require('../helper/cache_store');
+const { getNextUserAgent } = require('../helper/axios_service');
+const { AppError, ValidationError, NotFoundError, NetworkError } = require('../helper/error_handler');
+
+// Converted images are cached by the proxy itself
+sharp.cache(false);
+
+/**
+ * Output formats for converted variants
+ */
+const OUTPUT_FORMATS = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  avif: 'image/avif'
+};
+
+const MIN_WIDTH = 16;
+const MAX_WIDTH = 3000;
+const DEFAULT_QUALITY = 80;
+
+class ImageProxy {
+  constructor(options = {}) {
+    this.ttl = options.ttl || parseInt(process.env.IMAGE_CACHE_TTL || String(24 * 60 * 60 * 1000), 10);
+    this.maxBytes = options.maxBytes || parseInt(process.env.IMAGE_CACHE_MAX_BYTES || String(100 * 1024 * 1024), 10);
+    this.maxImageBytes = options.maxImageBytes || parseInt(process.env.IMAGE_PROXY_MAX_BYTES || String(15 * 1024 * 1024), 10);
+    this.timeout = options.timeout || 30 * 1000;
+    this.extraHosts = options.extraHosts ||
+      (process.env.IMAGE_PROXY_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+    // In-memory LRU (Map keeps insertion order, most recently used last): key -> item
+    this.memory = new Map();
+    this.memoryBytes = 0;
+
+    // Optional disk store, shared across restarts
+    this.disk = options.disk !== undefined ? options.disk : this.createDiskStore();
+
+    // Variant conversions in progress, shared by concurrent requests: key -> promise
+    this.converting = new Map();
+
+    this.stats = { hits: 0, diskHits: 0, misses: 0, errors: 0, rejected: 0, transforms: 0, bytesServed: 0 };
+  }
+
+  /**
+   * Create disk store from environment configuration
+   * @returns {FileStore|null} Disk store or null when disabled
+   */
+  createDiskStore() {
+    if ((process.env.IMAGE_CACHE_STORE || 'memory').toLowerCase() !== 'file') {
+      return null;
+    }
+
+    try {
+      return new FileStore({
+        dir: process.env.IMAGE_CACHE_DIR || path.join(os.tmpdir(), 'api-manga-images'),
+        maxBytes: parseInt(process.env.IMAGE_CACHE_DISK_BYTES, 10) || 500 * 1024 * 1024
+      });
+    } catch (error) {
+      console.error('Failed to create image disk cache, using memory only:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get hosts provider images may be fetched from
+   * @param {string} providerId - Provider ID
+   * @returns {Array} Host patterns (`*.example.com` matches subdomains)
+   */
+  getAllowedHosts(providerId) {
+    const provider = getProvider(providerId);
+    if (!provider) return [];
+
+    const hosts = [new URL(provider.baseUrl).hostname, ...((provider.images && provider.images.hosts) || [])];
+    return [...new Set([...hosts.map(host => host.toLowerCase()), ...this.extraHosts])];
+  }
+
+  /**
+   * Check hostname against host pattern
+   * @param {string} hostname - Hostname
+   * @param {string} pattern - Host or `*.` wildcard pattern
+   * @returns {boolean} True if hostname matches
+   */
+  matchHost(hostname, pattern) {
+    if (pattern.startsWith('*.')) {
+      const domain = pattern.slice(2);
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+    return hostname === pattern;
+  }
+
+  /**
+   * Check whether provider allows image host
+   * @param {string} hostname - Hostname
+   * @param {string} providerId - Provider ID
+   * @returns {boolean} True if allowed
+   */
+  isAllowedHost(hostname, providerId) {
+    const host = hostname.toLowerCase();
+    return this.getAllowedHosts(providerId).some(pattern => this.matchHost(host, pattern));
+  }
+
+  /**
+   * Find enabled provider serving image URL
+   * @param {string} url - Image URL
+   * @returns {string|null} Provider ID or null if no provider allows the host
+   */
+  findProvider(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+
+    return Object.keys(providers)
+      .find(id => providers[id].enabled && this.isAllowedHost(hostname, id)) || null;
+  }
+
+  /**
+   * Validate image URL and resolve provider
+   * @param {string} url - Image URL
+   * @param {string} providerId - Provider ID (optional, detected from host)
+   * @returns {object} Parsed URL and provider ID
+   */
+  resolve(url, providerId) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ValidationError('Invalid image URL');
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new ValidationError('Image URL must use http or https');
+    }
+
+    const id = providerId ? providerId.toLowerCase() : this.findProvider(url);
+    if (providerId && !getProvider(id)) {
+      throw new ValidationError(`Unknown provider: ${providerId}`);
+    }
+
+    if (!id || !this.isAllowedHost(parsed.hostname, id)) {
+      this.stats.rejected++;
+      throw new AppError(`Image host '${parsed.hostname}' is not allowed`, 403, 'HOST_NOT_ALLOWED');
+    }
+
+    return { url: parsed.href, providerId: id };
+  }
+
+  /**
+   * Get upstream request headers for provider
+   * @param {string} providerId - Provider ID
+   * @returns {object} Headers
+   */
+  getHeaders(providerId) {
+    const provider = getProvider(providerId);
+    const images = provider.images || {};
+
+    return {
+      'User-Agent': getNextUserAgent(),
+      'Accept': 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8',
+      'Referer': images.referer || `${provider.baseUrl}/`,
+      ...images.headers
+    };
+  }
+
+  /**
+   * Parse and validate variant options
+   * @param {object} query - Query parameters (width, quality, format)
+   * @returns {object|null} Transform ({ width, quality, format }) or null for the original image
+   */
+  parseTransform(query = {}) {
+    const { width, quality, format } = query;
+    if (width === undefined && quality === undefined && format === undefined) {
+      return null;
+    }
+
+    const transform = { width: null, quality: DEFAULT_QUALITY, format: 'webp' };
+
+    if (width !== undefined) {
+      transform.width = parseInt(width, 10);
+      if (!/^\d+$/.test(String(width)) || transform.width < MIN_WIDTH || transform.width > MAX_WIDTH) {
+        throw new ValidationError(`width must be a number between ${MIN_WIDTH} and ${MAX_WIDTH}`);
+      }
+    }
+
+    if (quality !== undefined) {
+      transform.quality = parseInt(quality, 10);
+      if (!/^\d+$/.test(String(quality)) || transform.quality < 1 || transform.quality > 100) {
+        throw new ValidationError('quality must be a number between 1 and 100');
+      }
+    }
+
+    if (format !== undefined) {
+      transform.format = String(format).toLowerCase() === 'jpg' ? 'jpeg' : String(format).toLowerCase();
+      if (!OUTPUT_FORMATS[transform.format]) {
+        throw new ValidationError(`format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+      }
+    }
+
+    return transform;
+  }
+
+  /**
+   * Get cache key for image
+   * @param {string} url - Normalized image URL
+   * @param {object} transform - Variant transform (null for the original)
+   * @returns {string} Cache key
+   */
+  getKey(url, transform = null) {
+    if (!transform) {
+      return `image:${url}`;
+    }
+    return `image:${url}|w=${transform.width || ''}&q=${transform.quality}&f=${transform.format}`;
+  }
+
+  /**
+   * Get cached image (memory first, then disk)
+   * @param {string} key - Cache key
+   * @returns {object|null} Cached item or null
+   */
+  getCached(key) {
+    const now = Date.now();
+    let item = this.memory.get(key);
+
+    if (item) {
+      this.memory.delete(key);
+      if (now > item.expiresAt) {
+        this.memoryBytes -= item.size;
+        item = null;
+      } else {
+        this.memory.set(key, item);
+        this.stats.hits++;
+      }
+    }
+
+    if (!item && this.disk) {
+      const stored = this.disk.get(key);
+      if (stored && now <= stored.expiresAt) {
+        item = stored;
+        this.setMemory(key, item);
+        this.stats.diskHits++;
+      } else if (stored) {
+        this.disk.delete(key);
+      }
+    }
+
+    if (item) {
+      item.lastAccessed = now;
+    }
+    return item || null;
+  }
+
+  /**
+   * Store item in memory LRU, evicting least recently used images
+   * @param {string} key - Cache key
+   * @param {object} item - Cache item
+   */
+  setMemory(key, item) {
+    if (item.size > this.maxBytes) return;
+
+    const previous = this.memory.get(key);
+    if (previous) {
+      this.memory.delete(key);
+      this.memoryBytes -= previous.size;
+    }
+
+    while (this.memoryBytes + item.size > this.maxBytes && this.memory.size > 0) {
+      const [oldestKey, oldest] = this.memory.entries().next().value;
+      this.memory.delete(oldestKey);
+      this.memoryBytes -= oldest.size;
+    }
+
+    this.memory.set(key, item);
+    this.memoryBytes += item.size;
+  }
+
+  /**
+   * Store fetched image
+   * @param {string} key - Cache key
+   * @param {Buffer} buffer - Image bytes
+   * @param {string} contentType - Image content type
+   * @returns {object} Cache item
+   */
+  store(key, buffer, contentType) {
+    const now = Date.now();
+    const item = {
+      value: buffer,
+      contentType,
+      size: buffer.length,
+      etag: `"${crypto.createHash('sha1').update(buffer).digest('base64url')}"`,
+      createdAt: now,
+      expiresAt: now + this.ttl,
+      lastAccessed: now
+    };
+
+    this.setMemory(key, item);
+
+    if (this.disk) {
+      try {
+        this.disk.set(key, item);
+      } catch (error) {
+        console.error('Image disk cache write error:', error.message);
+      }
+    }
+
+    return item;
+  }
+
+  /**
+   * Get image, from cache or streamed from upstream
+   * A cached image is returned as Buffer; an upstream image is returned as a stream
+   * and stored in the cache once fully received. Variants are always returned as Buffer
+   * @param {string} url - Image URL
+   * @param {string} providerId - Provider ID (optional, detected from host)
+   * @param {object} transform - Variant from parseTransform (optional)
+   * @returns {Promise<object>} Image ({ body, contentType, contentLength, etag, cache })
+   */
+  async getImage(url, providerId, transform = null) {
+    const resolved = this.resolve(url, providerId);
+    const key = this.getKey(resolved.url, transform);
+
+    const cached = this.getCached(key);
+    if (cached) {
+      this.stats.bytesServed += cached.size;
+      return this.toImage(cached, 'HIT');
+    }
+
+    this.stats.misses++;
+
+    if (transform) {
+      const variant = await this.getVariant(key, resolved, transform);
+      this.stats.bytesServed += variant.size;
+      return this.toImage(variant, 'MISS');
+    }
+
+    const upstream = await this.fetchUpstream(resolved.url, resolved.providerId);
+    return {
+      body: this.tee(key, upstream),
+      contentType: upstream.contentType,
+      contentLength: upstream.contentLength,
+      etag: null,
+      lastModified: null,
+      cache: 'MISS'
+    };
+  }
+
+  /**
+   * Build image result from cache item
+   * @param {object} item - Cache item
+   * @param {string} cache - Cache status (HIT, MISS)
+   * @returns {object} Image
+   */
+  toImage(item, cache) {
+    return {
+      body: item.value,
+      contentType: item.contentType,
+      contentLength: item.size,
+      etag: item.etag,
+      lastModified: item.createdAt,
+      cache
+    };
+  }
+
+  /**
+   * Convert image to variant and cache it
+   * The original is taken from the cache or downloaded (and cached) first;
+   * concurrent requests for the same variant share one conversion
+   * @param {string} key - Variant cache key
+   * @param {object} resolved - Resolved URL and provider ID
+   * @param {object} transform - Variant transform
+   * @returns {Promise<object>} Variant cache item
+   */
+  getVariant(key, resolved, transform) {
+    if (this.converting.has(key)) {
+      return this.converting.get(key);
+    }
+
+    const promise = (async () => {
+      const originalKey = this.getKey(resolved.url);
+      let original = this.getCached(originalKey);
+
+      if (!original) {
+        const upstream = await this.fetchUpstream(resolved.url, resolved.providerId);
+        original = this.store(originalKey, await this.collect(upstream.stream), upstream.contentType);
+      }
+
+      const output = await this.convert(original.value, transform);
+      this.stats.transforms++;
+      return this.store(key, output, OUTPUT_FORMATS[transform.format]);
+    })().finally(() => this.converting.delete(key));
+
+    this.converting.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Resize and re-encode image (never upscales)
+   * @param {Buffer} buffer - Original image
+   * @param {object} transform - Variant transform
+   * @returns {Promise<Buffer>} Converted image
+   */
+  async convert(buffer, transform) {
+    try {
+      let pipeline = sharp(buffer, { failOn: 'none' }).rotate();
+
+      if (transform.width) {
+        pipeline = pipeline.resize({ width: transform.width, withoutEnlargement: true });
+      }
+
+      return await pipeline.toFormat(transform.format, { quality: transform.quality }).toBuffer();
+    } catch (error) {
+      this.stats.errors++;
+      throw new AppError(`Failed to convert image: ${error.message}`, 502, 'IMAGE_CONVERSION_FAILED');
+    }
+  }
+
+  /**
+   * Request image from upstream with provider headers
+   * Redirects are followed only to allowed hosts
+   * @param {string} url - Image URL
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<object>} Upstream stream, content type and length
+   */
+  async fetchUpstream(url, providerId) {
+    let response;
+    let blockedHost = null;
+    try {
+      response = await axios.get(url, {
+        responseType: 'stream',
+        timeout: this.timeout,
+        headers: this.getHeaders(providerId),
+        maxRedirects: 3,
+        validateStatus: () => true,
+        beforeRedirect: (options) => {
+          if (!this.isAllowedHost(options.hostname, providerId)) {
+            blockedHost = options.hostname;
+            throw new Error('Redirect host not allowed');
+          }
+        }
+      });
+    } catch (error) {
+      if (blockedHost) {
+        this.stats.rejected++;
+        throw new AppError(`Image redirect to '${blockedHost}' is not allowed`, 403, 'HOST_NOT_ALLOWED');
+      }
+      this.stats.errors++;
+      throw new NetworkError(`Failed to fetch image: ${error.message}`, error);
+    }
+
+    const { status, headers, data } = response;
+    const contentType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const contentLength = parseInt(headers['content-length'], 10) || null;
+
+    const fail = (error) => {
+      data.destroy();
+      this.stats.errors++;
+      throw error;
+    };
+
+    if (status === 404 || status === 410) {
+      fail(new NotFoundError('Image not found upstream'));
+    }
+    if (status >= 400) {
+      fail(new NetworkError(`Image upstream responded with HTTP ${status}`));
+    }
+    if (!contentType.startsWith('image/')) {
+      fail(new AppError(`Upstream returned ${contentType || 'unknown content'} instead of an image`, 502, 'INVALID_IMAGE'));
+    }
+    if (contentLength && contentLength > this.maxImageBytes) {
+      fail(new AppError(`Image exceeds ${this.maxImageBytes} bytes`, 502, 'IMAGE_TOO_LARGE'));
+    }
+
+    return { stream: data, contentType, contentLength };
+  }
+
+  /**
+   * Read upstream stream into Buffer, enforcing the size limit
+   * @param {object} stream - Upstream stream
+   * @returns {Promise<Buffer>} Image bytes
+   */
+  collect(stream) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let received = 0;
+
+      stream.on('data', chunk => {
+        received += chunk.length;
+        if (received > this.maxImageBytes) {
+          this.stats.errors++;
+          stream.destroy();
+          reject(new AppError(`Image exceeds ${this.maxImageBytes} bytes`, 502, 'IMAGE_TOO_LARGE'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', error => reject(new NetworkError(`Failed to fetch image: ${error.message}`, error)));
+    });
+  }
+
+  /**
+   * Pass upstream stream through while collecting it for the cache
+   * The stream errors if the image grows past the size limit
+   * @param {string} key - Cache key
+   * @param {object} upstream - Upstream response from fetchUpstream
+   * @returns {PassThrough} Stream for the client
+   */
+  tee(key, upstream) {
+    const { stream, contentType } = upstream;
+    const body = new PassThrough();
+    const chunks = [];
+    let received = 0;
+
+    stream.on('data', chunk => {
+      received += chunk.length;
+      if (received > this.maxImageBytes) {
+        this.stats.errors++;
+        stream.destroy(new AppError(`Image exceeds ${this.maxImageBytes} bytes`, 502, 'IMAGE_TOO_LARGE'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    stream.on('end', () => {
+      const buffer = Buffer.concat(chunks);
+      this.stats.bytesServed += buffer.length;
+      this.store(key, buffer, contentType);
+    });
+
+    stream.on('error', error => body.destroy(error));
+
+    // Client went away before the image was complete
+    body.on('close', () => {
+      if (!stream.readableEnded) {
+        stream.destroy();
+      }
+    });
+
+    stream.pipe(body);
+    return body;
+  }
+
+  /**
+   * Build proxied URL for image
+   * @param {string} url - Upstream image URL
+   * @param {string} baseUrl - Public base URL of this API
+   * @param {object} variant - Variant query (width, quality, format), optional
+   * @returns {string} Proxied URL, or the original URL if no provider allows the host
+   */
+  toProxyUrl(url, baseUrl, variant = {}) {
+    const providerId = typeof url === 'string' && this.findProvider(url);
+    if (!providerId) return url;
+
+    const params = new URLSearchParams({ url, provider: providerId });
+    Object.entries(variant).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        params.set(key, value);
+      }
+    });
+    return `${baseUrl}/image?${params.toString()}`;
+  }
+
+  /**
+   * Build srcset of proxied variants for image
+   * @param {string} url - Upstream image URL
+   * @param {string} baseUrl - Public base URL of this API
+   * @param {Array} widths - Variant widths
+   * @param {object} variant - Shared variant query (quality, format)
+   * @returns {string|null} srcset value, or null if no provider allows the host
+   */
+  toSrcset(url, baseUrl, widths, variant = {}) {
+    if (typeof url !== 'string' || !this.findProvider(url)) return null;
+
+    return widths
+      .map(width => `${this.toProxyUrl(url, baseUrl, { ...variant, width })} ${width}w`)
+      .join(', ');
+  }
+
+  /**
+   * Get proxy and cache statistics
+   * @returns {object} Statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      memory: {
+        entries: this.memory.size,
+        bytes: this.memoryBytes,
+        maxBytes: this.maxBytes
+      },
+      disk: this.disk
+        ? { entries: this.disk.size, bytes: this.disk.totalBytes, maxBytes: this.disk.maxBytes }
+        : null
+    };
+  }
+
+  /**
+   * Clear cached images and statistics
+   */
+  clear() {
+    this.memory.clear();
+    this.memoryBytes = 0;
+    if (this.disk) {
+      this.disk.clear();
+    }
+    Object.keys(this.stats).forEach(key => { this.stats[key] = 0; });
+  }
+}
+
+// Export singleton instance
+const imageProxy = new ImageProxy();
+
+module.exports = imageProxy;
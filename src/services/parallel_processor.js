@@ -3,14 +3,64 @@
  * Process multiple providers simultaneously dengan efisien
  */
 
-const { executeScraper } = require('./provider_manager');
+const { executeScraper, executeWithFallback } = require('./provider_manager');
 const { DataAggregationService } = require('./data_processor');
 const { ParseError } = require('../helper/error_handler');
+const healthChecker = require('./health_checker');
+const circuitBreaker = require('./circuit_breaker');
 
 /**
  * Parallel Processor Service
  */
 class ParallelProcessor {
+  /**
+   * Select providers for function
+   * Providers with an open circuit (see circuit_breaker.js) are skipped immediately.
+   * With health-aware selection (see health_checker.js) down providers are skipped
+   * as well and degraded ones are tried last
+   * @param {Array} providers - Array of provider IDs (in priority order)
+   * @param {string} functionName - Scraper function name
+   * @param {boolean} healthAware - Whether to apply health-based selection
+   * @returns {object} Selected provider IDs and skipped providers with reason
+   */
+  static selectProviders(providers, functionName, healthAware = true) {
+    const circuitOpen = providers.filter(id => circuitBreaker.isOpen(id, functionName));
+    const candidates = providers.filter(id => !circuitOpen.includes(id));
+    const selection = healthAware
+      ? healthChecker.selectProviders(candidates)
+      : { providers: candidates, skipped: [] };
+
+    return {
+      providers: selection.providers,
+      skipped: [
+        ...circuitOpen.map(provider => ({ provider, reason: 'circuit-open' })),
+        ...selection.skipped.map(provider => ({ provider, reason: 'down' }))
+      ]
+    };
+  }
+
+  /**
+   * Reject if provider call takes longer than timeout
+   * @param {Promise} promise - Provider call
+   * @param {string} providerId - Provider ID
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise} Provider call result
+   */
+  static async withTimeout(promise, providerId, timeout) {
+    let timer = null;
+
+    try {
+      return await Promise.race([
+        promise,
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new ParseError(`Timeout for provider ${providerId}`)), timeout);
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Process multiple providers in parallel
    * @param {Array} providers - Array of provider IDs
@@ -24,26 +74,24 @@ class ParallelProcessor {
       timeout = 30000,
       stopOnError = false,
       aggregate = true,
-      aggregateOptions = {}
+      aggregateOptions = {},
+      healthAware = true
     } = options;
 
+    const { providers: selected, skipped } = this.selectProviders(providers, functionName, healthAware);
     const results = [];
     const errors = [];
 
     // Create promises for each provider
-    const promises = providers.map(async (providerId) => {
+    const promises = selected.map(async (providerId) => {
       try {
-        const result = await Promise.race([
-          executeScraper(providerId, functionName, ...args),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new ParseError(`Timeout for provider ${providerId}`)), timeout)
-          )
-        ]);
+        const { data, report } = await this.withTimeout(executeWithFallback(providerId, functionName, args), providerId, timeout);
 
+        // Attribute data to the provider that actually served it (may be a fallback)
         return {
-          provider: providerId,
+          provider: report.provider,
           success: true,
-          data: result
+          data
         };
       } catch (error) {
         if (stopOnError) {
@@ -67,13 +115,13 @@ class ParallelProcessor {
           results.push(result.value);
         } else {
           errors.push({
-            provider: providers[index],
+            provider: selected[index],
             error: result.value.error
           });
         }
       } else {
         errors.push({
-          provider: providers[index],
+          provider: selected[index],
           error: result.reason.message
         });
       }
@@ -95,6 +143,7 @@ class ParallelProcessor {
           totalProviders: providers.length,
           successful: results.length,
           failed: errors.length,
+          skipped: skipped.length > 0 ? skipped : undefined,
           aggregated: aggregated.length
         }
       };
@@ -107,7 +156,8 @@ class ParallelProcessor {
       metadata: {
         totalProviders: providers.length,
         successful: results.length,
-        failed: errors.length
+        failed: errors.length,
+        skipped: skipped.length > 0 ? skipped : undefined
       }
     };
   }
@@ -122,25 +172,28 @@ class ParallelProcessor {
    * @returns {Promise<object>} First successful result
    */
   static async processWithFallback(providers, functionName, args = [], options = {}) {
-    const { timeout = 30000 } = options;
+    const { timeout = 30000, healthAware = true } = options;
+    const { providers: selected, skipped } = this.selectProviders(providers, functionName, healthAware);
 
-    for (const providerId of providers) {
+    for (const providerId of selected) {
       try {
-        const result = await Promise.race([
-          executeScraper(providerId, functionName, ...args),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new ParseError(`Timeout for provider ${providerId}`)), timeout)
-          )
-        ]);
+        const { data, report } = await this.withTimeout(executeWithFallback(providerId, functionName, args), providerId, timeout);
 
         return {
           success: true,
-          provider: providerId,
-          data: result,
-          fallback: providers.indexOf(providerId) > 0
+          provider: report.provider,
+          data,
+          fallback: report.provider !== providers[0],
+          skipped: [...skipped, ...report.skipped]
         };
       } catch (error) {
         // Try next provider
+        skipped.push({
+          provider: providerId,
+          reason: error.code === 'CIRCUIT_OPEN' ? 'circuit-open' : 'failed',
+          code: error.code,
+          message: error.message
+        });
         continue;
       }
     }
@@ -158,16 +211,12 @@ class ParallelProcessor {
    * @returns {Promise<object>} First successful result
    */
   static async processWithRace(providers, functionName, args = [], options = {}) {
-    const { timeout = 30000 } = options;
+    const { timeout = 30000, healthAware = true } = options;
+    const { providers: selected } = this.selectProviders(providers, functionName, healthAware);
 
-    const promises = providers.map(async (providerId) => {
+    const promises = selected.map(async (providerId) => {
       try {
-        const result = await Promise.race([
-          executeScraper(providerId, functionName, ...args),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new ParseError(`Timeout for provider ${providerId}`)), timeout)
-          )
-        ]);
+        const result = await this.withTimeout(executeScraper(providerId, functionName, ...args), providerId, timeout);
 
         return {
           success: true,
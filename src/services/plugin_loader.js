@@ -0,0 +1,236 @@
+/**
+ * Provider Plugin Loader
+ * Discovers, validates and registers provider plugins from a directory
+ *
+ * A plugin is a module (file or directory with index.js) exporting:
+ *   id        - unique provider ID (lowercase)
+ *   metadata  - { name, baseUrl, enabled? }
+ *   features  - { latest, popular, recommended, search, detail, read, genre, genreList }
+ *   plus the eight scraper functions listed in SCRAPER_FUNCTIONS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { providers } = require('../config/providers');
+const { registerProvider, unregisterProvider } = require('./provider_manager');
+const { ValidationError } = require('../helper/error_handler');
+
+const DEFAULT_PLUGINS_DIR = path.join(__dirname, '../../providers');
+
+const SCRAPER_FUNCTIONS = [
+  'getLatestComics',
+  'getComicsByGenre',
+  'getGenres',
+  'getComicDetail',
+  'readChapter',
+  'searchComics',
+  'getPopularComics',
+  'getRecommendedComics'
+];
+
+const FEATURES = ['latest', 'popular', 'recommended', 'search', 'detail', 'read', 'genre', 'genreList'];
+
+/**
+ * Loaded plugins (id -> { file, metadata, loadedAt }) and last load errors
+ */
+const loadedPlugins = new Map();
+let loadErrors = [];
+let loadedDir = null;
+
+/**
+ * Get plugins directory
+ * @returns {string} Absolute plugins directory path
+ */
+const getPluginsDir = () => {
+  return path.resolve(process.env.PROVIDER_PLUGINS_DIR || DEFAULT_PLUGINS_DIR);
+};
+
+/**
+ * Validate plugin module against the plugin contract
+ * @param {object} plugin - Plugin module exports
+ * @returns {object} Validation result
+ */
+const validatePlugin = (plugin) => {
+  const errors = [];
+
+  if (!plugin || typeof plugin !== 'object') {
+    return { valid: false, errors: ['plugin must export an object'] };
+  }
+
+  if (typeof plugin.id !== 'string' || !/^[a-z0-9_-]+$/.test(plugin.id)) {
+    errors.push('id must be a lowercase string (a-z, 0-9, _ or -)');
+  }
+
+  if (!plugin.metadata || typeof plugin.metadata !== 'object') {
+    errors.push('metadata is required');
+  } else {
+    if (!plugin.metadata.name || typeof plugin.metadata.name !== 'string') {
+      errors.push('metadata.name is required');
+    }
+    if (!plugin.metadata.baseUrl || typeof plugin.metadata.baseUrl !== 'string') {
+      errors.push('metadata.baseUrl is required');
+    }
+  }
+
+  if (!plugin.features || typeof plugin.features !== 'object') {
+    errors.push('features is required');
+  } else {
+    FEATURES.forEach(feature => {
+      if (typeof plugin.features[feature] !== 'boolean') {
+        errors.push(`features.${feature} must be a boolean`);
+      }
+    });
+  }
+
+  SCRAPER_FUNCTIONS.forEach(name => {
+    if (typeof plugin[name] !== 'function') {
+      errors.push(`${name} must be a function`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * List candidate plugin modules in directory
+ * @param {string} dir - Plugins directory
+ * @returns {Array} Absolute module paths
+ */
+const discoverPluginFiles = (dir) => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && !entry.name.startsWith('_'))
+    .map(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isFile() && entry.name.endsWith('.js')) {
+        return fullPath;
+      }
+      if (entry.isDirectory() && fs.existsSync(path.join(fullPath, 'index.js'))) {
+        return path.join(fullPath, 'index.js');
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .sort();
+};
+
+/**
+ * Remove plugin module (and its local dependencies) from require cache
+ * @param {string} file - Plugin module path
+ */
+const purgeRequireCache = (file) => {
+  const pluginRoot = path.dirname(file);
+  Object.keys(require.cache).forEach(cached => {
+    if (cached === file || (path.basename(file) === 'index.js' && cached.startsWith(pluginRoot + path.sep))) {
+      delete require.cache[cached];
+    }
+  });
+};
+
+/**
+ * Register a single validated plugin
+ * @param {object} plugin - Plugin module exports
+ * @param {string} file - Plugin module path
+ */
+const registerPlugin = (plugin, file) => {
+  const existing = providers[plugin.id];
+  if (existing && !existing.plugin) {
+    throw new ValidationError(`Provider '${plugin.id}' is built in and cannot be replaced by a plugin`);
+  }
+
+  registerProvider(plugin.id, plugin, {
+    name: plugin.metadata.name,
+    baseUrl: plugin.metadata.baseUrl.replace(/\/+$/, ''),
+    enabled: plugin.metadata.enabled !== false,
+    default: false,
+    plugin: true,
+    features: { ...plugin.features },
+    urlPatterns: plugin.urlPatterns || {},
+    selectors: plugin.selectors || {}
+  });
+
+  loadedPlugins.set(plugin.id, {
+    file,
+    metadata: { ...plugin.metadata },
+    loadedAt: Date.now()
+  });
+};
+
+/**
+ * Discover and register all plugins from plugins directory
+ * Previously loaded plugins are unregistered first, so this also reloads
+ * @param {object} options - Load options
+ * @param {string} options.dir - Plugins directory (defaults to PROVIDER_PLUGINS_DIR)
+ * @returns {object} Load summary
+ */
+const loadPlugins = (options = {}) => {
+  const dir = options.dir ? path.resolve(options.dir) : getPluginsDir();
+
+  // Unregister previous plugins so removed files disappear on reload
+  loadedPlugins.forEach((info, id) => {
+    unregisterProvider(id);
+    purgeRequireCache(info.file);
+  });
+  loadedPlugins.clear();
+  loadErrors = [];
+  loadedDir = dir;
+
+  discoverPluginFiles(dir).forEach(file => {
+    try {
+      purgeRequireCache(file);
+      const plugin = require(file);
+      const validation = validatePlugin(plugin);
+
+      if (!validation.valid) {
+        throw new ValidationError('Plugin does not satisfy provider contract', validation.errors);
+      }
+
+      if (loadedPlugins.has(plugin.id)) {
+        throw new ValidationError(`Duplicate plugin id '${plugin.id}'`);
+      }
+
+      registerPlugin(plugin, file);
+    } catch (error) {
+      console.error(`Failed to load provider plugin ${file}:`, error.message);
+      loadErrors.push({
+        file,
+        message: error.message,
+        errors: error.errors || []
+      });
+    }
+  });
+
+  return getPluginStatus();
+};
+
+/**
+ * Get loaded plugins and last load errors
+ * @returns {object} Plugin status
+ */
+const getPluginStatus = () => {
+  return {
+    dir: loadedDir || getPluginsDir(),
+    plugins: Array.from(loadedPlugins.entries()).map(([id, info]) => ({
+      id,
+      name: info.metadata.name,
+      baseUrl: info.metadata.baseUrl,
+      file: info.file,
+      loadedAt: info.loadedAt
+    })),
+    errors: loadErrors
+  };
+};
+
+module.exports = {
+  loadPlugins,
+  validatePlugin,
+  getPluginStatus,
+  getPluginsDir,
+  SCRAPER_FUNCTIONS
+};
@@ -3,16 +3,82 @@
  * Manages multiple providers and handles provider selection
  */
 
-const { getProvider, getDefaultProvider, supportsFeature } = require('../config/providers');
-const { ValidationError } = require('../helper/error_handler');
+const { providers, getProvider, getDefaultProvider, supportsFeature } = require('../config/providers');
+const { ValidationError, CircuitOpenError } = require('../helper/error_handler');
+const { createGenericScraper } = require('./generic_scraper');
+const extractionHealth = require('./extraction_health');
+const circuitBreaker = require('./circuit_breaker');
+const singleFlight = require('./single_flight');
+const { getRequestContext } = require('../helper/request_context');
+
+/**
+ * Error codes that move on to the next provider in the fallback chain
+ * Anything else (e.g. VALIDATION_ERROR) is returned to the caller immediately
+ */
+const FALLBACK_ERROR_CODES = ['NETWORK_ERROR', 'PARSE_ERROR', 'NOT_FOUND', 'CIRCUIT_OPEN'];
 
 /**
  * Provider registry mapping with lazy loading to avoid circular dependencies
+ * Providers with `engine: 'generic'` in their config don't need an entry here
  */
 const providerRegistry = {
-  komikcast: () => require('./scraper_service'),
-  shinigami: () => require('./shinigami_scraper'),
-  aquareader: () => require('./aquareader_scraper')
+  shinigami: () => require('./shinigami_scraper')
+};
+
+/**
+ * Generic scraper instances, created on first use
+ */
+const genericScrapers = new Map();
+
+/**
+ * Get scraper loader for provider
+ * @param {string} providerId - Provider ID
+ * @returns {function|null} Scraper loader or null if provider has no scraper
+ */
+const getScraperLoader = (providerId) => {
+  if (providerRegistry[providerId]) {
+    return providerRegistry[providerId];
+  }
+
+  const provider = getProvider(providerId);
+  if (provider && provider.engine === 'generic') {
+    return () => {
+      if (!genericScrapers.has(providerId)) {
+        genericScrapers.set(providerId, createGenericScraper(providerId));
+      }
+      return genericScrapers.get(providerId);
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Register provider scraper at runtime (used by the plugin loader)
+ * @param {string} providerId - Provider ID
+ * @param {object} scraper - Scraper service implementing the scraper functions
+ * @param {object} config - Provider configuration (same shape as config/providers.js)
+ */
+const registerProvider = (providerId, scraper, config) => {
+  providers[providerId] = config;
+  providerRegistry[providerId] = () => scraper;
+  genericScrapers.delete(providerId);
+};
+
+/**
+ * Unregister runtime provider
+ * @param {string} providerId - Provider ID
+ * @returns {boolean} True if provider was removed
+ */
+const unregisterProvider = (providerId) => {
+  if (!providers[providerId] || !providers[providerId].plugin) {
+    return false;
+  }
+
+  delete providers[providerId];
+  delete providerRegistry[providerId];
+  genericScrapers.delete(providerId);
+  return true;
 };
 
 /**
@@ -31,7 +97,7 @@ const getScraperService = (providerId) => {
     throw new ValidationError(`Provider '${providerId}' is not enabled`);
   }
   
-  const scraperLoader = providerRegistry[providerId];
+  const scraperLoader = getScraperLoader(providerId);
   
   if (!scraperLoader) {
     throw new ValidationError(`Scraper service for provider '${providerId}' not found`);
@@ -74,39 +140,159 @@ const providerSupportsFeature = (providerId, feature) => {
 };
 
 /**
- * Execute scraper function with provider
+ * Call scraper function through the provider/feature circuit breaker
+ * Concurrent identical calls share one upstream request (see single_flight.js)
  * @param {string} providerId - Provider ID
+ * @param {object} scraper - Scraper service instance
  * @param {string} functionName - Scraper function name
  * @param {Array} args - Function arguments
  * @returns {Promise} Scraper result
  */
-const executeScraper = async (providerId, functionName, ...args) => {
+const callScraper = (providerId, scraper, functionName, args) => {
+  return singleFlight.run(providerId, functionName, args, async () => {
+    if (!circuitBreaker.canRequest(providerId, functionName)) {
+      const retryAfter = circuitBreaker.getRetryAfter(providerId, functionName);
+      throw new CircuitOpenError(
+        `Circuit for provider '${providerId}' (${circuitBreaker.getFeature(functionName)}) is open`,
+        retryAfter
+      );
+    }
+
+    try {
+      const result = await scraper[functionName](...args);
+      circuitBreaker.recordSuccess(providerId, functionName);
+      extractionHealth.record(providerId, functionName, result);
+      return result;
+    } catch (error) {
+      circuitBreaker.recordFailure(providerId, functionName, error);
+      throw error;
+    }
+  });
+};
+
+/**
+ * Get fallback chain for provider/function
+ * Uses `fallbacks[feature]` (or `fallbacks['*']`) from provider config,
+ * otherwise falls back to the default provider
+ * @param {string} providerId - Provider ID
+ * @param {string} functionName - Scraper function name (or feature name)
+ * @returns {Array} Provider IDs to try after the requested provider
+ */
+const getFallbackChain = (providerId, functionName) => {
+  const provider = getProvider(providerId);
+  const feature = circuitBreaker.getFeature(functionName);
+  const fallbacks = provider && provider.fallbacks;
+
+  const chain = fallbacks
+    ? (fallbacks[feature] || fallbacks['*'] || [])
+    : [getDefaultProvider().name.toLowerCase()];
+
+  return [...new Set(chain.map(id => id.toLowerCase()))].filter(id => id !== providerId);
+};
+
+/**
+ * Check why fallback provider can't be tried
+ * @param {string} providerId - Provider ID
+ * @param {string} functionName - Scraper function name
+ * @returns {string|null} Skip reason or null if provider can be tried
+ */
+const getSkipReason = (providerId, functionName) => {
+  const provider = getProvider(providerId);
+
+  if (!provider || !getScraperLoader(providerId)) {
+    return 'not-found';
+  }
+  if (!provider.enabled) {
+    return 'disabled';
+  }
+  if (provider.features && provider.features[circuitBreaker.getFeature(functionName)] === false) {
+    return 'unsupported';
+  }
+  return null;
+};
+
+/**
+ * Execute scraper function, walking the provider's fallback chain on failure
+ * @param {string} providerId - Provider ID
+ * @param {string} functionName - Scraper function name
+ * @param {Array} args - Function arguments
+ * @param {object} options - Execution options
+ * @param {boolean} options.fallback - Walk the fallback chain (default true)
+ * @returns {Promise<object>} Result ({ data, report }) where report says which
+ *   provider served the call and why earlier providers were skipped
+ */
+const executeWithFallback = async (providerId, functionName, args = [], options = {}) => {
+  const { fallback = true } = options;
   const scraper = getScraperService(providerId);
   
   if (typeof scraper[functionName] !== 'function') {
     throw new ValidationError(`Function '${functionName}' not found in provider '${providerId}'`);
   }
-  
-  try {
-    return await scraper[functionName](...args);
-  } catch (error) {
-    // Only fallback if it's a network/parse error, not validation errors
-    const defaultProvider = getDefaultProvider();
-    const isNetworkError = error.code === 'NETWORK_ERROR' || 
-                          error.code === 'PARSE_ERROR' || 
-                          error.code === 'NOT_FOUND' ||
-                          error.message?.includes('Failed to') ||
-                          error.message?.includes('Error scraping');
-    
-    if (providerId !== defaultProvider.name.toLowerCase() && isNetworkError) {
-      console.warn(`Provider '${providerId}' failed with ${error.code || error.message}, falling back to default provider`);
-      const defaultScraper = getScraperService(defaultProvider.name.toLowerCase());
-      if (typeof defaultScraper[functionName] === 'function') {
-        return await defaultScraper[functionName](...args);
+
+  const skipped = [];
+  let firstError = null;
+
+  const chain = fallback ? getFallbackChain(providerId, functionName) : [];
+
+  for (const id of [providerId, ...chain]) {
+    const skipReason = id === providerId ? null : getSkipReason(id, functionName);
+    if (skipReason) {
+      skipped.push({ provider: id, reason: skipReason });
+      continue;
+    }
+
+    const candidate = getScraperService(id);
+    if (typeof candidate[functionName] !== 'function') {
+      skipped.push({ provider: id, reason: 'unsupported' });
+      continue;
+    }
+
+    try {
+      const data = await callScraper(id, candidate, functionName, args);
+      const report = {
+        feature: circuitBreaker.getFeature(functionName),
+        requested: providerId,
+        provider: id,
+        fallback: id !== providerId,
+        skipped
+      };
+
+      const context = getRequestContext();
+      if (context && Array.isArray(context.servedBy)) {
+        context.servedBy.push(report);
       }
+
+      return { data, report };
+    } catch (error) {
+      if (!FALLBACK_ERROR_CODES.includes(error.code)) {
+        throw error;
+      }
+
+      console.warn(`Provider '${id}' failed with ${error.code} for ${functionName}, trying next provider in fallback chain`);
+      skipped.push({
+        provider: id,
+        reason: error.code === 'CIRCUIT_OPEN' ? 'circuit-open' : 'failed',
+        code: error.code,
+        message: error.message
+      });
+      firstError = firstError || error;
     }
-    throw error;
   }
+
+  // Nothing in the chain could serve it: report the requested provider's error
+  throw firstError;
+};
+
+/**
+ * Execute scraper function with provider (falling back along the provider's fallback chain)
+ * @param {string} providerId - Provider ID
+ * @param {string} functionName - Scraper function name
+ * @param {Array} args - Function arguments
+ * @returns {Promise} Scraper result
+ */
+const executeScraper = async (providerId, functionName, ...args) => {
+  const { data } = await executeWithFallback(providerId, functionName, args);
+  return data;
 };
 
 /**
@@ -123,6 +309,7 @@ const getProviderInfo = (providerId) => {
     name: provider.name,
     baseUrl: provider.baseUrl,
     enabled: provider.enabled,
+    plugin: provider.plugin === true,
     features: provider.features
   };
 };
@@ -132,7 +319,10 @@ const getProviderInfo = (providerId) => {
  * @returns {Array} Array of provider info
  */
 const listProviders = () => {
-  return Object.keys(providerRegistry).map(id => getProviderInfo(id)).filter(Boolean);
+  return Object.keys(providers)
+    .filter(id => getScraperLoader(id))
+    .map(id => getProviderInfo(id))
+    .filter(Boolean);
 };
 
 module.exports = {
@@ -140,7 +330,11 @@ module.exports = {
   resolveProvider,
   providerSupportsFeature,
   executeScraper,
+  executeWithFallback,
+  getFallbackChain,
   getProviderInfo,
-  listProviders
+  listProviders,
+  registerProvider,
+  unregisterProvider
 };
 
@@ -0,0 +1,402 @@
+/**
+ * Series Matcher
+ * Matches the same series across providers (normalized titles, alternative
+ * titles, fuzzy similarity, author/type agreement) and assigns it a canonical
+ * series ID linking every provider's slug or UUID
+ *
+ * The registry lives in memory; set SERIES_REGISTRY_FILE to persist it as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Words ignored when comparing titles
+ */
+const STOP_WORDS = new Set(['the', 'a', 'an', 'no', 'wa', 'ga', 'wo']);
+
+/**
+ * Author values that carry no information
+ */
+const UNKNOWN_AUTHORS = new Set(['', 'unknown', '-', 'n/a', 'tidak diketahui']);
+
+class SeriesMatcher {
+  constructor(options = {}) {
+    // Canonical series: id -> { id, title, titles, author, type, providers }
+    this.series = new Map();
+    // Provider slug index: `${providerId}:${slug}` -> series id
+    this.slugIndex = new Map();
+    // Title token index: token -> Set of series ids (candidate lookup for fuzzy matching)
+    this.tokenIndex = new Map();
+
+    this.matchThreshold = options.matchThreshold || 0.82; // Minimum score to treat as same series
+    this.authorPenalty = options.authorPenalty || 0.25; // Score removed when authors disagree
+    this.typePenalty = options.typePenalty || 0.15; // Score removed when types disagree
+    this.file = options.file || process.env.SERIES_REGISTRY_FILE || null;
+    this.saveTimer = null;
+
+    if (this.file) {
+      this.load();
+    }
+  }
+
+  /**
+   * Normalize title for comparison
+   * Lowercases, strips diacritics, bracketed notes and punctuation
+   * @param {string} title - Title
+   * @returns {string} Normalized title
+   */
+  normalizeTitle(title) {
+    if (!title || typeof title !== 'string') return '';
+
+    return title
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[([{][^)\]}]*[)\]}]/g, ' ') // "(Official)", "[Webtoon]"
+      .replace(/&/g, ' and ')
+      .replace(/['\u2019`]/g, '')
+      .replace(/[^a-z0-9\u3040-\u30ff\u4e00-\u9fff\uac00-\ud7af]+/g, ' ')
+      .split(' ')
+      .filter(word => word && !STOP_WORDS.has(word))
+      .join(' ');
+  }
+
+  /**
+   * Normalize author for comparison
+   * @param {string} author - Author name(s)
+   * @returns {string} Normalized author or empty string if unknown
+   */
+  normalizeAuthor(author) {
+    const normalized = this.normalizeTitle(Array.isArray(author) ? author.join(' ') : author);
+    return UNKNOWN_AUTHORS.has(normalized) ? '' : normalized;
+  }
+
+  /**
+   * Get all normalized titles of comic (main title plus alternative titles)
+   * Alternative titles are read from `alternative`/`alternativeTitles` (array or
+   * string separated by comma, semicolon or slash)
+   * @param {object} comic - Comic item
+   * @returns {Array} Unique normalized titles
+   */
+  getTitles(comic) {
+    let alternatives = comic.alternativeTitles || comic.alternative || [];
+    if (typeof alternatives === 'string') {
+      alternatives = alternatives.split(/[,;/]/);
+    }
+
+    const titles = [comic.title, ...(Array.isArray(alternatives) ? alternatives : [])]
+      .map(title => this.normalizeTitle(title))
+      .filter(Boolean);
+
+    return [...new Set(titles)];
+  }
+
+  /**
+   * Get provider slug (or UUID) from comic href
+   * @param {object} comic - Comic item
+   * @returns {string} Slug, last path segment of href
+   */
+  getSlug(comic) {
+    const href = (comic.href || comic.slug || '').toString();
+    const pathname = href.replace(/^https?:\/\/[^/]+/i, '').split(/[?#]/)[0];
+    const segments = pathname.split('/').filter(Boolean);
+    return segments.length > 0 ? segments[segments.length - 1].toLowerCase() : '';
+  }
+
+  /**
+   * Get character bigrams of string
+   * @param {string} value - String
+   * @returns {Map} Bigram counts
+   */
+  getBigrams(value) {
+    const compact = value.replace(/\s+/g, '');
+    const bigrams = new Map();
+
+    for (let i = 0; i < compact.length - 1; i++) {
+      const bigram = compact.slice(i, i + 2);
+      bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    return bigrams;
+  }
+
+  /**
+   * Fuzzy similarity of two normalized titles (Dice coefficient on character bigrams)
+   * @param {string} a - Normalized title
+   * @param {string} b - Normalized title
+   * @returns {number} Similarity (0-1)
+   */
+  similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const bigramsA = this.getBigrams(a);
+    const bigramsB = this.getBigrams(b);
+    let total = 0;
+    let common = 0;
+
+    bigramsA.forEach(count => { total += count; });
+    bigramsB.forEach((count, bigram) => {
+      total += count;
+      common += Math.min(count, bigramsA.get(bigram) || 0);
+    });
+
+    return total > 0 ? (2 * common) / total : 0;
+  }
+
+  /**
+   * Score how likely comic and series are the same
+   * Best title similarity, reduced when authors or types disagree
+   * @param {object} candidate - Candidate ({ titles, author, type })
+   * @param {object} series - Canonical series
+   * @returns {number} Match score (0-1)
+   */
+  scoreMatch(candidate, series) {
+    let best = 0;
+    candidate.titles.forEach(title => {
+      series.titles.forEach(seriesTitle => {
+        best = Math.max(best, this.similarity(title, seriesTitle));
+      });
+    });
+
+    let score = best;
+
+    if (candidate.author && series.author && this.similarity(candidate.author, series.author) < 0.5) {
+      score -= this.authorPenalty;
+    }
+
+    if (candidate.type && series.type && candidate.type !== series.type) {
+      score -= this.typePenalty;
+    }
+
+    return Math.max(0, Math.round(score * 1000) / 1000);
+  }
+
+  /**
+   * Find best matching series for comic
+   * Series already linking another slug of the same provider are skipped: one site
+   * lists every series once, so a near-identical title there (sequel, "Season 2",
+   * remake) is a different series
+   * @param {object} comic - Comic item
+   * @param {string} providerId - Provider ID the comic was scraped from
+   * @returns {object|null} Best match ({ series, score }) or null if nothing passes the threshold
+   */
+  findMatch(comic, providerId) {
+    const slug = this.getSlug(comic);
+    const candidate = {
+      titles: this.getTitles(comic),
+      author: this.normalizeAuthor(comic.author),
+      type: this.normalizeTitle(comic.type)
+    };
+
+    if (candidate.titles.length === 0) {
+      return null;
+    }
+
+    // Only score series sharing at least one title token
+    const candidateIds = new Set();
+    candidate.titles.forEach(title => {
+      title.split(' ').forEach(token => {
+        (this.tokenIndex.get(token) || []).forEach(id => candidateIds.add(id));
+      });
+    });
+
+    let best = null;
+    candidateIds.forEach(id => {
+      const series = this.series.get(id);
+      const linked = providerId ? series.providers[providerId] : null;
+      if (linked && linked.some(linkedSlug => linkedSlug !== slug)) {
+        return;
+      }
+
+      const score = this.scoreMatch(candidate, series);
+      if (score >= this.matchThreshold && (!best || score > best.score)) {
+        best = { series, score };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Create canonical series ID
+   * Derived from the normalized title so IDs stay stable across restarts
+   * @param {object} comic - Comic item
+   * @returns {string} Series ID
+   */
+  createId(comic) {
+    const seed = this.getTitles(comic)[0] || this.getSlug(comic);
+    let id = `s-${crypto.createHash('sha1').update(seed).digest('hex').slice(0, 12)}`;
+
+    // Same title but a different series (authors/types disagree)
+    let suffix = 1;
+    while (this.series.has(id)) {
+      id = `s-${crypto.createHash('sha1').update(`${seed}#${suffix++}`).digest('hex').slice(0, 12)}`;
+    }
+
+    return id;
+  }
+
+  /**
+   * Index series titles for candidate lookup
+   * @param {object} series - Canonical series
+   */
+  indexTitles(series) {
+    series.titles.forEach(title => {
+      title.split(' ').filter(token => token.length > 1).forEach(token => {
+        if (!this.tokenIndex.has(token)) {
+          this.tokenIndex.set(token, new Set());
+        }
+        this.tokenIndex.get(token).add(series.id);
+      });
+    });
+  }
+
+  /**
+   * Resolve canonical series ID for provider comic, registering it if new
+   * @param {object} comic - Comic item (title, href, author, type, alternative titles)
+   * @param {string} providerId - Provider ID
+   * @returns {string|null} Series ID or null if comic has no title
+   */
+  resolve(comic, providerId) {
+    if (!comic || typeof comic !== 'object') return null;
+
+    const slug = this.getSlug(comic);
+    const slugKey = `${providerId}:${slug}`;
+
+    let series = slug && this.slugIndex.has(slugKey)
+      ? this.series.get(this.slugIndex.get(slugKey))
+      : null;
+
+    if (!series) {
+      const match = this.findMatch(comic, providerId);
+      series = match ? match.series : null;
+    }
+
+    if (!series) {
+      if (this.getTitles(comic).length === 0) return null;
+
+      series = {
+        id: this.createId(comic),
+        title: comic.title,
+        titles: [],
+        author: '',
+        type: '',
+        providers: {}
+      };
+      this.series.set(series.id, series);
+    }
+
+    // Learn from every sighting: new titles, author, type and provider links
+    const titles = this.getTitles(comic).filter(title => !series.titles.includes(title));
+    if (titles.length > 0) {
+      series.titles.push(...titles);
+      this.indexTitles(series);
+    }
+    series.author = series.author || this.normalizeAuthor(comic.author);
+    series.type = series.type || this.normalizeTitle(comic.type);
+
+    if (slug && providerId) {
+      series.providers[providerId] = series.providers[providerId] || [];
+      if (!series.providers[providerId].includes(slug)) {
+        series.providers[providerId].push(slug);
+        this.slugIndex.set(slugKey, series.id);
+        this.scheduleSave();
+      }
+    }
+
+    return series.id;
+  }
+
+  /**
+   * Get canonical series
+   * @param {string} seriesId - Series ID
+   * @returns {object|null} Series ({ id, title, titles, author, type, providers }) or null
+   */
+  getSeries(seriesId) {
+    const series = this.series.get(seriesId);
+    return series ? { ...series, providers: { ...series.providers } } : null;
+  }
+
+  /**
+   * Get series ID for provider slug
+   * @param {string} providerId - Provider ID
+   * @param {string} slug - Provider slug or UUID
+   * @returns {string|null} Series ID or null if not known
+   */
+  getSeriesIdBySlug(providerId, slug) {
+    return this.slugIndex.get(`${providerId}:${this.getSlug({ href: slug })}`) || null;
+  }
+
+  /**
+   * Get registry stats
+   * @returns {object} Series and link counts
+   */
+  getStats() {
+    const multiProvider = Array.from(this.series.values())
+      .filter(series => Object.keys(series.providers).length > 1).length;
+
+    return {
+      series: this.series.size,
+      links: this.slugIndex.size,
+      multiProvider
+    };
+  }
+
+  /**
+   * Load registry from SERIES_REGISTRY_FILE
+   */
+  load() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (saved.series || []).forEach(series => {
+        this.series.set(series.id, series);
+        this.indexTitles(series);
+        Object.entries(series.providers || {}).forEach(([providerId, slugs]) => {
+          slugs.forEach(slug => this.slugIndex.set(`${providerId}:${slug}`, series.id));
+        });
+      });
+    } catch (error) {
+      console.error('Failed to load series registry:', error.message);
+    }
+  }
+
+  /**
+   * Save registry to SERIES_REGISTRY_FILE (debounced)
+   */
+  scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify({ series: Array.from(this.series.values()) }));
+      } catch (error) {
+        console.error('Failed to save series registry:', error.message);
+      }
+    }, 1000);
+
+    if (this.saveTimer.unref) {
+      this.saveTimer.unref();
+    }
+  }
+
+  /**
+   * Clear registry (in memory only)
+   */
+  reset() {
+    this.series.clear();
+    this.slugIndex.clear();
+    this.tokenIndex.clear();
+  }
+}
+
+// Export singleton instance
+const seriesMatcher = new SeriesMatcher();
+
+module.exports = seriesMatcher;
@@ -0,0 +1,122 @@
+/**
+ * Single Flight
+ * Coalesces concurrent identical scraper calls (same provider, function and
+ * arguments) into one upstream request; later callers await the in-flight call
+ */
+
+class SingleFlight {
+  constructor() {
+    // In-flight calls: key -> { promise, waiters }
+    this.flights = new Map();
+
+    // Counters per key prefix `${providerId}:${functionName}`
+    this.stats = new Map();
+  }
+
+  /**
+   * Build flight key
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @param {Array} args - Function arguments
+   * @returns {string} Flight key
+   */
+  getKey(providerId, functionName, args = []) {
+    return `${providerId}:${functionName}:${JSON.stringify(args)}`;
+  }
+
+  /**
+   * Get (or create) counters for provider/function
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @returns {object} Counters
+   */
+  getCounters(providerId, functionName) {
+    const key = `${providerId}:${functionName}`;
+
+    if (!this.stats.has(key)) {
+      this.stats.set(key, { provider: providerId, function: functionName, executed: 0, coalesced: 0 });
+    }
+
+    return this.stats.get(key);
+  }
+
+  /**
+   * Run function once per key at a time
+   * Callers joining an in-flight call get a copy of its result, so they can't
+   * modify each other's data
+   * @param {string} providerId - Provider ID
+   * @param {string} functionName - Scraper function name
+   * @param {Array} args - Function arguments
+   * @param {function} fn - Function performing the call
+   * @returns {Promise} Call result
+   */
+  async run(providerId, functionName, args, fn) {
+    const key = this.getKey(providerId, functionName, args);
+    const counters = this.getCounters(providerId, functionName);
+    const flight = this.flights.get(key);
+
+    if (flight) {
+      counters.coalesced++;
+      flight.waiters++;
+      return this.copy(await flight.promise);
+    }
+
+    counters.executed++;
+    const promise = Promise.resolve().then(fn);
+    this.flights.set(key, { promise, waiters: 0 });
+
+    try {
+      return await promise;
+    } finally {
+      this.flights.delete(key);
+    }
+  }
+
+  /**
+   * Copy shared result for a coalesced caller
+   * @param {*} result - Call result
+   * @returns {*} Deep copy (or the result itself if it can't be cloned)
+   */
+  copy(result) {
+    if (!result || typeof result !== 'object') return result;
+
+    try {
+      return structuredClone(result);
+    } catch (error) {
+      return result;
+    }
+  }
+
+  /**
+   * Get coalescing metrics
+   * @returns {object} Totals, in-flight calls and counters per provider/function
+   */
+  getStats() {
+    const functions = Array.from(this.stats.values()).map(counters => ({ ...counters }));
+    const executed = functions.reduce((sum, counters) => sum + counters.executed, 0);
+    const coalesced = functions.reduce((sum, counters) => sum + counters.coalesced, 0);
+
+    return {
+      executed,
+      coalesced,
+      // Share of scraper calls answered by another caller's request
+      coalescedRate: executed + coalesced > 0
+        ? Math.round(coalesced / (executed + coalesced) * 10000) / 100
+        : 0,
+      inFlight: Array.from(this.flights.entries()).map(([key, flight]) => ({ key, waiters: flight.waiters })),
+      functions: functions.sort((a, b) => b.coalesced - a.coalesced)
+    };
+  }
+
+  /**
+   * Reset metrics (in-flight calls are kept)
+   */
+  reset() {
+    this.stats.clear();
+  }
+}
+
+// Export singleton instance
+const singleFlight = new SingleFlight();
+
+module.exports = singleFlight;
@@ -0,0 +1,331 @@
+/**
+ * Update Tracker
+ * Periodically re-reads the detail of every followed (bookmarked) series,
+ * diffs its chapter list by normalized chapter number against the last check
+ * and records new chapters in a release feed (and `chapter.new` webhooks). The first check of a series only
+ * stores its chapter list, so the back catalog is not reported as new
+ *
+ * Requests to each provider are spaced to stay within its budget
+ * (`updates.requestsPerMinute` in provider config); providers are checked in parallel
+ *
+ *   UPDATE_CHECK_INTERVAL      - interval in ms (default 1800000, 0 disables; started from server.js)
+ *   UPDATE_REQUESTS_PER_MINUTE - default detail requests per provider per minute (default 6)
+ *   UPDATE_FEED_MAX            - releases kept in the feed (default 500)
+ *   UPDATE_MAX_SERIES          - series checked per run, most followed first (default 1000)
+ *   UPDATE_TRACKER_FILE        - state file (default <os tmpdir>/api-manga-updates.json)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getProvider } = require('../config/providers');
+const { getComicDetail } = require('./scraper_service');
+const chapterDownload = require('./chapter_download');
+const userLibrary = require('./user_library');
+const webhooks = require('./webhooks');
+const { ValidationError } = require('../helper/error_handler');
+
+const DEFAULT_FILE = path.join(os.tmpdir(), 'api-manga-updates.json');
+
+/**
+ * Normalize chapter number for comparison ("01" and "1.0" are chapter 1)
+ * @param {string} number - Chapter number
+ * @returns {string} Normalized number
+ */
+const normalizeNumber = (number) => String(parseFloat(number));
+
+class UpdateTracker {
+  constructor(options = {}) {
+    this.file = options.file || process.env.UPDATE_TRACKER_FILE || DEFAULT_FILE;
+    this.requestsPerMinute = options.requestsPerMinute ||
+      parseInt(process.env.UPDATE_REQUESTS_PER_MINUTE || '6', 10);
+    this.maxFeed = options.maxFeed || parseInt(process.env.UPDATE_FEED_MAX || '500', 10);
+    this.maxSeries = options.maxSeries || parseInt(process.env.UPDATE_MAX_SERIES || '1000', 10);
+    this.interval = options.interval || 30 * 60 * 1000;
+
+    // Last seen chapters: `${provider}:${slug}` -> { provider, slug, title, chapters, checkedAt, lastError }
+    this.series = new Map();
+    // Releases, newest first
+    this.feed = [];
+    this.nextId = 1;
+    // Time of last request per provider, for request spacing
+    this.lastRequest = new Map();
+
+    this.checking = null; // Promise of running check
+    this.lastRun = null;
+    this.timer = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Load state from UPDATE_TRACKER_FILE on first use
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!fs.existsSync(this.file)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (saved.series || []).forEach(series => this.series.set(`${series.provider}:${series.slug}`, series));
+      this.feed = saved.feed || [];
+      this.nextId = saved.nextId || this.feed.length + 1;
+    } catch (error) {
+      console.error('Failed to load update tracker state:', error.message);
+    }
+  }
+
+  /**
+   * Save state (written to a temp file first so a crash never leaves it half-written)
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmpFile = `${this.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({
+        nextId: this.nextId,
+        series: Array.from(this.series.values()),
+        feed: this.feed
+      }));
+      fs.renameSync(tmpFile, this.file);
+    } catch (error) {
+      console.error('Failed to save update tracker state:', error.message);
+    }
+  }
+
+  /**
+   * Get minimum time between detail requests to provider
+   * @param {string} providerId - Provider ID
+   * @returns {number} Milliseconds
+   */
+  getRequestGap(providerId) {
+    const provider = getProvider(providerId);
+    const budget = (provider && provider.updates && provider.updates.requestsPerMinute) || this.requestsPerMinute;
+    return Math.ceil(60 * 1000 / Math.max(1, budget));
+  }
+
+  /**
+   * Wait until provider budget allows the next request
+   * @param {string} providerId - Provider ID
+   */
+  async waitForBudget(providerId) {
+    const last = this.lastRequest.get(providerId);
+    const delay = last ? last + this.getRequestGap(providerId) - Date.now() : 0;
+
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    this.lastRequest.set(providerId, Date.now());
+  }
+
+  /**
+   * Check all followed series (a check already running is shared)
+   * @returns {Promise<object>} Run summary ({ startedAt, finishedAt, checked, failed, skipped, releases })
+   */
+  checkAll() {
+    if (this.checking) return this.checking;
+
+    this.checking = this.runCheck().finally(() => {
+      this.checking = null;
+    });
+    return this.checking;
+  }
+
+  /**
+   * Run check of followed series, one queue per provider
+   * @returns {Promise<object>} Run summary
+   */
+  async runCheck() {
+    this.load();
+    const run = { startedAt: Date.now(), finishedAt: null, checked: 0, failed: 0, skipped: 0, releases: 0 };
+    const followed = userLibrary.getFollowedSeries();
+    // Library users are cheap to create, so the work per run is bounded
+    const checked = followed.slice(0, this.maxSeries);
+    run.skipped += followed.length - checked.length;
+
+    const byProvider = new Map();
+    checked.forEach(series => {
+      byProvider.set(series.provider, [...(byProvider.get(series.provider) || []), series]);
+    });
+
+    await Promise.all(Array.from(byProvider.entries()).map(async ([providerId, list]) => {
+      const provider = getProvider(providerId);
+      if (!provider || !provider.enabled) {
+        run.skipped += list.length;
+        return;
+      }
+
+      for (const series of list) {
+        await this.waitForBudget(providerId);
+        try {
+          const releases = await this.checkSeries(series);
+          run.releases += releases;
+          run.checked++;
+        } catch (error) {
+          run.failed++;
+          const state = this.series.get(series.key);
+          if (state) state.lastError = error.message;
+          console.error(`Update check of ${series.key} failed:`, error.message);
+        }
+      }
+    }));
+
+    // Series nobody follows anymore are forgotten (their releases stay in the feed)
+    const keys = new Set(followed.map(series => series.key));
+    Array.from(this.series.keys())
+      .filter(key => !keys.has(key))
+      .forEach(key => this.series.delete(key));
+
+    run.finishedAt = Date.now();
+    this.lastRun = run;
+    this.save();
+    return run;
+  }
+
+  /**
+   * Check series for new chapters
+   * @param {object} series - Followed series ({ key, provider, slug, title })
+   * @returns {Promise<number>} New releases recorded
+   */
+  async checkSeries(series) {
+    const detail = await getComicDetail(series.slug, series.provider);
+    const chapters = chapterDownload.selectChapters(detail)
+      .map(chapter => ({ ...chapter, number: normalizeNumber(chapter.number) }));
+
+    const previous = this.series.get(series.key);
+    const known = new Set(previous ? previous.chapters : []);
+    const added = previous ? chapters.filter(chapter => !known.has(chapter.number)) : [];
+    const title = (detail && detail.title) || series.title || series.slug;
+    const detectedAt = Date.now();
+
+    // Feed is newest first; chapters come oldest first, so the highest one ends up on top
+    added.forEach(chapter => {
+      const release = {
+        id: String(this.nextId++),
+        provider: series.provider,
+        slug: series.slug,
+        title,
+        thumbnail: (detail && detail.thumbnail) || null,
+        chapter: { number: chapter.number, title: chapter.title, href: chapter.url },
+        detectedAt
+      };
+      this.feed.unshift(release);
+      webhooks.dispatch('chapter.new', release);
+    });
+    this.feed.length = Math.min(this.feed.length, this.maxFeed);
+
+    this.series.set(series.key, {
+      provider: series.provider,
+      slug: series.slug,
+      title,
+      // Numbers are kept across checks, so a chapter the site drops and re-adds is not reported twice
+      chapters: Array.from(new Set([...known, ...chapters.map(chapter => chapter.number)])),
+      checkedAt: detectedAt,
+      lastError: null
+    });
+
+    return added.length;
+  }
+
+  /**
+   * Parse `since` (epoch milliseconds or ISO date)
+   * @param {string|number} since - Since value
+   * @returns {number} Epoch milliseconds (0 when omitted)
+   */
+  parseSince(since) {
+    if (since === undefined || since === null || since === '') return 0;
+
+    const time = /^\d+$/.test(String(since)) ? parseInt(since, 10) : Date.parse(since);
+    if (Number.isNaN(time)) {
+      throw new ValidationError('since must be epoch milliseconds or an ISO date');
+    }
+    return time;
+  }
+
+  /**
+   * Get releases detected after `since`, newest first
+   * @param {object} options - Options
+   * @param {string|number} options.since - Epoch milliseconds or ISO date
+   * @param {string} options.provider - Only releases of provider
+   * @param {string} options.userId - Only series bookmarked by user
+   * @param {number} options.limit - Max releases (default 100)
+   * @returns {object} Releases and last check time
+   */
+  getUpdates(options = {}) {
+    this.load();
+    const since = this.parseSince(options.since);
+    const limit = Math.min(parseInt(options.limit, 10) || 100, this.maxFeed);
+    const followed = options.userId
+      ? new Set(userLibrary.listBookmarks(options.userId).map(bookmark => `${bookmark.provider}:${bookmark.slug}`))
+      : null;
+
+    const releases = this.feed
+      .filter(release => release.detectedAt > since)
+      .filter(release => !options.provider || release.provider === options.provider)
+      .filter(release => !followed || followed.has(`${release.provider}:${release.slug}`))
+      .slice(0, limit);
+
+    return {
+      since,
+      checkedAt: this.lastRun ? this.lastRun.finishedAt : null,
+      releases
+    };
+  }
+
+  /**
+   * Get tracker status
+   * @returns {object} Schedule, last run and tracked series
+   */
+  getStatus() {
+    this.load();
+    return {
+      enabled: Boolean(this.timer),
+      interval: this.interval,
+      checking: Boolean(this.checking),
+      lastRun: this.lastRun,
+      feed: this.feed.length,
+      series: Array.from(this.series.values()).map(({ chapters, ...series }) => ({
+        ...series,
+        chapters: chapters.length
+      }))
+    };
+  }
+
+  /**
+   * Start scheduled checks
+   * @param {number} interval - Check interval in milliseconds (optional)
+   */
+  start(interval = this.interval) {
+    this.stop();
+    this.interval = interval;
+
+    const run = () => {
+      this.checkAll().catch(error => {
+        console.error('Update check failed:', error.message);
+      });
+    };
+
+    run();
+    this.timer = setInterval(run, this.interval);
+
+    // Don't keep the process alive just for update checks
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop scheduled checks
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const updateTracker = new UpdateTracker();
+
+module.exports = updateTracker;
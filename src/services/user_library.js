@@ -0,0 +1,374 @@
+/**
+ * User Library
+ * Per-user bookmarks of series, last-read chapter and page per series, and
+ * reading history, kept in memory and persisted as one JSON document.
+ * Series are keyed by provider and slug (see seriesMatcher.getSlug), so a
+ * bookmark made from a listing `href` matches the `/detail/:url` slug
+ *
+ * Users are identified by a UUID (X-User-Id, see middleware/library_user);
+ * bookmarks per user are capped since every bookmark is checked by the
+ * update tracker
+ *
+ *   LIBRARY_FILE          - store file (default <os tmpdir>/api-manga-user-library.json)
+ *   LIBRARY_MAX_HISTORY   - history entries kept per user (default 200)
+ *   LIBRARY_MAX_BOOKMARKS - bookmarks per user (default 500)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const seriesMatcher = require('./series_matcher');
+const chapterDownload = require('./chapter_download');
+const { resolveProvider } = require('./provider_manager');
+const { ValidationError, NotFoundError } = require('../helper/error_handler');
+
+const DEFAULT_FILE = path.join(os.tmpdir(), 'api-manga-user-library.json');
+
+class UserLibrary {
+  constructor(options = {}) {
+    this.file = options.file || process.env.LIBRARY_FILE || DEFAULT_FILE;
+    this.maxHistory = options.maxHistory || parseInt(process.env.LIBRARY_MAX_HISTORY || '200', 10);
+    this.maxBookmarks = options.maxBookmarks || parseInt(process.env.LIBRARY_MAX_BOOKMARKS || '500', 10);
+    this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 1000;
+
+    // Libraries: user id -> { bookmarks: { key: bookmark }, progress: { key: progress }, history: [] }
+    this.users = null;
+    this.saveTimer = null;
+    this.exitHandlers = null;
+  }
+
+  /**
+   * Load store on first use
+   * @returns {object} Users
+   */
+  getUsers() {
+    if (this.users) return this.users;
+
+    // No prototype, so user IDs like `__proto__` are plain keys
+    this.users = Object.create(null);
+    if (fs.existsSync(this.file)) {
+      try {
+        Object.assign(this.users, JSON.parse(fs.readFileSync(this.file, 'utf8')).users);
+      } catch (error) {
+        console.error('Failed to load user library:', error.message);
+      }
+    }
+    return this.users;
+  }
+
+  /**
+   * Get user library
+   * @param {string} userId - User ID
+   * @param {boolean} create - Create empty library when missing
+   * @returns {object|null} Library
+   */
+  getUser(userId, create = false) {
+    const users = this.getUsers();
+    if (!users[userId] && create) {
+      users[userId] = { bookmarks: {}, progress: {}, history: [] };
+    }
+    return users[userId] || null;
+  }
+
+  /**
+   * Resolve series reference to provider and slug
+   * @param {string} provider - Provider ID (default provider when omitted)
+   * @param {string} href - Series href, URL or slug
+   * @returns {object} Series reference ({ key, provider, slug })
+   */
+  getSeries(provider, href) {
+    const slug = seriesMatcher.getSlug({ href: href || '' });
+    if (!slug) {
+      throw new ValidationError('Series href is required');
+    }
+
+    const providerId = resolveProvider(provider);
+    return { key: `${providerId}:${slug}`, provider: providerId, slug };
+  }
+
+  /**
+   * List bookmarks with reading progress, most recently updated first
+   * @param {string} userId - User ID
+   * @param {object} options - Options
+   * @param {string} options.provider - Only bookmarks of provider
+   * @returns {Array} Bookmarks ({ provider, slug, href, title, thumbnail, lastReadChapter, ... })
+   */
+  listBookmarks(userId, options = {}) {
+    const library = this.getUser(userId);
+    if (!library) return [];
+
+    return Object.entries(library.bookmarks)
+      .filter(([, bookmark]) => !options.provider || bookmark.provider === options.provider)
+      .map(([key, bookmark]) => ({
+        ...bookmark,
+        lastReadChapter: library.progress[key] || null,
+        updatedAt: Math.max(bookmark.updatedAt, library.progress[key] ? library.progress[key].updatedAt : 0)
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Bookmark series (updates title/thumbnail when already bookmarked)
+   * @param {string} userId - User ID
+   * @param {object} data - Bookmark ({ provider, href, title, thumbnail })
+   * @returns {object} Bookmark
+   */
+  addBookmark(userId, data = {}) {
+    const { key, provider, slug } = this.getSeries(data.provider, data.href);
+    const library = this.getUser(userId, true);
+    const existing = library.bookmarks[key];
+    const now = Date.now();
+
+    if (!existing && Object.keys(library.bookmarks).length >= this.maxBookmarks) {
+      throw new ValidationError(`Bookmark limit of ${this.maxBookmarks} series reached`);
+    }
+
+    library.bookmarks[key] = {
+      provider,
+      slug,
+      href: data.href,
+      title: data.title || (existing && existing.title) || null,
+      thumbnail: data.thumbnail || (existing && existing.thumbnail) || null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.scheduleSave();
+    return library.bookmarks[key];
+  }
+
+  /**
+   * Remove bookmark (reading progress is kept)
+   * @param {string} userId - User ID
+   * @param {string} provider - Provider ID
+   * @param {string} href - Series href or slug
+   * @returns {object} Removed bookmark
+   */
+  removeBookmark(userId, provider, href) {
+    const { key, slug } = this.getSeries(provider, href);
+    const library = this.getUser(userId);
+
+    if (!library || !library.bookmarks[key]) {
+      throw new NotFoundError(`Bookmark '${slug}' not found`);
+    }
+
+    const bookmark = library.bookmarks[key];
+    delete library.bookmarks[key];
+    this.scheduleSave();
+    return bookmark;
+  }
+
+  /**
+   * Save last-read chapter and page of series, and add it to history
+   * @param {string} userId - User ID
+   * @param {object} data - Progress ({ provider, href, title, chapter, chapterTitle, number, page })
+   *                        `number` defaults to the number in chapterTitle or the chapter slug
+   * @returns {object} Progress
+   */
+  setProgress(userId, data = {}) {
+    const { key, provider, slug } = this.getSeries(data.provider, data.href);
+    if (!data.chapter || typeof data.chapter !== 'string') {
+      throw new ValidationError('Chapter href is required');
+    }
+
+    const page = data.page !== undefined && data.page !== null ? parseInt(data.page, 10) : null;
+    if (page !== null && (Number.isNaN(page) || page < 1)) {
+      throw new ValidationError('page must be a positive number');
+    }
+
+    const library = this.getUser(userId, true);
+    const bookmark = library.bookmarks[key];
+    const progress = {
+      provider,
+      slug,
+      href: data.href,
+      title: data.title || (bookmark && bookmark.title) || (library.progress[key] && library.progress[key].title) || null,
+      chapter: data.chapter,
+      chapterTitle: data.chapterTitle || null,
+      number: data.number !== undefined && data.number !== null
+        ? String(data.number)
+        : chapterDownload.getChapterNumber(data.chapterTitle, data.chapter),
+      page,
+      updatedAt: Date.now()
+    };
+
+    library.progress[key] = progress;
+
+    // Latest read of a chapter moves it to the top of the history
+    library.history = [
+      { ...progress, readAt: progress.updatedAt },
+      ...library.history.filter(entry => !(entry.provider === provider && entry.chapter === data.chapter))
+    ].slice(0, this.maxHistory);
+
+    this.scheduleSave();
+    return progress;
+  }
+
+  /**
+   * Get reading progress of series
+   * @param {string} userId - User ID
+   * @param {string} provider - Provider ID
+   * @param {string} href - Series href or slug
+   * @returns {object|null} Progress
+   */
+  getProgress(userId, provider, href) {
+    const { key } = this.getSeries(provider, href);
+    const library = this.getUser(userId);
+    return (library && library.progress[key]) || null;
+  }
+
+  /**
+   * List reading progress of all series, most recent first
+   * @param {string} userId - User ID
+   * @returns {Array} Progress entries
+   */
+  listProgress(userId) {
+    const library = this.getUser(userId);
+    if (!library) return [];
+    return Object.values(library.progress).sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Remove reading progress of series
+   * @param {string} userId - User ID
+   * @param {string} provider - Provider ID
+   * @param {string} href - Series href or slug
+   * @returns {object} Removed progress
+   */
+  removeProgress(userId, provider, href) {
+    const { key, slug } = this.getSeries(provider, href);
+    const library = this.getUser(userId);
+
+    if (!library || !library.progress[key]) {
+      throw new NotFoundError(`Reading progress for '${slug}' not found`);
+    }
+
+    const progress = library.progress[key];
+    delete library.progress[key];
+    this.scheduleSave();
+    return progress;
+  }
+
+  /**
+   * Get reading history, most recent first
+   * @param {string} userId - User ID
+   * @param {object} options - Options
+   * @param {number} options.limit - Max entries (default all)
+   * @returns {Array} History entries
+   */
+  getHistory(userId, options = {}) {
+    const library = this.getUser(userId);
+    if (!library) return [];
+
+    const limit = parseInt(options.limit, 10);
+    return limit > 0 ? library.history.slice(0, limit) : library.history;
+  }
+
+  /**
+   * Clear reading history
+   * @param {string} userId - User ID
+   * @returns {number} Removed entries
+   */
+  clearHistory(userId) {
+    const library = this.getUser(userId);
+    if (!library) return 0;
+
+    const removed = library.history.length;
+    library.history = [];
+    this.scheduleSave();
+    return removed;
+  }
+
+  /**
+   * Get library state of series for detail responses
+   * @param {string} userId - User ID
+   * @param {string} provider - Provider ID
+   * @param {string} href - Series href or slug
+   * @returns {object} State ({ bookmarked, lastReadChapter })
+   */
+  getSeriesState(userId, provider, href) {
+    const { key } = this.getSeries(provider, href);
+    const library = this.getUser(userId);
+
+    return {
+      bookmarked: Boolean(library && library.bookmarks[key]),
+      lastReadChapter: (library && library.progress[key]) || null
+    };
+  }
+
+  /**
+   * List series bookmarked by any user, most followed first
+   * @returns {Array} Followed series ({ key, provider, slug, title, users })
+   */
+  getFollowedSeries() {
+    const followed = new Map();
+
+    Object.entries(this.getUsers()).forEach(([userId, library]) => {
+      Object.entries(library.bookmarks).forEach(([key, bookmark]) => {
+        const series = followed.get(key) || { key, provider: bookmark.provider, slug: bookmark.slug, title: null, users: [] };
+        series.title = series.title || bookmark.title;
+        series.users.push(userId);
+        followed.set(key, series);
+      });
+    });
+
+    return Array.from(followed.values()).sort((a, b) => b.users.length - a.users.length);
+  }
+
+  /**
+   * Save store to LIBRARY_FILE (debounced)
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+    if (this.saveTimer.unref) {
+      this.saveTimer.unref();
+    }
+  }
+
+  /**
+   * Save pending changes when the process exits or is stopped (SIGTERM/SIGINT),
+   * so a restart or deploy never drops the last second of writes
+   */
+  flushOnExit() {
+    if (this.exitHandlers) return;
+
+    const flushPending = () => {
+      if (this.saveTimer) this.flush();
+    };
+    this.exitHandlers = { beforeExit: flushPending };
+    ['SIGTERM', 'SIGINT'].forEach(signal => {
+      this.exitHandlers[signal] = () => {
+        flushPending();
+        // Handler was registered once, so this exits with the signal's default behaviour
+        process.kill(process.pid, signal);
+      };
+    });
+
+    Object.entries(this.exitHandlers).forEach(([event, handler]) => process.once(event, handler));
+  }
+
+  /**
+   * Save store now (written to a temp file first so a crash never leaves it half-written)
+   */
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.users) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmpFile = `${this.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ users: this.users }));
+      fs.renameSync(tmpFile, this.file);
+    } catch (error) {
+      console.error('Failed to save user library:', error.message);
+    }
+  }
+}
+
+// Export singleton instance
+const userLibrary = new UserLibrary();
+
+module.exports = userLibrary;
@@ -0,0 +1,532 @@
+/**
+ * Webhooks
+ * Outgoing webhook subscriptions (URL, event types, HMAC secret) for:
+ *   chapter.new          - new chapter of a followed series (update tracker)
+ *   provider.health      - provider health status change (health checker)
+ *   scrape.failure_spike - circuit opened after consecutive scrape failures (circuit breaker)
+ *   webhook.test         - test delivery
+ *
+ * Deliveries are JSON POSTs ({ id, event, createdAt, data }) signed with
+ * `X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>">`.
+ * Non-2xx responses and network errors are retried with exponential backoff;
+ * deliveries that run out of attempts go to the dead-letter log. Subscriptions
+ * and dead letters are persisted, retries in flight are not
+ *
+ * Receivers on loopback, private and link-local addresses are rejected, when the
+ * subscription is saved and again for every request and redirect (see helper/network_guard)
+ *
+ *   WEBHOOKS_DIR            - state directory, kept at mode 0700 (default <os tmpdir>/api-manga-webhooks-<uid>)
+ *   WEBHOOKS_FILE           - state file with the HMAC secrets, mode 0600 (default <WEBHOOKS_DIR>/webhooks.json)
+ *   WEBHOOK_MAX_ATTEMPTS    - delivery attempts (default 5)
+ *   WEBHOOK_RETRY_DELAY     - first retry delay in ms, doubled per attempt (default 1000)
+ *   WEBHOOK_TIMEOUT         - request timeout in ms (default 10000)
+ *   WEBHOOK_DEAD_LETTER_MAX - dead letters kept (default 200)
+ *   WEBHOOK_ALLOW_PRIVATE   - `true` allows receivers on private networks (default false)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { ValidationError, NotFoundError } = require('../helper/error_handler');
+const { checkPublicUrl, publicLookup } = require('../helper/network_guard');
+
+const DEFAULT_DIR = path.join(os.tmpdir(), `api-manga-webhooks-${typeof process.getuid === 'function' ? process.getuid() : 'user'}`);
+
+const EVENT_TYPES = ['chapter.new', 'provider.health', 'scrape.failure_spike', 'webhook.test'];
+
+/**
+ * Longest retry delay
+ */
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+/**
+ * Redirects followed per delivery attempt
+ */
+const MAX_REDIRECTS = 3;
+
+class Webhooks {
+  constructor(options = {}) {
+    this.file = options.file || process.env.WEBHOOKS_FILE ||
+      path.join(process.env.WEBHOOKS_DIR || DEFAULT_DIR, 'webhooks.json');
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+    this.retryDelay = options.retryDelay || parseInt(process.env.WEBHOOK_RETRY_DELAY || '1000', 10);
+    this.timeout = options.timeout || parseInt(process.env.WEBHOOK_TIMEOUT || '10000', 10);
+    this.maxDeadLetters = options.maxDeadLetters || parseInt(process.env.WEBHOOK_DEAD_LETTER_MAX || '200', 10);
+    this.allowPrivate = options.allowPrivate !== undefined
+      ? options.allowPrivate
+      : process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+    // Subscriptions: id -> subscription
+    this.subscriptions = new Map();
+    // Failed deliveries, newest first
+    this.deadLetters = [];
+    // Retry timers of deliveries in flight: delivery id -> timer
+    this.retries = new Map();
+    this.loaded = false;
+  }
+
+  /**
+   * Load state from WEBHOOKS_FILE on first use
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!fs.existsSync(this.file)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (saved.subscriptions || []).forEach(subscription => this.subscriptions.set(subscription.id, subscription));
+      this.deadLetters = saved.deadLetters || [];
+    } catch (error) {
+      console.error('Failed to load webhooks:', error.message);
+    }
+  }
+
+  /**
+   * Create state directory readable only by this user
+   * Refuses directories owned by someone else (e.g. created in a shared tmpdir first)
+   */
+  ensurePrivateDir() {
+    const dir = path.dirname(this.file);
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    if (typeof process.getuid !== 'function') return;
+
+    const stats = fs.statSync(dir);
+    if (stats.uid !== process.getuid()) {
+      throw new Error(`${dir} is owned by another user`);
+    }
+    if ((stats.mode & 0o077) !== 0) {
+      fs.chmodSync(dir, 0o700);
+    }
+  }
+
+  /**
+   * Save state (written to a temp file first so a crash never leaves it half-written)
+   * The file holds subscription secrets, so it is only readable by this user
+   */
+  save() {
+    try {
+      this.ensurePrivateDir();
+      const tmpFile = `${this.file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({
+        subscriptions: Array.from(this.subscriptions.values()),
+        deadLetters: this.deadLetters
+      }), { mode: 0o600 });
+      fs.chmodSync(tmpFile, 0o600);
+      fs.renameSync(tmpFile, this.file);
+    } catch (error) {
+      console.error('Failed to save webhooks:', error.message);
+    }
+  }
+
+  /**
+   * Validate subscription fields
+   * @param {object} data - Subscription fields ({ url, events, providers, series, description, enabled })
+   * @param {boolean} partial - Only validate given fields
+   * @returns {object} Validated fields
+   */
+  validate(data = {}, partial = false) {
+    const fields = {};
+
+    if (!partial || data.url !== undefined) {
+      fields.url = checkPublicUrl(data.url, { allowPrivate: this.allowPrivate }).href;
+    }
+
+    if (!partial || data.events !== undefined) {
+      const events = Array.isArray(data.events) ? data.events : [data.events];
+      const unknown = events.filter(event => event !== '*' && !EVENT_TYPES.includes(event));
+      if (events.length === 0 || unknown.length > 0) {
+        throw new ValidationError(`events must be a list of: *, ${EVENT_TYPES.join(', ')}`);
+      }
+      fields.events = events;
+    }
+
+    ['providers', 'series'].forEach(field => {
+      if (data[field] === undefined) return;
+      if (data[field] !== null && (!Array.isArray(data[field]) || data[field].some(value => typeof value !== 'string'))) {
+        throw new ValidationError(`${field} must be a list of strings`);
+      }
+      fields[field] = data[field] && data[field].length > 0 ? data[field] : null;
+    });
+
+    if (data.description !== undefined) fields.description = data.description ? String(data.description) : null;
+    if (data.enabled !== undefined) fields.enabled = data.enabled !== false;
+
+    return fields;
+  }
+
+  /**
+   * Create subscription
+   * A secret is generated when none is given; it is only returned here
+   * @param {object} data - Subscription ({ url, events, secret, providers, series, description })
+   * @returns {object} Subscription with secret (copy)
+   */
+  create(data = {}) {
+    this.load();
+    if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < 16)) {
+      throw new ValidationError('secret must be at least 16 characters');
+    }
+
+    const subscription = {
+      id: crypto.randomBytes(8).toString('hex'),
+      url: null,
+      events: [],
+      providers: null, // Only events of these providers
+      series: null, // Only chapter.new of these series slugs
+      description: null,
+      enabled: true,
+      ...this.validate(data),
+      secret: data.secret || crypto.randomBytes(24).toString('hex'),
+      createdAt: Date.now(),
+      stats: { delivered: 0, failed: 0, lastDeliveryAt: null, lastStatus: null, lastError: null }
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    this.save();
+    return { ...this.toJSON(subscription), secret: subscription.secret };
+  }
+
+  /**
+   * Update subscription
+   * @param {string} id - Subscription ID
+   * @param {object} data - Fields to change ({ url, events, providers, series, description, enabled })
+   * @returns {object} Subscription (without secret)
+   */
+  update(id, data = {}) {
+    const subscription = this.getSubscription(id);
+    Object.assign(subscription, this.validate(data, true));
+    this.save();
+    return this.toJSON(subscription);
+  }
+
+  /**
+   * Remove subscription
+   * @param {string} id - Subscription ID
+   * @returns {object} Removed subscription (without secret)
+   */
+  remove(id) {
+    const subscription = this.getSubscription(id);
+    this.subscriptions.delete(subscription.id);
+    this.save();
+    return this.toJSON(subscription);
+  }
+
+  /**
+   * Get subscription
+   * @param {string} id - Subscription ID
+   * @returns {object} Subscription
+   */
+  getSubscription(id) {
+    this.load();
+    const subscription = this.subscriptions.get(String(id));
+    if (!subscription) {
+      throw new NotFoundError(`Webhook '${id}' not found`);
+    }
+    return subscription;
+  }
+
+  /**
+   * Serialize subscription without secret
+   * @param {object} subscription - Subscription
+   * @returns {object} Subscription
+   */
+  toJSON(subscription) {
+    const { secret, ...fields } = subscription;
+    return fields;
+  }
+
+  /**
+   * List subscriptions (without secrets)
+   * @returns {Array} Subscriptions
+   */
+  list() {
+    this.load();
+    return Array.from(this.subscriptions.values()).map(subscription => this.toJSON(subscription));
+  }
+
+  /**
+   * Check whether subscription wants event
+   * @param {object} subscription - Subscription
+   * @param {string} event - Event type
+   * @param {object} data - Event data
+   * @returns {boolean} True if event should be delivered
+   */
+  matches(subscription, event, data) {
+    if (!subscription.enabled) return false;
+    if (!subscription.events.includes(event) && !(subscription.events.includes('*') && event !== 'webhook.test')) {
+      return false;
+    }
+    if (subscription.providers && !subscription.providers.includes(data.provider)) return false;
+    if (subscription.series && event === 'chapter.new' && !subscription.series.includes(data.slug)) return false;
+    return true;
+  }
+
+  /**
+   * Deliver event to every matching subscription (in the background)
+   * @param {string} event - Event type
+   * @param {object} data - Event data
+   * @returns {Array} Delivery IDs
+   */
+  dispatch(event, data = {}) {
+    this.load();
+
+    return Array.from(this.subscriptions.values())
+      .filter(subscription => this.matches(subscription, event, data))
+      .map(subscription => {
+        const delivery = this.createDelivery(subscription, event, data);
+        this.attempt(delivery);
+        return delivery.id;
+      });
+  }
+
+  /**
+   * Build delivery
+   * @param {object} subscription - Subscription
+   * @param {string} event - Event type
+   * @param {object} data - Event data
+   * @returns {object} Delivery
+   */
+  createDelivery(subscription, event, data) {
+    const id = crypto.randomUUID();
+    return {
+      id,
+      subscriptionId: subscription.id,
+      event,
+      body: JSON.stringify({ id, event, createdAt: new Date().toISOString(), data }),
+      attempts: 0,
+      lastStatus: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Sign delivery body
+   * @param {string} secret - Subscription secret
+   * @param {string} timestamp - Unix time in seconds
+   * @param {string} body - Request body
+   * @returns {string} Signature header value (sha256=<hex>)
+   */
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  /**
+   * POST body to URL, following redirects to public hosts only
+   * @param {string} url - Receiver URL
+   * @param {object} headers - Request headers
+   * @param {string} body - Request body
+   * @param {AbortSignal} signal - Abort signal (timeout of the whole attempt)
+   * @param {number} redirects - Redirects followed so far
+   * @returns {Promise<number>} Final response status
+   */
+  async post(url, headers, body, signal, redirects = 0) {
+    const target = checkPublicUrl(url, { allowPrivate: this.allowPrivate });
+
+    const response = await new Promise((resolve, reject) => {
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: this.allowPrivate ? undefined : publicLookup,
+        signal
+      }, res => {
+        res.on('error', reject);
+        res.on('end', () => resolve(res));
+        res.resume();
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+
+    const location = response.headers.location;
+    if (response.statusCode < 300 || response.statusCode >= 400 || !location) {
+      return response.statusCode;
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`Too many redirects (last: HTTP ${response.statusCode})`);
+    }
+
+    const next = new URL(location, target).href;
+    try {
+      checkPublicUrl(next, { allowPrivate: this.allowPrivate });
+    } catch (error) {
+      throw new Error(`Redirect to ${next} rejected: ${error.message}`);
+    }
+    return this.post(next, headers, body, signal, redirects + 1);
+  }
+
+  /**
+   * Send delivery once
+   * @param {object} delivery - Delivery (attempts and last result updated in place)
+   * @returns {Promise<object>} Result ({ ok, status, duration, error })
+   */
+  async send(delivery) {
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription) {
+      return { ok: false, status: null, duration: 0, error: 'Subscription removed' };
+    }
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startTime = Date.now();
+    delivery.attempts++;
+
+    let result;
+    try {
+      const status = await this.post(subscription.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'api-manga-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Attempt': String(delivery.attempts),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': this.sign(subscription.secret, timestamp, delivery.body)
+      }, delivery.body, AbortSignal.timeout(this.timeout));
+
+      result = {
+        ok: status >= 200 && status < 300,
+        status,
+        error: status >= 200 && status < 300 ? null : `HTTP ${status}`
+      };
+    } catch (error) {
+      result = { ok: false, status: null, error: error.message };
+    }
+    result.duration = Date.now() - startTime;
+
+    delivery.lastStatus = result.status;
+    delivery.lastError = result.error;
+    Object.assign(subscription.stats, {
+      lastDeliveryAt: startTime,
+      lastStatus: result.status,
+      lastError: result.error
+    });
+    subscription.stats[result.ok ? 'delivered' : 'failed']++;
+
+    return result;
+  }
+
+  /**
+   * Get delay before retry
+   * @param {number} attempts - Attempts made
+   * @returns {number} Milliseconds (doubles per attempt)
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryDelay * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Send delivery, scheduling a retry or dead-lettering it on failure
+   * @param {object} delivery - Delivery
+   * @returns {Promise<object>} Result of this attempt
+   */
+  async attempt(delivery) {
+    this.retries.delete(delivery.id);
+    const result = await this.send(delivery);
+
+    if (result.ok || !this.subscriptions.has(delivery.subscriptionId)) {
+      this.save(); // Subscription stats
+      return result;
+    }
+
+    if (delivery.attempts >= this.maxAttempts) {
+      this.addDeadLetter(delivery);
+      return result;
+    }
+
+    const timer = setTimeout(() => this.attempt(delivery), this.getRetryDelay(delivery.attempts));
+    if (timer.unref) {
+      timer.unref();
+    }
+    this.retries.set(delivery.id, timer);
+    return result;
+  }
+
+  /**
+   * Record delivery that ran out of attempts
+   * @param {object} delivery - Delivery
+   */
+  addDeadLetter(delivery) {
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    console.error(`Webhook delivery ${delivery.id} (${delivery.event}) failed after ${delivery.attempts} attempts: ${delivery.lastError}`);
+
+    this.deadLetters.unshift({
+      ...delivery,
+      url: subscription ? subscription.url : null,
+      failedAt: Date.now()
+    });
+    this.deadLetters.length = Math.min(this.deadLetters.length, this.maxDeadLetters);
+    this.save();
+  }
+
+  /**
+   * List dead letters, newest first
+   * @returns {Array} Dead letters
+   */
+  listDeadLetters() {
+    this.load();
+    return this.deadLetters.map(({ body, ...deadLetter }) => ({ ...deadLetter, payload: JSON.parse(body) }));
+  }
+
+  /**
+   * Send dead letter again (same delivery ID, new set of attempts)
+   * @param {string} id - Delivery ID
+   * @returns {Promise<object>} Result of first attempt
+   */
+  async redeliver(id) {
+    this.load();
+    const deadLetter = this.deadLetters.find(entry => entry.id === id);
+    if (!deadLetter) {
+      throw new NotFoundError(`Dead letter '${id}' not found`);
+    }
+    this.getSubscription(deadLetter.subscriptionId);
+
+    this.deadLetters = this.deadLetters.filter(entry => entry !== deadLetter);
+    this.save();
+
+    const { url, failedAt, ...delivery } = deadLetter;
+    return this.attempt({ ...delivery, attempts: 0 });
+  }
+
+  /**
+   * Clear dead-letter log
+   * @returns {number} Removed dead letters
+   */
+  clearDeadLetters() {
+    this.load();
+    const removed = this.deadLetters.length;
+    this.deadLetters = [];
+    this.save();
+    return removed;
+  }
+
+  /**
+   * Send test event to subscription once (no retries)
+   * @param {string} id - Subscription ID
+   * @returns {Promise<object>} Result ({ id, ok, status, duration, error })
+   */
+  async test(id) {
+    const subscription = this.getSubscription(id);
+    const delivery = this.createDelivery(subscription, 'webhook.test', {
+      webhook: subscription.id,
+      message: 'Test delivery'
+    });
+
+    const result = await this.send(delivery);
+    this.save();
+    return { id: delivery.id, ...result };
+  }
+
+  /**
+   * Cancel pending retries
+   */
+  stop() {
+    this.retries.forEach(timer => clearTimeout(timer));
+    this.retries.clear();
+  }
+}
+
+// Export singleton instance
+const webhooks = new Webhooks();
+
+module.exports = webhooks;
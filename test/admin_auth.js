@@ -0,0 +1,56 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { requireAdmin, requireAdminToken } = require('../src/middleware/admin_auth');
+
+describe('admin auth', () => {
+  let server;
+  let baseUrl;
+  const adminToken = process.env.ADMIN_TOKEN;
+
+  before(() => {
+    const app = express();
+    app.get('/read', requireAdmin, (req, res) => res.json({ status: 'success' }));
+    app.post('/write', requireAdminToken, (req, res) => res.json({ status: 'success' }));
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  afterEach(() => {
+    if (adminToken === undefined) {
+      delete process.env.ADMIN_TOKEN;
+    } else {
+      process.env.ADMIN_TOKEN = adminToken;
+    }
+  });
+
+  it('keeps read-only endpoints open and disables mutating ones without ADMIN_TOKEN', async () => {
+    delete process.env.ADMIN_TOKEN;
+
+    assert.equal((await fetch(`${baseUrl}/read`)).status, 200);
+
+    const write = await fetch(`${baseUrl}/write`, { method: 'POST' });
+    assert.equal(write.status, 403);
+    assert.equal((await write.json()).code, 'ADMIN_DISABLED');
+  });
+
+  it('accepts the token from X-Admin-Token or a bearer header', async () => {
+    process.env.ADMIN_TOKEN = 'a-long-admin-token';
+
+    assert.equal((await fetch(`${baseUrl}/read`)).status, 401);
+    assert.equal((await fetch(`${baseUrl}/write`, { method: 'POST' })).status, 401);
+    assert.equal((await fetch(`${baseUrl}/write`, { method: 'POST', headers: { 'X-Admin-Token': 'a-long-admin-toke' } })).status, 401);
+    assert.equal((await fetch(`${baseUrl}/write`, { method: 'POST', headers: { 'X-Admin-Token': 'a-long-admin-token-' } })).status, 401);
+
+    assert.equal((await fetch(`${baseUrl}/read`, { headers: { 'X-Admin-Token': 'a-long-admin-token' } })).status, 200);
+    assert.equal((await fetch(`${baseUrl}/write`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer a-long-admin-token' }
+    })).status, 200);
+  });
+});
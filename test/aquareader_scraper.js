@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { replay } = require('./support/replay');
+
+describe('aquareader scraper (generic engine, replayed fixtures)', () => {
+  it('getLatestComics deduplicates slider items', async () => {
+    const result = await replay('aquareader', 'getLatestComics', 1);
+
+    assert.equal(result.current_page, 1);
+    assert.deepEqual(result.data.map(c => c.href), [
+      '/manga/nano-machine',
+      '/manga/solo-leveling',
+      '/manga/the-greatest-estate-developer'
+    ]);
+    assert.equal(result.data[1].chapter, 'Chapter 200');
+    assert.equal(result.data[1].thumbnail, 'https://aquareader.net/wp-content/uploads/solo-leveling.jpg');
+  });
+
+  it('getComicsByGenre returns genre listing', async () => {
+    const result = await replay('aquareader', 'getComicsByGenre', 'action', 1);
+
+    assert.deepEqual(result.data.map(c => c.title), ['Solo Leveling', 'Nano Machine']);
+  });
+
+  it('getGenres collects unique manga-genre links', async () => {
+    const genres = await replay('aquareader', 'getGenres');
+
+    assert.deepEqual(genres.map(g => g.title), ['Action', 'Romance', 'Fantasy']);
+    assert.equal(genres[0].href, '/manga-genre/action');
+  });
+
+  it('getComicDetail parses metadata block and chapters', async () => {
+    const detail = await replay('aquareader', 'getComicDetail', 'manga/solo-leveling');
+
+    assert.equal(detail.title, 'Solo Leveling');
+    assert.equal(detail.rating, 9.2);
+    assert.equal(detail.author, 'Chugong');
+    assert.equal(detail.status, 'Completed');
+    assert.equal(detail.type, 'Manhwa');
+    assert.equal(detail.released, '2018');
+    assert.deepEqual(detail.genre.map(g => g.title), ['Action', 'Fantasy']);
+    assert.deepEqual(detail.chapter[1], {
+      title: '1',
+      number: 1,
+      href: '/manga/solo-leveling/chapter-1',
+      date: 'March 4, 2018'
+    });
+  });
+
+  it('readChapter reads src and lazy data-src panels', async () => {
+    const chapter = await replay('aquareader', 'readChapter', 'manga/solo-leveling/chapter-1');
+
+    assert.equal(chapter.title, 'Solo Leveling - Chapter 1');
+    assert.deepEqual(chapter.panel, [
+      'https://aquareader.net/wp-content/uploads/WP-manga/data/solo-leveling/chapter-1/01.jpg',
+      'https://aquareader.net/wp-content/uploads/WP-manga/data/solo-leveling/chapter-1/02.jpg'
+    ]);
+  });
+
+  it('searchComics returns matching items', async () => {
+    const comics = await replay('aquareader', 'searchComics', 'solo');
+
+    assert.deepEqual(comics.map(c => c.title), ['Solo Leveling']);
+  });
+
+  it('getPopularComics only reads the popular section', async () => {
+    const comics = await replay('aquareader', 'getPopularComics');
+
+    assert.deepEqual(comics.map(c => c.title), ['Nano Machine']);
+  });
+
+  it('getRecommendedComics reads all slider items', async () => {
+    const comics = await replay('aquareader', 'getRecommendedComics');
+
+    assert.equal(comics.length, 3);
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const sharp = require('sharp');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const imageProxy = require('../src/services/image_proxy');
+const chapterDownload = require('../src/services/chapter_download');
+const bookExport = require('../src/services/book_export');
+const { readZip, collector } = require('./support/archive');
+
+describe('book export', () => {
+  let upstream;
+  let upstreamUrl;
+  let images;
+  let chapterCalls;
+
+  before(async () => {
+    images = {
+      '/cover.png': await sharp({ create: { width: 40, height: 60, channels: 3, background: '#000000' } }).png().toBuffer(),
+      '/page.png': await sharp({ create: { width: 80, height: 120, channels: 3, background: '#ffffff' } }).png().toBuffer()
+    };
+
+    upstream = http.createServer((req, res) => {
+      const image = images[req.url.replace(/^\/\d+/, '')];
+      if (!image) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(image);
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    registerProvider('exporttest', {
+      getComicDetail: async () => ({
+        title: 'Solo Leveling',
+        thumbnail: `${upstreamUrl}/cover.png`,
+        description: 'E-rank hunter',
+        author: 'Chugong',
+        type: 'Manhwa',
+        released: '2018',
+        genre: [{ title: 'Action', href: '/action' }, { title: 'Fantasy', href: '/fantasy' }],
+        chapter: [3, 2, 1].map(number => ({ title: String(number), number, href: `/solo-leveling-chapter-${number}` }))
+      }),
+      readChapter: async (url) => {
+        chapterCalls.push(url);
+        const number = url.match(/(\d+)$/)[1];
+        return {
+          title: `Chapter ${number}`,
+          panel: [1, 2].map(page => `${upstreamUrl}/${number}${page}/page.png`)
+        };
+      }
+    }, {
+      name: 'Export Test',
+      baseUrl: upstreamUrl,
+      enabled: true,
+      default: false,
+      plugin: true,
+      features: { read: true, detail: true },
+      fallbacks: {}
+    });
+  });
+
+  after(() => {
+    upstream.close();
+    unregisterProvider('exporttest');
+    imageProxy.clear();
+  });
+
+  beforeEach(() => {
+    imageProxy.clear();
+    chapterCalls = [];
+  });
+
+  it('exports a chapter range as fixed-layout EPUB', async () => {
+    const book = await bookExport.getSeriesBook('solo-leveling', { provider: 'exporttest', from: 1, to: 2 });
+    assert.equal(book.title, 'Solo Leveling - Chapters 1-2');
+    assert.deepEqual(chapterCalls, []);
+
+    const output = collector();
+    const summary = await bookExport.write('epub', book, output, { width: 64 });
+    assert.deepEqual(summary, { chapters: 2, pages: 4 });
+    assert.deepEqual(chapterCalls, ['/solo-leveling-chapter-1', '/solo-leveling-chapter-2']);
+
+    const entries = readZip(Buffer.concat(output.chunks));
+    const names = Array.from(entries.keys());
+    assert.equal(names[0], 'mimetype');
+    assert.equal(entries.get('mimetype').method, 0);
+    assert.equal(entries.get('mimetype').data.toString(), 'application/epub+zip');
+    assert.ok(names.includes('META-INF/container.xml'));
+    assert.ok(names.includes('OEBPS/images/c002-p002.jpg'));
+
+    const opf = entries.get('OEBPS/content.opf').data.toString();
+    assert.match(opf, /<dc:title>Solo Leveling - Chapters 1-2<\/dc:title>/);
+    assert.match(opf, /<dc:creator>Chugong<\/dc:creator>/);
+    assert.match(opf, /<dc:subject>Fantasy<\/dc:subject>/);
+    assert.match(opf, /<meta property="rendition:layout">pre-paginated<\/meta>/);
+    assert.match(opf, /id="cover-image" href="images\/cover.jpg" media-type="image\/jpeg" properties="cover-image"/);
+    assert.deepEqual([...opf.matchAll(/<itemref idref="([^"]+)"/g)].map(match => match[1]),
+      ['cover', 'c001-p001', 'c001-p002', 'c002-p001', 'c002-p002']);
+
+    const nav = entries.get('OEBPS/nav.xhtml').data.toString();
+    assert.deepEqual([...nav.matchAll(/<a href="([^"]+)">([^<]+)<\/a>/g)].map(match => [match[1], match[2]]), [
+      ['pages/c001-p001.xhtml', 'Chapter 1'],
+      ['pages/c002-p001.xhtml', 'Chapter 2']
+    ]);
+
+    // Pages are JPEG, downscaled to the requested width
+    const page = entries.get('OEBPS/pages/c001-p001.xhtml').data.toString();
+    assert.match(page, /<meta name="viewport" content="width=64, height=96"\/>/);
+    assert.equal((await sharp(entries.get('OEBPS/images/c001-p001.jpg').data).metadata()).format, 'jpeg');
+  });
+
+  it('exports a single chapter download as PDF with cover and outline', async () => {
+    const meta = await chapterDownload.getChapter('solo-leveling-chapter-3', { provider: 'exporttest' });
+    const book = bookExport.fromChapter(meta);
+    assert.equal(book.title, 'Solo Leveling - Chapter 3');
+
+    const output = collector();
+    const summary = await bookExport.write('pdf', book, output);
+    assert.deepEqual(summary, { chapters: 1, pages: 2 });
+
+    const pdf = Buffer.concat(output.chunks).toString('latin1');
+    assert.ok(pdf.startsWith('%PDF-'));
+    assert.equal(pdf.match(/\/Type \/Page\b/g).length, 3);
+    assert.match(pdf, /\/MediaBox \[0 0 40 60\]/);
+    assert.match(pdf, /\/MediaBox \[0 0 80 120\]/);
+    assert.match(pdf, /\/Outlines/);
+  });
+
+  it('validates chapter ranges', async () => {
+    await assert.rejects(bookExport.getSeriesBook('solo-leveling', { provider: 'exporttest' }), /Chapter range is required/);
+    await assert.rejects(bookExport.getSeriesBook('solo-leveling', { provider: 'exporttest', from: 10, to: 20 }), /No chapters between 10 and 20/);
+
+    const single = await bookExport.getSeriesBook('solo-leveling', { provider: 'exporttest', chapter: 2 });
+    assert.deepEqual(single.chapters.map(chapter => chapter.number), ['2']);
+
+    const maxChapters = bookExport.maxChapters;
+    bookExport.maxChapters = 2;
+    try {
+      await assert.rejects(bookExport.getSeriesBook('solo-leveling', { provider: 'exporttest', from: 1, to: 3 }), /limited to 2 chapters/);
+    } finally {
+      bookExport.maxChapters = maxChapters;
+    }
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('../src/helper/cache_store');
+const cacheService = require('../src/helper/cache_service');
+
+const CacheService = cacheService.constructor;
+
+// Detail-like payload with many chapters, compresses well
+const detail = (chapters = 300) => ({
+  status: 'success',
+  data: {
+    title: 'Solo Leveling',
+    chapter: Array.from({ length: chapters }, (_, i) => ({
+      title: `Chapter ${i + 1}`,
+      href: `/read/solo-leveling-chapter-${i + 1}`,
+      date: '2024-01-01'
+    }))
+  }
+});
+
+describe('cache compression', () => {
+  const caches = [];
+  const create = (options) => {
+    const cache = new CacheService({ l2Store: new Map(), ...options });
+    cache.stopCleanup();
+    caches.push(cache);
+    return cache;
+  };
+
+  afterEach(() => {
+    caches.splice(0).forEach(cache => cache.clear());
+  });
+
+  it('stores large entries as compressed buffers and restores them', () => {
+    for (const algorithm of ['brotli', 'gzip']) {
+      const cache = create({ compressionAlgorithm: algorithm });
+      const value = detail();
+      cache.set('/detail/solo-leveling', value);
+
+      const item = cache.l1Cache.get('/detail/solo-leveling');
+      assert.equal(item.compressed, true);
+      assert.equal(item.compression, algorithm);
+      assert.ok(Buffer.isBuffer(item.value));
+      assert.equal(item.size, item.value.length);
+      assert.ok(item.size < item.originalSize / 5, `${algorithm} should shrink repetitive payloads`);
+
+      assert.deepEqual(cache.get('/detail/solo-leveling'), value);
+    }
+  });
+
+  it('serializes large entries once before compressing', (t) => {
+    const cache = create();
+    const value = detail();
+    const stringify = t.mock.method(JSON, 'stringify');
+
+    cache.set('/detail/solo-leveling', value);
+
+    assert.equal(stringify.mock.calls.filter(call => call.arguments[0] === value).length, 1);
+    t.mock.restoreAll();
+    assert.deepEqual(cache.get('/detail/solo-leveling'), value);
+    assert.deepEqual(cache.decompress(cache.compress(Buffer.from('{"a":1}'))), { a: 1 });
+  });
+
+  it('keeps small entries uncompressed', () => {
+    const cache = create();
+    cache.set('/genres', { status: 'success', data: ['Action'] });
+
+    const item = cache.l1Cache.get('/genres');
+    assert.equal(item.compressed, false);
+    assert.equal(item.size, Buffer.byteLength(JSON.stringify({ status: 'success', data: ['Action'] })));
+  });
+
+  it('reads compressed entries after compression is disabled', () => {
+    const cache = create();
+    cache.set('/detail/solo-leveling', detail());
+    cache.enableCompression = false;
+
+    assert.deepEqual(cache.get('/detail/solo-leveling'), detail());
+  });
+
+  it('accounts L1 memory in stored bytes and evicts over maxBytes', () => {
+    const cache = create({ maxBytes: 8 * 1024, enableCompression: false });
+    const value = detail(20); // ~1.5KB uncompressed
+
+    for (let i = 0; i < 10; i++) {
+      cache.set(`/detail/${i}`, value);
+    }
+
+    const stored = Array.from(cache.l1Cache.values()).reduce((sum, item) => sum + item.size, 0);
+    assert.equal(cache.l1Bytes, stored);
+    assert.ok(cache.l1Bytes <= 8 * 1024);
+    assert.ok(cache.l1Cache.size < 10);
+    // Evicted entries moved to L2
+    assert.ok(cache.l2Cache.has('/detail/0'));
+
+    cache.delete('/detail/9');
+    cache.invalidatePattern('/detail/8');
+    const remaining = Array.from(cache.l1Cache.values()).reduce((sum, item) => sum + item.size, 0);
+    assert.equal(cache.l1Bytes, remaining);
+  });
+
+  it('reports compression ratio and memory in stats', () => {
+    const cache = create();
+    cache.set('/detail/a', detail());
+    cache.set('/detail/b', detail(200));
+    cache.set('/genres', { data: ['Action'] });
+
+    const { compression, memory } = cache.getStats();
+    assert.equal(compression.algorithm, 'brotli');
+    assert.equal(compression.entries, 2);
+    assert.ok(compression.ratio > 5);
+    assert.equal(compression.savedBytes, compression.originalBytes - compression.compressedBytes);
+    assert.equal(memory.l1Bytes, cache.l1Bytes);
+    assert.ok(memory.l1Bytes < compression.originalBytes);
+  });
+
+  it('persists compressed entries in the file store', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-compression-'));
+
+    try {
+      const cache = create({ l2Store: new FileStore({ dir }) });
+      cache.set('/detail/solo-leveling', detail());
+      const { size } = cache.l1Cache.get('/detail/solo-leveling');
+
+      const restarted = create({ l2Store: new FileStore({ dir }) });
+      assert.equal(restarted.getEntryStats('/detail/solo-leveling').size, size);
+      assert.deepEqual(restarted.get('/detail/solo-leveling'), detail());
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { responseApi } = require('../src/helper/response_api');
+const { asyncHandler, errorHandler, NetworkError } = require('../src/helper/error_handler');
+const cacheService = require('../src/helper/cache_service');
+
+const CacheService = cacheService.constructor;
+
+const TTL = 60 * 1000;
+const STALE = { staleWhileRevalidate: 60 * 1000, staleIfError: 10 * 60 * 1000 };
+
+describe('cache middleware stale serving', () => {
+  let cache;
+  let server;
+  let baseUrl;
+  let calls;
+  let upstream;
+
+  // Move entry back in time so it is `ms` past its TTL
+  const age = (key, ms) => {
+    [cache.l1Cache.get(key), cache.l2Cache.get(key)].filter(Boolean).forEach(item => {
+      item.expiresAt -= TTL + ms;
+      if (item.staleUntil) item.staleUntil -= TTL + ms;
+    });
+  };
+
+  const request = async (path) => {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { response, body: await response.json() };
+  };
+
+  before(() => {
+    const app = express();
+    const handler = asyncHandler(async (req, res) => {
+      calls++;
+      return responseApi(res, 200, 'success', await upstream());
+    });
+
+    cache = new CacheService({ l2Store: new Map() });
+    cache.stopCleanup();
+
+    app.get('/terbaru', cache.middleware(TTL, STALE), handler);
+    app.get('/plain', cache.middleware(TTL), handler);
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    cache.clear();
+    cache.revalidating.clear();
+    calls = 0;
+    upstream = async () => ['v1'];
+  });
+
+  it('serves stale entries and refreshes them once in the background', async () => {
+    await request('/terbaru');
+    age('/terbaru', 1000);
+
+    let release;
+    upstream = () => new Promise(resolve => { release = () => resolve(['v2']); });
+
+    const responses = await Promise.all([request('/terbaru'), request('/terbaru'), request('/terbaru')]);
+    responses.forEach(({ response, body }) => {
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('x-cache'), 'STALE');
+      assert.deepEqual(body.data, ['v1']);
+    });
+
+    // One refresh for all stale requests
+    assert.equal(calls, 2);
+    release();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const { response, body } = await request('/terbaru');
+    assert.equal(response.headers.get('x-cache'), 'HIT');
+    assert.deepEqual(body.data, ['v2']);
+    assert.equal(cache.revalidating.size, 0);
+  });
+
+  it('keeps the stale entry when the background refresh fails', async () => {
+    await request('/terbaru');
+    age('/terbaru', 1000);
+    upstream = async () => { throw new NetworkError('Komikcast timed out'); };
+
+    const { response } = await request('/terbaru');
+    assert.equal(response.headers.get('x-cache'), 'STALE');
+    await new Promise(resolve => setImmediate(resolve));
+
+    const retry = await request('/terbaru');
+    assert.equal(retry.response.headers.get('x-cache'), 'STALE');
+    assert.deepEqual(retry.body.data, ['v1']);
+  });
+
+  it('falls back to stale data when the scraper throws past the revalidate window', async () => {
+    await request('/terbaru');
+    age('/terbaru', 5 * 60 * 1000);
+    upstream = async () => { throw new NetworkError('Komikcast timed out'); };
+
+    const { response, body } = await request('/terbaru');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-cache'), 'STALE');
+    assert.deepEqual(body.data, ['v1']);
+    assert.equal(cache.getStats().performance.staleErrors, 1);
+  });
+
+  it('returns the error once the stale-if-error window has passed', async () => {
+    await request('/terbaru');
+    age('/terbaru', 20 * 60 * 1000);
+    upstream = async () => { throw new NetworkError('Komikcast timed out'); };
+
+    const { response } = await request('/terbaru');
+    assert.equal(response.status, 503);
+  });
+
+  it('does not serve stale entries on routes without stale windows', async () => {
+    await request('/plain');
+    age('/plain', 1000);
+    upstream = async () => { throw new NetworkError('Komikcast timed out'); };
+
+    const { response } = await request('/plain');
+    assert.equal(response.status, 503);
+
+    // Error responses are not cached
+    upstream = async () => ['v2'];
+    const retry = await request('/plain');
+    assert.equal(retry.response.headers.get('x-cache'), 'MISS');
+    assert.deepEqual(retry.body.data, ['v2']);
+  });
+});
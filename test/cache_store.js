@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore } = require('../src/helper/cache_store');
+const cacheService = require('../src/helper/cache_service');
+
+const CacheService = cacheService.constructor;
+
+const item = (value, ttl = 60000, overrides = {}) => ({
+  value,
+  compressed: false,
+  expiresAt: Date.now() + ttl,
+  createdAt: Date.now(),
+  lastAccessed: Date.now(),
+  accessCount: 0,
+  level: 'L2',
+  tags: [],
+  ...overrides
+});
+
+describe('file cache store', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores, reads and deletes entries on disk', () => {
+    const store = new FileStore({ dir });
+    store.set('/terbaru?page=1', item({ status: 'success', data: [1, 2] }));
+
+    assert.equal(store.size, 1);
+    assert.equal(fs.readdirSync(dir).length, 1);
+    assert.deepEqual(store.get('/terbaru?page=1').value, { status: 'success', data: [1, 2] });
+
+    assert.equal(store.delete('/terbaru?page=1'), true);
+    assert.equal(store.get('/terbaru?page=1'), undefined);
+    assert.equal(fs.readdirSync(dir).length, 0);
+  });
+
+  it('rehydrates entries on startup and drops expired ones', () => {
+    const store = new FileStore({ dir });
+    store.set('fresh', item('fresh value', 60000, { tags: ['provider:komikcast'] }));
+    store.set('stale', item('stale value', -1000));
+
+    const restarted = new FileStore({ dir });
+
+    assert.equal(restarted.size, 1);
+    assert.equal(restarted.get('fresh').value, 'fresh value');
+    assert.deepEqual(restarted.get('fresh').tags, ['provider:komikcast']);
+    assert.equal(restarted.has('stale'), false);
+    assert.equal(fs.readdirSync(dir).length, 1);
+  });
+
+  it('evicts least recently accessed entries over the size limits', () => {
+    const store = new FileStore({ dir, maxEntries: 2 });
+    store.set('a', item('a', 60000, { lastAccessed: 1 }));
+    store.set('b', item('b', 60000, { lastAccessed: 3 }));
+    store.set('c', item('c', 60000, { lastAccessed: 2 }));
+
+    assert.deepEqual(Array.from(store.keys()).sort(), ['b', 'c']);
+
+    const small = new FileStore({ dir: path.join(dir, 'small'), maxBytes: 400 });
+    small.set('big-1', item('x'.repeat(150)));
+    small.set('big-2', item('y'.repeat(150)));
+    assert.deepEqual(Array.from(small.keys()), ['big-2']);
+  });
+
+  it('keeps buffers intact', () => {
+    const store = new FileStore({ dir });
+    store.set('buffer', item(Buffer.from([0, 1, 2, 255])));
+
+    assert.deepEqual(new FileStore({ dir }).get('buffer').value, Buffer.from([0, 1, 2, 255]));
+  });
+
+  it('keeps serving from L1 when the disk write fails', (t) => {
+    const store = new FileStore({ dir });
+    const cache = new CacheService({ l2Store: store });
+    cache.stopCleanup();
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(fs, 'renameSync', () => {
+      throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+    });
+
+    assert.throws(() => store.set('/genres', item(['Action'])), { code: 'ENOSPC' });
+    cache.set('/detail/solo-leveling', { status: 'success', data: { title: 'Solo Leveling' } }, 60000);
+
+    assert.deepEqual(cache.get('/detail/solo-leveling'), { status: 'success', data: { title: 'Solo Leveling' } });
+    assert.equal(cache.getStats().performance.l2WriteErrors, 1);
+    assert.equal(store.has('/detail/solo-leveling'), false);
+    // Temp files of failed writes are removed
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+  });
+
+  it('lets CacheService survive a restart', () => {
+    const cache = new CacheService({ l2Store: new FileStore({ dir }) });
+    cache.set('/detail/solo-leveling', { status: 'success', data: { title: 'Solo Leveling' } }, 60000);
+    cache.stopCleanup();
+
+    const restarted = new CacheService({ l2Store: new FileStore({ dir }) });
+    restarted.stopCleanup();
+
+    assert.equal(restarted.l1Cache.size, 0);
+    assert.deepEqual(restarted.get('/detail/solo-leveling'), { status: 'success', data: { title: 'Solo Leveling' } });
+    assert.equal(restarted.getStats().l2.active, 1);
+    assert.equal(restarted.getEntries({ pattern: 'solo' }).length, 2); // promoted to L1, still persisted in L2
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { responseApi } = require('../src/helper/response_api');
+const { providerReport } = require('../src/middleware/provider_report');
+const cacheService = require('../src/helper/cache_service');
+
+describe('cache tags', () => {
+  let server;
+  let baseUrl;
+
+  const request = (path) => fetch(`${baseUrl}${path}`).then(response => response.json());
+  const tagsOf = (path) => {
+    const key = cacheService.generateKey(path, Object.fromEntries(new URL(path, baseUrl).searchParams));
+    const entry = cacheService.getEntryStats(key);
+    return entry ? entry.tags : null;
+  };
+
+  before(() => {
+    const app = express();
+    app.use(providerReport);
+
+    // Handlers report the serving provider like provider_manager.executeWithFallback does
+    const handler = (data) => (req, res) => {
+      res.locals.servedBy.push({ provider: req.query.served || 'komikcast' });
+      return responseApi(res, 200, 'success', data);
+    };
+
+    app.get('/terbaru', cacheService.middleware(60 * 1000), handler([{ title: 'Solo Leveling' }]));
+    app.get('/detail/:url', cacheService.middleware(60 * 1000), handler({ title: 'Solo Leveling', series_id: 's-123' }));
+    app.get('/read/:url', cacheService.middleware(60 * 1000, { tags: ['kind:chapter'] }), handler([{ title: 'Chapter 1' }]));
+    app.get('/genre/:url', cacheService.middleware(60 * 1000), handler([]));
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    cacheService.clear();
+  });
+
+  beforeEach(() => {
+    cacheService.clear();
+  });
+
+  it('tags responses with route family, providers and slugs', async () => {
+    await request('/terbaru?page=1&provider=shinigami&served=komikcast');
+    await request('/detail/Solo-Leveling');
+    await request('/read/solo-leveling-chapter-12');
+    await request('/genre/action');
+
+    assert.deepEqual(tagsOf('/terbaru?page=1&provider=shinigami&served=komikcast').sort(),
+      ['provider:komikcast', 'provider:shinigami', 'route:latest']);
+    assert.deepEqual(tagsOf('/detail/Solo-Leveling').sort(),
+      ['provider:komikcast', 'route:detail', 'series:s-123', 'slug:solo-leveling']);
+    assert.deepEqual(tagsOf('/read/solo-leveling-chapter-12').sort(),
+      ['kind:chapter', 'provider:komikcast', 'route:read', 'slug:solo-leveling', 'slug:solo-leveling-chapter-12']);
+    assert.deepEqual(tagsOf('/genre/action').sort(), ['genre:action', 'provider:komikcast', 'route:genre']);
+  });
+
+  it('invalidates everything for one provider or one manga', async () => {
+    await request('/terbaru?page=1');
+    await request('/terbaru?page=2&served=shinigami');
+    await request('/detail/solo-leveling');
+    await request('/read/solo-leveling-chapter-12');
+    await request('/read/omniscient-reader-chapter-1');
+
+    assert.equal(cacheService.invalidateByTags(['slug:solo-leveling']), 2);
+    assert.equal(tagsOf('/read/solo-leveling-chapter-12'), null);
+    assert.ok(tagsOf('/read/omniscient-reader-chapter-1'));
+
+    assert.equal(cacheService.invalidateByTags(['provider:komikcast']), 2);
+    assert.deepEqual(cacheService.getTags('provider:'), [{ tag: 'provider:shinigami', entries: 1 }]);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { responseApi } = require('../src/helper/response_api');
+const { asyncHandler, errorHandler, NetworkError } = require('../src/helper/error_handler');
+const { defaultRateLimiter } = require('../src/middleware/rate_limiter');
+const cacheService = require('../src/helper/cache_service');
+const cacheWarmer = require('../src/services/cache_warmer');
+
+describe('cache warmer', () => {
+  let app;
+  let calls;
+  let failing;
+
+  before(() => {
+    app = express();
+    app.get('/terbaru',
+      defaultRateLimiter,
+      cacheService.middleware(60 * 1000),
+      asyncHandler(async (req, res) => {
+        calls.push(req.originalUrl);
+        if (failing) throw new NetworkError('Komikcast timed out');
+        return responseApi(res, 200, 'success', [`page ${req.query.page}`]);
+      })
+    );
+    app.get('/popular', cacheService.middleware(60 * 1000), (req, res) => {
+      calls.push(req.originalUrl);
+      return responseApi(res, 200, 'success', ['popular']);
+    });
+    app.use(errorHandler);
+  });
+
+  after(() => {
+    cacheWarmer.stop();
+    cacheService.clear();
+  });
+
+  beforeEach(() => {
+    cacheService.clear();
+    calls = [];
+    failing = false;
+  });
+
+  it('maps scraper descriptors and ranges to route URLs', () => {
+    assert.deepEqual(cacheWarmer.expandTargets([
+      '/terbaru?page=1..3',
+      { provider: 'komikcast', function: 'getLatestComics', args: [2] },
+      { function: 'getComicDetail', args: ['solo-leveling'] },
+      '/terbaru?page=2'
+    ]), [
+      '/terbaru?page=1',
+      '/terbaru?page=2',
+      '/terbaru?page=3',
+      '/terbaru?page=2&provider=komikcast',
+      '/detail/solo-leveling'
+    ]);
+
+    assert.throws(() => cacheWarmer.expandTargets([{ function: 'deleteEverything' }]), /Unsupported warm target/);
+    assert.throws(() => cacheWarmer.expandTargets(['https://example.com/']), /route path/);
+    assert.throws(() => cacheWarmer.expandTargets(['/terbaru?page=1..500']), /Invalid warm range/);
+  });
+
+  it('caps the URLs a warm job may expand to', () => {
+    const maxTargets = cacheWarmer.maxTargets;
+    cacheWarmer.maxTargets = 60;
+
+    try {
+      assert.equal(cacheWarmer.expandTargets(['/terbaru?page=1..50', '/genre/action?page=1..10']).length, 60);
+      assert.throws(() => cacheWarmer.expandTargets(['/terbaru?page=1..50', '/genre/action?page=1..11']), /more than 60 URLs/);
+      assert.throws(() => cacheWarmer.expandTargets(Array.from({ length: 61 }, () => '/popular')), /more than 60 URLs/);
+    } finally {
+      cacheWarmer.maxTargets = maxTargets;
+    }
+  });
+
+  it('replays URLs through the handlers and stores them in the cache', async () => {
+    const job = cacheWarmer.warm(app, ['/terbaru?page=1..3', '/popular'], { concurrency: 2 });
+    assert.equal(job.status, 'running');
+    assert.equal(job.total, 4);
+
+    const finished = await cacheWarmer.wait(job.id);
+    assert.equal(finished.status, 'completed');
+    assert.equal(finished.completed, 4);
+    assert.deepEqual(finished.results.map(result => result.status), ['warmed', 'warmed', 'warmed', 'warmed']);
+    assert.equal(calls.length, 4);
+
+    // Client requests are now served from cache
+    assert.deepEqual(cacheService.get(finished.results[1].key).data, ['page 2']);
+  });
+
+  it('skips fresh entries unless forced', async () => {
+    await cacheWarmer.wait(cacheWarmer.warm(app, ['/popular']).id);
+    const skipped = await cacheWarmer.wait(cacheWarmer.warm(app, ['/popular']).id);
+    assert.equal(skipped.results[0].status, 'fresh');
+    assert.equal(calls.length, 1);
+
+    const forced = await cacheWarmer.wait(cacheWarmer.warm(app, ['/popular'], { force: true }).id);
+    assert.equal(forced.results[0].status, 'warmed');
+    assert.equal(forced.results[0].cache, 'MISS');
+    assert.equal(calls.length, 2);
+  });
+
+  it('reports failed URLs per key', async () => {
+    failing = true;
+    const job = await cacheWarmer.wait(cacheWarmer.warm(app, ['/terbaru?page=1', '/popular']).id);
+
+    assert.equal(job.results[0].status, 'failed');
+    assert.equal(job.results[0].httpStatus, 503);
+    assert.equal(job.results[1].status, 'warmed');
+
+    const status = cacheWarmer.getStatus();
+    assert.equal(status.jobs[0].id, job.id);
+    assert.equal(status.jobs[0].failed, 1);
+    assert.equal(status.jobs[0].results, undefined);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const imageProxy = require('../src/services/image_proxy');
+const chapterDownload = require('../src/services/chapter_download');
+const { readZip, collector } = require('./support/archive');
+
+describe('chapter download', () => {
+  let upstream;
+  let upstreamUrl;
+  let inFlight = 0;
+  let maxInFlight = 0;
+  let detailCalls;
+
+  const page = (number) => Buffer.from(`page-${number}`);
+
+  before(async () => {
+    upstream = http.createServer((req, res) => {
+      const number = parseInt(req.url.match(/(\d+)\.png$/)[1], 10);
+      if (number === 404) {
+        res.writeHead(404);
+        return res.end();
+      }
+
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      setTimeout(() => {
+        inFlight--;
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(page(number));
+      }, 5);
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    registerProvider('downloadtest', {
+      readChapter: async (url) => ({
+        title: url === 'broken-chapter-1' ? 'Chapter 1' : 'Chapter 12 - The Hunter',
+        panel: url === 'broken-chapter-1'
+          ? [`${upstreamUrl}/1.png`, `${upstreamUrl}/404.png`, `${upstreamUrl}/3.png`]
+          : Array.from({ length: 12 }, (_, i) => `${upstreamUrl}/${url}/${i + 1}.png`)
+      }),
+      getComicDetail: async (url) => {
+        detailCalls.push(url);
+        return {
+          title: 'Solo Leveling & Friends',
+          description: 'E-rank hunter <Sung Jin-Woo>',
+          author: 'Chugong',
+          type: 'Manhwa',
+          genre: [{ title: 'Action', href: '/action' }, { title: 'Fantasy', href: '/fantasy' }],
+          chapter: []
+        };
+      }
+    }, {
+      name: 'Download Test',
+      baseUrl: upstreamUrl,
+      enabled: true,
+      default: false,
+      plugin: true,
+      features: { read: true, detail: true },
+      fallbacks: {}
+    });
+  });
+
+  after(() => {
+    upstream.close();
+    unregisterProvider('downloadtest');
+    imageProxy.clear();
+  });
+
+  beforeEach(() => {
+    imageProxy.clear();
+    detailCalls = [];
+    maxInFlight = 0;
+  });
+
+  it('writes a CBZ with zero-padded pages and ComicInfo.xml', async () => {
+    const meta = await chapterDownload.getChapter('solo-leveling-chapter-12', { provider: 'downloadtest' });
+    assert.deepEqual(detailCalls, ['solo-leveling']);
+    assert.equal(chapterDownload.getFileName(meta, 'cbz'), 'Solo Leveling & Friends - Chapter 12.cbz');
+
+    const output = collector();
+    const summary = await chapterDownload.writeCbz(meta, output, { concurrency: 3 });
+    const entries = readZip(Buffer.concat(output.chunks));
+    entries.forEach(({ method }, name) => assert.equal(method, 0, `${name} is stored`));
+
+    assert.equal(summary.pages, 12);
+    assert.deepEqual(Array.from(entries.keys()), [
+      'ComicInfo.xml',
+      ...Array.from({ length: 12 }, (_, i) => `${String(i + 1).padStart(3, '0')}.png`)
+    ]);
+    assert.deepEqual(entries.get('007.png').data, page(7));
+
+    const comicInfo = entries.get('ComicInfo.xml').data.toString();
+    assert.match(comicInfo, /<Title>Chapter 12 - The Hunter<\/Title>/);
+    assert.match(comicInfo, /<Series>Solo Leveling &amp; Friends<\/Series>/);
+    assert.match(comicInfo, /<Number>12<\/Number>/);
+    assert.match(comicInfo, /<Summary>E-rank hunter &lt;Sung Jin-Woo&gt;<\/Summary>/);
+    assert.match(comicInfo, /<Writer>Chugong<\/Writer>/);
+    assert.match(comicInfo, /<Genre>Action, Fantasy<\/Genre>/);
+    assert.match(comicInfo, /<PageCount>12<\/PageCount>/);
+    assert.doesNotMatch(comicInfo, /<Manga>/);
+  });
+
+  it('fetches a bounded number of pages ahead', async () => {
+    const meta = await chapterDownload.getChapter('omniscient-reader-chapter-3', { provider: 'downloadtest' });
+    await chapterDownload.writeCbz(meta, collector(), { concurrency: 2 });
+
+    assert.ok(maxInFlight <= 2, `${maxInFlight} pages fetched at once`);
+  });
+
+  it('builds ComicInfo from chapter data when the series is unknown', async () => {
+    const meta = await chapterDownload.getChapter('8a1f5c2e-uuid', { provider: 'downloadtest' });
+    assert.deepEqual(detailCalls, []);
+    assert.equal(meta.detail, null);
+    assert.equal(meta.number, '12');
+
+    const comicInfo = chapterDownload.buildComicInfo(meta);
+    assert.doesNotMatch(comicInfo, /<Series>/);
+    assert.equal(chapterDownload.getFileName(meta, 'cbz'), 'Chapter 12.cbz');
+  });
+
+  it('aborts the archive when a page fails', async () => {
+    const meta = await chapterDownload.getChapter('broken-chapter-1', { provider: 'downloadtest' });
+    const output = collector();
+
+    await assert.rejects(chapterDownload.writeCbz(meta, output), /Image not found upstream/);
+    assert.ok(output.destroyed);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => chapterDownload.getFormat('rar'), /format must be one of: cbz, pdf, epub/);
+    assert.throws(() => chapterDownload.getFormat('cbz', ['pdf', 'epub']), /format must be one of: pdf, epub/);
+    assert.equal(chapterDownload.getFormat().contentType, 'application/vnd.comicbook+zip');
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/replay');
+const { registerProvider, unregisterProvider, executeScraper } = require('../src/services/provider_manager');
+const { NetworkError, NotFoundError } = require('../src/helper/error_handler');
+const circuitBreaker = require('../src/services/circuit_breaker');
+const ParallelProcessor = require('../src/services/parallel_processor');
+
+let calls = 0;
+
+registerProvider('broken', {
+  getLatestComics: async () => {
+    calls++;
+    throw new NetworkError('Server error');
+  },
+  getComicDetail: async () => {
+    calls++;
+    throw new NotFoundError('Comic not found');
+  }
+}, {
+  name: 'Broken',
+  baseUrl: 'https://broken.example',
+  enabled: true,
+  default: false,
+  plugin: true,
+  features: { latest: true, detail: true },
+  circuitBreaker: { failureThreshold: 2, cooldown: 50 }
+});
+
+describe('circuit breaker', () => {
+  beforeEach(() => {
+    calls = 0;
+    circuitBreaker.reset();
+  });
+
+  after(() => unregisterProvider('broken'));
+
+  it('opens after the failure threshold and rejects without calling the provider', async () => {
+    await executeScraper('broken', 'getLatestComics', 1);
+    await executeScraper('broken', 'getLatestComics', 1);
+    assert.equal(circuitBreaker.getState('broken', 'getLatestComics').state, 'open');
+
+    // Open circuit falls back to the default provider straight away
+    const result = await executeScraper('broken', 'getLatestComics', 1);
+    assert.equal(calls, 2);
+    assert.equal(result.data[0].title, 'Solo Leveling');
+    assert.equal(circuitBreaker.getState('broken', 'getLatestComics').totalRejected, 1);
+  });
+
+  it('tracks circuits per feature and ignores not-found errors', async () => {
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(executeScraper('broken', 'getComicDetail', 'missing'));
+    }
+
+    const states = circuitBreaker.getProviderStates('broken');
+    assert.equal(states.failureThreshold, 2);
+    assert.equal(states.features.detail.state, 'closed');
+    assert.equal(states.features.latest.state, 'closed');
+  });
+
+  it('lets one trial through when half-open and re-opens on failure', async () => {
+    const error = new NetworkError('Server error');
+    circuitBreaker.recordFailure('broken', 'getLatestComics', error);
+    circuitBreaker.recordFailure('broken', 'getLatestComics', error);
+    assert.equal(circuitBreaker.canRequest('broken', 'getLatestComics'), false);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.equal(circuitBreaker.getState('broken', 'getLatestComics').state, 'half-open');
+    assert.equal(circuitBreaker.canRequest('broken', 'getLatestComics'), true);
+    assert.equal(circuitBreaker.canRequest('broken', 'getLatestComics'), false);
+
+    circuitBreaker.recordFailure('broken', 'getLatestComics', error);
+    assert.equal(circuitBreaker.getState('broken', 'getLatestComics').state, 'open');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(circuitBreaker.canRequest('broken', 'getLatestComics'), true);
+    circuitBreaker.recordSuccess('broken', 'getLatestComics');
+    assert.equal(circuitBreaker.getState('broken', 'getLatestComics').state, 'closed');
+  });
+
+  it('makes ParallelProcessor skip open circuits', async () => {
+    const error = new NetworkError('Server error');
+    circuitBreaker.recordFailure('broken', 'getLatestComics', error);
+    circuitBreaker.recordFailure('broken', 'getLatestComics', error);
+
+    const result = await ParallelProcessor.processWithFallback(['broken', 'komikcast'], 'getLatestComics', [1]);
+    assert.equal(result.provider, 'komikcast');
+    assert.equal(calls, 0);
+
+    const { skipped } = ParallelProcessor.selectProviders(['broken', 'komikcast'], 'getLatestComics');
+    assert.deepEqual(skipped, [{ provider: 'broken', reason: 'circuit-open' }]);
+  });
+});
@@ -0,0 +1,160 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const imageProxy = require('../src/services/image_proxy');
+const downloadJobs = require('../src/services/download_jobs');
+const { readZip } = require('./support/archive');
+
+const DownloadJobs = downloadJobs.constructor;
+
+describe('download jobs', () => {
+  let upstream;
+  let upstreamUrl;
+  let dir;
+  let jobs;
+  let chapterCalls;
+  let slowPages;
+
+  before(async () => {
+    upstream = http.createServer((req, res) => {
+      const respond = () => {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(Buffer.from(`page ${req.url}`));
+      };
+      if (slowPages) {
+        return setTimeout(respond, 200);
+      }
+      respond();
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    registerProvider('jobtest', {
+      getComicDetail: async () => ({
+        title: 'Omniscient Reader',
+        author: 'Sing Shong',
+        type: 'Manhwa',
+        chapter: [4, 3, 2, 1].map(number => ({ title: `Chapter ${number}`, number, href: `omniscient-reader-chapter-${number}` }))
+      }),
+      readChapter: async (url) => {
+        chapterCalls.push(url);
+        const number = url.match(/(\d+)$/)[1];
+        return {
+          title: `Chapter ${number}`,
+          panel: [1, 2, 3].map(page => `${upstreamUrl}/${number}/${page}.png`)
+        };
+      }
+    }, {
+      name: 'Job Test',
+      baseUrl: upstreamUrl,
+      enabled: true,
+      default: false,
+      plugin: true,
+      features: { read: true, detail: true },
+      fallbacks: {}
+    });
+  });
+
+  after(() => {
+    upstream.close();
+    unregisterProvider('jobtest');
+    imageProxy.clear();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-jobs-'));
+    jobs = new DownloadJobs({ dir, workers: 2 });
+    chapterCalls = [];
+    slowPages = false;
+    imageProxy.clear();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('downloads a chapter range into the library and saves job state', async () => {
+    const created = await jobs.create({ url: 'omniscient-reader', provider: 'jobtest', from: 2, to: 3 });
+    assert.equal(created.id, '1');
+    assert.equal(created.progress.total, 2);
+    assert.deepEqual(created.chapters.map(chapter => chapter.number), ['2', '3']);
+
+    const job = await jobs.wait(created.id);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.progress, { total: 2, done: 2, skipped: 0, failed: 0, cancelled: 0, percent: 100 });
+    assert.deepEqual(chapterCalls.sort(), ['omniscient-reader-chapter-2', 'omniscient-reader-chapter-3']);
+
+    const file = path.join(dir, 'jobtest', 'Omniscient Reader', 'Omniscient Reader - Chapter 2.cbz');
+    assert.equal(job.chapters[0].path, file);
+    const entries = readZip(fs.readFileSync(file));
+    assert.deepEqual(Array.from(entries.keys()), ['ComicInfo.xml', '001.png', '002.png', '003.png']);
+    assert.match(entries.get('ComicInfo.xml').data.toString(), /<Writer>Sing Shong<\/Writer>/);
+    assert.equal(job.chapters[0].bytes, fs.statSync(file).size);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'jobs.json'), 'utf8'));
+    assert.equal(saved.nextId, 2);
+    assert.equal(saved.jobs[0].status, 'completed');
+
+    // Chapters already in the library are skipped by later jobs
+    chapterCalls = [];
+    const again = await jobs.wait((await jobs.create({ url: 'omniscient-reader', provider: 'jobtest', chapter: 3 })).id);
+    assert.equal(again.progress.skipped, 1);
+    assert.deepEqual(chapterCalls, []);
+  });
+
+  it('resumes interrupted jobs from saved state', async () => {
+    const created = await jobs.create({ url: 'omniscient-reader', provider: 'jobtest' });
+    await jobs.wait(created.id);
+    assert.equal(created.progress.total, 4);
+
+    // Simulate a restart while chapter 4 was being written
+    const file = path.join(dir, 'jobs.json');
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    saved.jobs[0].status = 'running';
+    Object.assign(saved.jobs[0].chapters[3], { status: 'downloading', bytes: null });
+    fs.writeFileSync(file, JSON.stringify(saved));
+    fs.rmSync(path.join(dir, saved.jobs[0].chapters[3].file));
+
+    chapterCalls = [];
+    const restarted = new DownloadJobs({ dir, workers: 2 });
+    restarted.start();
+
+    const job = await restarted.wait(created.id);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(chapterCalls, ['omniscient-reader-chapter-4']);
+    assert.ok(fs.existsSync(job.chapters[3].path));
+    assert.equal((await restarted.create({ url: 'omniscient-reader', provider: 'jobtest', chapter: 1 })).id, '2');
+    await restarted.wait('2');
+  });
+
+  it('cancels running jobs without leaving partial files', async () => {
+    slowPages = true;
+    const created = await jobs.create({ url: 'omniscient-reader', provider: 'jobtest', from: 1, to: 4 });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const cancelled = jobs.cancel(created.id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.progress.cancelled, 4);
+
+    const job = await jobs.wait(created.id);
+    assert.equal(job.status, 'cancelled');
+    assert.deepEqual(chapterCalls.sort(), ['omniscient-reader-chapter-1', 'omniscient-reader-chapter-2']);
+
+    const seriesDir = path.join(dir, 'jobtest', 'Omniscient Reader');
+    assert.deepEqual(fs.existsSync(seriesDir) ? fs.readdirSync(seriesDir) : [], []);
+    assert.throws(() => jobs.cancel(created.id), /already cancelled/);
+  });
+
+  it('validates job options', async () => {
+    await assert.rejects(jobs.create({ provider: 'jobtest' }), /Series url is required/);
+    await assert.rejects(jobs.create({ url: 'omniscient-reader', provider: 'jobtest', format: 'rar' }), /format must be one of/);
+    await assert.rejects(jobs.create({ url: 'omniscient-reader', provider: 'jobtest', from: 3, to: 1 }), /Invalid chapter range/);
+    await assert.rejects(jobs.create({ url: 'omniscient-reader', provider: 'jobtest', from: 10, to: 20 }), /No chapters between 10 and 20/);
+    assert.throws(() => jobs.getJob('42'), /Download job '42' not found/);
+    assert.equal(jobs.list().length, 0);
+  });
+});
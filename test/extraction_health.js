@@ -0,0 +1,76 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const extractionHealth = require('../src/services/extraction_health');
+
+const comic = (overrides = {}) => ({
+  title: 'Solo Leveling',
+  href: '/solo-leveling',
+  thumbnail: 'https://example.com/solo-leveling.jpg',
+  type: 'Manhwa',
+  chapter: 'Ch.200',
+  rating: 9.1,
+  ...overrides
+});
+
+describe('extraction health monitor', () => {
+  beforeEach(() => extractionHealth.reset());
+
+  it('computes per-field fill rates', () => {
+    const sample = extractionHealth.record('komikcast', 'getLatestComics', {
+      data: [comic(), comic({ rating: 0, type: '' }), comic({ type: '' }), comic()]
+    });
+
+    assert.equal(sample.itemCount, 4);
+    assert.equal(sample.fillRates.title, 1);
+    assert.equal(sample.fillRates.rating, 0.75);
+    assert.equal(sample.fillRates.type, 0.5);
+  });
+
+  it('flags fields that drop against the rolling baseline', () => {
+    for (let i = 0; i < 5; i++) {
+      extractionHealth.record('komikcast', 'getLatestComics', { data: [comic(), comic()] });
+    }
+    // One odd page is not drift yet
+    extractionHealth.record('komikcast', 'getLatestComics', { data: [comic({ rating: 0 }), comic({ rating: 0 })] });
+    assert.equal(extractionHealth.getReport('komikcast').status, 'ok');
+
+    extractionHealth.record('komikcast', 'getLatestComics', { data: [comic({ rating: 0 }), comic({ rating: 0, type: '' })] });
+    extractionHealth.record('komikcast', 'getLatestComics', { data: [comic({ rating: 0 }), comic({ rating: 0 })] });
+
+    const report = extractionHealth.getReport('komikcast');
+    const latest = report.functions.getLatestComics;
+
+    assert.equal(report.status, 'drift');
+    assert.equal(latest.status, 'drift');
+    assert.deepEqual(latest.drifts, [{ field: 'rating', current: 0, baseline: 1, drop: 1 }]);
+    assert.equal(report.functions.getComicDetail.status, 'no-data');
+  });
+
+  it('flags an empty list only when it stays empty', () => {
+    for (let i = 0; i < 3; i++) {
+      extractionHealth.record('komikcast', 'searchComics', [comic()]);
+    }
+    // A search without results is not drift
+    extractionHealth.record('komikcast', 'searchComics', []);
+    extractionHealth.record('komikcast', 'searchComics', []);
+    assert.equal(extractionHealth.getReport('komikcast').functions.searchComics.status, 'ok');
+
+    extractionHealth.record('komikcast', 'searchComics', [comic()]);
+    extractionHealth.record('komikcast', 'searchComics', []);
+    assert.equal(extractionHealth.getReport('komikcast').functions.searchComics.status, 'ok');
+
+    extractionHealth.record('komikcast', 'searchComics', []);
+    extractionHealth.record('komikcast', 'searchComics', []);
+    const { drifts, baseline } = extractionHealth.getReport('komikcast').functions.searchComics;
+    assert.deepEqual(drifts, [{ field: '*', current: 0, baseline: 1, drop: 1 }]);
+    // Empty results don't drag the baseline down
+    assert.equal(baseline.fillRates.title, 1);
+  });
+
+  it('does not flag drift before enough baseline samples exist', () => {
+    extractionHealth.record('komikcast', 'getLatestComics', { data: [comic()] });
+    extractionHealth.record('komikcast', 'getLatestComics', { data: [comic({ rating: 0 })] });
+
+    assert.equal(extractionHealth.getReport('komikcast').status, 'ok');
+  });
+});
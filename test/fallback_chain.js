@@ -0,0 +1,82 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { registerProvider, unregisterProvider, executeWithFallback, executeScraper } = require('../src/services/provider_manager');
+const { NetworkError } = require('../src/helper/error_handler');
+const { providerReport } = require('../src/middleware/provider_report');
+const circuitBreaker = require('../src/services/circuit_breaker');
+
+const providerConfig = (name, overrides = {}) => ({
+  name,
+  baseUrl: `https://${name.toLowerCase()}.example`,
+  enabled: true,
+  default: false,
+  plugin: true,
+  features: { read: true, latest: true },
+  ...overrides
+});
+
+describe('fallback chains', () => {
+  before(() => {
+    registerProvider('primary', {
+      readChapter: async () => {
+        throw new NetworkError('Server error');
+      },
+      getLatestComics: async () => {
+        throw new Error('Unexpected markup');
+      }
+    }, providerConfig('Primary', {
+      fallbacks: { read: ['secondary', 'tertiary'], '*': [] }
+    }));
+    registerProvider('secondary', {}, providerConfig('Secondary', {
+      features: { read: false, latest: true }
+    }));
+    registerProvider('tertiary', {
+      readChapter: async (url) => ({ title: `Chapter ${url}`, panel: ['1.jpg'] })
+    }, providerConfig('Tertiary'));
+  });
+
+  after(() => {
+    ['primary', 'secondary', 'tertiary'].forEach(id => unregisterProvider(id));
+    circuitBreaker.reset();
+  });
+
+  it('walks the configured chain and reports why providers were skipped', async () => {
+    const { data, report } = await executeWithFallback('primary', 'readChapter', ['1']);
+
+    assert.equal(data.title, 'Chapter 1');
+    assert.equal(report.provider, 'tertiary');
+    assert.equal(report.fallback, true);
+    assert.deepEqual(report.skipped, [
+      { provider: 'primary', reason: 'failed', code: 'NETWORK_ERROR', message: 'Server error' },
+      { provider: 'secondary', reason: 'unsupported' }
+    ]);
+  });
+
+  it('does not fall back on errors without a fallback error code', async () => {
+    await assert.rejects(executeScraper('primary', 'getLatestComics', 1), /Unexpected markup/);
+  });
+
+  it('adds served_by to JSON responses', async () => {
+    const app = express();
+    app.use(providerReport);
+    app.get('/read/:url', async (req, res) => {
+      const chapter = await executeScraper('primary', 'readChapter', req.params.url);
+      res.json({ status: 'success', data: [chapter] });
+    });
+
+    const server = app.listen(0);
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/read/2`);
+      const body = await response.json();
+
+      assert.equal(response.headers.get('x-served-by'), 'tertiary');
+      assert.equal(body.data[0].title, 'Chapter 2');
+      assert.equal(body.served_by.length, 1);
+      assert.equal(body.served_by[0].requested, 'primary');
+      assert.equal(body.served_by[0].provider, 'tertiary');
+    } finally {
+      server.close();
+    }
+  });
+});
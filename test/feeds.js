@@ -0,0 +1,215 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { NetworkError } = require('../src/helper/error_handler');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const cacheService = require('../src/helper/cache_service');
+const feedBuilder = require('../src/services/feed_builder');
+const { router } = require('../src/router');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('feeds', () => {
+  let server;
+  let baseUrl;
+  let detailCalls;
+  let genreCalls;
+
+  /**
+   * Build feed URL for the test provider
+   * @param {string} path - Feed path and query
+   * @returns {string} Absolute URL
+   */
+  const feedUrl = (path) => `${baseUrl}${path}${path.includes('?') ? '&' : '?'}provider=feedtest`;
+
+  before(() => {
+    registerProvider('feedtest', {
+      getLatestComics: async () => ({
+        current_page: 1,
+        length_page: 1,
+        data: [
+          { title: 'Solo Leveling', href: '/solo-leveling', thumbnail: 'https://cdn.example/solo.webp', type: 'Manhwa', chapter: 'Ch.200' },
+          { title: 'Tom & Jerry <Remastered>', href: 'https://feeds.example/manga/tom-jerry/', thumbnail: '', type: 'Manga', chapter: '' }
+        ]
+      }),
+      getComicsByGenre: async (genre, page) => {
+        genreCalls.push([genre, page]);
+        return {
+          current_page: page,
+          length_page: 3,
+          data: [
+            { title: 'Nano Machine', href: '/nano-machine', thumbnail: 'https://cdn.example/nano.png', type: 'Manhwa', chapter: 'Ch.190' },
+            { title: '', href: '/untitled', thumbnail: '', type: '', chapter: '' }
+          ]
+        };
+      },
+      getComicDetail: async (url) => {
+        detailCalls++;
+        if (url === 'broken') throw new NetworkError('Upstream timed out');
+        return {
+          title: 'Solo Leveling',
+          href: '',
+          thumbnail: 'https://cdn.example/solo.jpg',
+          description: 'Ten years ago, the Gate appeared',
+          genre: [{ title: 'Action', href: '/action' }],
+          chapter: [
+            { title: '200', number: 200, href: '/solo-leveling-chapter-200', date: '2 jam yang lalu' },
+            { title: 'Chapter 199.5', href: '/solo-leveling-chapter-199-5', date: 'Jan 5, 2025' },
+            { title: 'Chapter 1', href: '/solo-leveling-chapter-1', date: '' }
+          ]
+        };
+      }
+    }, {
+      name: 'Feed Test',
+      baseUrl: 'https://feeds.example',
+      enabled: true,
+      default: false,
+      plugin: true,
+      features: { latest: true, genre: true, detail: true },
+      fallbacks: {},
+      urlPatterns: { detail: '/manga/{slug}', read: '/{slug}' }
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use(router);
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    cacheService.clear();
+    unregisterProvider('feedtest');
+  });
+
+  beforeEach(() => {
+    cacheService.clear();
+    detailCalls = 0;
+    genreCalls = [];
+  });
+
+  it('parses scraped chapter dates', () => {
+    const now = Date.parse('2025-06-10T12:00:00Z');
+    const parse = (value) => {
+      const date = feedBuilder.parseDate(value, now);
+      return date && date.toISOString();
+    };
+
+    assert.equal(parse('2 jam yang lalu'), '2025-06-10T10:00:00.000Z');
+    assert.equal(parse('3 days ago'), '2025-06-07T12:00:00.000Z');
+    assert.equal(parse('a week ago'), '2025-06-03T12:00:00.000Z');
+    assert.equal(parse('kemarin'), new Date(now - DAY).toISOString());
+    assert.equal(parse('2025-05-01T08:30:00Z'), '2025-05-01T08:30:00.000Z');
+    assert.equal(feedBuilder.parseDate('5 Januari 2025').getFullYear(), 2025);
+    assert.equal(feedBuilder.parseDate('5 Januari 2025').getMonth(), 0);
+    assert.equal(feedBuilder.parseDate('Agustus 17, 2024').getMonth(), 7);
+    assert.equal(parse(''), null);
+    assert.equal(parse('soon'), null);
+    assert.equal(parse('2 fortnights ago'), null);
+  });
+
+  it('renders series chapters as RSS 2.0', async () => {
+    const response = await fetch(feedUrl('/feed/series/solo-leveling.xml'));
+    const xml = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/rss+xml; charset=utf-8');
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/);
+    assert.match(xml, /<link>https:\/\/feeds\.example\/manga\/solo-leveling<\/link>/);
+    assert.ok(xml.includes(`<atom:link href="${baseUrl}/feed/series/solo-leveling.xml?provider=feedtest" rel="self"`));
+
+    const items = xml.split('<item>').slice(1);
+    assert.equal(items.length, 3);
+    assert.match(items[0], /<title>Solo Leveling - Chapter 200<\/title>/);
+    assert.match(items[0], /<guid isPermaLink="false">urn:api-manga:feedtest:solo-leveling:200<\/guid>/);
+    assert.match(items[0], /<link>https:\/\/feeds\.example\/solo-leveling-chapter-200<\/link>/);
+    assert.match(items[0], /<enclosure url="https:\/\/cdn\.example\/solo\.jpg" length="0" type="image\/jpeg"\/>/);
+    assert.match(items[0], /<category>Action<\/category>/);
+    assert.match(items[1], /<guid isPermaLink="false">urn:api-manga:feedtest:solo-leveling:199.5<\/guid>/);
+    assert.match(items[1], /<pubDate>Sun, 05 Jan 2025 \d\d:00:00 GMT<\/pubDate>/);
+
+    // Relative dates are resolved when the feed is built
+    const pubDate = Date.parse(items[0].match(/<pubDate>(.+)<\/pubDate>/)[1]);
+    assert.ok(Math.abs(Date.now() - 2 * 60 * 60 * 1000 - pubDate) < 5000);
+  });
+
+  it('renders Atom with the same entries from the cached feed', async () => {
+    const rss = await fetch(feedUrl('/feed/series/solo-leveling.xml'));
+    await rss.text();
+    const response = await fetch(feedUrl('/feed/series/solo-leveling.xml?format=atom'));
+    const xml = await response.text();
+
+    assert.equal(response.headers.get('content-type'), 'application/atom+xml; charset=utf-8');
+    assert.match(xml, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+    assert.match(xml, /<id>urn:api-manga:feedtest:solo-leveling:200<\/id>/);
+    assert.match(xml, /<link rel="enclosure" href="https:\/\/cdn\.example\/solo\.jpg" type="image\/jpeg"\/>/);
+    assert.match(xml, /<logo>https:\/\/cdn\.example\/solo\.jpg<\/logo>/);
+    assert.equal(xml.split('<entry>').length - 1, 3);
+
+    const hit = await fetch(feedUrl('/feed/series/solo-leveling.xml?format=atom'));
+    assert.equal(hit.headers.get('x-cache'), 'HIT');
+    assert.equal(hit.headers.get('content-type'), 'application/atom+xml; charset=utf-8');
+    assert.equal(await hit.text(), xml);
+    assert.equal(detailCalls, 2);
+
+    // Cached feeds keep answering conditional requests
+    const etag = hit.headers.get('etag');
+    assert.ok(etag);
+    // Plain GET (fetch adds `Cache-Control: no-cache` to conditional requests)
+    const status = await new Promise((resolve, reject) => {
+      http.get(feedUrl('/feed/series/solo-leveling.xml?format=atom'), { headers: { 'If-None-Match': etag } }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      }).on('error', reject);
+    });
+    assert.equal(status, 304);
+  });
+
+  it('builds latest feeds with stable GUIDs and escaped text', async () => {
+    const first = await (await fetch(feedUrl('/feed/latest.xml'))).text();
+    cacheService.clear();
+    const second = await (await fetch(feedUrl('/feed/latest.xml'))).text();
+
+    assert.match(first, /<guid isPermaLink="false">urn:api-manga:feedtest:solo-leveling:200<\/guid>/);
+    assert.match(first, /<link>https:\/\/feeds\.example\/manga\/solo-leveling<\/link>/);
+    assert.match(first, /<enclosure url="https:\/\/cdn\.example\/solo\.webp" length="0" type="image\/webp"\/>/);
+    assert.match(first, /<title>Tom &amp; Jerry &lt;Remastered&gt;<\/title>/);
+    assert.match(first, /<link>https:\/\/feeds\.example\/manga\/tom-jerry\/<\/link>/);
+
+    // Listings carry no dates: items keep the time they were first seen
+    const pubDates = (xml) => xml.match(/<pubDate>.+<\/pubDate>/g);
+    assert.deepEqual(pubDates(second), pubDates(first));
+  });
+
+  it('builds genre feeds from the requested listing page', async () => {
+    const response = await fetch(feedUrl('/feed/genre/action.xml?page=2&format=atom'));
+    const xml = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/atom+xml; charset=utf-8');
+    assert.deepEqual(genreCalls, [['action', 2]]);
+    assert.match(xml, /<title>Feed Test - action<\/title>/);
+    assert.match(xml, /<subtitle>Latest action comics on Feed Test<\/subtitle>/);
+    assert.match(xml, /<id>urn:api-manga:feedtest:nano-machine:190<\/id>/);
+    assert.match(xml, /<link rel="enclosure" href="https:\/\/cdn\.example\/nano\.png" type="image\/png"\/>/);
+    // Items without a title are dropped
+    assert.equal(xml.split('<entry>').length - 1, 1);
+
+    const invalid = await fetch(feedUrl('/feed/genre/action.xml?page=0'));
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(genreCalls, [['action', 2]]);
+  });
+
+  it('sends errors as JSON', async () => {
+    const invalid = await fetch(feedUrl('/feed/latest.xml?format=json'));
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).message, /format must be one of: rss, atom/);
+
+    const failed = await fetch(feedUrl('/feed/series/broken.xml'));
+    assert.match(failed.headers.get('content-type'), /application\/json/);
+    assert.equal(failed.status >= 500, true);
+  });
+});
@@ -0,0 +1,198 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { providers } = require('../src/config/providers');
+const { createGenericScraper, buildUrl, applyTransform } = require('../src/services/generic_scraper');
+
+/**
+ * Pages served by the test site, by path ({base} is replaced with the site URL)
+ */
+const pages = {
+  '/list/page/2': `<html><body><div id="list">
+    <div class="item"><a href="{base}/series/alpha/"><img data-src="/covers/alpha.jpg"><h3>Alpha</h3></a><span class="ch">Chapter 12</span><span class="score">Score 8.5</span></div>
+    <div class="item"><a href="{base}/series/alpha/"><h3>Alpha again</h3></a></div>
+    <div class="item"><a href="{base}/series/beta/"><h3>Beta</h3></a></div>
+    <div class="item"><h3>No link</h3></div>
+    <div class="pages"><span class="current">2</span><a>1</a><a>3</a><a>Next 7</a></div>
+  </div></body></html>`,
+  '/series/alpha': `<html><body><article>
+    <h1>Alpha</h1><div class="cover"><img src="/covers/alpha.jpg"></div>
+    <p class="meta">Status: Ongoing</p>
+    <div class="tags"><a href="{base}/tag/action/">Action</a><a>No link</a></div>
+    <ul><li><a href="{base}/series/alpha/chapter-2/">Chapter 2</a><i>Jan 2</i></li><li><a href="{base}/series/alpha/chapter-1/">Chapter 1</a><i>Jan 1</i></li></ul>
+  </article></body></html>`,
+  '/search/alpha': `<html><body><div class="results">
+    <div class="result"><a href="{base}/series/alpha/"><img src="/covers/alpha.jpg"></a><h2><a href="{base}/series/alpha/">Alpha</a></h2><p class="info">Rating: 8.5</p></div>
+    <div class="result"><h2><a href="{base}/series/beta/">Beta</a></h2><p class="info">Ongoing</p><span class="score">7</span></div>
+  </div></body></html>`,
+  '/series/missing': '<html><body><article><p>Nothing here</p></article></body></html>',
+  '/series/alpha/chapter-1': `<html><body><div class="reader">
+    <h1>Alpha Chapter 1</h1><img class="logo" src="/logo.png">
+    <div class="pages"><img class="page" src="/pages/1.jpg"><img class="page" data-lazy-src="/pages/2.jpg"><img class="page" src="/pages/1.jpg"></div>
+  </div></body></html>`
+};
+
+describe('generic scraper engine', () => {
+  let server;
+  let scraper;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const page = pages[req.url.replace(/\/$/, '')];
+      res.writeHead(page ? 200 : 404, { 'Content-Type': 'text/html' });
+      res.end(page ? page.replaceAll('{base}', providers.enginetest.baseUrl) : 'Not found');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    providers.enginetest = {
+      name: 'Engine Test',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      engine: 'generic',
+      features: { latest: true, popular: true, detail: true, read: true, search: false },
+      urlPatterns: {
+        latest: '/list/page/{page}',
+        detail: '/series/{slug}',
+        read: '/series/{slug}',
+        search: '/?s={keyword}'
+      },
+      selectors: {
+        latest: {
+          container: '#list',
+          items: '.item',
+          title: 'h3',
+          href: 'a',
+          thumbnail: 'img',
+          chapter: '.ch',
+          rating: '.score',
+          pagination: '.pages > .current',
+          paginationLinks: '.pages > a'
+        },
+        detail: {
+          container: 'article',
+          title: 'h1',
+          thumbnail: '.cover img',
+          status: '.meta',
+          chapters: 'ul > li',
+          chapterTitle: 'a',
+          chapterHref: 'a',
+          chapterDate: 'i',
+          genres: '.tags a'
+        },
+        read: {
+          container: '.reader',
+          title: 'h1',
+          panels: '.pages > img.page'
+        },
+        search: {
+          items: '.item'
+        }
+      },
+      transforms: {
+        latest: { rating: { match: '([\\d.]+)' } },
+        detail: { status: { strip: 'Status:' } }
+      },
+      hrefBases: {
+        comic: '/series',
+        chapter: '/series'
+      }
+    };
+    scraper = createGenericScraper('enginetest');
+  });
+
+  after(() => {
+    server.close();
+    delete providers.enginetest;
+  });
+
+  it('builds URLs and applies transforms', () => {
+    assert.equal(buildUrl('https://engine.test', '/genre/{genre}/page/{page}', { genre: 'action', page: 2 }),
+      'https://engine.test/genre/action/page/2');
+    assert.equal(buildUrl('https://engine.test', '/?s={keyword}'), 'https://engine.test/?s=');
+    assert.equal(applyTransform('Status: Ongoing', { strip: 'Status:' }), 'Ongoing');
+    assert.equal(applyTransform('Score 8.5 / 10', { match: '([\\d.]+)' }), '8.5');
+    assert.equal(applyTransform('Chapter 12', { match: 'Volume (\\d+)' }), '');
+  });
+
+  it('scrapes list features from selectors, transforms and hrefBases', async () => {
+    const result = await scraper.getLatestComics(2);
+
+    assert.deepEqual({ ...result, data: undefined }, {
+      current_page: 2,
+      length_page: 7,
+      has_next: true,
+      has_prev: true,
+      data: undefined
+    });
+    // Duplicates and items without a link are skipped
+    assert.deepEqual(result.data.map(comic => comic.href), ['/alpha', '/beta']);
+    assert.equal(result.data[0].title, 'Alpha');
+    assert.equal(result.data[0].thumbnail, `${providers.enginetest.baseUrl}/covers/alpha.jpg`);
+    assert.equal(result.data[0].chapter, 'Chapter 12');
+    assert.equal(result.data[0].rating, 8.5);
+  });
+
+  it('scrapes detail with chapters and genres', async () => {
+    const detail = await scraper.getComicDetail('/alpha/');
+
+    assert.equal(detail.title, 'Alpha');
+    assert.equal(detail.status, 'Ongoing');
+    assert.equal(detail.thumbnail, `${providers.enginetest.baseUrl}/covers/alpha.jpg`);
+    assert.deepEqual(detail.genre, [{ title: 'Action', href: '/tag/action' }]);
+    assert.deepEqual(detail.chapter.map(chapter => [chapter.href, chapter.date]), [
+      ['/alpha/chapter-2', 'Jan 2'],
+      ['/alpha/chapter-1', 'Jan 1']
+    ]);
+
+    await assert.rejects(scraper.getComicDetail('missing'), { code: 'NOT_FOUND' });
+  });
+
+  it('reads panels with the configured panels selector', async () => {
+    const chapter = await scraper.readChapter('alpha/chapter-1');
+
+    assert.equal(chapter.title, 'Alpha Chapter 1');
+    // The logo is outside `panels`, lazy images are read from data attributes
+    assert.deepEqual(chapter.panel, [
+      `${providers.enginetest.baseUrl}/pages/1.jpg`,
+      `${providers.enginetest.baseUrl}/pages/2.jpg`
+    ]);
+  });
+
+  it('tries selector, transform and URL pattern fallbacks in order', async () => {
+    providers.enginefallback = {
+      ...providers.enginetest,
+      name: 'Engine Fallback',
+      features: { search: true },
+      urlPatterns: { search: ['/find/{keyword}', '/search/{keyword}'] },
+      selectors: {
+        search: {
+          container: ['.missing', '.results'],
+          items: ['.missing-item', '.result'],
+          // The first link only wraps the cover image, so its text is empty
+          title: ['.missing-title', 'a', 'h2'],
+          href: 'a',
+          rating: ['.info', '.score']
+        }
+      },
+      transforms: {
+        search: { rating: [{ match: 'Rating:\\s*([\\d.]+)' }] }
+      }
+    };
+
+    try {
+      const comics = await createGenericScraper('enginefallback').searchComics('alpha');
+
+      assert.deepEqual(comics.map(comic => [comic.href, comic.title, comic.rating]), [
+        ['/alpha', 'Alpha', 8.5],
+        ['/beta', 'Beta', 7]
+      ]);
+    } finally {
+      delete providers.enginefallback;
+    }
+  });
+
+  it('rejects features that are disabled or not configured', async () => {
+    await assert.rejects(scraper.searchComics('alpha'), { code: 'PARSE_ERROR', message: /'search' is not supported/ });
+    await assert.rejects(scraper.getPopularComics(), { code: 'PARSE_ERROR', message: /'popular' is not supported/ });
+    assert.throws(() => createGenericScraper('missingprovider'), { code: 'VALIDATION_ERROR' });
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const { NetworkError } = require('../src/helper/error_handler');
+const healthChecker = require('../src/services/health_checker');
+const ParallelProcessor = require('../src/services/parallel_processor');
+
+let failing = false;
+
+const flakyScraper = {
+  getGenres: async () => {
+    if (failing) {
+      const error = new NetworkError('Server error');
+      error.httpStatus = 503;
+      throw error;
+    }
+    return [{ title: 'Action', href: '/action' }];
+  },
+  getLatestComics: async () => ({ data: [{ title: 'Flaky Comic' }] })
+};
+
+const providerConfig = (name) => ({
+  name,
+  baseUrl: `https://${name.toLowerCase()}.example`,
+  enabled: true,
+  default: false,
+  plugin: true,
+  features: { genreList: true, latest: true }
+});
+
+registerProvider('flaky', flakyScraper, providerConfig('Flaky'));
+registerProvider('steady', { ...flakyScraper, getGenres: async () => [] }, providerConfig('Steady'));
+
+describe('provider health checker', () => {
+  beforeEach(() => {
+    failing = false;
+    healthChecker.reset();
+  });
+
+  after(() => {
+    unregisterProvider('flaky');
+    unregisterProvider('steady');
+  });
+
+  it('probes the cheapest supported feature', () => {
+    assert.deepEqual(healthChecker.getProbe('flaky'), { function: 'getGenres', args: [] });
+    assert.deepEqual(healthChecker.getProbe('shinigami'), { function: 'getLatestComics', args: [1] });
+  });
+
+  it('records latency, success and HTTP status', async () => {
+    const record = await healthChecker.probe('flaky');
+
+    assert.equal(record.success, true);
+    assert.equal(record.httpStatus, 200);
+    assert.equal(typeof record.latency, 'number');
+    assert.equal(record.status, 'healthy');
+  });
+
+  it('goes degraded on failure and down after consecutive failures', async () => {
+    await healthChecker.probe('flaky');
+    failing = true;
+
+    const first = await healthChecker.probe('flaky');
+    assert.equal(first.httpStatus, 503);
+    assert.equal(first.status, 'degraded');
+
+    await healthChecker.probe('flaky');
+    await healthChecker.probe('flaky');
+
+    const health = healthChecker.getHealth('flaky');
+    assert.equal(health.status, 'down');
+    assert.equal(health.consecutiveFailures, 3);
+    assert.equal(health.uptime, 25);
+    assert.equal(health.history.length, 4);
+
+    failing = false;
+    await healthChecker.probe('flaky');
+    assert.equal(healthChecker.getStatus('flaky'), 'degraded');
+  });
+
+  it('skips down providers and tries degraded ones last', async () => {
+    failing = true;
+    for (let i = 0; i < 3; i++) {
+      await healthChecker.probe('flaky');
+    }
+
+    assert.deepEqual(healthChecker.selectProviders(['flaky', 'komikcast']), {
+      providers: ['komikcast'],
+      skipped: ['flaky']
+    });
+
+    // Every provider down: keep the list so the request still gets a chance
+    assert.deepEqual(healthChecker.selectProviders(['flaky']).providers, ['flaky']);
+
+    healthChecker.reset();
+    await healthChecker.probe('flaky');
+    assert.deepEqual(healthChecker.selectProviders(['flaky', 'komikcast']).providers, ['komikcast', 'flaky']);
+  });
+
+  it('drives ParallelProcessor provider selection', async () => {
+    failing = true;
+    for (let i = 0; i < 3; i++) {
+      await healthChecker.probe('flaky');
+    }
+
+    const result = await ParallelProcessor.processProviders(['flaky', 'steady'], 'getLatestComics', [1], {
+      aggregate: false
+    });
+
+    assert.deepEqual(result.results.map(r => r.provider), ['steady']);
+    assert.deepEqual(result.metadata.skipped, [{ provider: 'flaky', reason: 'down' }]);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { responseApi } = require('../src/helper/response_api');
+const { asyncHandler, errorHandler, NetworkError } = require('../src/helper/error_handler');
+const { providerReport } = require('../src/middleware/provider_report');
+const cacheService = require('../src/helper/cache_service');
+
+describe('HTTP conditional requests', () => {
+  let server;
+  let baseUrl;
+  let failing;
+
+  before(() => {
+    const app = express();
+    app.use(providerReport);
+
+    app.get('/detail/:url',
+      cacheService.middleware(10 * 60 * 1000, { staleWhileRevalidate: 60 * 1000, staleIfError: 60 * 60 * 1000 }),
+      asyncHandler(async (req, res) => {
+        if (failing) throw new NetworkError('Komikcast timed out');
+        res.locals.servedBy.push({ provider: 'komikcast' });
+        return responseApi(res, 200, 'success', { title: req.params.url, chapter: [] });
+      })
+    );
+    app.get('/api/dashboard/stats', cacheService.middleware(5 * 60 * 1000, { cacheControl: 'private' }), (req, res) => {
+      return responseApi(res, 200, 'success', { uptime: 1 });
+    });
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    cacheService.clear();
+  });
+
+  beforeEach(() => {
+    cacheService.clear();
+    failing = false;
+  });
+
+  // Plain GET (fetch adds `Cache-Control: no-cache` to conditional requests)
+  const conditionalGet = (path, headers) => new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, { headers }, response => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, body }));
+    }).on('error', reject);
+  });
+
+  it('sends the same ETag for fresh and cached responses', async () => {
+    const miss = await fetch(`${baseUrl}/detail/solo-leveling`);
+    const hit = await fetch(`${baseUrl}/detail/solo-leveling`);
+
+    assert.equal(miss.headers.get('x-cache'), 'MISS');
+    assert.equal(hit.headers.get('x-cache'), 'HIT');
+    assert.match(miss.headers.get('etag'), /^W\/"/);
+    assert.equal(hit.headers.get('etag'), miss.headers.get('etag'));
+    assert.equal(hit.headers.get('last-modified'), miss.headers.get('last-modified'));
+
+    // served_by is only added to fresh responses, the ETag covers the cached data
+    assert.ok((await miss.json()).served_by);
+    assert.equal((await hit.json()).served_by, undefined);
+  });
+
+  it('answers If-None-Match and If-Modified-Since with 304', async () => {
+    const first = await fetch(`${baseUrl}/detail/solo-leveling`);
+    await first.arrayBuffer();
+
+    const byETag = await conditionalGet('/detail/solo-leveling', { 'If-None-Match': first.headers.get('etag') });
+    assert.equal(byETag.status, 304);
+    assert.equal(byETag.body, '');
+
+    const byDate = await conditionalGet('/detail/solo-leveling', { 'If-Modified-Since': first.headers.get('last-modified') });
+    assert.equal(byDate.status, 304);
+
+    const changed = await conditionalGet('/detail/solo-leveling', { 'If-None-Match': 'W/"outdated"' });
+    assert.equal(changed.status, 200);
+  });
+
+  it('derives Cache-Control from the route TTL and stale windows', async () => {
+    const detail = await fetch(`${baseUrl}/detail/solo-leveling`);
+    assert.equal(detail.headers.get('cache-control'), 'public, max-age=600, stale-while-revalidate=60, stale-if-error=3600');
+
+    const stats = await fetch(`${baseUrl}/api/dashboard/stats`);
+    assert.equal(stats.headers.get('cache-control'), 'private, max-age=300');
+  });
+
+  it('does not let clients cache errors', async () => {
+    failing = true;
+    const response = await fetch(`${baseUrl}/detail/solo-leveling`);
+
+    assert.equal(response.status, 503);
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+  });
+});
@@ -0,0 +1,221 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const sharp = require('sharp');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const { responseApi } = require('../src/helper/response_api');
+const { asyncHandler, errorHandler, ValidationError } = require('../src/helper/error_handler');
+const { imageRewrite } = require('../src/middleware/image_rewrite');
+const imageProxy = require('../src/services/image_proxy');
+
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+describe('image proxy', () => {
+  let upstream;
+  let upstreamUrl;
+  let server;
+  let baseUrl;
+  let requests;
+  let photo;
+
+  before(async () => {
+    photo = await sharp({ create: { width: 64, height: 32, channels: 3, background: '#336699' } }).png().toBuffer();
+
+    upstream = http.createServer((req, res) => {
+      requests.push({ url: req.url, referer: req.headers.referer });
+
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: 'http://localhost:1/elsewhere.png' });
+        return res.end();
+      }
+      if (req.url === '/page.html') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.end('<html></html>');
+      }
+      if (req.url === '/photo.png') {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(photo);
+      }
+      if (req.url === '/missing.png') {
+        res.writeHead(404);
+        return res.end();
+      }
+
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG.length });
+      res.end(PNG);
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+
+    registerProvider('imagetest', {}, {
+      name: 'Image Test',
+      baseUrl: upstreamUrl,
+      enabled: true,
+      default: false,
+      plugin: true,
+      features: {},
+      images: { referer: 'https://reader.example/' }
+    });
+
+    // Same handler as the /image route in router.js
+    const app = express();
+    app.use(imageRewrite);
+    app.get('/image', asyncHandler(async (req, res) => {
+      if (!req.query.url) throw new ValidationError('Query parameter url is required');
+      const transform = imageProxy.parseTransform(req.query);
+      const image = await imageProxy.getImage(req.query.url, req.query.provider, transform);
+      res.set({ 'Content-Type': image.contentType, 'X-Cache': image.cache });
+      if (Buffer.isBuffer(image.body)) {
+        res.set('ETag', image.etag);
+        return res.send(image.body);
+      }
+      image.body.pipe(res);
+    }));
+    app.get('/read/:url', (req, res) => {
+      return responseApi(res, 200, 'success', [{
+        title: 'Chapter 1',
+        thumbnail: `${upstreamUrl}/cover.png`,
+        panel: [`${upstreamUrl}/1.png`, 'https://evil.example/2.png']
+      }]);
+    });
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    upstream.close();
+    unregisterProvider('imagetest');
+    imageProxy.clear();
+  });
+
+  beforeEach(() => {
+    requests = [];
+    imageProxy.clear();
+  });
+
+  const proxied = (url, provider = 'imagetest', variant = {}) =>
+    fetch(`${baseUrl}/image?${new URLSearchParams({ url, provider, ...variant })}`);
+
+  it('streams images with the provider Referer and caches them', async () => {
+    const first = await proxied(`${upstreamUrl}/1.png`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('content-type'), 'image/png');
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.deepEqual(Buffer.from(await first.arrayBuffer()), PNG);
+    assert.deepEqual(requests, [{ url: '/1.png', referer: 'https://reader.example/' }]);
+
+    const second = await proxied(`${upstreamUrl}/1.png`);
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.ok(second.headers.get('etag'));
+    assert.deepEqual(Buffer.from(await second.arrayBuffer()), PNG);
+    assert.equal(requests.length, 1);
+
+    const stats = imageProxy.getStats();
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.memory.bytes, PNG.length);
+  });
+
+  it('refuses hosts outside the provider allow-list', async () => {
+    const foreign = await proxied('https://evil.example/1.png');
+    assert.equal(foreign.status, 403);
+    assert.equal((await foreign.json()).code, 'HOST_NOT_ALLOWED');
+
+    const unknown = await fetch(`${baseUrl}/image?url=${encodeURIComponent('https://evil.example/1.png')}`);
+    assert.equal(unknown.status, 403);
+
+    const scheme = await proxied('file:///etc/passwd');
+    assert.equal(scheme.status, 400);
+
+    const redirect = await proxied(`${upstreamUrl}/redirect`);
+    assert.equal(redirect.status, 403);
+    assert.equal(requests.length, 1);
+  });
+
+  it('rejects non-image and missing upstream responses', async () => {
+    assert.equal((await proxied(`${upstreamUrl}/page.html`)).status, 502);
+    assert.equal((await proxied(`${upstreamUrl}/missing.png`)).status, 404);
+    assert.equal(imageProxy.getStats().memory.entries, 0);
+  });
+
+  it('evicts least recently used images past the memory limit', async () => {
+    const maxBytes = imageProxy.maxBytes;
+    imageProxy.maxBytes = PNG.length * 2;
+
+    try {
+      for (const name of ['a', 'b', 'c']) {
+        await (await proxied(`${upstreamUrl}/${name}.png`)).arrayBuffer();
+      }
+      assert.deepEqual(Array.from(imageProxy.memory.keys()),
+        [`image:${upstreamUrl}/b.png`, `image:${upstreamUrl}/c.png`]);
+    } finally {
+      imageProxy.maxBytes = maxBytes;
+    }
+  });
+
+  it('rewrites panel and thumbnail fields on request', async () => {
+    const plain = await (await fetch(`${baseUrl}/read/chapter-1`)).json();
+    assert.equal(plain.data[0].thumbnail, `${upstreamUrl}/cover.png`);
+
+    const rewritten = await (await fetch(`${baseUrl}/read/chapter-1?proxyImages=true`)).json();
+    const [chapter] = rewritten.data;
+    assert.equal(chapter.thumbnail,
+      `${baseUrl}/image?url=${encodeURIComponent(`${upstreamUrl}/cover.png`)}&provider=imagetest`);
+    assert.ok(chapter.panel[0].startsWith(`${baseUrl}/image?`));
+    // Hosts no provider allows are left as-is
+    assert.equal(chapter.panel[1], 'https://evil.example/2.png');
+
+    const image = await fetch(chapter.panel[0]);
+    assert.equal(image.status, 200);
+  });
+
+  it('resizes and converts images into cached variants', async () => {
+    const webp = await proxied(`${upstreamUrl}/photo.png`, 'imagetest', { width: 32, format: 'webp' });
+    assert.equal(webp.status, 200);
+    assert.equal(webp.headers.get('content-type'), 'image/webp');
+    assert.equal(webp.headers.get('x-cache'), 'MISS');
+    const metadata = await sharp(Buffer.from(await webp.arrayBuffer())).metadata();
+    assert.equal(metadata.format, 'webp');
+    assert.equal(metadata.width, 32);
+
+    const again = await proxied(`${upstreamUrl}/photo.png`, 'imagetest', { width: 32, format: 'webp' });
+    assert.equal(again.headers.get('x-cache'), 'HIT');
+    await again.arrayBuffer();
+
+    // Other variants are made from the cached original, never upscaled
+    const jpeg = await proxied(`${upstreamUrl}/photo.png`, 'imagetest', { width: 200, format: 'jpg', quality: 50 });
+    assert.equal(jpeg.headers.get('content-type'), 'image/jpeg');
+    assert.equal((await sharp(Buffer.from(await jpeg.arrayBuffer())).metadata()).width, 64);
+
+    assert.equal(requests.length, 1);
+    assert.equal(imageProxy.getStats().transforms, 2);
+  });
+
+  it('validates variant options', async () => {
+    assert.equal((await proxied(`${upstreamUrl}/photo.png`, 'imagetest', { format: 'gif' })).status, 400);
+    assert.equal((await proxied(`${upstreamUrl}/photo.png`, 'imagetest', { width: '10000' })).status, 400);
+    assert.equal((await proxied(`${upstreamUrl}/photo.png`, 'imagetest', { quality: 'high' })).status, 400);
+    assert.equal((await fetch(`${baseUrl}/read/chapter-1?proxyImages=true&imageFormat=bmp`)).status, 400);
+    assert.equal(requests.length, 0);
+  });
+
+  it('adds srcset variants for panels', async () => {
+    const response = await (await fetch(`${baseUrl}/read/chapter-1?proxyImages=true&imageQuality=60`)).json();
+    const [chapter] = response.data;
+
+    const candidates = chapter.panel_srcset[0].split(', ');
+    assert.equal(candidates.length, 3);
+    assert.match(candidates[0], / 480w$/);
+    const variantUrl = new URL(candidates[0].split(' ')[0]);
+    assert.equal(variantUrl.searchParams.get('width'), '480');
+    assert.equal(variantUrl.searchParams.get('format'), 'webp');
+    assert.equal(variantUrl.searchParams.get('quality'), '60');
+
+    assert.equal(chapter.panel_srcset[1], null);
+    assert.equal(new URL(chapter.panel[0]).searchParams.get('quality'), '60');
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { replay } = require('./support/replay');
+const { getProvider } = require('../src/config/providers');
+const { applyTransform } = require('../src/services/generic_scraper');
+const { normalizeChapterItem } = require('../src/helper/data_validator');
+
+describe('komikcast scraper (replayed fixtures)', () => {
+  it('getLatestComics returns normalized items with pagination', async () => {
+    const result = await replay('komikcast', 'getLatestComics', 1);
+
+    assert.equal(result.current_page, 1);
+    assert.equal(result.length_page, 42);
+    assert.equal(result.has_next, true);
+    assert.equal(result.data.length, 3);
+    assert.deepEqual(result.data[0], {
+      title: 'Solo Leveling',
+      href: '/solo-leveling',
+      thumbnail: 'https://komikcast03.com/wp-content/uploads/solo-leveling.jpg',
+      type: 'Manhwa',
+      chapter: 'Ch.200',
+      rating: 9.1,
+      genre: '',
+      year: '',
+      status: '',
+      author: '',
+      released: '',
+      description: ''
+    });
+    assert.equal(result.data[2].chapter, 'Ch.480.5');
+  });
+
+  it('getComicsByGenre reads genre listing and pagination', async () => {
+    const result = await replay('komikcast', 'getComicsByGenre', 'action', 1);
+
+    assert.equal(result.length_page, 12);
+    assert.deepEqual(result.data.map(c => c.href), ['/solo-leveling', '/the-breaker']);
+  });
+
+  it('getGenres returns genre links relative to /genres', async () => {
+    const genres = await replay('komikcast', 'getGenres');
+
+    assert.deepEqual(genres, [
+      { title: 'Action', href: '/action' },
+      { title: 'Fantasy', href: '/fantasy' },
+      { title: 'Romance', href: '/romance' }
+    ]);
+  });
+
+  it('getComicDetail strips meta labels and lists chapters', async () => {
+    const detail = await replay('komikcast', 'getComicDetail', 'solo-leveling');
+
+    assert.equal(detail.title, 'Solo Leveling');
+    assert.equal(detail.rating, 9.1);
+    assert.equal(detail.status, 'Completed');
+    assert.equal(detail.type, 'Manhwa');
+    assert.equal(detail.author, 'Chugong');
+    assert.equal(detail.released, '2018');
+    assert.match(detail.description, /^Sepuluh tahun/);
+    assert.deepEqual(detail.genre.map(g => g.title), ['Action', 'Fantasy']);
+    assert.equal(detail.chapter.length, 3);
+    assert.deepEqual(detail.chapter[0], {
+      title: '200',
+      number: 200,
+      href: '/solo-leveling-chapter-200',
+      date: '2 tahun yang lalu'
+    });
+  });
+
+  it('readChapter returns panels in reading order', async () => {
+    const chapter = await replay('komikcast', 'readChapter', 'solo-leveling-chapter-1');
+
+    assert.equal(chapter.title, 'Solo Leveling Chapter 1');
+    assert.deepEqual(chapter.panel, [
+      'https://cdn.komikcast03.com/solo-leveling/1/001.jpg',
+      'https://cdn.komikcast03.com/solo-leveling/1/002.jpg',
+      'https://cdn.komikcast03.com/solo-leveling/1/003.jpg'
+    ]);
+  });
+
+  it('searchComics returns matching items', async () => {
+    const comics = await replay('komikcast', 'searchComics', 'solo');
+
+    assert.deepEqual(comics.map(c => c.title), ['Solo Leveling', 'Solo Max-Level Newbie']);
+  });
+
+  it('getPopularComics strips the genres label', async () => {
+    const comics = await replay('komikcast', 'getPopularComics');
+
+    assert.equal(comics.length, 2);
+    assert.equal(comics[0].title, 'One Piece');
+    assert.equal(comics[0].genre, 'Action, Adventure, Comedy');
+    assert.equal(comics[0].year, '1997');
+  });
+
+  it('getRecommendedComics reads the slider', async () => {
+    const comics = await replay('komikcast', 'getRecommendedComics');
+
+    assert.deepEqual(comics.map(c => [c.title, c.type, c.rating]), [
+      ['Omniscient Reader', 'Manhwa', 9.3],
+      ['Martial Peak', 'Manhua', 7.5]
+    ]);
+  });
+
+  it('fails without network access when a fixture is missing', async () => {
+    await assert.rejects(
+      replay('komikcast', 'getComicDetail', 'not-recorded'),
+      /No fixture recorded/
+    );
+  });
+
+  it('normalizes detail chapter titles like the original Komikcast scraper', () => {
+    const transform = getProvider('komikcast').transforms.detail.chapterTitle;
+    const title = (raw) => normalizeChapterItem({ title: applyTransform(raw, transform), href: '/x' }).title;
+
+    // `Chapter ${raw.replace('Chapter', '').trim()}`, then the leading "Chapter" dropped
+    assert.equal(title('Chapter 200'), '200');
+    assert.equal(title('Chapter\n  199.5 '), '199.5');
+    assert.equal(title('Solo Leveling Chapter 1'), 'Solo Leveling  1');
+    assert.equal(title('Chapter 10 - Chapter End'), '10 - Chapter End');
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { getProvider } = require('../src/config/providers');
+const { loadPlugins, validatePlugin, getPluginStatus } = require('../src/services/plugin_loader');
+const cacheService = require('../src/helper/cache_service');
+const { router } = require('../src/router');
+
+/**
+ * Source of a plugin module satisfying the provider contract
+ * @param {string} id - Provider ID
+ * @param {string} name - Provider name
+ * @returns {string} Module source
+ */
+const pluginSource = (id, name) => `
+const empty = async () => ({ data: [] });
+module.exports = {
+  id: '${id}',
+  metadata: { name: '${name}', baseUrl: 'https://${id}.example/' },
+  features: { latest: true, popular: false, recommended: false, search: false, detail: false, read: false, genre: false, genreList: false },
+  getLatestComics: empty,
+  getComicsByGenre: empty,
+  getGenres: async () => [],
+  getComicDetail: async () => ({}),
+  readChapter: async () => ({}),
+  searchComics: empty,
+  getPopularComics: empty,
+  getRecommendedComics: empty
+};
+`;
+
+describe('provider plugin loader', () => {
+  let dir;
+  const dirs = [];
+  let server;
+  let baseUrl;
+  const env = { dir: process.env.PROVIDER_PLUGINS_DIR, token: process.env.ADMIN_TOKEN };
+
+  before(() => {
+    const app = express();
+    app.use(express.json());
+    app.use(router);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    cacheService.clear();
+    // Unregister the test plugins
+    loadPlugins({ dir: path.join(os.tmpdir(), 'missing-plugins-dir') });
+    dirs.forEach(created => fs.rmSync(created, { recursive: true, force: true }));
+    Object.entries({ PROVIDER_PLUGINS_DIR: env.dir, ADMIN_TOKEN: env.token }).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    dirs.push(dir);
+    cacheService.clear();
+  });
+
+  it('registers valid plugins from files and directories', () => {
+    fs.writeFileSync(path.join(dir, 'alpha.js'), pluginSource('alphaplugin', 'Alpha'));
+    fs.mkdirSync(path.join(dir, 'beta'));
+    fs.writeFileSync(path.join(dir, 'beta', 'index.js'), pluginSource('betaplugin', 'Beta'));
+    // Disabled by prefix
+    fs.writeFileSync(path.join(dir, '_gamma.js'), pluginSource('gammaplugin', 'Gamma'));
+
+    const status = loadPlugins({ dir });
+
+    assert.deepEqual(status.plugins.map(plugin => plugin.id), ['alphaplugin', 'betaplugin']);
+    assert.deepEqual(status.errors, []);
+    assert.equal(getProvider('alphaplugin').baseUrl, 'https://alphaplugin.example');
+    assert.equal(getProvider('alphaplugin').plugin, true);
+    assert.equal(getProvider('gammaplugin'), null);
+  });
+
+  it('rejects invalid plugins and built-in provider IDs', () => {
+    fs.writeFileSync(path.join(dir, 'broken.js'), 'module.exports = { id: "Broken", metadata: {}, features: { latest: "yes" } };');
+    fs.writeFileSync(path.join(dir, 'builtin.js'), pluginSource('komikcast', 'Fake Komikcast'));
+    fs.writeFileSync(path.join(dir, 'syntax.js'), 'module.exports = {');
+    fs.writeFileSync(path.join(dir, 'valid.js'), pluginSource('validplugin', 'Valid'));
+
+    const status = loadPlugins({ dir });
+
+    assert.deepEqual(status.plugins.map(plugin => plugin.id), ['validplugin']);
+    assert.equal(status.errors.length, 3);
+
+    const broken = status.errors.find(error => error.file.endsWith('broken.js'));
+    assert.equal(broken.message, 'Plugin does not satisfy provider contract');
+    assert.ok(broken.errors.includes('metadata.name is required'));
+    assert.ok(broken.errors.includes('features.latest must be a boolean'));
+    assert.ok(broken.errors.includes('getLatestComics must be a function'));
+
+    assert.match(status.errors.find(error => error.file.endsWith('builtin.js')).message, /built in and cannot be replaced/);
+    assert.equal(getProvider('komikcast').name, 'Komikcast');
+    assert.deepEqual(validatePlugin(null), { valid: false, errors: ['plugin must export an object'] });
+  });
+
+  it('reloads and unregisters plugins through the admin endpoint', async () => {
+    process.env.PROVIDER_PLUGINS_DIR = dir;
+    process.env.ADMIN_TOKEN = 'plugin-admin-token';
+    const headers = { 'X-Admin-Token': 'plugin-admin-token' };
+    fs.writeFileSync(path.join(dir, 'alpha.js'), pluginSource('alphaplugin', 'Alpha'));
+    loadPlugins();
+
+    const providerIds = async () => {
+      const response = await fetch(`${baseUrl}/providers`);
+      return { cache: response.headers.get('x-cache'), ids: (await response.json()).data.map(provider => provider.id) };
+    };
+
+    const listed = await providerIds();
+    assert.ok(listed.ids.includes('alphaplugin'));
+    assert.equal((await providerIds()).cache, 'HIT');
+
+    // Swap plugins on disk
+    fs.rmSync(path.join(dir, 'alpha.js'));
+    fs.writeFileSync(path.join(dir, 'delta.js'), pluginSource('deltaplugin', 'Delta'));
+
+    const unauthorized = await fetch(`${baseUrl}/api/admin/providers/plugins/reload`, { method: 'POST' });
+    assert.equal(unauthorized.status, 401);
+    assert.equal(getProvider('alphaplugin').name, 'Alpha');
+
+    const reload = await fetch(`${baseUrl}/api/admin/providers/plugins/reload`, { method: 'POST', headers });
+    assert.equal(reload.status, 200);
+    assert.deepEqual((await reload.json()).data.plugins.map(plugin => plugin.id), ['deltaplugin']);
+    assert.equal(getProvider('alphaplugin'), null);
+
+    // invalidatePattern('/provider*') dropped the cached listing
+    const reloaded = await providerIds();
+    assert.equal(reloaded.cache, 'MISS');
+    assert.ok(reloaded.ids.includes('deltaplugin'));
+    assert.ok(!reloaded.ids.includes('alphaplugin'));
+
+    const status = await (await fetch(`${baseUrl}/api/admin/providers/plugins`, { headers })).json();
+    assert.equal(status.data.dir, dir);
+    assert.deepEqual(status.data.plugins.map(plugin => plugin.id), getPluginStatus().plugins.map(plugin => plugin.id));
+  });
+
+  it('keeps plugin reload disabled without ADMIN_TOKEN', async () => {
+    delete process.env.ADMIN_TOKEN;
+
+    const response = await fetch(`${baseUrl}/api/admin/providers/plugins/reload`, { method: 'POST' });
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, 'ADMIN_DISABLED');
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/replay');
+const seriesMatcher = require('../src/services/series_matcher');
+const apiService = require('../src/services/api_service');
+const circuitBreaker = require('../src/services/circuit_breaker');
+const { SHINIGAMI_SERIES } = require('./support/scenarios');
+
+describe('unified series detail', () => {
+  let seriesId;
+
+  beforeEach(() => {
+    seriesMatcher.reset();
+    circuitBreaker.reset();
+    seriesId = seriesMatcher.resolve({ title: 'Solo Leveling', href: '/solo-leveling' }, 'komikcast');
+    seriesMatcher.resolve({ title: 'Solo Leveling', href: `/series/${SHINIGAMI_SERIES}` }, 'shinigami');
+  });
+
+  it('merges detail from every mapped provider', async () => {
+    const series = await apiService.getSeries({ id: seriesId });
+
+    assert.equal(series.id, seriesId);
+    assert.equal(series.title, 'Solo Leveling');
+    assert.equal(series.author, 'Chugong'); // Komikcast is preferred over Shinigami's "Unknown"
+    assert.deepEqual(series._sources, ['komikcast', 'shinigami']);
+    assert.deepEqual(series.providers, { komikcast: ['solo-leveling'], shinigami: [SHINIGAMI_SERIES] });
+  });
+
+  it('builds one chapter list keyed by chapter number with every source', async () => {
+    const { chapter } = await apiService.getSeries({ id: seriesId });
+
+    assert.deepEqual(chapter.map(ch => ch.number), [200, 199, 1]);
+    assert.equal(chapter[0].preferred, 'komikcast');
+    assert.deepEqual(chapter[0].sources.map(source => source.provider), ['komikcast', 'shinigami']);
+    assert.deepEqual(chapter[1].sources.map(source => source.provider), ['komikcast']);
+    assert.equal(chapter[2].sources[1].href.endsWith('/chapter/c0000000-0000-4000-8000-000000000001'), true);
+  });
+
+  it('reports providers that could not serve the series', async () => {
+    seriesMatcher.resolve({ title: 'Solo Leveling', href: '/manga/unknown-slug' }, 'aquareader');
+
+    const series = await apiService.getSeries({ id: seriesId });
+
+    assert.deepEqual(series._sources, ['komikcast', 'shinigami']);
+    assert.equal(series.skipped[0].provider, 'aquareader');
+    assert.equal(series.skipped[0].reason, 'failed');
+  });
+
+  it('rejects unknown series IDs', async () => {
+    await assert.rejects(apiService.getSeries({ id: 's-000000000000' }), { code: 'NOT_FOUND' });
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/replay');
+const seriesMatcher = require('../src/services/series_matcher');
+const ParallelProcessor = require('../src/services/parallel_processor');
+const { DataAggregationService } = require('../src/services/data_processor');
+const { SHINIGAMI_SERIES } = require('./support/scenarios');
+
+describe('series matcher', () => {
+  beforeEach(() => seriesMatcher.reset());
+
+  it('normalizes titles', () => {
+    assert.equal(seriesMatcher.normalizeTitle('Solo Leveling (Official)'), 'solo leveling');
+    assert.equal(seriesMatcher.normalizeTitle('The Beginning After The End'), 'beginning after end');
+    assert.equal(seriesMatcher.normalizeTitle('Pokémon: Adventures!'), 'pokemon adventures');
+  });
+
+  it('links provider slugs of the same series to one canonical ID', () => {
+    const komikcast = seriesMatcher.resolve(
+      { title: 'Solo Leveling', href: '/solo-leveling', author: 'Chugong', type: 'Manhwa' },
+      'komikcast'
+    );
+    const shinigami = seriesMatcher.resolve(
+      { title: 'Solo Leveling [Official]', href: `/series/${SHINIGAMI_SERIES}`, author: 'Unknown', type: 'Manhwa' },
+      'shinigami'
+    );
+
+    assert.equal(komikcast, shinigami);
+    assert.deepEqual(seriesMatcher.getSeries(komikcast).providers, {
+      komikcast: ['solo-leveling'],
+      shinigami: [SHINIGAMI_SERIES]
+    });
+    assert.equal(seriesMatcher.getSeriesIdBySlug('shinigami', `/series/${SHINIGAMI_SERIES}`), komikcast);
+  });
+
+  it('matches on alternative titles and tolerates small title differences', () => {
+    const id = seriesMatcher.resolve(
+      { title: 'Solo Leveling', alternative: 'Na Honjaman Level Up, Ore dake Level Up na Ken', href: '/solo-leveling' },
+      'komikcast'
+    );
+
+    assert.equal(seriesMatcher.resolve({ title: 'Ore Dake Level Up na Ken', href: '/ore-dake' }, 'aquareader'), id);
+    assert.equal(seriesMatcher.resolve({ title: 'Solo-Leveling', href: '/manga/solo' }, 'shinigami'), id);
+  });
+
+  it('keeps near-identical titles from the same provider apart', () => {
+    const first = seriesMatcher.resolve({ title: 'Solo Leveling', href: '/solo-leveling', type: 'Manhwa' }, 'komikcast');
+    const sequel = seriesMatcher.resolve({ title: 'Solo Leveling 2', href: '/solo-leveling-2', type: 'Manhwa' }, 'komikcast');
+
+    assert.ok(seriesMatcher.similarity('solo leveling', 'solo leveling 2') >= seriesMatcher.matchThreshold);
+    assert.notEqual(first, sequel);
+    assert.deepEqual(seriesMatcher.getSeries(first).providers, { komikcast: ['solo-leveling'] });
+    assert.deepEqual(seriesMatcher.getSeries(sequel).providers, { komikcast: ['solo-leveling-2'] });
+
+    // Same slug again, and other providers, still match
+    assert.equal(seriesMatcher.resolve({ title: 'Solo Leveling!', href: '/solo-leveling' }, 'komikcast'), first);
+    assert.equal(seriesMatcher.resolve({ title: 'Solo Leveling 2', href: '/manga/solo-leveling-2' }, 'aquareader'), sequel);
+
+    // Neither disappears from a single-provider listing
+    const aggregated = DataAggregationService.aggregateComics([
+      { provider: 'komikcast', data: [{ title: 'Solo Leveling', href: '/solo-leveling' }, { title: 'Solo Leveling 2', href: '/solo-leveling-2' }] }
+    ], { sortBy: null });
+    assert.deepEqual(aggregated.map(comic => comic.href), ['/solo-leveling', '/solo-leveling-2']);
+  });
+
+  it('keeps series apart when authors or types disagree', () => {
+    const manga = seriesMatcher.resolve({ title: 'Tower of God', href: '/tog', author: 'SIU', type: 'Manhwa' }, 'komikcast');
+    const other = seriesMatcher.resolve({ title: 'Tower of God', href: '/tog-novel', author: 'Someone Else', type: 'Novel' }, 'aquareader');
+
+    assert.notEqual(manga, other);
+    assert.notEqual(seriesMatcher.resolve({ title: 'Another Series', href: '/x' }, 'komikcast'), manga);
+  });
+
+  it('dedupes aggregated results by canonical series', () => {
+    const aggregated = DataAggregationService.aggregateComics([
+      { provider: 'komikcast', data: [{ title: 'Solo Leveling', href: '/solo-leveling' }] },
+      { provider: 'shinigami', data: [{ title: 'Solo Leveling', href: `/series/${SHINIGAMI_SERIES}` }] }
+    ], { sortBy: null });
+
+    assert.equal(aggregated.length, 1);
+    assert.deepEqual(aggregated[0]._sources, ['komikcast', 'shinigami']);
+    assert.match(aggregated[0].series_id, /^s-[0-9a-f]{12}$/);
+  });
+
+  it('returns one entry per real series for providers=komikcast,shinigami', async () => {
+    const result = await ParallelProcessor.processProviders(['komikcast', 'shinigami'], 'getLatestComics', [1], {
+      healthAware: false,
+      aggregateOptions: { sortBy: null }
+    });
+
+    const titles = result.data.map(comic => comic.title).sort();
+    assert.deepEqual(titles, ['One Piece', 'Solo Leveling', 'Tales of Demons and Gods']);
+    assert.deepEqual(result.data.find(comic => comic.title === 'Solo Leveling')._sources, ['komikcast', 'shinigami']);
+  });
+});
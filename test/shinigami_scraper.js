@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { replay } = require('./support/replay');
+const { SHINIGAMI_SERIES, SHINIGAMI_CHAPTER } = require('./support/scenarios');
+
+describe('shinigami scraper (replayed fixtures)', () => {
+  it('getLatestComics maps API items and meta', async () => {
+    const result = await replay('shinigami', 'getLatestComics', 1);
+
+    assert.equal(result.current_page, 1);
+    assert.equal(result.length_page, 35);
+    assert.equal(result.data.length, 2);
+    assert.deepEqual(result.data[1], {
+      title: 'Solo Leveling',
+      href: `/series/${SHINIGAMI_SERIES}`,
+      thumbnail: `https://storage.shngm.id/thumbnail/cover/${SHINIGAMI_SERIES}.jpg`,
+      type: 'Manhwa',
+      chapter: 'Chapter 200',
+      rating: 9.1,
+      genre: 'Action, Fantasy',
+      year: '2018',
+      status: 'Completed',
+      author: 'Unknown',
+      released: '2018',
+      description: 'Solo Leveling synopsis.'
+    });
+  });
+
+  it('getComicDetail merges detail and chapter list', async () => {
+    const detail = await replay('shinigami', 'getComicDetail', SHINIGAMI_SERIES);
+
+    assert.equal(detail.title, 'Solo Leveling');
+    assert.equal(detail.status, 'Completed');
+    assert.deepEqual(detail.genre, [{ title: 'Action', href: '' }, { title: 'Fantasy', href: '' }]);
+    assert.deepEqual(detail.chapter.map(ch => [ch.number, ch.href]), [
+      [200, '/chapter/c0000000-0000-4000-8000-000000000200'],
+      [1, `/chapter/${SHINIGAMI_CHAPTER}`]
+    ]);
+  });
+
+  it('readChapter builds panel URLs from base_url and path', async () => {
+    const chapter = await replay('shinigami', 'readChapter', SHINIGAMI_CHAPTER);
+
+    assert.equal(chapter.title, 'Chapter 1');
+    assert.deepEqual(chapter.panel, [
+      `https://delivery.shngm.id/chapter/manga_${SHINIGAMI_SERIES}/chapter_1/01.jpg`,
+      `https://delivery.shngm.id/chapter/manga_${SHINIGAMI_SERIES}/chapter_1/02.jpg`
+    ]);
+  });
+
+  it('searchComics, getPopularComics and getRecommendedComics return lists', async () => {
+    const search = await replay('shinigami', 'searchComics', 'solo');
+    const popular = await replay('shinigami', 'getPopularComics');
+    const recommended = await replay('shinigami', 'getRecommendedComics');
+
+    assert.deepEqual(search.map(c => c.title), ['Solo Leveling']);
+    assert.deepEqual(popular.map(c => c.title), ['Solo Leveling', 'One Piece']);
+    assert.deepEqual(recommended.map(c => c.status), ['Ongoing']);
+  });
+
+  it('does not support genres', async () => {
+    assert.deepEqual(await replay('shinigami', 'getGenres'), []);
+    await assert.rejects(replay('shinigami', 'getComicsByGenre', 'action', 1), /not supported/);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerProvider, unregisterProvider, executeScraper } = require('../src/services/provider_manager');
+const { NetworkError } = require('../src/helper/error_handler');
+const circuitBreaker = require('../src/services/circuit_breaker');
+const singleFlight = require('../src/services/single_flight');
+
+describe('single-flight scraper calls', () => {
+  const calls = [];
+  let pending = [];
+  let fail = false;
+
+  before(() => {
+    registerProvider('coalesce', {
+      getComicDetail: (url) => {
+        calls.push(url);
+        return new Promise((resolve, reject) => {
+          pending.push(() => (fail
+            ? reject(new NetworkError('Server error'))
+            : resolve({ title: url, chapter: [{ title: 'Chapter 1' }] })));
+        });
+      }
+    }, {
+      name: 'Coalesce',
+      baseUrl: 'https://coalesce.example',
+      enabled: true,
+      default: false,
+      plugin: true,
+      features: { detail: true },
+      fallbacks: {}
+    });
+  });
+
+  after(() => {
+    unregisterProvider('coalesce');
+    circuitBreaker.reset('coalesce');
+  });
+
+  beforeEach(() => {
+    calls.length = 0;
+    pending = [];
+    fail = false;
+    singleFlight.reset();
+  });
+
+  // Let queued scraper calls start, then settle them
+  const settle = async () => {
+    await new Promise(resolve => setImmediate(resolve));
+    pending.splice(0).forEach(done => done());
+  };
+
+  it('shares one upstream call between concurrent identical requests', async () => {
+    const requests = Array.from({ length: 50 }, () => executeScraper('coalesce', 'getComicDetail', 'solo-leveling'));
+    await settle();
+    const results = await Promise.all(requests);
+
+    assert.deepEqual(calls, ['solo-leveling']);
+    results.forEach(result => assert.equal(result.title, 'solo-leveling'));
+
+    // Every caller gets its own copy
+    results[1].chapter.push({ title: 'Chapter 2' });
+    assert.equal(results[0].chapter.length, 1);
+
+    const stats = singleFlight.getStats();
+    assert.equal(stats.executed, 1);
+    assert.equal(stats.coalesced, 49);
+    assert.equal(stats.coalescedRate, 98);
+    assert.deepEqual(stats.inFlight, []);
+    assert.equal(stats.functions[0].provider, 'coalesce');
+  });
+
+  it('does not coalesce calls with different arguments', async () => {
+    const requests = [
+      executeScraper('coalesce', 'getComicDetail', 'solo-leveling'),
+      executeScraper('coalesce', 'getComicDetail', 'omniscient-reader')
+    ];
+    await settle();
+    await Promise.all(requests);
+
+    assert.deepEqual(calls.sort(), ['omniscient-reader', 'solo-leveling']);
+    assert.equal(singleFlight.getStats().coalesced, 0);
+  });
+
+  it('shares failures and starts a new call afterwards', async () => {
+    fail = true;
+    const requests = [1, 2, 3].map(() => executeScraper('coalesce', 'getComicDetail', 'solo-leveling'));
+    await settle();
+
+    for (const request of requests) {
+      await assert.rejects(request, /Server error/);
+    }
+    assert.equal(calls.length, 1);
+    assert.equal(circuitBreaker.getState('coalesce', 'getComicDetail').failures, 1);
+
+    fail = false;
+    const retry = executeScraper('coalesce', 'getComicDetail', 'solo-leveling');
+    await settle();
+    assert.equal((await retry).title, 'solo-leveling');
+    assert.equal(calls.length, 2);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Helpers for download and export tests
+ */
+
+const zlib = require('zlib');
+const { Writable } = require('stream');
+
+/**
+ * Read entries of a zip archive in archive order, through the central directory
+ * @param {Buffer} zip - Archive
+ * @returns {Map} Name -> { method, data }
+ */
+const readZip = (zip) => {
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = zip.readUInt16LE(end + 10);
+  let offset = zip.readUInt32LE(end + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    const method = zip.readUInt16LE(offset + 10);
+    const size = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const extraLength = zip.readUInt16LE(offset + 30);
+    const commentLength = zip.readUInt16LE(offset + 32);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28);
+    const raw = zip.subarray(dataStart, dataStart + size);
+    entries.set(name, { method, data: method === 8 ? zlib.inflateRawSync(raw) : raw });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Writable collecting everything written to it
+ * @returns {Writable} Stream with `chunks`
+ */
+const collector = () => {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  stream.chunks = chunks;
+  return stream;
+};
+
+module.exports = {
+  readZip,
+  collector
+};
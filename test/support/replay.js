@@ -0,0 +1,26 @@
+/**
+ * Replay helper for scraper tests
+ * Must be required before any src module so AxiosService starts in replay mode
+ */
+
+const path = require('path');
+
+process.env.SCRAPER_FIXTURES = 'replay';
+process.env.SCRAPER_FIXTURES_DIR = path.join(__dirname, '../fixtures');
+
+const { getScraperService } = require('../../src/services/provider_manager');
+
+/**
+ * Run scraper function for provider against recorded fixtures
+ * @param {string} providerId - Provider ID
+ * @param {string} fn - Scraper function name
+ * @param {...*} args - Function arguments
+ * @returns {Promise<*>} Scraper result
+ */
+const replay = (providerId, fn, ...args) => {
+  return getScraperService(providerId)[fn](...args);
+};
+
+module.exports = {
+  replay
+};
@@ -0,0 +1,44 @@
+/**
+ * Scraper scenarios covered by recorded fixtures
+ * Shared by the replay tests and scripts/record_fixtures.js
+ */
+
+const SHINIGAMI_SERIES = 'a1b2c3d4-0000-4000-8000-000000000001';
+const SHINIGAMI_CHAPTER = 'c0000000-0000-4000-8000-000000000001';
+
+const scenarios = {
+  komikcast: [
+    { fn: 'getLatestComics', args: [1] },
+    { fn: 'getComicsByGenre', args: ['action', 1] },
+    { fn: 'getGenres', args: [] },
+    { fn: 'getComicDetail', args: ['solo-leveling'] },
+    { fn: 'readChapter', args: ['solo-leveling-chapter-1'] },
+    { fn: 'searchComics', args: ['solo'] },
+    { fn: 'getPopularComics', args: [] },
+    { fn: 'getRecommendedComics', args: [] }
+  ],
+  shinigami: [
+    { fn: 'getLatestComics', args: [1] },
+    { fn: 'getComicDetail', args: [SHINIGAMI_SERIES] },
+    { fn: 'readChapter', args: [SHINIGAMI_CHAPTER] },
+    { fn: 'searchComics', args: ['solo'] },
+    { fn: 'getPopularComics', args: [] },
+    { fn: 'getRecommendedComics', args: [] }
+  ],
+  aquareader: [
+    { fn: 'getLatestComics', args: [1] },
+    { fn: 'getComicsByGenre', args: ['action', 1] },
+    { fn: 'getGenres', args: [] },
+    { fn: 'getComicDetail', args: ['manga/solo-leveling'] },
+    { fn: 'readChapter', args: ['manga/solo-leveling/chapter-1'] },
+    { fn: 'searchComics', args: ['solo'] },
+    { fn: 'getPopularComics', args: [] },
+    { fn: 'getRecommendedComics', args: [] }
+  ]
+};
+
+module.exports = {
+  scenarios,
+  SHINIGAMI_SERIES,
+  SHINIGAMI_CHAPTER
+};
@@ -0,0 +1,165 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const { getProvider } = require('../src/config/providers');
+const { NetworkError } = require('../src/helper/error_handler');
+const userLibrary = require('../src/services/user_library');
+const updateTracker = require('../src/services/update_tracker');
+
+const UpdateTracker = updateTracker.constructor;
+
+describe('update tracker', () => {
+  let dir;
+  let tracker;
+  let chapters;
+  let detailCalls;
+
+  const fakeProvider = (id, requestsPerMinute) => registerProvider(id, {
+    getComicDetail: async (url) => {
+      detailCalls.push({ provider: id, url, at: Date.now() });
+      if (url === 'broken') throw new NetworkError('Upstream timed out');
+      return {
+        title: url === 'solo-leveling' ? 'Solo Leveling' : url,
+        thumbnail: `https://cdn.example/${url}.jpg`,
+        chapter: (chapters[url] || []).map(number => ({ title: `Chapter ${number}`, href: `/${url}-chapter-${String(number).replace('.', '-')}` }))
+      };
+    }
+  }, {
+    name: id,
+    baseUrl: 'https://updates.example',
+    enabled: true,
+    default: false,
+    plugin: true,
+    features: { detail: true },
+    fallbacks: {},
+    updates: { requestsPerMinute }
+  });
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'update-tracker-'));
+    fakeProvider('updatetest', 6000);
+    fakeProvider('slowtest', 1200);
+  });
+
+  after(() => {
+    unregisterProvider('updatetest');
+    unregisterProvider('slowtest');
+    clearTimeout(userLibrary.saveTimer);
+    userLibrary.saveTimer = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    userLibrary.file = path.join(dir, `library-${Date.now()}.json`);
+    userLibrary.users = null;
+    tracker = new UpdateTracker({ file: path.join(dir, `updates-${Date.now()}.json`) });
+    chapters = { 'solo-leveling': [1, 2], 'omniscient-reader': [10] };
+    detailCalls = [];
+  });
+
+  it('records new chapters after the first check', async () => {
+    userLibrary.addBookmark('reader-1', { provider: 'updatetest', href: '/komik/solo-leveling/' });
+    userLibrary.addBookmark('reader-2', { provider: 'updatetest', href: 'solo-leveling' });
+    userLibrary.addBookmark('reader-2', { provider: 'updatetest', href: 'omniscient-reader' });
+
+    const first = await tracker.checkAll();
+    assert.equal(first.checked, 2);
+    assert.equal(first.releases, 0);
+    // Followed by two users, read once
+    assert.deepEqual(detailCalls.map(call => call.url), ['solo-leveling', 'omniscient-reader']);
+
+    const before = Date.now();
+    chapters['solo-leveling'] = [1, '02', 2.5, 3];
+    chapters['omniscient-reader'] = [10, 11];
+    const second = await tracker.checkAll();
+    assert.equal(second.releases, 3);
+
+    const { releases } = tracker.getUpdates({ since: before - 1 });
+    assert.deepEqual(releases.map(release => [release.slug, release.chapter.number]), [
+      ['omniscient-reader', '11'],
+      ['solo-leveling', '3'],
+      ['solo-leveling', '2.5']
+    ]);
+    assert.equal(releases[1].title, 'Solo Leveling');
+    assert.equal(releases[1].chapter.href, '/solo-leveling-chapter-3');
+
+    assert.equal(tracker.getUpdates({ userId: 'reader-1' }).releases.length, 2);
+    assert.equal(tracker.getUpdates({ since: new Date(Date.now() + 1000).toISOString() }).releases.length, 0);
+    assert.equal(tracker.getUpdates({ provider: 'slowtest' }).releases.length, 0);
+    assert.equal(tracker.getUpdates({ limit: 1 }).releases.length, 1);
+    assert.throws(() => tracker.getUpdates({ since: 'yesterday' }), /since must be epoch milliseconds or an ISO date/);
+
+    // Nothing new, nothing recorded
+    assert.equal((await tracker.checkAll()).releases, 0);
+  });
+
+  it('spaces requests per provider budget', async () => {
+    ['a', 'b', 'c'].forEach(slug => userLibrary.addBookmark('reader-1', { provider: 'slowtest', href: slug }));
+    userLibrary.addBookmark('reader-1', { provider: 'updatetest', href: 'solo-leveling' });
+
+    await tracker.checkAll();
+
+    const slow = detailCalls.filter(call => call.provider === 'slowtest');
+    assert.equal(slow.length, 3);
+    // 1200 per minute: 50ms apart
+    for (let i = 1; i < slow.length; i++) {
+      assert.ok(slow[i].at - slow[i - 1].at >= 45, `requests ${slow[i].at - slow[i - 1].at}ms apart`);
+    }
+    // Other providers are not held up
+    const other = detailCalls.find(call => call.provider === 'updatetest');
+    assert.ok(other.at < slow[1].at);
+  });
+
+  it('checks at most maxSeries series per run, most followed first', async () => {
+    tracker.maxSeries = 1;
+    userLibrary.addBookmark('reader-1', { provider: 'updatetest', href: 'omniscient-reader' });
+    userLibrary.addBookmark('reader-1', { provider: 'updatetest', href: 'solo-leveling' });
+    userLibrary.addBookmark('reader-2', { provider: 'updatetest', href: 'solo-leveling' });
+
+    const run = await tracker.checkAll();
+
+    assert.deepEqual([run.checked, run.skipped], [1, 1]);
+    assert.deepEqual(detailCalls.map(call => call.url), ['solo-leveling']);
+  });
+
+  it('keeps state across restarts and records failures', async () => {
+    userLibrary.addBookmark('reader-1', { provider: 'updatetest', href: 'solo-leveling' });
+    userLibrary.addBookmark('reader-1', { provider: 'updatetest', href: 'broken' });
+    userLibrary.addBookmark('reader-1', { provider: 'slowtest', href: 'solo-leveling' });
+
+    // Providers disabled after the bookmark was made are skipped
+    const slowProvider = getProvider('slowtest');
+    slowProvider.enabled = false;
+    let first;
+    try {
+      first = await tracker.checkAll();
+    } finally {
+      slowProvider.enabled = true;
+    }
+    assert.deepEqual([first.checked, first.failed, first.skipped], [1, 1, 1]);
+
+    chapters['solo-leveling'] = [1, 2, 3];
+    const restarted = new UpdateTracker({ file: tracker.file });
+    assert.equal((await restarted.checkAll()).releases, 1);
+    assert.equal(restarted.getUpdates().releases[0].id, '1');
+
+    const status = restarted.getStatus();
+    assert.equal(status.feed, 1);
+    assert.deepEqual(status.series.map(series => [series.provider, series.slug, series.chapters]), [
+      ['updatetest', 'solo-leveling', 3],
+      ['slowtest', 'solo-leveling', 3]
+    ]);
+    assert.equal(status.series.find(series => series.provider === 'updatetest').lastError, null);
+
+    // Unfollowed series are dropped from tracking
+    userLibrary.removeBookmark('reader-1', 'updatetest', 'solo-leveling');
+    userLibrary.removeBookmark('reader-1', 'updatetest', 'broken');
+    userLibrary.removeBookmark('reader-1', 'slowtest', 'solo-leveling');
+    await restarted.checkAll();
+    assert.deepEqual(restarted.getStatus().series, []);
+    assert.equal(restarted.getUpdates().releases.length, 1);
+  });
+});
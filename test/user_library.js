@@ -0,0 +1,257 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawnSync } = require('child_process');
+const express = require('express');
+const { responseApi } = require('../src/helper/response_api');
+const { errorHandler } = require('../src/helper/error_handler');
+const cacheService = require('../src/helper/cache_service');
+const { issueUser, requireUser, libraryDetail } = require('../src/middleware/library_user');
+const userLibrary = require('../src/services/user_library');
+
+const UserLibrary = userLibrary.constructor;
+
+describe('user library', () => {
+  let dir;
+  let library;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-library-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    library = new UserLibrary({ file: path.join(dir, `library-${Date.now()}.json`), maxHistory: 3 });
+  });
+
+  it('keys bookmarks by provider and slug', () => {
+    library.addBookmark('reader-1', { provider: 'komikcast', href: 'https://komikcast03.com/komik/solo-leveling/', title: 'Solo Leveling' });
+    library.addBookmark('reader-1', { provider: 'shinigami', href: '/series/8a1f5c2e', title: 'Omniscient Reader' });
+
+    // Same series from another href form updates the bookmark
+    const updated = library.addBookmark('reader-1', { provider: 'komikcast', href: 'solo-leveling', thumbnail: 'https://komikcast03.com/cover.jpg' });
+    assert.equal(updated.title, 'Solo Leveling');
+    assert.equal(updated.slug, 'solo-leveling');
+
+    assert.deepEqual(library.listBookmarks('reader-1').map(bookmark => bookmark.slug), ['solo-leveling', '8a1f5c2e']);
+    assert.deepEqual(library.listBookmarks('reader-1', { provider: 'shinigami' }).map(bookmark => bookmark.slug), ['8a1f5c2e']);
+    assert.deepEqual(library.listBookmarks('reader-2'), []);
+
+    library.removeBookmark('reader-1', 'komikcast', 'solo-leveling');
+    assert.throws(() => library.removeBookmark('reader-1', 'komikcast', 'solo-leveling'), /Bookmark 'solo-leveling' not found/);
+    assert.throws(() => library.addBookmark('reader-1', { provider: 'komikcast' }), /Series href is required/);
+  });
+
+  it('caps bookmarks per user', () => {
+    library.maxBookmarks = 2;
+    library.addBookmark('reader-1', { provider: 'komikcast', href: 'solo-leveling' });
+    library.addBookmark('reader-1', { provider: 'komikcast', href: 'omniscient-reader' });
+
+    assert.throws(() => library.addBookmark('reader-1', { provider: 'komikcast', href: 'tower-of-god' }),
+      { code: 'VALIDATION_ERROR', message: /Bookmark limit of 2 series reached/ });
+    // Existing bookmarks can still be updated, other users have their own limit
+    assert.equal(library.addBookmark('reader-1', { provider: 'komikcast', href: 'solo-leveling', title: 'Solo Leveling' }).title, 'Solo Leveling');
+    library.addBookmark('reader-2', { provider: 'komikcast', href: 'tower-of-god' });
+
+    library.removeBookmark('reader-1', 'komikcast', 'omniscient-reader');
+    library.addBookmark('reader-1', { provider: 'komikcast', href: 'tower-of-god' });
+    assert.equal(library.listBookmarks('reader-1').length, 2);
+  });
+
+  it('tracks last-read chapter and history', () => {
+    library.addBookmark('reader-1', { provider: 'komikcast', href: 'solo-leveling', title: 'Solo Leveling' });
+
+    library.setProgress('reader-1', { provider: 'komikcast', href: 'solo-leveling', chapter: 'solo-leveling-chapter-1', page: 5 });
+    library.setProgress('reader-1', { provider: 'komikcast', href: 'solo-leveling', chapter: 'solo-leveling-chapter-2', page: 3 });
+    library.setProgress('reader-1', { provider: 'komikcast', href: 'solo-leveling', chapter: 'solo-leveling-chapter-1', page: 20 });
+
+    const progress = library.getProgress('reader-1', 'komikcast', 'solo-leveling');
+    assert.equal(progress.chapter, 'solo-leveling-chapter-1');
+    assert.equal(progress.number, '1');
+    assert.equal(progress.page, 20);
+    assert.equal(progress.title, 'Solo Leveling');
+
+    const [bookmark] = library.listBookmarks('reader-1');
+    assert.equal(bookmark.lastReadChapter.chapter, 'solo-leveling-chapter-1');
+
+    // Rereading moves the chapter to the top, history is capped at maxHistory
+    assert.deepEqual(library.getHistory('reader-1').map(entry => entry.chapter),
+      ['solo-leveling-chapter-1', 'solo-leveling-chapter-2']);
+    ['3', '4', '5'].forEach(number => {
+      library.setProgress('reader-1', { provider: 'komikcast', href: 'solo-leveling', chapter: `solo-leveling-chapter-${number}` });
+    });
+    assert.deepEqual(library.getHistory('reader-1', { limit: 2 }).map(entry => entry.number), ['5', '4']);
+    assert.equal(library.getHistory('reader-1').length, 3);
+
+    assert.equal(library.clearHistory('reader-1'), 3);
+    assert.throws(() => library.setProgress('reader-1', { href: 'solo-leveling', page: 1 }), /Chapter href is required/);
+    assert.throws(() => library.setProgress('reader-1', { href: 'solo-leveling', chapter: 'x', page: 0 }), /page must be a positive number/);
+  });
+
+  it('persists the store and reloads it', () => {
+    library.addBookmark('reader-1', { provider: 'komikcast', href: 'solo-leveling' });
+    library.setProgress('__proto__', { provider: 'komikcast', href: 'solo-leveling', chapter: 'solo-leveling-chapter-7' });
+    library.flush();
+
+    const reloaded = new UserLibrary({ file: library.file });
+    assert.equal(reloaded.listBookmarks('reader-1').length, 1);
+    assert.equal(reloaded.getProgress('__proto__', 'komikcast', 'solo-leveling').number, '7');
+    assert.equal(reloaded.getSeriesState('reader-3', 'komikcast', 'solo-leveling').bookmarked, false);
+  });
+
+  it('saves pending writes when the process exits or is stopped', () => {
+    const run = (name, stop) => {
+      const file = path.join(dir, `${name}.json`);
+      const script = `
+        const userLibrary = require(${JSON.stringify(require.resolve('../src/services/user_library'))});
+        userLibrary.flushOnExit();
+        userLibrary.addBookmark('reader-1', { provider: 'komikcast', href: 'solo-leveling' });
+        ${stop}
+      `;
+      const child = spawnSync(process.execPath, ['-e', script], {
+        env: { ...process.env, LIBRARY_FILE: file },
+        timeout: 20000
+      });
+      return { signal: child.signal, bookmarks: new UserLibrary({ file }).listBookmarks('reader-1') };
+    };
+
+    const exited = run('exited', '');
+    assert.equal(exited.signal, null);
+    assert.equal(exited.bookmarks.length, 1);
+
+    // Still exits on the signal after saving
+    const stopped = run('stopped', "process.kill(process.pid, 'SIGTERM'); setTimeout(() => {}, 10000);");
+    assert.equal(stopped.signal, 'SIGTERM');
+    assert.equal(stopped.bookmarks.length, 1);
+  });
+});
+
+describe('library routes', () => {
+  let server;
+  let baseUrl;
+  let dir;
+  let detailCalls;
+
+  const READER = '3f0c6a1e-8b4d-4c2a-9e57-1d2b3c4d5e6f';
+  const OTHER_READER = '7a9e2b44-1c3d-4e5f-8a6b-0c1d2e3f4a5b';
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-library-routes-'));
+    userLibrary.file = path.join(dir, 'library.json');
+    userLibrary.users = null;
+
+    // Same middleware order as /detail/:url and /library in router.js
+    const app = express();
+    app.use(express.json());
+    app.get('/detail/:url', libraryDetail, cacheService.middleware(10 * 60 * 1000), (req, res) => {
+      detailCalls++;
+      return responseApi(res, 200, 'success', { title: 'Solo Leveling', chapter: [] });
+    });
+    app.get('/library', requireUser, (req, res) => {
+      return responseApi(res, 200, 'success', userLibrary.listBookmarks(req.userId));
+    });
+    app.post('/library/bookmarks', requireUser, (req, res) => {
+      return responseApi(res, 201, 'success', userLibrary.addBookmark(req.userId, req.body || {}));
+    });
+    app.use(errorHandler);
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    cacheService.clear();
+    clearTimeout(userLibrary.saveTimer);
+    userLibrary.saveTimer = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    cacheService.clear();
+    detailCalls = 0;
+  });
+
+  // Plain GET (fetch adds `Cache-Control: no-cache` to conditional requests)
+  const get = (url, headers = {}) => new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${url}`, { headers }, response => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body }));
+    }).on('error', reject);
+  });
+
+  it('enriches detail responses for the caller without caching user data', async () => {
+    const bookmark = await fetch(`${baseUrl}/library/bookmarks`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-User-Id': READER },
+      body: JSON.stringify({ provider: 'komikcast', href: '/komik/solo-leveling/' })
+    });
+    assert.equal(bookmark.status, 201);
+    userLibrary.setProgress(READER, { provider: 'komikcast', href: 'solo-leveling', chapter: 'solo-leveling-chapter-3', page: 9 });
+
+    const enriched = await get('/detail/solo-leveling?provider=komikcast', { 'X-User-Id': READER });
+    const { data } = JSON.parse(enriched.body);
+    assert.equal(data.bookmarked, true);
+    assert.equal(data.lastReadChapter.number, '3');
+    assert.equal(data.lastReadChapter.page, 9);
+    assert.equal(enriched.headers['cache-control'], 'private, no-cache');
+    assert.match(enriched.headers.vary, /X-User-Id/i);
+
+    // Cache entry and anonymous responses carry no user state
+    const anonymous = await get('/detail/solo-leveling?provider=komikcast');
+    assert.equal(anonymous.headers['x-cache'], 'HIT');
+    assert.equal(JSON.parse(anonymous.body).data.bookmarked, undefined);
+    assert.notEqual(anonymous.headers.etag, enriched.headers.etag);
+
+    const other = JSON.parse((await get('/detail/solo-leveling?provider=komikcast', { 'X-User-Id': OTHER_READER })).body);
+    assert.equal(other.data.bookmarked, false);
+    assert.equal(other.data.lastReadChapter, null);
+    assert.equal(detailCalls, 1);
+
+    // Conditional requests only match the caller's own enriched body
+    const revalidated = await get('/detail/solo-leveling?provider=komikcast', { 'X-User-Id': READER, 'If-None-Match': enriched.headers.etag });
+    assert.equal(revalidated.status, 304);
+    userLibrary.setProgress(READER, { provider: 'komikcast', href: 'solo-leveling', chapter: 'solo-leveling-chapter-4' });
+    const changed = await get('/detail/solo-leveling?provider=komikcast', { 'X-User-Id': READER, 'If-None-Match': enriched.headers.etag });
+    assert.equal(changed.status, 200);
+  });
+
+  it('requires a UUID user ID for library routes', async () => {
+    assert.equal((await get('/library')).status, 400);
+    assert.equal((await get('/library', { 'X-User-Id': 'bad id!' })).status, 400);
+    assert.equal((await get('/library', { 'X-User-Id': 'reader-1' })).status, 400);
+    assert.equal((await get('/detail/solo-leveling', { 'X-User-Id': 'reader-1' })).status, 400);
+
+    const list = JSON.parse((await get('/library', { 'X-User-Id': READER })).body);
+    assert.deepEqual(list.data.map(bookmark => bookmark.slug), ['solo-leveling']);
+    // Same library whatever the case of the UUID
+    const upper = JSON.parse((await get('/library', { 'X-User-Id': READER.toUpperCase() })).body);
+    assert.deepEqual(upper.data, list.data);
+  });
+
+  it('requires the issued token when LIBRARY_SECRET is set', async (t) => {
+    process.env.LIBRARY_SECRET = 'library-test-secret';
+    t.after(() => delete process.env.LIBRARY_SECRET);
+
+    const { userId, token } = issueUser();
+    assert.match(token, /^[0-9a-f]{64}$/);
+
+    const missing = await get('/library', { 'X-User-Id': userId });
+    assert.equal(missing.status, 401);
+    assert.equal(JSON.parse(missing.body).code, 'UNAUTHORIZED');
+    // A token is only valid for the ID it was issued for
+    assert.equal((await get('/library', { 'X-User-Id': READER, 'X-User-Token': token })).status, 401);
+    assert.equal((await get('/detail/solo-leveling', { 'X-User-Id': userId, 'X-User-Token': 'forged' })).status, 401);
+    assert.equal((await get('/library', { 'X-User-Id': userId, 'X-User-Token': token })).status, 200);
+
+    delete process.env.LIBRARY_SECRET;
+    assert.equal(issueUser().token, null);
+  });
+});
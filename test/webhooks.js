@@ -0,0 +1,289 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { NetworkError } = require('../src/helper/error_handler');
+const { registerProvider, unregisterProvider } = require('../src/services/provider_manager');
+const { isPrivateAddress, publicLookup } = require('../src/helper/network_guard');
+const webhooks = require('../src/services/webhooks');
+const circuitBreaker = require('../src/services/circuit_breaker');
+const healthChecker = require('../src/services/health_checker');
+
+const Webhooks = webhooks.constructor;
+
+describe('webhooks', () => {
+  let receiver;
+  let receiverUrl;
+  let received;
+  let responses;
+  let dir;
+  let hooks;
+  let waiters;
+
+  /**
+   * Wait until the receiver has seen `count` requests
+   */
+  const receivedCount = (count) => new Promise(resolve => {
+    const check = () => (received.length >= count ? resolve(received) : waiters.push(check));
+    check();
+  });
+
+  /**
+   * Wait until the sender has handled the receiver's responses
+   */
+  const until = async (condition) => {
+    while (!condition()) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, headers: req.headers, body });
+        // Status code, or { status, location } for redirects
+        const next = responses.length > 0 ? responses.shift() : 204;
+        res.writeHead(next.status || next, next.location ? { Location: next.location } : {});
+        res.end();
+        waiters.splice(0).forEach(check => check());
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  });
+
+  after(() => {
+    receiver.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    received = [];
+    responses = [];
+    waiters = [];
+    // The receiver runs on loopback
+    hooks = new Webhooks({ file: path.join(dir, `webhooks-${Date.now()}.json`), retryDelay: 10, maxAttempts: 3, allowPrivate: true });
+  });
+
+  afterEach(() => {
+    hooks.stop();
+  });
+
+  it('delivers signed events to matching subscriptions', async () => {
+    const subscription = hooks.create({ url: `${receiverUrl}/discord`, events: ['chapter.new'], series: ['solo-leveling'] });
+    assert.equal(subscription.secret.length, 48);
+    hooks.create({ url: `${receiverUrl}/ops`, events: ['provider.health', 'scrape.failure_spike'] });
+    hooks.create({ url: `${receiverUrl}/disabled`, events: ['*'], enabled: false });
+
+    assert.equal(hooks.dispatch('chapter.new', { provider: 'komikcast', slug: 'omniscient-reader' }).length, 0);
+    const [deliveryId] = hooks.dispatch('chapter.new', { provider: 'komikcast', slug: 'solo-leveling', chapter: { number: '180' } });
+
+    const [request] = await receivedCount(1);
+    assert.equal(request.url, '/discord');
+    assert.equal(request.headers['x-webhook-event'], 'chapter.new');
+    assert.equal(request.headers['x-webhook-id'], deliveryId);
+    assert.equal(request.headers['x-webhook-attempt'], '1');
+
+    // Receivers verify HMAC-SHA256 over "<timestamp>.<body>"
+    const expected = crypto.createHmac('sha256', subscription.secret)
+      .update(`${request.headers['x-webhook-timestamp']}.${request.body}`)
+      .digest('hex');
+    assert.equal(request.headers['x-webhook-signature'], `sha256=${expected}`);
+
+    const payload = JSON.parse(request.body);
+    assert.equal(payload.id, deliveryId);
+    assert.equal(payload.event, 'chapter.new');
+    assert.equal(payload.data.chapter.number, '180');
+
+    assert.equal(hooks.list().find(entry => entry.id === subscription.id).secret, undefined);
+  });
+
+  it('retries with backoff and dead-letters exhausted deliveries', async () => {
+    const subscription = hooks.create({ url: `${receiverUrl}/flaky`, events: ['*'] });
+    assert.deepEqual([1, 2, 3].map(attempt => hooks.getRetryDelay(attempt)), [10, 20, 40]);
+
+    responses = [500, 503];
+    hooks.dispatch('scrape.failure_spike', { provider: 'komikcast', feature: 'latest' });
+    const requests = await receivedCount(3);
+    assert.deepEqual(requests.map(request => request.headers['x-webhook-attempt']), ['1', '2', '3']);
+    assert.equal(new Set(requests.map(request => request.headers['x-webhook-id'])).size, 1);
+    await until(() => hooks.getSubscription(subscription.id).stats.delivered === 1);
+    assert.equal(hooks.getSubscription(subscription.id).stats.failed, 2);
+
+    responses = [500, 500, 500, 204];
+    const [deliveryId] = hooks.dispatch('provider.health', { provider: 'komikcast', status: 'down' });
+    await receivedCount(6);
+    await until(() => hooks.listDeadLetters().length === 1);
+
+    const [deadLetter] = hooks.listDeadLetters();
+    assert.equal(deadLetter.id, deliveryId);
+    assert.equal(deadLetter.attempts, 3);
+    assert.equal(deadLetter.lastError, 'HTTP 500');
+    assert.equal(deadLetter.payload.data.status, 'down');
+
+    // Dead letters survive restarts and can be sent again
+    const restarted = new Webhooks({ file: hooks.file, allowPrivate: true });
+    assert.equal(restarted.listDeadLetters().length, 1);
+    const result = await restarted.redeliver(deliveryId);
+    assert.equal(result.ok, true);
+    assert.equal(restarted.listDeadLetters().length, 0);
+  });
+
+  it('sends test deliveries once and reports the result', async () => {
+    const subscription = hooks.create({ url: `${receiverUrl}/test`, events: ['chapter.new'], secret: 'a-shared-secret-value' });
+
+    const ok = await hooks.test(subscription.id);
+    assert.equal(ok.ok, true);
+    assert.equal(ok.status, 204);
+    assert.equal(received[0].headers['x-webhook-event'], 'webhook.test');
+
+    responses = [410];
+    const failed = await hooks.test(subscription.id);
+    assert.deepEqual([failed.ok, failed.error], [false, 'HTTP 410']);
+    assert.equal(received.length, 2);
+    assert.equal(hooks.listDeadLetters().length, 0);
+
+    hooks.update(subscription.id, { url: 'http://127.0.0.1:1/closed' });
+    const unreachable = await hooks.test(subscription.id);
+    assert.equal(unreachable.ok, false);
+    assert.equal(unreachable.status, null);
+  });
+
+  it('validates subscriptions', () => {
+    assert.throws(() => hooks.create({ url: 'ftp://example.com', events: ['chapter.new'] }), /absolute http\(s\) URL/);
+    assert.throws(() => hooks.create({ url: receiverUrl, events: ['chapter.deleted'] }), /events must be a list of/);
+    assert.throws(() => hooks.create({ url: receiverUrl, events: ['chapter.new'], secret: 'short' }), /at least 16 characters/);
+    assert.throws(() => hooks.create({ url: receiverUrl, events: ['chapter.new'], providers: 'komikcast' }), /providers must be a list/);
+    assert.throws(() => hooks.getSubscription('missing'), /Webhook 'missing' not found/);
+
+    const subscription = hooks.create({ url: receiverUrl, events: ['chapter.new'] });
+    hooks.remove(subscription.id);
+    assert.deepEqual(hooks.list(), []);
+    assert.deepEqual(new Webhooks({ file: hooks.file }).list(), []);
+  });
+
+  it('rejects receivers on loopback, private and link-local addresses', async () => {
+    const guarded = new Webhooks({ file: path.join(dir, 'guarded', 'webhooks.json') });
+    [
+      'http://127.0.0.1:8080/hook',
+      'http://localhost/hook',
+      'http://api.localhost/hook',
+      'http://10.1.2.3/hook',
+      'http://172.20.0.1/hook',
+      'http://192.168.1.10/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://[fd00::1]/hook',
+      'http://2130706433/hook'
+    ].forEach(url => {
+      assert.throws(() => guarded.create({ url, events: ['chapter.new'] }), /loopback, private or link-local/, url);
+    });
+    assert.equal(guarded.create({ url: 'https://hooks.example.com/manga', events: ['chapter.new'] }).url, 'https://hooks.example.com/manga');
+
+    assert.equal(isPrivateAddress('8.8.8.8'), false);
+    assert.equal(isPrivateAddress('100.64.0.1'), true);
+
+    // Hostnames are checked again when they are resolved
+    const lookupError = await new Promise(resolve => publicLookup('localhost', { all: true }, resolve));
+    assert.match(lookupError.message, /resolves to non-public address/);
+  });
+
+  it('follows redirects only to allowed URLs', async () => {
+    const subscription = hooks.create({ url: `${receiverUrl}/moved`, events: ['chapter.new'] });
+
+    responses = [{ status: 307, location: '/final' }, 204];
+    const moved = await hooks.test(subscription.id);
+    assert.equal(moved.ok, true);
+    assert.deepEqual(received.map(request => request.url), ['/moved', '/final']);
+    assert.equal(received[1].headers['x-webhook-signature'], received[0].headers['x-webhook-signature']);
+
+    responses = [{ status: 302, location: 'file:///etc/passwd' }];
+    const rejected = await hooks.test(subscription.id);
+    assert.equal(rejected.ok, false);
+    assert.match(rejected.error, /Redirect to file:\/\/\/etc\/passwd rejected/);
+
+    responses = Array.from({ length: 5 }, () => ({ status: 307, location: '/loop' }));
+    assert.match((await hooks.test(subscription.id)).error, /Too many redirects/);
+  });
+
+  it('keeps the state file readable only by its owner', () => {
+    const created = hooks.create({ url: `${receiverUrl}/private`, events: ['chapter.new'] });
+    assert.equal(fs.statSync(hooks.file).mode & 0o777, 0o600);
+    assert.equal(JSON.parse(fs.readFileSync(hooks.file, 'utf8')).subscriptions[0].secret, created.secret);
+
+    // A group/world-readable state directory is tightened
+    const shared = path.join(dir, 'shared');
+    fs.mkdirSync(shared, { mode: 0o755 });
+    fs.chmodSync(shared, 0o755);
+    const other = new Webhooks({ file: path.join(shared, 'webhooks.json'), allowPrivate: true });
+    other.create({ url: `${receiverUrl}/private`, events: ['chapter.new'] });
+    assert.equal(fs.statSync(shared).mode & 0o777, 0o700);
+    assert.equal(fs.statSync(other.file).mode & 0o777, 0o600);
+
+    // Secrets are only returned on creation
+    assert.equal(hooks.getSubscription(created.id).secret, created.secret);
+    assert.equal(hooks.toJSON(hooks.getSubscription(created.id)).secret, undefined);
+    assert.ok(hooks.list().every(entry => entry.secret === undefined));
+    assert.equal(hooks.update(created.id, { description: 'renamed' }).secret, undefined);
+  });
+
+  it('sends provider health changes and failure spikes', async () => {
+    // Route the services' events to this test's instance, so the singleton never touches its state file
+    const dispatch = webhooks.dispatch;
+    webhooks.dispatch = (event, data) => hooks.dispatch(event, data);
+    hooks.create({ url: `${receiverUrl}/ops`, events: ['*'], providers: ['hooktest'] });
+
+    try {
+      // Failures past the threshold don't send more events
+      for (let i = 0; i < circuitBreaker.failureThreshold + 2; i++) {
+        circuitBreaker.recordFailure('hooktest', 'getLatestComics', new NetworkError('Upstream timed out'));
+      }
+      const [spike] = await receivedCount(1);
+      assert.equal(spike.headers['x-webhook-event'], 'scrape.failure_spike');
+      assert.deepEqual(JSON.parse(spike.body).data.feature, 'latest');
+
+      registerProvider('hooktest', { getGenres: async () => { throw new NetworkError('Upstream timed out'); } }, {
+        name: 'Hook Test',
+        baseUrl: 'https://hooks.example',
+        enabled: true,
+        default: false,
+        plugin: true,
+        features: {},
+        fallbacks: {},
+        healthCheck: { function: 'getGenres', args: [] }
+      });
+      // One probe short of down
+      healthChecker.history.set('hooktest', [
+        { success: true, latency: 10 },
+        ...Array.from({ length: healthChecker.downAfter - 1 }, () => ({ success: false, latency: 10 }))
+      ]);
+
+      try {
+        const record = await healthChecker.probe('hooktest');
+        assert.equal(record.status, 'down');
+        const [, change] = await receivedCount(2);
+        const { data } = JSON.parse(change.body);
+        assert.equal(change.headers['x-webhook-event'], 'provider.health');
+        assert.deepEqual([data.provider, data.previous, data.status], ['hooktest', 'degraded', 'down']);
+
+        // Still down, no new event
+        await healthChecker.probe('hooktest');
+      } finally {
+        unregisterProvider('hooktest');
+      }
+      assert.equal(received.length, 2);
+      await until(() => hooks.list()[0].stats.delivered === 2);
+    } finally {
+      webhooks.dispatch = dispatch;
+      circuitBreaker.reset('hooktest');
+      healthChecker.reset('hooktest');
+    }
+  });
+});